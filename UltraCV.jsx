@@ -51,45 +51,131 @@
  * - Timeline items animate in viewport
  */
 
-import React, { useState, useEffect, useRef, useCallback } from 'react';
-import { motion, AnimatePresence, useScroll, useTransform, useInView } from 'framer-motion';
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { motion, AnimatePresence, MotionConfig, useScroll, useTransform, useInView } from 'framer-motion';
 import { gsap } from 'gsap';
 import { ScrollTrigger } from 'gsap/ScrollTrigger';
 import PropTypes from 'prop-types';
+import defaultResume from './src/data/resume';
+import defaultTerminalScript from './src/data/terminal';
+import { resumePropType } from './src/lib/resume';
+import { fromJsonResume, toJsonResume, jsonResumePropType } from './src/lib/jsonResume';
+import { downloadCvPdf } from './src/lib/pdfCv';
+import { getInitialTheme, getStoredTheme, storeTheme, watchSystemTheme } from './src/lib/theme';
+import { THEME_PRESETS, resolvePreset, presetToCss, parseColor, formatColor } from './src/lib/themePresets';
+import { createTransport } from './src/lib/contactTransport';
+import { validateContact, validateContactField, checkSpam, rateLimitWait, recordSend, CONTACT_LIMITS, CONTACT_ERROR_MESSAGES, HONEYPOT_FIELD } from './src/lib/contactValidation';
+import { CATALOGS, LOCALES, INTL_LOCALES, createTranslator, formatDate, getInitialLocale, localeFromPath, localizePath, localizeResume } from './src/lib/i18n';
+import { runCommand, completeCommand } from './src/lib/shell';
+import { projectSlug, projectHash, slugFromHash, findProject, projectPeriod, videoEmbedUrl } from './src/lib/projects';
+import { buildTimeline, terminalStateAt, nextEventTime, lastBlock, transcriptText } from './src/lib/terminalScript';
+import { buildSkillGraph, relationsOf } from './src/lib/skillGraph';
+import { timelineEntries, formatPeriod, formatDuration } from './src/lib/timeline';
+import { computeStats, parseStatValue, formatStatValue } from './src/lib/stats';
+import { CLOUD_ASPECT, categoryColors, layoutSkills, settleLayout } from './src/lib/skillCloud';
+import { LOW_BANDWIDTH_MODES, UNKNOWN_NETWORK, readNetworkStatus, watchNetworkStatus, lowBandwidthDecision, explainLowBandwidth } from './src/lib/network';
+import { EMPTY_METRICS, observePerformance, startFpsMeter, addSample, sparklinePoints, readMemory, rateMetric, performanceReport } from './src/lib/perfMonitor';
+import { auditElement, auditThemeTokens } from './src/lib/a11yAudit';
+import { DEFAULT_DEVTOOLS, getInitialDevTools, storeDevTools, devToolsQuery, isDevToolsShortcut } from './src/lib/devTools';
+import { PALETTE_GROUPS, paletteCommands, searchCommands, highlightParts, isPaletteShortcut } from './src/lib/commandPalette';
+import { FILTER_PARAMS, EMPTY_FILTER, sameTag, isFiltered, readFilter, writeFilter, techTags, skillCategories, filterProjects, filterSkills } from './src/lib/filters';
 
 // Register GSAP plugins
 if (typeof window !== 'undefined') {
   gsap.registerPlugin(ScrollTrigger);
 }
 
+// Portfolio and skill filters start from the query string, e.g. ?tech=React
+const readFilterFromUrl = (params) =>
+  typeof window === 'undefined' ? EMPTY_FILTER : readFilter(window.location.search, params);
+
+// Page sections in order: the navbar, active section tracking and command palette share them
+const SECTION_IDS = ['about', 'experience', 'skills', 'projects', 'services', 'contact'];
+
 /**
  * MAIN COMPONENT
  */
-const UltraCV = ({ 
-  name = "Tahsin Mert Mutlu",
-  role = "Front-End Developer",
-  bio = "Building beautiful, interactive experiences with modern web technologies.",
-  email = "tahsin@example.com",
-  phone = "+90 555 000 00 00"
+const UltraCV = ({
+  resume: resumeProp = defaultResume,
+  jsonResume,
+  pdfPageSize = 'auto',
+  themePreset,
+  contactTransport,
+  locale: localeProp,
+  terminalScript = defaultTerminalScript,
+  showTerminalTranscript = true,
+  terminalMaxLines = 200,
+  devTools = true,
+  ...basicsOverrides
 }) => {
-  const [showDevTools, setShowDevTools] = useState(false);
-  const [showCSSPanel, setShowCSSPanel] = useState(false);
-  const [showFPS, setShowFPS] = useState(false);
-  const [showDOM, setShowDOM] = useState(false);
+  // The URL (/ or /tr) picks the language unless the locale prop forces one
+  const [locale, setLocale] = useState(() => localeProp || getInitialLocale());
+  const t = useMemo(() => createTranslator(locale), [locale]);
+  const intlLocale = INTL_LOCALES[locale];
+
+  // A JSON Resume document, when given, takes the place of the resume prop;
+  // resume.translations[locale] is then applied on top
+  const resume = useMemo(
+    () => localizeResume(jsonResume ? fromJsonResume(jsonResume) : resumeProp, locale),
+    [jsonResume, resumeProp, locale]
+  );
+  // Individual props (name, role, bio, email, phone) win over resume.basics
+  const basics = { ...resume.basics, ...basicsOverrides };
+  const { name, role = '', bio, email, phone } = basics;
+  const {
+    experience = [],
+    skills = [],
+    certifications = [],
+    projects = [],
+    services = [],
+    socials = []
+  } = resume;
+  // Age, years of experience and counts are computed from the rest of the resume
+  const stats = useMemo(() => computeStats(resume), [resume]);
+
+  // Developer Tools settings: stored ones, overridden by ?debug= / ?lowbw= flags
+  const [devToolsSettings, setDevToolsSettings] = useState(() => (devTools ? getInitialDevTools() : DEFAULT_DEVTOOLS));
+  const {
+    open: showDevTools,
+    css: showCSSPanel,
+    performance: showPerformance,
+    dom: showDOM,
+    audit: auditMode,
+    lowBandwidth: lowBandwidthMode // auto | on | off
+  } = devToolsSettings;
+  const [auditFindings, setAuditFindings] = useState([]);
   const [reducedMotion, setReducedMotion] = useState(false);
-  const [lowBandwidth, setLowBandwidth] = useState(false);
-  const [fps, setFps] = useState(60);
-  const [terminalPaused, setTerminalPaused] = useState(false);
-  const [terminalTranscript, setTerminalTranscript] = useState('');
-  const [terminalCurrentLine, setTerminalCurrentLine] = useState('');
+  const [network, setNetwork] = useState(UNKNOWN_NETWORK);
+  const [terminalInteractive, setTerminalInteractive] = useState(false);
+  const [openProjectSlug, setOpenProjectSlug] = useState(null);
+  const [projectFilter, setProjectFilter] = useState(() => readFilterFromUrl(FILTER_PARAMS.projects));
+  const [skillFilter, setSkillFilter] = useState(() => readFilterFromUrl(FILTER_PARAMS.skills));
+  const [previewSkill, setPreviewSkill] = useState(null);
+  const [pinnedSkill, setPinnedSkill] = useState(null);
+  const [timelineTrack, setTimelineTrack] = useState('all'); // all | work | education
+  const [paletteOpen, setPaletteOpen] = useState(false);
+  const [paletteTarget, setPaletteTarget] = useState(null); // { id, block } to scroll to after the palette closes
+  const [emailCopyStatus, setEmailCopyStatus] = useState('idle'); // idle | copied | error
   const [activeSection, setActiveSection] = useState('about');
   const [navbarHidden, setNavbarHidden] = useState(false);
   const [navbarVertical, setNavbarVertical] = useState(false);
-  const [messageSent, setMessageSent] = useState(false);
+  const [contactForm, setContactForm] = useState({ name: '', email: '', message: '' });
+  const [contactStatus, setContactStatus] = useState('idle'); // idle | sending | sent | error
+  const [contactErrors, setContactErrors] = useState({});
+  const [contactFailure, setContactFailure] = useState(null);
+  const [honeypot, setHoneypot] = useState('');
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
+  const [pdfGenerating, setPdfGenerating] = useState(false);
+  const [pdfFailed, setPdfFailed] = useState(false);
+  const [theme, setTheme] = useState(getInitialTheme);
+  const [editedPreset, setEditedPreset] = useState(null);
+  const basePreset = useMemo(() => resolvePreset(themePreset), [themePreset]);
+  const preset = editedPreset || basePreset;
   const lastScroll = useRef(0);
+  const pageLoadedAt = useRef(Date.now());
   
   const heroRef = useRef(null);
+  const rootRef = useRef(null);
   const timelineRef = useRef(null);
   const skillsRef = useRef(null);
   const projectsRef = useRef(null);
@@ -108,6 +194,172 @@ const UltraCV = ({
     return () => mediaQuery.removeEventListener('change', handleChange);
   }, []);
 
+  // Only settings changed in the panel are remembered; URL flags apply to this visit
+  const devToolsChanged = useRef(false);
+  const setDevTool = (key, value) => {
+    devToolsChanged.current = true;
+    setDevToolsSettings((current) => ({ ...current, [key]: value }));
+  };
+
+  useEffect(() => {
+    if (devToolsChanged.current) storeDevTools(devToolsSettings);
+  }, [devToolsSettings]);
+
+  // Alt+Shift+D opens and closes the Developer Tools panel
+  useEffect(() => {
+    if (!devTools) return undefined;
+    const handleKeyDown = (e) => {
+      if (!isDevToolsShortcut(e)) return;
+      e.preventDefault();
+      setDevToolsSettings((current) => ({ ...current, open: !current.open }));
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [devTools]);
+
+  // "Copy setup link" shares the current settings as ?debug= / ?lowbw= flags
+  const [setupLinkStatus, setSetupLinkStatus] = useState('idle'); // idle | copied | error
+  useEffect(() => {
+    if (setupLinkStatus === 'idle') return undefined;
+    const timer = setTimeout(() => setSetupLinkStatus('idle'), 2000);
+    return () => clearTimeout(timer);
+  }, [setupLinkStatus]);
+
+  const copySetupLink = async () => {
+    const { origin, pathname, hash } = window.location;
+    try {
+      await navigator.clipboard.writeText(`${origin}${pathname}${devToolsQuery(devToolsSettings)}${hash}`);
+      setSetupLinkStatus('copied');
+    } catch {
+      setSetupLinkStatus('error');
+    }
+  };
+
+  // Follow the connection; 'auto' low-bandwidth mode switches on for slow or Save-Data connections
+  useEffect(() => {
+    setNetwork(readNetworkStatus());
+    return watchNetworkStatus(setNetwork);
+  }, []);
+
+  const lowBandwidthState = lowBandwidthDecision(lowBandwidthMode, network);
+  const lowBandwidth = lowBandwidthState.enabled;
+
+  // Apply the theme to <html> so the page background and tokens follow it
+  useEffect(() => {
+    const root = document.documentElement;
+    root.dataset.theme = theme;
+    const bg = getComputedStyle(root).getPropertyValue('--color-bg').trim();
+    if (bg) document.querySelector('meta[name="theme-color"]')?.setAttribute('content', bg);
+  }, [theme, preset]);
+
+  // Follow the OS preference until the visitor picks a theme themselves
+  useEffect(() => watchSystemTheme((systemTheme) => {
+    if (!getStoredTheme()) setTheme(systemTheme);
+  }), []);
+
+  // Reflect the language in <html lang> and the document title
+  useEffect(() => {
+    document.documentElement.lang = locale;
+    document.title = t('meta.title', { name, role });
+  }, [locale, t, name, role]);
+
+  // Back/forward between / and /tr switches the language too
+  useEffect(() => {
+    const handlePopState = () => setLocale(localeFromPath(window.location.pathname));
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
+
+  const switchLocale = (next) => {
+    if (next === locale) return;
+    const { pathname, search, hash } = window.location;
+    window.history.pushState(null, '', `${localizePath(pathname, next)}${search}${hash}`);
+    setLocale(next);
+  };
+
+  // Nav links, palette entries and scroll tracking cover only the sections
+  // that render; the portfolio is left out when there are no projects
+  const hasProjects = projects.length > 0;
+  const sectionIds = useMemo(() => SECTION_IDS.filter((id) => id !== 'projects' || hasProjects), [hasProjects]);
+  const navItems = sectionIds.map((id) => ({ name: t(`nav.${id}`), id }));
+
+  const changeTheme = (next) => {
+    storeTheme(next);
+    setTheme(next);
+  };
+
+  const toggleTheme = () => changeTheme(theme === 'dark' ? 'light' : 'dark');
+
+  // Project and service details open from #projects/<slug>, so they can be linked to directly
+  const openProject = findProject([...projects, ...services], openProjectSlug);
+
+  useEffect(() => {
+    const syncProjectFromHash = () => setOpenProjectSlug(slugFromHash(window.location.hash));
+    syncProjectFromHash();
+    window.addEventListener('hashchange', syncProjectFromHash);
+    return () => window.removeEventListener('hashchange', syncProjectFromHash);
+  }, []);
+
+  const showProject = (project) => {
+    window.history.pushState(null, '', projectHash(project));
+    setOpenProjectSlug(projectSlug(project));
+  };
+
+  const closeProject = () => {
+    const { pathname, search } = window.location;
+    const section = services.includes(openProject) ? 'services' : 'projects';
+    window.history.replaceState(null, '', `${pathname}${search}#${section}`);
+    setOpenProjectSlug(null);
+  };
+
+  // Tag and search filters for the portfolio and skills, mirrored in the query string (?tech=React)
+  const visibleProjects = useMemo(
+    () => filterProjects(projects, projectFilter, intlLocale),
+    [projects, projectFilter, intlLocale]
+  );
+  const visibleSkills = useMemo(
+    () => filterSkills(skills, skillFilter, intlLocale),
+    [skills, skillFilter, intlLocale]
+  );
+
+  useEffect(() => {
+    const { pathname, search, hash } = window.location;
+    let next = writeFilter(search, FILTER_PARAMS.projects, projectFilter);
+    next = writeFilter(next, FILTER_PARAMS.skills, skillFilter);
+    if (next !== search) window.history.replaceState(null, '', `${pathname}${next}${hash}`);
+  }, [projectFilter, skillFilter]);
+
+  // Timeline newest first, with periods and durations from the entries' dates
+  const timelineItems = useMemo(() => timelineEntries(experience), [experience]);
+  const timelineTracks = ['work', 'education'].filter((type) => timelineItems.some((item) => item.type === type));
+  const visibleTimeline = timelineTrack === 'all'
+    ? timelineItems
+    : timelineItems.filter((item) => item.type === timelineTrack);
+
+  // Hovering (or pinning) a skill highlights where it was used across the page
+  const skillGraph = useMemo(
+    () => buildSkillGraph({ skills, experience, certifications, projects }, intlLocale),
+    [skills, experience, certifications, projects, intlLocale]
+  );
+  const activeSkill = previewSkill || pinnedSkill;
+  const skillRelations = activeSkill ? relationsOf(skillGraph, activeSkill) : null;
+
+  const relationClass = (kind, id) => {
+    if (!skillRelations) return '';
+    return skillRelations[kind].includes(id) ? 'skill-related' : 'skill-unrelated';
+  };
+
+  const togglePinnedSkill = (skillName) => setPinnedSkill((current) => (current === skillName ? null : skillName));
+
+  useEffect(() => {
+    const syncFiltersFromUrl = () => {
+      setProjectFilter(readFilterFromUrl(FILTER_PARAMS.projects));
+      setSkillFilter(readFilterFromUrl(FILTER_PARAMS.skills));
+    };
+    window.addEventListener('popstate', syncFiltersFromUrl);
+    return () => window.removeEventListener('popstate', syncFiltersFromUrl);
+  }, []);
+
   // Navbar scroll detection and active section tracking
   useEffect(() => {
     const handleScroll = () => {
@@ -129,10 +381,9 @@ const UltraCV = ({
       lastScroll.current = currentScroll;
 
       // Detect active section
-      const sections = ['about', 'experience', 'skills', 'projects', 'contact'];
       const scrollPosition = currentScroll + 200;
 
-      for (let section of sections) {
+      for (let section of sectionIds) {
         const element = document.getElementById(section);
         if (element) {
           const { offsetTop, offsetHeight } = element;
@@ -146,74 +397,11 @@ const UltraCV = ({
 
     window.addEventListener('scroll', handleScroll);
     return () => window.removeEventListener('scroll', handleScroll);
-  }, []);
-
-  // FPS counter
-  useEffect(() => {
-    if (!showFPS) return;
-    
-    let lastTime = performance.now();
-    let frameCount = 0;
-    
-    const measure = () => {
-      frameCount++;
-      const now = performance.now();
-      if (now >= lastTime + 1000) {
-        setFps(frameCount);
-        frameCount = 0;
-        lastTime = now;
-      }
-      requestAnimationFrame(measure);
-    };
-    
-    requestAnimationFrame(measure);
-  }, [showFPS]);
-
-  // Terminal typewriter effect
-  useEffect(() => {
-    if (terminalPaused || lowBandwidth) return;
-    
-    const commands = [
-      'npm install --save-dev framer-motion',
-      'git commit -m "feat: add CV components"',
-      'npm run build',
-      'echo "Build complete ✓"',
-      'node --version',
-    ];
-    
-    let cmdIndex = 0;
-    let charIndex = 0;
-    let isTyping = true;
-    
-    const type = () => {
-      if (!isTyping) {
-        setTimeout(() => {
-          cmdIndex = (cmdIndex + 1) % commands.length;
-          charIndex = 0;
-          isTyping = true;
-          setTerminalCurrentLine('');
-        }, 2000);
-        return;
-      }
-      
-      if (charIndex < commands[cmdIndex].length) {
-        setTerminalCurrentLine(commands[cmdIndex].slice(0, charIndex + 1));
-        charIndex++;
-        setTimeout(type, 50);
-      } else {
-        isTyping = false;
-        setTerminalTranscript(prev => prev + commands[cmdIndex] + '\n');
-        setTimeout(type, 1500);
-      }
-    };
-    
-    const timer = setTimeout(type, 1000);
-    return () => clearTimeout(timer);
-  }, [terminalPaused, lowBandwidth]);
+  }, [sectionIds]);
 
   // Timeline scroll animation setup
   useEffect(() => {
-    if (reducedMotion) return;
+    if (reducedMotion || lowBandwidth) return;
     
     const items = timelineRef.current?.querySelectorAll('.timeline-item');
     if (!items) return;
@@ -240,9 +428,9 @@ const UltraCV = ({
     });
     
     return () => ScrollTrigger.getAll().forEach(t => t.kill());
-  }, [reducedMotion]);
+  }, [reducedMotion, lowBandwidth]);
 
-  // Custom cursor (desktop only)
+  // Custom cursor (desktop only, off in low-bandwidth mode)
   const [cursorStyle, setCursorStyle] = useState({ x: 0, y: 0 });
   const [cursorType, setCursorType] = useState('default');
   const cursorRef = useRef(null);
@@ -251,7 +439,7 @@ const UltraCV = ({
   useEffect(() => {
     isTouchDevice.current = 'ontouchstart' in window || navigator.maxTouchPoints > 0;
     
-    if (isTouchDevice.current) return;
+    if (isTouchDevice.current || lowBandwidth) return;
     
     const moveCursor = (e) => {
       gsap.to(cursorRef.current, {
@@ -277,22 +465,215 @@ const UltraCV = ({
       window.removeEventListener('mousemove', moveCursor);
       window.removeEventListener('mouseover', handleHover);
     };
+  }, [lowBandwidth]);
+
+  // Download the current content as a JSON Resume document
+  const exportJsonResume = () => {
+    const json = JSON.stringify(toJsonResume({ ...resume, basics }), null, 2);
+    const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'resume.json';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  // Generate the PDF client-side; fall back to the printable page on failure and say why it opened
+  const downloadPdf = async () => {
+    setPdfGenerating(true);
+    setPdfFailed(false);
+    try {
+      await downloadCvPdf({ ...resume, basics }, {
+        ...(pdfPageSize !== 'auto' && { pageSize: pdfPageSize }),
+        labels: Object.fromEntries(['summary', 'skills', 'experience', 'education', 'certifications'].map((key) => [key, t(`pdf.${key}`)])),
+        locale: intlLocale,
+        t
+      });
+    } catch {
+      setPdfFailed(true);
+      window.open('/cv.html', '_blank', 'noopener');
+    } finally {
+      setPdfGenerating(false);
+    }
+  };
+
+  // Command palette (Ctrl/⌘+K): jump to a section, timeline entry, certification or project, or run an action
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!isPaletteShortcut(e)) return;
+      e.preventDefault();
+      setPaletteOpen((open) => !open);
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
   }, []);
 
-  return (
-    <div className={`dark ${reducedMotion ? 'reduced-motion' : ''} ${lowBandwidth ? 'low-bandwidth' : ''} ${showDOM ? 'debug-dom' : ''}`}>
+  const paletteActions = [
+    { id: 'theme', label: t('palette.actions.theme'), keywords: [t('theme.dark'), t('theme.light')] },
+    { id: 'pdf', label: t('palette.actions.pdf'), keywords: ['PDF', 'CV'] },
+    ...(email ? [{ id: 'email', label: t('palette.actions.email'), keywords: [email] }] : []),
+    ...(devTools ? [{ id: 'devTools', label: t('palette.actions.devTools'), keywords: ['debug'] }] : [])
+  ];
+  const commands = paletteCommands({
+    sections: navItems,
+    timeline: timelineItems,
+    certifications,
+    projects,
+    actions: paletteActions
+  });
+
+  const copyEmail = async () => {
+    try {
+      await navigator.clipboard.writeText(email);
+      setEmailCopyStatus('copied');
+    } catch {
+      setEmailCopyStatus('error');
+    }
+  };
+
+  useEffect(() => {
+    if (emailCopyStatus === 'idle') return undefined;
+    const timer = setTimeout(() => setEmailCopyStatus('idle'), 2000);
+    return () => clearTimeout(timer);
+  }, [emailCopyStatus]);
+
+  const runPaletteCommand = ({ group, target }) => {
+    setPaletteOpen(false);
+    if (group === 'sections') {
+      setPaletteTarget({ id: target, block: 'start' });
+    } else if (group === 'experience') {
+      // Show every track again if the entry is filtered out
+      if (!visibleTimeline.some((item) => item.index === target)) setTimelineTrack('all');
+      setPaletteTarget({ id: `experience-${target}`, block: 'center' });
+    } else if (group === 'certifications') {
+      setPaletteTarget({ id: `certification-${target}`, block: 'center' });
+    } else if (group === 'projects') {
+      showProject(findProject(projects, target));
+    } else {
+      ({
+        theme: toggleTheme,
+        pdf: downloadPdf,
+        email: copyEmail,
+        devTools: () => setDevTool('open', true)
+      })[target]?.();
+    }
+  };
+
+  // Scroll once the palette is gone (and a hidden timeline entry is rendered), taking focus along
+  useEffect(() => {
+    if (!paletteTarget) return;
+    const element = document.getElementById(paletteTarget.id);
+    setPaletteTarget(null);
+    if (!element) return;
+    if (!element.hasAttribute('tabindex')) element.setAttribute('tabindex', '-1');
+    element.scrollIntoView({ behavior: reducedMotion ? 'auto' : 'smooth', block: paletteTarget.block });
+    element.focus({ preventScroll: true });
+  }, [paletteTarget, reducedMotion]);
+
+  const contactMessages = useMemo(
+    () => Object.fromEntries(Object.keys(CONTACT_ERROR_MESSAGES).map((key) => [key, t(`contact.errors.${key}`)])),
+    [t]
+  );
+
+  const updateContactField = (e) => {
+    const { name: field, value } = e.target;
+    setContactForm((form) => ({ ...form, [field]: value }));
+    // Once a field shows an error, re-check it as the visitor types
+    if (contactErrors[field]) {
+      setContactErrors((errors) => ({ ...errors, [field]: validateContactField(field, value, contactMessages) }));
+    }
+  };
+
+  const blurContactField = (e) => {
+    const { name: field, value } = e.target;
+    // Tabbing through an empty field is not an error yet; submitting is
+    if (!value.trim() && !contactErrors[field]) return;
+    setContactErrors((errors) => ({ ...errors, [field]: validateContactField(field, value, contactMessages) }));
+  };
+
+  const failContact = (reason) => {
+    setContactFailure(reason);
+    setContactStatus('error');
+  };
+
+  // Validate, screen out bots, then hand the message to the configured transport
+  const submitContact = async (e) => {
+    e.preventDefault();
+    if (contactStatus === 'sending') return;
+
+    const errors = validateContact(contactForm, contactMessages);
+    setContactErrors(errors);
+    const firstInvalid = Object.keys(errors)[0];
+    if (firstInvalid) {
+      document.getElementById(firstInvalid)?.focus();
+      return;
+    }
+
+    const spam = checkSpam({ honeypot, startedAt: pageLoadedAt.current });
+    if (spam === 'honeypot') {
+      // Look successful so the bot learns nothing
+      setContactForm({ name: '', email: '', message: '' });
+      setContactStatus('sent');
+      return;
+    }
+    if (spam === 'too-fast') {
+      failContact(t('contact.tooFast'));
+      return;
+    }
+    if (spam === 'rate-limited') {
+      failContact(t('contact.rateLimited', { count: Math.ceil(rateLimitWait() / 60000) }));
+      return;
+    }
+
+    setContactStatus('sending');
+    try {
+      await createTransport(contactTransport, { to: email })(contactForm);
+      recordSend();
+      setContactForm({ name: '', email: '', message: '' });
+      setContactStatus('sent');
+    } catch {
+      failContact(null);
+    }
+  };
+
+  // Accessibility audit: scan the page once it has settled, and again when the
+  // theme or language changes; elements with findings get a dashed outline
+  const runAudit = useCallback(() => {
+    if (!rootRef.current) return;
+    setAuditFindings([...auditThemeTokens(preset[theme]), ...auditElement(rootRef.current)]);
+  }, [preset, theme]);
+
+  useEffect(() => {
+    if (!auditMode) {
+      setAuditFindings([]);
+      return undefined;
+    }
+    const timer = setTimeout(runAudit, 500);
+    return () => clearTimeout(timer);
+  }, [auditMode, runAudit, locale]);
+
+  useEffect(() => {
+    const flagged = auditFindings.filter((finding) => finding.element);
+    flagged.forEach(({ element, rule }) => element.setAttribute('data-a11y-issue', rule));
+    return () => flagged.forEach(({ element }) => element.removeAttribute('data-a11y-issue'));
+  }, [auditFindings]);
+
+  const scrollToFinding = (element) => {
+    element.scrollIntoView({ behavior: reducedMotion ? 'auto' : 'smooth', block: 'center' });
+    if (element.matches('a[href], button, input, select, textarea, [tabindex]')) element.focus({ preventScroll: true });
+  };
+
+  // Success clears itself; an error stays up a little longer so the fallback can be read
+  useEffect(() => {
+    if (contactStatus !== 'sent' && contactStatus !== 'error') return undefined;
+    const timer = setTimeout(() => setContactStatus('idle'), contactStatus === 'sent' ? 3000 : 8000);
+    return () => clearTimeout(timer);
+  }, [contactStatus]);
+
+  const page = (
+    <div ref={rootRef} className={`theme-${theme} ${reducedMotion ? 'reduced-motion' : ''} ${lowBandwidth ? 'low-bandwidth' : ''} ${showDOM ? 'debug-dom' : ''}`}>
       <style>{`
-        :root {
-          --color-primary: #ff1744;
-          --color-secondary: #ff6f00;
-          --color-accent: #7c4dff;
-          --color-bg: #0a0a0a;
-          --color-surface: rgba(255, 255, 255, 0.08);
-          --color-text: #ffffff;
-          --color-text-muted: rgba(255, 255, 255, 0.7);
-          --color-shadow: rgba(255, 23, 68, 0.3);
-          --spacing-unit: 1rem;
-        }
+        ${presetToCss(preset)}
 
         * {
           margin: 0;
@@ -307,6 +688,7 @@ const UltraCV = ({
           overflow-x: hidden;
           cursor: none;
           letter-spacing: 0.5px;
+          transition: background-color 0.3s, color 0.3s;
         }
         
         /* Magazine Typography */
@@ -408,7 +790,7 @@ const UltraCV = ({
         
         /* Magazine highlight */
         .magazine-highlight {
-          background: linear-gradient(180deg, transparent 50%, rgba(255, 23, 68, 0.3) 50%);
+          background: linear-gradient(180deg, transparent 50%, var(--color-highlight) 50%);
           padding: 0 0.5rem;
         }
         
@@ -519,6 +901,26 @@ const UltraCV = ({
           border-radius: 2px;
         }
 
+        /* No custom cursor in low-bandwidth mode: bring the native one back */
+        .low-bandwidth {
+          cursor: auto;
+        }
+
+        /* Items that used the highlighted skill */
+        .skill-related,
+        .skill-unrelated {
+          transition: filter 0.3s, box-shadow 0.3s;
+        }
+
+        .skill-related {
+          box-shadow: 0 0 0 2px var(--color-primary), 0 0 24px var(--color-primary);
+        }
+
+        /* A filter, not opacity, so it combines with framer-motion's fades */
+        .skill-unrelated {
+          filter: grayscale(1) opacity(0.35);
+        }
+
         /* Reduced motion */
         .reduced-motion *,
         .reduced-motion *::before,
@@ -534,6 +936,12 @@ const UltraCV = ({
           outline: 2px solid var(--color-primary) !important;
         }
 
+        /* Accessibility audit findings */
+        [data-a11y-issue] {
+          outline: 2px dashed #ffb300 !important;
+          outline-offset: 2px;
+        }
+
         /* Smooth scroll */
         html {
           scroll-behavior: smooth;
@@ -548,7 +956,7 @@ const UltraCV = ({
           background: var(--color-surface);
           backdrop-filter: blur(20px);
           -webkit-backdrop-filter: blur(20px);
-          border: 1px solid rgba(255, 255, 255, 0.1);
+          border: 1px solid var(--color-border);
         }
 
         /* 3D perspective */
@@ -581,11 +989,11 @@ const UltraCV = ({
 
       {/* Skip to main content */}
       <a href="#main" className="skip-link">
-        Skip to main content
+        {t('skipLink')}
       </a>
 
       {/* Custom cursor (desktop only) */}
-      {!isTouchDevice.current && (
+      {!isTouchDevice.current && !lowBandwidth && (
         <div 
           ref={cursorRef}
           className={`custom-cursor ${cursorType}`}
@@ -593,15 +1001,40 @@ const UltraCV = ({
         />
       )}
 
-      {/* Developer tools toggle button */}
-      <button
-        aria-label="Toggle developer tools"
-        onClick={() => setShowDevTools(!showDevTools)}
-        className="fixed bottom-4 right-4 z-50 glass px-4 py-2 rounded-full text-sm hover:scale-110 transition-transform"
-        style={{ background: 'var(--color-surface)' }}
+      {/* Command palette (Ctrl/⌘+K) */}
+      {paletteOpen && (
+        <CommandPalette
+          commands={commands}
+          onSelect={runPaletteCommand}
+          onClose={() => setPaletteOpen(false)}
+          locale={intlLocale}
+          t={t}
+        />
+      )}
+      <div
+        role="status"
+        className="fixed bottom-4 left-1/2 -translate-x-1/2 z-[70] magazine-sans text-xs"
       >
-        <span className="monospace">⚙</span>
-      </button>
+        {emailCopyStatus !== 'idle' && (
+          <p className="glass px-4 py-2" style={{ background: 'var(--color-surface)', border: '1px solid var(--color-border)' }}>
+            {t(emailCopyStatus === 'copied' ? 'palette.emailCopied' : 'palette.emailCopyFailed')}
+          </p>
+        )}
+      </div>
+
+      {/* Developer tools toggle button (left out entirely with devTools={false}) */}
+      {devTools && (
+        <button
+          aria-label={t('devTools.toggle')}
+          aria-keyshortcuts="Alt+Shift+D"
+          title={t('devTools.toggleTitle')}
+          onClick={() => setDevTool('open', !showDevTools)}
+          className="fixed bottom-4 right-4 z-50 glass px-4 py-2 rounded-full text-sm hover:scale-110 transition-transform"
+          style={{ background: 'var(--color-surface)' }}
+        >
+          <span className="monospace">⚙</span>
+        </button>
+      )}
 
       {/* Developer tools panel */}
       <AnimatePresence>
@@ -610,58 +1043,142 @@ const UltraCV = ({
             initial={{ opacity: 0, y: 20 }}
             animate={{ opacity: 1, y: 0 }}
             exit={{ opacity: 0, y: 20 }}
+            data-audit-ignore=""
             className="fixed bottom-20 right-4 z-50 glass p-6 rounded-lg max-w-sm"
             style={{ background: 'var(--color-surface)', minWidth: '300px' }}
           >
-            <h3 className="font-bold mb-4">Developer Tools</h3>
+            <h3 className="font-bold mb-4">{t('devTools.title')}</h3>
             
             <div className="space-y-3">
               <label className="flex items-center gap-2 cursor-pointer">
                 <input
                   type="checkbox"
                   checked={showCSSPanel}
-                  onChange={(e) => setShowCSSPanel(e.target.checked)}
+                  onChange={(e) => setDevTool('css', e.target.checked)}
                 />
-                <span className="monospace text-sm">Show CSS Panel</span>
+                <span className="monospace text-sm">{t('devTools.css')}</span>
               </label>
 
               <label className="flex items-center gap-2 cursor-pointer">
                 <input
                   type="checkbox"
-                  checked={showFPS}
-                  onChange={(e) => setShowFPS(e.target.checked)}
+                  checked={showPerformance}
+                  onChange={(e) => setDevTool('performance', e.target.checked)}
                 />
-                <span className="monospace text-sm">Show FPS Counter</span>
-                {showFPS && <span className="text-xs opacity-60">{fps} fps</span>}
+                <span className="monospace text-sm">{t('devTools.performance')}</span>
               </label>
 
               <label className="flex items-center gap-2 cursor-pointer">
                 <input
                   type="checkbox"
                   checked={showDOM}
-                  onChange={(e) => setShowDOM(e.target.checked)}
+                  onChange={(e) => setDevTool('dom', e.target.checked)}
                 />
-                <span className="monospace text-sm">Show DOM Outlines</span>
+                <span className="monospace text-sm">{t('devTools.dom')}</span>
               </label>
 
               <label className="flex items-center gap-2 cursor-pointer">
                 <input
                   type="checkbox"
-                  checked={lowBandwidth}
-                  onChange={(e) => setLowBandwidth(e.target.checked)}
+                  checked={auditMode}
+                  onChange={(e) => setDevTool('audit', e.target.checked)}
                 />
-                <span className="monospace text-sm">Low Bandwidth Mode</span>
+                <span className="monospace text-sm">{t('devTools.audit')}</span>
               </label>
 
+              {auditMode && (
+                <div className="pl-6">
+                  <div className="flex items-center justify-between mb-2">
+                    <span className="text-xs opacity-60" role="status">
+                      {t('devTools.findings', { count: auditFindings.length })}
+                    </span>
+                    <button onClick={runAudit} className="monospace text-xs underline hover:opacity-80">
+                      {t('devTools.rescan')}
+                    </button>
+                  </div>
+                  <ul className="space-y-2 overflow-auto" style={{ maxHeight: '12rem' }}>
+                    {auditFindings.map((finding, i) => (
+                      <li key={i} className="text-xs">
+                        <span className="monospace" style={{ color: '#ffb300' }}>{finding.rule}</span>{' '}
+                        <span className="opacity-80">{finding.message}</span>
+                        {finding.element && (
+                          <button
+                            onClick={() => scrollToFinding(finding.element)}
+                            className="block monospace underline hover:opacity-80"
+                          >
+                            {t('devTools.scrollTo')}
+                          </button>
+                        )}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              <fieldset>
+                <legend className="monospace text-sm mb-1">{t('devTools.lowBandwidth')}</legend>
+                <div className="flex gap-4">
+                  {LOW_BANDWIDTH_MODES.map((mode) => (
+                    <label key={mode} className="flex items-center gap-1 cursor-pointer">
+                      <input
+                        type="radio"
+                        name="low-bandwidth-mode"
+                        value={mode}
+                        checked={lowBandwidthMode === mode}
+                        onChange={() => setDevTool('lowBandwidth', mode)}
+                      />
+                      <span className="monospace text-xs capitalize">{t(`devTools.modes.${mode}`)}</span>
+                    </label>
+                  ))}
+                </div>
+                <p className="text-xs opacity-60 mt-1" aria-live="polite">
+                  {explainLowBandwidth(lowBandwidthState, network, t)}
+                </p>
+              </fieldset>
+
+              <button
+                onClick={exportJsonResume}
+                className="monospace text-sm underline hover:opacity-80 transition-opacity"
+              >
+                {t('devTools.exportJsonResume')}
+              </button>
+
+              <div className="flex items-center gap-2">
+                <button
+                  onClick={copySetupLink}
+                  className="monospace text-sm underline hover:opacity-80 transition-opacity"
+                >
+                  {t('devTools.copySetupLink')}
+                </button>
+                <span className="text-xs opacity-60" role="status">
+                  {setupLinkStatus === 'copied' && t('devTools.copied')}
+                  {setupLinkStatus === 'error' && t('devTools.copyFailed')}
+                </span>
+              </div>
+
               <div className="pt-2 border-t border-white/10">
-                <p className="text-xs opacity-60 mb-2">Network: <span className="text-green-400">● Online</span></p>
-                {showFPS && <p className="text-xs opacity-60">FPS: {fps}</p>}
+                <p className="text-xs opacity-60 mb-2">
+                  {t('devTools.network')}{' '}
+                  <span className={network.online ? 'text-green-400' : 'text-red-400'}>
+                    ● {t(network.online ? 'devTools.online' : 'devTools.offline')}
+                  </span>
+                </p>
+                {network.supported && (
+                  <p className="text-xs opacity-60 mb-2">
+                    {t('devTools.connection', { type: network.effectiveType || t('devTools.unknown') })}
+                    {network.downlink !== null && ` · ${network.downlink} Mbps`}
+                    {network.saveData && ' · Save-Data'}
+                  </p>
+                )}
               </div>
             </div>
           </motion.div>
         )}
       </AnimatePresence>
 
+      {/* Performance overlay: Web Vitals, long tasks, memory and FPS */}
+      {showPerformance && <PerformanceOverlay network={network} t={t} />}
+
       {/* CSS Panel */}
       <AnimatePresence>
         {showCSSPanel && (
@@ -669,32 +1186,32 @@ const UltraCV = ({
             initial={{ opacity: 0, x: -400 }}
             animate={{ opacity: 1, x: 0 }}
             exit={{ opacity: 0, x: -400 }}
+            data-audit-ignore=""
             className="fixed left-0 top-0 bottom-0 z-40 glass p-6 overflow-auto"
             style={{ background: 'var(--color-surface)', width: '400px', maxHeight: '100vh' }}
           >
             <div className="flex items-center justify-between mb-4">
-              <h3 className="font-bold">CSS Variables</h3>
+              <h3 className="font-bold">{t('devTools.cssPanel.title')}</h3>
               <button
-                onClick={() => setShowCSSPanel(false)}
+                onClick={() => setDevTool('css', false)}
                 className="text-xl"
-                aria-label="Close CSS panel"
+                aria-label={t('devTools.cssPanel.close')}
               >
                 ×
               </button>
             </div>
-            <pre className="text-xs overflow-auto bg-black/20 p-4 rounded">
-              <code>{`:root {
-  --color-primary: #00f0ff;
-  --color-secondary: #ff00ff;
-  --color-bg: #0a0a0a;
-  --color-surface: rgba(255, 255, 255, 0.05);
-  --color-text: #ffffff;
-  --color-text-muted: rgba(255, 255, 255, 0.6);
-}`}</code>
-            </pre>
-            <p className="text-xs mt-4 opacity-60">
-              These tokens update automatically when you toggle themes.
-            </p>
+            <TokenEditor
+              preset={preset}
+              theme={theme}
+              onSelectPreset={(key) => setEditedPreset(THEME_PRESETS[key])}
+              onTokenChange={(name, value) => setEditedPreset({
+                ...preset,
+                name: 'Custom',
+                [theme]: { ...preset[theme], [name]: value }
+              })}
+              onReset={() => setEditedPreset(null)}
+              t={t}
+            />
           </motion.div>
         )}
       </AnimatePresence>
@@ -721,6 +1238,8 @@ const UltraCV = ({
           <div className="md:hidden absolute right-4 top-1/2 -translate-y-1/2 z-10">
             <button
               onClick={() => setMobileMenuOpen(!mobileMenuOpen)}
+              aria-label={mobileMenuOpen ? t('nav.closeMenu') : t('nav.openMenu')}
+              aria-expanded={mobileMenuOpen}
               className="glass p-3 rounded"
               style={{ minWidth: '44px', minHeight: '44px' }}
             >
@@ -749,13 +1268,7 @@ const UltraCV = ({
                 }}
               >
                 <nav className="flex flex-col p-6 gap-4">
-                  {[
-                    { name: 'About', id: 'about' },
-                    { name: 'Work', id: 'experience' },
-                    { name: 'Skills', id: 'skills' },
-                    { name: 'Portfolio', id: 'projects' },
-                    { name: 'Contact', id: 'contact' }
-                  ].map((item) => (
+                  {navItems.map((item) => (
                     <a
                       key={item.id}
                       href={`#${item.id}`}
@@ -769,6 +1282,10 @@ const UltraCV = ({
                       {item.name}
                     </a>
                   ))}
+                  <div className="flex items-center gap-6 self-start">
+                    <ThemeToggle theme={theme} onToggle={toggleTheme} t={t} />
+                    <LanguageSwitcher locale={locale} onChange={switchLocale} t={t} />
+                  </div>
                 </nav>
               </motion.div>
             )}
@@ -794,7 +1311,7 @@ const UltraCV = ({
               {/* Issue number */}
               <div className="flex flex-col items-start">
                 <span className="magazine-sans text-xs" style={{ color: 'var(--color-text-muted)' }}>
-                  VOL.
+                  {t('nav.volume')}
                 </span>
                 <span className="magazine-serif text-2xl font-bold leading-none" style={{ color: 'var(--color-primary)' }}>
                   {String(new Date().getFullYear()).slice(-2)}
@@ -807,10 +1324,10 @@ const UltraCV = ({
               {/* Name */}
               <div className="flex flex-col">
                 <span className="magazine-serif text-sm font-light leading-tight tracking-wide">
-                  TAHSIN MERT MUTLU
+                  {name.toLocaleUpperCase(intlLocale)}
                 </span>
                 <span className="magazine-sans text-xs mt-0.5" style={{ color: 'var(--color-text-muted)' }}>
-                  FRONT-END DEVELOPER
+                  {role.toLocaleUpperCase(intlLocale)}
                 </span>
               </div>
             </div>
@@ -818,13 +1335,7 @@ const UltraCV = ({
 
           {/* Center - Minimal Navigation */}
           <nav className="hidden md:flex items-center justify-center gap-6 lg:gap-12">
-            {[
-              { name: 'About', id: 'about' },
-              { name: 'Work', id: 'experience' },
-              { name: 'Skills', id: 'skills' },
-              { name: 'Portfolio', id: 'projects' },
-              { name: 'Contact', id: 'contact' }
-            ].map((item, i) => (
+            {navItems.map((item, i) => (
               <motion.a
                 key={item.id}
                 href={`#${item.id}`}
@@ -867,6 +1378,22 @@ const UltraCV = ({
 
           {/* Right - Editorial Info & Controls */}
           <div className="hidden md:flex absolute right-8 top-1/2 -translate-y-1/2 items-center gap-8">
+            <button
+              type="button"
+              onClick={() => setPaletteOpen(true)}
+              aria-label={t('palette.open')}
+              aria-haspopup="dialog"
+              aria-keyshortcuts="Control+K Meta+K"
+              title={`${t('palette.open')} (Ctrl/⌘+K)`}
+              className="magazine-sans text-xs flex items-center gap-2 hover:opacity-80 transition-opacity"
+              style={{ color: 'var(--color-text-muted)' }}
+            >
+              <span aria-hidden="true" className="text-base">⌕</span>
+              <kbd className="monospace px-1" style={{ border: '1px solid var(--color-border)' }}>⌘K</kbd>
+            </button>
+            <LanguageSwitcher locale={locale} onChange={switchLocale} t={t} />
+            <ThemeToggle theme={theme} onToggle={toggleTheme} t={t} />
+
             {/* Page indicator */}
             <motion.div 
               className="flex items-center gap-2"
@@ -875,7 +1402,7 @@ const UltraCV = ({
               transition={{ delay: 0.6 }}
             >
               <span className="magazine-sans text-xs uppercase tracking-widest" style={{ color: 'var(--color-text-muted)' }}>
-                {activeSection}
+                {navItems.find((item) => item.id === activeSection)?.name || activeSection}
               </span>
               <span className="text-xs" style={{ color: 'var(--color-primary)' }}>
                 •
@@ -908,13 +1435,7 @@ const UltraCV = ({
           className="hidden md:block fixed right-0 top-1/2 -translate-y-1/2 z-30 pr-8"
         >
           <nav className="flex flex-col items-end gap-4">
-            {[
-              { name: 'About', id: 'about' },
-              { name: 'Work', id: 'experience' },
-              { name: 'Skills', id: 'skills' },
-              { name: 'Portfolio', id: 'projects' },
-              { name: 'Contact', id: 'contact' }
-            ].map((item, i) => (
+            {navItems.map((item, i) => (
               <motion.a
                 key={item.id}
                 href={`#${item.id}`}
@@ -976,6 +1497,9 @@ const UltraCV = ({
 
           {/* Bottom - Theme toggle and progress */}
           <div className="flex flex-col items-center gap-4 mt-8 pt-8" style={{ borderTop: '1px solid var(--color-surface)' }}>
+            <ThemeToggle theme={theme} onToggle={toggleTheme} t={t} />
+            <LanguageSwitcher locale={locale} onChange={switchLocale} t={t} />
+
             {/* Progress indicator */}
             <motion.div 
               className="flex flex-col items-center gap-2"
@@ -1006,16 +1530,18 @@ const UltraCV = ({
           className="min-h-screen flex items-center px-4 md:px-6 perspective relative overflow-hidden"
         >
           {/* Background Image */}
-          <div 
-            className="absolute inset-0 opacity-15"
-            style={{
-              backgroundImage: 'url(/tahsin-mert-lake-photo.jpg)',
-              backgroundSize: 'cover',
-              backgroundPosition: 'center',
-              backgroundRepeat: 'no-repeat',
-              filter: 'grayscale(100%)'
-            }}
-          />
+          {basics.heroImage && !lowBandwidth && (
+            <div 
+              className="absolute inset-0 opacity-15"
+              style={{
+                backgroundImage: `url(${basics.heroImage})`,
+                backgroundSize: 'cover',
+                backgroundPosition: 'center',
+                backgroundRepeat: 'no-repeat',
+                filter: 'grayscale(100%)'
+              }}
+            />
+          )}
 
           {/* Background Magazine Number */}
           <div className="magazine-number absolute" style={{ top: '20%', right: '10%', color: 'var(--color-primary)', zIndex: 1 }}>
@@ -1033,7 +1559,7 @@ const UltraCV = ({
               >
                 <div className="relative magazine-image-overlay">
                   <motion.img
-                    src="/tahsinmert.jpeg"
+                    src={basics.photo}
                     alt={name}
                     className="w-full max-w-md object-cover"
                     style={{ 
@@ -1056,7 +1582,7 @@ const UltraCV = ({
                       transform: 'rotate(-15deg)'
                     }}
                   >
-                    <span className="magazine-sans font-bold">FEATURED</span>
+                    <span className="magazine-sans font-bold">{t('hero.featured')}</span>
                   </motion.div>
                 </div>
               </motion.div>
@@ -1082,7 +1608,11 @@ const UltraCV = ({
                     className="magazine-label mb-4"
                     style={{ color: 'var(--color-primary)' }}
                   >
-                    PORTFOLIO • ISTANBUL • TURKEY
+                    {[t('hero.portfolio'), ...(basics.location || '').split(',')]
+                      .map((part) => part.trim())
+                      .filter(Boolean)
+                      .join(' • ')
+                      .toLocaleUpperCase(intlLocale)}
                   </motion.div>
 
                   {/* Name - Large Magazine Title */}
@@ -1118,7 +1648,7 @@ const UltraCV = ({
                     className="magazine-sans text-2xl md:text-3xl mb-8"
                     style={{ color: 'var(--color-primary)', letterSpacing: '8px' }}
                   >
-                    {role.toUpperCase()}
+                    {role.toLocaleUpperCase(intlLocale)}
                   </motion.div>
 
                   {/* Pull Quote */}
@@ -1138,19 +1668,20 @@ const UltraCV = ({
                     transition={{ delay: 1.2 }}
                     className="flex flex-col sm:flex-row gap-4"
                   >
-                    <a
-                      href="/cv.html"
-                      target="_blank"
-                      rel="noopener noreferrer"
-                      className="glass px-12 py-5 text-lg font-bold hover:scale-105 transition-transform text-center"
+                    <button
+                      type="button"
+                      onClick={downloadPdf}
+                      disabled={pdfGenerating}
+                      aria-busy={pdfGenerating}
+                      className="glass px-12 py-5 text-lg font-bold hover:scale-105 transition-transform text-center disabled:opacity-60"
                       style={{ 
                         background: 'var(--color-primary)',
                         color: 'var(--color-bg)',
                         letterSpacing: '2px'
                       }}
                     >
-                      DOWNLOAD CV →
-                    </a>
+                      {pdfGenerating ? t('hero.preparingPdf') : t('hero.downloadPdf')}
+                    </button>
                     <a
                       href="#contact"
                       className="glass px-12 py-5 text-lg font-bold border-2 hover:scale-105 transition-transform text-center"
@@ -1161,9 +1692,23 @@ const UltraCV = ({
                         letterSpacing: '2px'
                       }}
                     >
-                      CONTACT ME
+                      {t('hero.contactMe')}
                     </a>
                   </motion.div>
+                  {pdfFailed && (
+                    <p role="alert" className="mt-4 magazine-sans text-xs" style={{ color: 'var(--color-secondary)' }}>
+                      {t('hero.pdfFailed')}
+                    </p>
+                  )}
+                  <a
+                    href="/cv.html"
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="inline-block mt-4 magazine-sans text-xs underline hover:opacity-80 transition-opacity"
+                    style={{ color: 'var(--color-text-muted)' }}
+                  >
+                    {t('hero.printableCv')}
+                  </a>
                 </motion.div>
               </motion.div>
             </div>
@@ -1182,14 +1727,9 @@ const UltraCV = ({
                 className="magazine-span-4"
               >
                 <div className="sticky top-32">
-                  <div className="magazine-label mb-8">STATISTICS</div>
+                  <div className="magazine-label mb-8">{t('about.statistics')}</div>
                   <div className="space-y-6">
-                    {[
-                      { label: 'AGE', value: '20', suffix: '' },
-                      { label: 'YEARS EXPERIENCE', value: '4+', suffix: '' },
-                      { label: 'DEGREE', value: 'Master', suffix: '' },
-                      { label: 'FREELANCE', value: 'Available', suffix: '' }
-                    ].map((stat, i) => (
+                    {stats.map((stat, i) => (
                       <motion.div
                         key={i}
                         initial={{ opacity: 0, y: 30 }}
@@ -1199,7 +1739,12 @@ const UltraCV = ({
                         className="border-l-4 pl-6"
                         style={{ borderColor: 'var(--color-primary)' }}
                       >
-                        <AnimatedCounter value={stat.value} suffix={stat.suffix} />
+                        <AnimatedCounter
+                          value={stat.value}
+                          suffix={stat.suffix}
+                          locale={intlLocale}
+                          reducedMotion={reducedMotion}
+                        />
                         <p className="magazine-sans text-sm mt-2" style={{ color: 'var(--color-text-muted)' }}>
                           {stat.label}
                         </p>
@@ -1216,26 +1761,31 @@ const UltraCV = ({
                 viewport={{ once: true }}
                 className="magazine-span-8"
               >
-                <div className="magazine-label">ABOUT THE DEVELOPER</div>
+                <div className="magazine-label">{t('about.label')}</div>
                 <h2 className="magazine-serif text-6xl md:text-8xl mb-8 leading-none">
-                  The Story
+                  {t('about.title')}
                 </h2>
                 
                 <div className="magazine-divider"></div>
                 
                 <div className="magazine-article" style={{ columnCount: 'auto' }}>
-                  <p className="text-lg leading-relaxed mb-6" style={{ color: 'var(--color-text-muted)' }}>
-                    I am a <span className="magazine-highlight">UI/UX Designer & Web Developer</span> with over 4 years of experience designing user-centered interfaces and developing modern, fast, and responsive websites.
-                  </p>
-                  <p className="text-lg leading-relaxed mb-6" style={{ color: 'var(--color-text-muted)' }}>
-                    My goal is to create clean, aesthetic, and functional digital experiences. I value usability, accessibility, and performance details. Whether it's portfolio sites, corporate web pages, or custom projects; I love transforming ideas into powerful and impressive products.
-                  </p>
-                  <p className="text-lg leading-relaxed mb-6" style={{ color: 'var(--color-text-muted)' }}>
-                    Specialized in user experience (UX) and user interface (UI) design, I work with modern web technologies as a web developer, developing both aesthetic and functional digital products.
-                  </p>
-                  <div className="magazine-quote">
-                    "I'm always open to new projects and creative collaborations. If you want to produce impressive work together, don't hesitate to get in touch."
-                  </div>
+                  {(basics.summary || []).map((paragraph, i) => (
+                    <p key={i} className="text-lg leading-relaxed mb-6" style={{ color: 'var(--color-text-muted)' }}>
+                      {basics.highlight && paragraph.includes(basics.highlight)
+                        ? paragraph.split(basics.highlight).map((part, j) => (
+                            <React.Fragment key={j}>
+                              {j > 0 && <span className="magazine-highlight">{basics.highlight}</span>}
+                              {part}
+                            </React.Fragment>
+                          ))
+                        : paragraph}
+                    </p>
+                  ))}
+                  {basics.quote && (
+                    <div className="magazine-quote">
+                      "{basics.quote}"
+                    </div>
+                  )}
                 </div>
               </motion.div>
             </div>
@@ -1245,78 +1795,79 @@ const UltraCV = ({
         {/* Experience Timeline - Magazine Style */}
         <section id="experience" className="py-32 px-6 relative">
           <div className="container mx-auto">
-            <div className="magazine-label text-center mb-8">CAREER TRAJECTORY</div>
+            <div className="magazine-label text-center mb-8">{t('experience.label')}</div>
             <h2 className="magazine-serif text-6xl md:text-8xl mb-16 text-center leading-none">
-              Resume
+              {t('experience.title')}
             </h2>
             
             <div className="magazine-divider mb-16"></div>
 
+            {timelineTracks.length > 1 && (
+              <div role="group" aria-label={t('experience.tracks')} className="flex justify-center gap-2 mb-12">
+                {['all', ...timelineTracks].map((track) => (
+                  <button
+                    key={track}
+                    type="button"
+                    onClick={() => setTimelineTrack(track)}
+                    aria-pressed={timelineTrack === track}
+                    className={`magazine-sans text-xs px-4 py-1 rounded-full border transition-opacity ${timelineTrack === track ? '' : 'opacity-60 hover:opacity-100'}`}
+                    style={{
+                      borderColor: timelineTrack === track ? 'var(--color-primary)' : 'var(--color-border)',
+                      background: timelineTrack === track ? 'var(--color-primary)' : 'var(--color-surface)',
+                      color: timelineTrack === track ? 'var(--color-bg)' : 'var(--color-text)'
+                    }}
+                  >
+                    {t(`experience.track.${track}`)}
+                  </button>
+                ))}
+              </div>
+            )}
+
             <div ref={timelineRef} className="magazine-grid gap-12">
-              {[
-                {
-                  year: '2023 - Present',
-                  title: 'Senior Frontend Developer',
-                  company: 'TechSolutions İstanbul, Türkiye',
-                  description: `Developed corporate web apps and e-commerce platforms with React.js and Next.js.\nLed a team of 7 frontend engineers, managed code reviews and Agile processes.\nBuilt scalable codebases with TypeScript and improved performance.\nWorked closely with UI/UX using Figma, developed responsive user-friendly layouts.\nEnhanced testing with Jest, Cypress.`,
-                  number: '01'
-                },
-                {
-                  year: '2024 - Present',
-                  title: 'Frontend Developer',
-                  company: 'WebCraft İstanbul, Türkiye',
-                  description: `Created dynamic, modern websites with JavaScript (ES6+), Vue.js, HTML5, CSS3/SASS.\nBuilt admin panels and user management systems.\nUsed Redux/Context API for React state management, handled RESTful APIs.\nDelivered 5+ projects simultaneously, tailored to client needs.\nEnsured cross-browser and mobile compatibility.`,
-                  number: '02'
-                },
-                {
-                  year: '2023 - 2027',
-                  title: 'Information Systems and Technologies',
-                  company: 'Yeditepe Üniversitesi, İstanbul',
-                  description: `In-depth coursework: digital systems, software development, data analytics, cybersecurity.\nCombining tech and real-world problem solving. Ongoing degree.`,
-                  number: '03'
-                },
-                {
-                  year: '2019 - 2023',
-                  title: 'High School Diploma',
-                  company: 'Doğa Koleji, Çanakkale',
-                  description: `Strong STEM and computing foundation, team projects and problem solving.\nDeveloped collaboration and tech project skills through extracurricular activities.`,
-                  number: '04'
-                }
-              ].map((item, index) => (
-                <motion.div
-                  key={index}
-                  initial={{ opacity: 0, y: 50 }}
-                  whileInView={{ opacity: 1, y: 0 }}
-                  viewport={{ once: true }}
-                  transition={{ delay: index * 0.2 }}
-                  className="magazine-span-4 relative"
-                >
-                  <div className="relative">
-                    {/* Background Number */}
-                    <div className="magazine-number" style={{ 
-                      right: '0',
-                      top: '-20%',
-                      fontSize: '8rem'
-                    }}>
-                      {item.number}
-                    </div>
-                    
-                    {/* Content */}
-                    <div className="glass p-8 relative border-l-4" style={{ borderColor: 'var(--color-primary)' }}>
-                      <div className="magazine-sans text-sm mb-4" style={{ color: 'var(--color-primary)' }}>
-                        {item.year}
+              <AnimatePresence mode="popLayout">
+                {visibleTimeline.map((item, index) => (
+                  <motion.div
+                    key={item.index}
+                    id={`experience-${item.index}`}
+                    layout={!reducedMotion}
+                    initial={{ opacity: 0, y: 50 }}
+                    whileInView={{ opacity: 1, y: 0 }}
+                    exit={{ opacity: 0, scale: 0.95 }}
+                    viewport={{ once: true }}
+                    transition={{ delay: index * 0.2, layout: { duration: 0.3, delay: 0 } }}
+                    className="magazine-span-4 relative"
+                  >
+                    <div className="relative">
+                      {/* Background Number */}
+                      <div className="magazine-number" style={{ 
+                        right: '0',
+                        top: '-20%',
+                        fontSize: '8rem'
+                      }}>
+                        {String(index + 1).padStart(2, '0')}
                       </div>
-                      <h3 className="magazine-serif text-3xl mb-3 leading-tight">{item.title}</h3>
-                      <div className="magazine-sans text-sm mb-6 uppercase tracking-widest" style={{ color: 'var(--color-text-muted)' }}>
-                        {item.company}
+                      
+                      {/* Content */}
+                      <div
+                        className={`glass p-8 relative border-l-4 ${relationClass('experience', item.index)}`}
+                        style={{ borderColor: 'var(--color-primary)' }}
+                      >
+                        <div className="magazine-sans text-sm mb-4" style={{ color: 'var(--color-primary)' }}>
+                          <time dateTime={item.startDate}>{formatPeriod(item, intlLocale, t('experience.present'))}</time>
+                          {item.months > 0 && <span style={{ color: 'var(--color-text-muted)' }}> · {formatDuration(item.months, t)}</span>}
+                        </div>
+                        <h3 className="magazine-serif text-3xl mb-3 leading-tight">{item.title}</h3>
+                        <div className="magazine-sans text-sm mb-6 uppercase tracking-widest" style={{ color: 'var(--color-text-muted)' }}>
+                          {item.company}
+                        </div>
+                        <p className="text-base leading-relaxed" style={{ color: 'var(--color-text-muted)' }}>
+                          {item.description}
+                        </p>
                       </div>
-                      <p className="text-base leading-relaxed" style={{ color: 'var(--color-text-muted)' }}>
-                        {item.description}
-                      </p>
                     </div>
-                  </div>
-                </motion.div>
-              ))}
+                  </motion.div>
+                ))}
+              </AnimatePresence>
             </div>
           </div>
         </section>
@@ -1324,9 +1875,9 @@ const UltraCV = ({
         {/* Skills Section - Magazine Style */}
         <section id="skills" ref={skillsRef} className="py-32 px-6 relative">
           <div className="container mx-auto">
-            <div className="magazine-label text-center mb-4">TECHNICAL EXPERTISE</div>
+            <div className="magazine-label text-center mb-4">{t('skills.label')}</div>
             <h2 className="magazine-serif text-6xl md:text-8xl mb-16 text-center leading-none">
-              Skills
+              {t('skills.title')}
             </h2>
             
             <div className="magazine-divider mb-16"></div>
@@ -1341,7 +1892,14 @@ const UltraCV = ({
               >
                 <div className="relative w-full">
                   {/* Skill cloud SVG */}
-                  <SkillCloud />
+                  <SkillCloud
+                    skills={visibleSkills}
+                    activeSkill={activeSkill}
+                    onHighlight={setPreviewSkill}
+                    onSelect={togglePinnedSkill}
+                    reducedMotion={reducedMotion}
+                    t={t}
+                  />
                   {/* Magazine overlay badge */}
                   <motion.div
                     initial={{ opacity: 0, y: 20 }}
@@ -1351,8 +1909,8 @@ const UltraCV = ({
                     className="absolute bottom-0 left-0 glass p-4"
                     style={{ background: 'var(--color-primary)', color: 'var(--color-bg)' }}
                   >
-                    <div className="magazine-sans text-xs mb-1">TECH STACK</div>
-                    <div className="magazine-serif text-2xl font-bold">12+ Tools</div>
+                    <div className="magazine-sans text-xs mb-1">{t('skills.techStack')}</div>
+                    <div className="magazine-serif text-2xl font-bold">{t('skills.tools', { count: skills.length })}</div>
                   </motion.div>
                 </div>
               </motion.div>
@@ -1364,121 +1922,120 @@ const UltraCV = ({
                 viewport={{ once: true }}
                 className="magazine-span-6 space-y-8"
               >
-                {[
-                  { name: 'HTML', level: 100, category: 'Frontend' },
-                  { name: 'CSS', level: 90, category: 'Frontend' },
-                  { name: 'React.js', level: 80, category: 'Framework' },
-                  { name: 'Vue.js', level: 75, category: 'Framework' },
-                  { name: 'JavaScript', level: 75, category: 'Language' },
-                  { name: 'PHP', level: 80, category: 'Backend' },
-                  { name: 'WordPress / CMS', level: 90, category: 'CMS' },
-                  { name: 'Figma', level: 80, category: 'Design' },
-                  { name: 'Canva', level: 80, category: 'Design' },
-                  { name: 'Photoshop', level: 55, category: 'Design' }
-                ].map((skill, i) => (
-                  <motion.div
-                    key={i}
-                    initial={{ opacity: 0, x: -30 }}
-                    whileInView={{ opacity: 1, x: 0 }}
-                    viewport={{ once: true }}
-                    transition={{ delay: i * 0.1 }}
-                    className="relative"
-                  >
-                    <div className="flex justify-between items-baseline mb-2">
-                      <div>
-                        <span className="magazine-sans text-xs" style={{ color: 'var(--color-text-muted)' }}>
-                          {skill.category}
+                <FilterBar
+                  id="skills-filter"
+                  tags={skillCategories(skills, intlLocale)}
+                  filter={skillFilter}
+                  onChange={setSkillFilter}
+                  tagLabel={t('filters.byCategory')}
+                  searchLabel={t('filters.searchSkills')}
+                  shown={visibleSkills.length}
+                  total={skills.length}
+                  locale={intlLocale}
+                  t={t}
+                />
+
+                <AnimatePresence mode="popLayout">
+                  {visibleSkills.map((skill, i) => (
+                    <motion.div
+                      key={skill.name}
+                      layout={!reducedMotion}
+                      initial={{ opacity: 0, x: -30 }}
+                      whileInView={{ opacity: 1, x: 0 }}
+                      exit={{ opacity: 0, x: 30 }}
+                      viewport={{ once: true }}
+                      transition={{ delay: i * 0.1, layout: { duration: 0.3, delay: 0 } }}
+                      onMouseEnter={() => setPreviewSkill(skill.name)}
+                      onMouseLeave={() => setPreviewSkill(null)}
+                      className={`relative ${activeSkill && activeSkill !== skill.name ? 'skill-unrelated' : ''}`}
+                    >
+                      <div className="flex justify-between items-baseline mb-2">
+                        <div>
+                          <span className="magazine-sans text-xs" style={{ color: 'var(--color-text-muted)' }}>
+                            {skill.category}
+                          </span>
+                          <div className="magazine-serif text-2xl font-bold">
+                            {/* Click pins the highlight so it stays while scrolling to the timeline */}
+                            <button
+                              type="button"
+                              onClick={() => togglePinnedSkill(skill.name)}
+                              onFocus={() => setPreviewSkill(skill.name)}
+                              onBlur={() => setPreviewSkill(null)}
+                              aria-pressed={pinnedSkill === skill.name}
+                              aria-describedby="skill-relations"
+                              className="text-left hover:underline"
+                            >
+                              {skill.name}
+                            </button>
+                          </div>
+                        </div>
+                        <span className="magazine-sans text-3xl font-bold" style={{ color: 'var(--color-primary)' }}>
+                          {skill.level}%
                         </span>
-                        <div className="magazine-serif text-2xl font-bold">{skill.name}</div>
                       </div>
-                      <span className="magazine-sans text-3xl font-bold" style={{ color: 'var(--color-primary)' }}>
-                        {skill.level}%
-                      </span>
-                    </div>
-                    <div className="relative h-2 overflow-hidden" style={{ background: 'var(--color-surface)' }}>
-                      <motion.div
-                        initial={{ width: 0 }}
-                        whileInView={{ width: `${skill.level}%` }}
-                        viewport={{ once: true }}
-                        transition={{ duration: 1.5, delay: 0.3 }}
-                        className="h-full absolute top-0 left-0"
-                        style={{ 
-                          background: `linear-gradient(90deg, var(--color-primary), var(--color-secondary))`,
-                          boxShadow: `0 0 10px var(--color-primary)`
-                        }}
-                      />
-                    </div>
-                  </motion.div>
-                ))}
+                      <div className="relative h-2 overflow-hidden" style={{ background: 'var(--color-surface)' }}>
+                        <motion.div
+                          initial={{ width: 0 }}
+                          whileInView={{ width: `${skill.level}%` }}
+                          viewport={{ once: true }}
+                          transition={{ duration: 1.5, delay: 0.3 }}
+                          className="h-full absolute top-0 left-0"
+                          style={{ 
+                            background: `linear-gradient(90deg, var(--color-primary), var(--color-secondary))`,
+                            boxShadow: `0 0 10px var(--color-primary)`
+                          }}
+                        />
+                      </div>
+                    </motion.div>
+                  ))}
+                </AnimatePresence>
+                {visibleSkills.length === 0 && (
+                  <p className="magazine-sans" style={{ color: 'var(--color-text-muted)' }}>
+                    {t('filters.empty')}
+                  </p>
+                )}
+
+                <SkillRelations
+                  skill={activeSkill}
+                  pinned={Boolean(pinnedSkill) && activeSkill === pinnedSkill}
+                  relations={skillRelations}
+                  experience={experience}
+                  certifications={certifications}
+                  projects={projects}
+                  onOpenProject={showProject}
+                  onUnpin={() => setPinnedSkill(null)}
+                  t={t}
+                />
               </motion.div>
             </div>
           </div>
         </section>
 
         {/* Certifications Section */}
-        <section className="py-32 px-6 relative">
+        <section id="certifications" className="py-32 px-6 relative">
           <div className="container mx-auto">
-            <div className="magazine-label text-center mb-4">CONTINUOUS LEARNING</div>
+            <div className="magazine-label text-center mb-4">{t('certifications.label')}</div>
             <h2 className="magazine-serif text-6xl md:text-8xl mb-16 text-center leading-none">
-              Certifications
+              {t('certifications.title')}
             </h2>
             
             <div className="magazine-divider mb-16"></div>
 
             <div className="magazine-grid gap-8">
-              {[
-                {
-                  title: 'Modern JavaScript (ES6+)',
-                  platform: 'Udacity',
-                  duration: '3 Months',
-                  skills: ['ES6+ Syntax', 'Async/Await', 'Promises', 'DOM Manipulation', 'Fetch API', 'Modular JavaScript'],
-                  number: '01'
-                },
-                {
-                  title: 'React.js Frontend Development',
-                  platform: 'Coursera (Meta)',
-                  duration: '4 Months',
-                  skills: ['React Hooks', 'Context API', 'Redux', 'SPA Development', 'Jest Testing'],
-                  number: '02'
-                },
-                {
-                  title: 'Responsive Web Design',
-                  platform: 'freeCodeCamp',
-                  duration: '300 Hours',
-                  skills: ['HTML5', 'CSS3', 'Flexbox', 'Grid', 'Media Queries', 'Accessibility'],
-                  number: '03'
-                },
-                {
-                  title: 'TypeScript Mastery',
-                  platform: 'Frontend Masters',
-                  duration: '6 Weeks',
-                  skills: ['Static Typing', 'Interfaces', 'Generics', 'Angular/React Integration'],
-                  number: '04'
-                },
-                {
-                  title: 'Web Performance Optimization',
-                  platform: 'Google Developers',
-                  duration: '2 Months',
-                  skills: ['Lighthouse Audits', 'Lazy Loading', 'Critical Rendering Path', 'Performance Optimization'],
-                  number: '05'
-                },
-                {
-                  title: 'Vue.js & Nuxt.js',
-                  platform: 'Udemy',
-                  duration: '30 Hours',
-                  skills: ['Vuex', 'State Management', 'Server-Side Rendering', 'Nuxt.js', 'Vue.js Best Practices'],
-                  number: '06'
-                }
-              ].map((cert, i) => (
+              {certifications.map((cert, i) => (
                 <motion.div
                   key={i}
+                  id={`certification-${i}`}
                   initial={{ opacity: 0, y: 30 }}
                   whileInView={{ opacity: 1, y: 0 }}
                   viewport={{ once: true }}
                   transition={{ delay: i * 0.1 }}
                   className="magazine-span-4"
                 >
-                  <div className="glass p-6 relative border-l-4" style={{ borderColor: 'var(--color-primary)' }}>
+                  <div
+                    className={`glass p-6 relative border-l-4 ${relationClass('certifications', i)}`}
+                    style={{ borderColor: 'var(--color-primary)' }}
+                  >
                     {/* Certification number */}
                     <div className="magazine-number" style={{ 
                       position: 'absolute',
@@ -1487,7 +2044,7 @@ const UltraCV = ({
                       fontSize: '6rem',
                       opacity: 0.1
                     }}>
-                      {cert.number}
+                      {String(i + 1).padStart(2, '0')}
                     </div>
 
                     <div className="relative z-10">
@@ -1505,13 +2062,13 @@ const UltraCV = ({
 
                       {/* Skills badges */}
                       <div className="flex flex-wrap gap-2 mt-4">
-                        {cert.skills.map((skill, j) => (
+                        {(cert.skills || []).map((skill, j) => (
                           <span
                             key={j}
                             className="glass px-2 py-1 magazine-sans text-xs"
                             style={{ 
                               background: 'var(--color-surface)',
-                              border: '1px solid rgba(255, 255, 255, 0.05)'
+                              border: '1px solid var(--color-border)'
                             }}
                           >
                             {skill}
@@ -1526,61 +2083,74 @@ const UltraCV = ({
           </div>
         </section>
 
-        {/* Projects Section - Magazine Style */}
-        <section id="projects" ref={projectsRef} className="py-32 px-6 relative">
-          <div className="container mx-auto">
-            <div className="magazine-label text-center mb-4">WHAT I OFFER</div>
-            <h2 className="magazine-serif text-6xl md:text-8xl mb-16 text-center leading-none">
-              Services
-            </h2>
-            
+        {/* Portfolio Section - Magazine Style */}
+        {projects.length > 0 && (
+          <section id="projects" ref={projectsRef} className="py-32 px-6 relative">
+            <div className="container mx-auto">
+              <div className="magazine-label text-center mb-4">{t('project.label')}</div>
+              <h2 className="magazine-serif text-6xl md:text-8xl mb-16 text-center leading-none">
+                {t('project.title')}
+              </h2>
+
+              <div className="magazine-divider mb-16"></div>
+
+              <FilterBar
+                id="projects-filter"
+                tags={techTags(projects, intlLocale)}
+                filter={projectFilter}
+                onChange={setProjectFilter}
+                tagLabel={t('filters.byTech')}
+                searchLabel={t('filters.searchProjects')}
+                shown={visibleProjects.length}
+                total={projects.length}
+                locale={intlLocale}
+                t={t}
+              />
+
+              <div className="grid md:grid-cols-2 gap-8">
+                <AnimatePresence mode="popLayout">
+                  {visibleProjects.map((project, i) => (
+                    <motion.div
+                      key={projectSlug(project)}
+                      layout={!reducedMotion}
+                      initial={{ opacity: 0, scale: 0.95 }}
+                      animate={{ opacity: 1, scale: 1 }}
+                      exit={{ opacity: 0, scale: 0.95 }}
+                      transition={{ duration: reducedMotion ? 0 : 0.3 }}
+                      className={`rounded-lg ${relationClass('projects', projectSlug(project))}`}
+                    >
+                      <ProjectCard
+                        project={project}
+                        index={i}
+                        onOpen={showProject}
+                        locale={intlLocale}
+                        t={t}
+                      />
+                    </motion.div>
+                  ))}
+                </AnimatePresence>
+              </div>
+              {visibleProjects.length === 0 && (
+                <p className="magazine-sans text-center" style={{ color: 'var(--color-text-muted)' }}>
+                  {t('filters.empty')}
+                </p>
+              )}
+            </div>
+          </section>
+        )}
+
+        {/* Services Section - Magazine Style */}
+        <section id="services" className="py-32 px-6 relative">
+          <div className="container mx-auto">
+            <div className="magazine-label text-center mb-4">{t('services.label')}</div>
+            <h2 className="magazine-serif text-6xl md:text-8xl mb-16 text-center leading-none">
+              {t('services.title')}
+            </h2>
+            
             <div className="magazine-divider mb-16"></div>
 
             <div className="magazine-grid gap-12">
-              {[
-                {
-                  title: 'Digital Marketing',
-                  description: 'We increase your brand\'s online visibility. With SEO, social media management, and advertising strategies, we make it easier for you to reach your target audience.',
-                  tech: ['SEO', 'Social Media', 'Ads', 'Analytics'],
-                  number: 'SERVICE 01',
-                  featured: true
-                },
-                {
-                  title: 'Web Design & Development',
-                  description: 'We design modern, user-friendly, and mobile-optimized websites. We strengthen your online sales with e-commerce solutions.',
-                  tech: ['Responsive', 'E-Commerce', 'WordPress', 'CMS'],
-                  number: 'SERVICE 02',
-                  featured: false
-                },
-                {
-                  title: 'Corporate Consulting',
-                  description: 'We optimize your business processes, reduce costs, and increase efficiency. We ensure long-term success through strategic planning.',
-                  tech: ['Strategy', 'Optimization', 'Planning', 'Efficiency'],
-                  number: 'SERVICE 03',
-                  featured: true
-                },
-                {
-                  title: 'Software Solutions',
-                  description: 'We develop custom software and automation systems. We offer solutions that accelerate your workflow, secure and scalable.',
-                  tech: ['Custom Software', 'Automation', 'APIs', 'Integration'],
-                  number: 'SERVICE 04',
-                  featured: false
-                },
-                {
-                  title: 'Graphic Design',
-                  description: 'We design logos, brochures, banners, and digital content that strengthen your brand identity. We enable you to make a difference with creative solutions.',
-                  tech: ['Logo Design', 'Branding', 'Print', 'Digital'],
-                  number: 'SERVICE 05',
-                  featured: false
-                },
-                {
-                  title: 'CRM Management',
-                  description: 'We establish CRM systems that increase customer loyalty and facilitate your sales processes. We support your decision-making processes with data analysis.',
-                  tech: ['CRM', 'Sales', 'Analytics', 'Automation'],
-                  number: 'SERVICE 06',
-                  featured: false
-                }
-              ].map((project, i) => (
+              {services.map((project, i) => (
                 <motion.div
                   key={i}
                   initial={{ opacity: 0, y: 50 }}
@@ -1590,7 +2160,7 @@ const UltraCV = ({
                   className={project.featured ? 'magazine-span-8' : 'magazine-span-4'}
                 >
                   <div className="relative glass overflow-hidden" style={{ 
-                    border: '1px solid rgba(255, 255, 255, 0.1)',
+                    border: '1px solid var(--color-border)',
                     background: 'var(--color-surface)'
                   }}>
                     {/* Project image placeholder */}
@@ -1608,13 +2178,13 @@ const UltraCV = ({
                       <div className="absolute top-4 left-4 glass px-4 py-2"
                         style={{ background: 'var(--color-primary)', color: 'var(--color-bg)' }}
                       >
-                        <span className="magazine-sans text-xs font-bold">{project.number}</span>
+                        <span className="magazine-sans text-xs font-bold">{t('services.number', { number: String(i + 1).padStart(2, '0') })}</span>
                       </div>
                       {project.featured && (
                         <div className="absolute top-4 right-4 glass px-4 py-2"
                           style={{ background: 'var(--color-secondary)', color: 'var(--color-bg)' }}
                         >
-                          <span className="magazine-sans text-xs font-bold">FEATURED</span>
+                          <span className="magazine-sans text-xs font-bold">{t('services.featured')}</span>
                         </div>
                       )}
                     </div>
@@ -1622,7 +2192,7 @@ const UltraCV = ({
                     {/* Service info */}
                     <div className="p-8">
                       <div className="magazine-sans text-xs mb-3" style={{ color: 'var(--color-text-muted)' }}>
-                        {project.featured ? 'KEY SERVICE' : 'AVAILABLE NOW'}
+                        {project.featured ? t('services.key') : t('services.available')}
                       </div>
                       <h3 className="magazine-serif text-3xl mb-4 leading-tight">{project.title}</h3>
                       <p className="text-base mb-6 leading-relaxed" style={{ color: 'var(--color-text-muted)' }}>
@@ -1631,13 +2201,13 @@ const UltraCV = ({
                       
                       {/* Tech stack */}
                       <div className="flex flex-wrap gap-2 mb-6">
-                        {project.tech.map((tech, j) => (
+                        {(project.tech || []).map((tech, j) => (
                           <span 
                             key={j}
                             className="glass px-3 py-1 magazine-sans text-xs"
                             style={{ 
                               background: 'var(--color-surface)',
-                              border: '1px solid rgba(255, 255, 255, 0.1)'
+                              border: '1px solid var(--color-border)'
                             }}
                           >
                             {tech}
@@ -1654,16 +2224,20 @@ const UltraCV = ({
                             color: 'var(--color-bg)'
                           }}
                         >
-                          GET QUOTE →
+                          {t('services.getQuote')}
                         </button>
                         <button 
+                          id={`project-trigger-${projectSlug(project)}`}
+                          onClick={() => showProject(project)}
+                          aria-haspopup="dialog"
+                          aria-label={`${t('services.learnMore')}: ${project.title}`}
                           className="glass px-6 py-3 magazine-sans text-sm font-bold hover:scale-105 transition-transform"
                           style={{ 
                             border: '1px solid var(--color-primary)',
                             color: 'var(--color-primary)'
                           }}
                         >
-                          LEARN MORE
+                          {t('services.learnMore')}
                         </button>
                       </div>
                     </div>
@@ -1677,17 +2251,23 @@ const UltraCV = ({
         {/* Terminal Widget - Magazine Style */}
         <section className="py-32 px-6 relative">
           <div className="container mx-auto">
-            <div className="magazine-label text-center mb-4">BEHIND THE SCENES</div>
+            <div className="magazine-label text-center mb-4">{t('terminal.label')}</div>
             <h2 className="magazine-serif text-4xl md:text-6xl mb-8 text-center leading-none">
-              Code Preview
+              {t('terminal.title')}
             </h2>
             <div className="max-w-4xl mx-auto">
               <Terminal
-                paused={terminalPaused}
-                currentLine={terminalCurrentLine}
-                transcript={terminalTranscript}
-                onPauseToggle={() => setTerminalPaused(!terminalPaused)}
-                showTranscript={terminalTranscript.length > 0}
+                scripts={Array.isArray(terminalScript) ? terminalScript : [terminalScript]}
+                animate={!lowBandwidth && !reducedMotion}
+                showTranscript={showTerminalTranscript}
+                maxLines={terminalMaxLines}
+                interactive={terminalInteractive}
+                onInteractiveChange={setTerminalInteractive}
+                resume={resume}
+                theme={theme}
+                onThemeChange={changeTheme}
+                locale={intlLocale}
+                t={t}
               />
             </div>
           </div>
@@ -1704,9 +2284,9 @@ const UltraCV = ({
                 viewport={{ once: true }}
                 className="magazine-span-4"
               >
-                <div className="magazine-label mb-8">GET IN TOUCH</div>
+                <div className="magazine-label mb-8">{t('contact.label')}</div>
                 <h2 className="magazine-serif text-6xl md:text-8xl mb-8 leading-none">
-                  Contact
+                  {t('contact.title')}
                 </h2>
                 
                 <div className="magazine-divider mb-12"></div>
@@ -1714,7 +2294,7 @@ const UltraCV = ({
                 <div className="space-y-8">
                   <div>
                     <div className="magazine-sans text-xs mb-3" style={{ color: 'var(--color-text-muted)' }}>
-                      EMAIL ADDRESS
+                      {t('contact.email')}
                     </div>
                     <a 
                       href={`mailto:${email}`} 
@@ -1727,7 +2307,7 @@ const UltraCV = ({
                   
                   <div>
                     <div className="magazine-sans text-xs mb-3" style={{ color: 'var(--color-text-muted)' }}>
-                      PHONE NUMBER
+                      {t('contact.phone')}
                     </div>
                     <a 
                       href={`tel:${phone}`} 
@@ -1738,33 +2318,39 @@ const UltraCV = ({
                     </a>
                   </div>
 
-                  <div>
-                    <div className="magazine-sans text-xs mb-3" style={{ color: 'var(--color-text-muted)' }}>
-                      WEBSITE
+                  {basics.website && (
+                    <div>
+                      <div className="magazine-sans text-xs mb-3" style={{ color: 'var(--color-text-muted)' }}>
+                        {t('contact.website')}
+                      </div>
+                      <a 
+                        href={basics.website.url} 
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="magazine-serif text-xl hover:opacity-80 transition-opacity"
+                        style={{ color: 'var(--color-primary)' }}
+                      >
+                        {basics.website.label || basics.website.url}
+                      </a>
                     </div>
-                    <a 
-                      href="https://tahsinmertmutlu.com" 
-                      target="_blank"
-                      rel="noopener noreferrer"
-                      className="magazine-serif text-xl hover:opacity-80 transition-opacity"
-                      style={{ color: 'var(--color-primary)' }}
-                    >
-                      tahsinmertmutlu.com
-                    </a>
-                  </div>
+                  )}
 
-                  <div>
-                    <div className="magazine-sans text-xs mb-3" style={{ color: 'var(--color-text-muted)' }}>
-                      LOCATION
+                  {basics.location && (
+                    <div>
+                      <div className="magazine-sans text-xs mb-3" style={{ color: 'var(--color-text-muted)' }}>
+                        {t('contact.location')}
+                      </div>
+                      <p className="magazine-serif text-xl" style={{ color: 'var(--color-primary)' }}>
+                        {basics.location}
+                      </p>
                     </div>
-                    <p className="magazine-serif text-xl" style={{ color: 'var(--color-primary)' }}>
-                      Istanbul, Turkey
-                    </p>
-                  </div>
+                  )}
                   
-                  <div className="magazine-quote">
-                    "I'm always open to new projects and creative collaborations."
-                  </div>
+                  {basics.contactQuote && (
+                    <div className="magazine-quote">
+                      "{basics.contactQuote}"
+                    </div>
+                  )}
                 </div>
               </motion.div>
 
@@ -1780,67 +2366,123 @@ const UltraCV = ({
                   whileInView={{ opacity: 1 }}
                   viewport={{ once: true }}
                   className="glass p-12"
-                  onSubmit={(e) => {
-                    e.preventDefault();
-                    setMessageSent(true);
-                    setTimeout(() => setMessageSent(false), 3000);
-                  }}
+                  name="contact"
+                  onSubmit={submitContact}
+                  noValidate
+                  aria-busy={contactStatus === 'sending'}
                 >
                   <div className="space-y-6">
                     <div>
                       <label htmlFor="name" className="magazine-sans text-xs mb-3 block" style={{ color: 'var(--color-text-muted)' }}>
-                        YOUR NAME
+                        {t('contact.nameField')}
                       </label>
                       <input
                         type="text"
                         id="name"
-                        className="w-full p-4 glass border border-white/10 focus:border-primary focus:outline-none focus:ring-2 focus:ring-primary/50 magazine-serif text-lg"
+                        name="name"
+                        required
+                        maxLength={CONTACT_LIMITS.name}
+                        value={contactForm.name}
+                        onChange={updateContactField}
+                        onBlur={blurContactField}
+                        aria-invalid={Boolean(contactErrors.name)}
+                        aria-describedby={contactErrors.name ? 'name-error' : undefined}
+                        className="w-full p-4 glass border border-border focus:border-primary focus:outline-none focus:ring-2 focus:ring-primary/50 magazine-serif text-lg"
                         style={{ 
                           background: 'var(--color-surface)',
-                          color: 'var(--color-text)'
+                          color: 'var(--color-text)',
+                          borderColor: contactErrors.name ? 'var(--color-secondary)' : undefined
                         }}
                       />
+                      {contactErrors.name && (
+                        <p id="name-error" className="magazine-sans text-xs mt-2" style={{ color: 'var(--color-secondary)' }}>
+                          {contactErrors.name}
+                        </p>
+                      )}
                     </div>
 
                     <div>
                       <label htmlFor="email" className="magazine-sans text-xs mb-3 block" style={{ color: 'var(--color-text-muted)' }}>
-                        YOUR EMAIL
+                        {t('contact.emailField')}
                       </label>
                       <input
                         type="email"
                         id="email"
-                        className="w-full p-4 glass border border-white/10 focus:border-primary focus:outline-none focus:ring-2 focus:ring-primary/50 magazine-serif text-lg"
+                        name="email"
+                        required
+                        maxLength={CONTACT_LIMITS.email}
+                        value={contactForm.email}
+                        onChange={updateContactField}
+                        onBlur={blurContactField}
+                        aria-invalid={Boolean(contactErrors.email)}
+                        aria-describedby={contactErrors.email ? 'email-error' : undefined}
+                        className="w-full p-4 glass border border-border focus:border-primary focus:outline-none focus:ring-2 focus:ring-primary/50 magazine-serif text-lg"
                         style={{ 
                           background: 'var(--color-surface)',
-                          color: 'var(--color-text)'
+                          color: 'var(--color-text)',
+                          borderColor: contactErrors.email ? 'var(--color-secondary)' : undefined
                         }}
                       />
+                      {contactErrors.email && (
+                        <p id="email-error" className="magazine-sans text-xs mt-2" style={{ color: 'var(--color-secondary)' }}>
+                          {contactErrors.email}
+                        </p>
+                      )}
                     </div>
 
                     <div>
                       <label htmlFor="message" className="magazine-sans text-xs mb-3 block" style={{ color: 'var(--color-text-muted)' }}>
-                        MESSAGE
+                        {t('contact.messageField')}
                       </label>
                       <textarea
                         id="message"
+                        name="message"
                         rows="6"
-                        className="w-full p-4 glass border border-white/10 focus:border-primary focus:outline-none focus:ring-2 focus:ring-primary/50 resize-none magazine-serif text-lg"
+                        required
+                        maxLength={CONTACT_LIMITS.message}
+                        value={contactForm.message}
+                        onChange={updateContactField}
+                        onBlur={blurContactField}
+                        aria-invalid={Boolean(contactErrors.message)}
+                        aria-describedby={contactErrors.message ? 'message-error' : undefined}
+                        className="w-full p-4 glass border border-border focus:border-primary focus:outline-none focus:ring-2 focus:ring-primary/50 resize-none magazine-serif text-lg"
                         style={{ 
                           background: 'var(--color-surface)',
-                          color: 'var(--color-text)'
+                          color: 'var(--color-text)',
+                          borderColor: contactErrors.message ? 'var(--color-secondary)' : undefined
                         }}
                       />
+                      {contactErrors.message && (
+                        <p id="message-error" className="magazine-sans text-xs mt-2" style={{ color: 'var(--color-secondary)' }}>
+                          {contactErrors.message}
+                        </p>
+                      )}
+                    </div>
+
+                    {/* Honeypot: invisible to people, irresistible to form-filling bots */}
+                    <div aria-hidden="true" style={{ position: 'absolute', left: '-10000px', width: '1px', height: '1px', overflow: 'hidden' }}>
+                      <label htmlFor={HONEYPOT_FIELD}>{t('contact.honeypot')}</label>
+                      <input
+                        type="text"
+                        id={HONEYPOT_FIELD}
+                        name={HONEYPOT_FIELD}
+                        tabIndex={-1}
+                        autoComplete="off"
+                        value={honeypot}
+                        onChange={(e) => setHoneypot(e.target.value)}
+                      />
                     </div>
 
                     <button
                       type="submit"
-                      className="w-full glass px-12 py-6 magazine-sans text-sm font-bold hover:scale-105 transition-transform uppercase tracking-widest"
+                      disabled={contactStatus === 'sending'}
+                      className="w-full glass px-12 py-6 magazine-sans text-sm font-bold hover:scale-105 transition-transform uppercase tracking-widest disabled:opacity-60 disabled:cursor-wait disabled:hover:scale-100"
                       style={{ 
                         background: 'var(--color-primary)',
                         color: 'var(--color-bg)'
                       }}
                     >
-                      Send Message →
+                      {contactStatus === 'sending' ? t('contact.sending') : t('contact.send')}
                     </button>
                   </div>
                 </motion.form>
@@ -1851,8 +2493,9 @@ const UltraCV = ({
 
         {/* Message Sent Success Notification */}
         <AnimatePresence>
-          {messageSent && (
+          {contactStatus === 'sent' && (
             <motion.div
+              role="status"
               initial={{ opacity: 0, y: 50, scale: 0.8 }}
               animate={{ opacity: 1, y: 0, scale: 1 }}
               exit={{ opacity: 0, y: 50, scale: 0.8 }}
@@ -1894,9 +2537,9 @@ const UltraCV = ({
                     </motion.span>
                   </div>
                   <div>
-                    <h3 className="magazine-serif text-2xl font-bold">MESSAGE SENT</h3>
+                    <h3 className="magazine-serif text-2xl font-bold">{t('contact.sentTitle')}</h3>
                     <p className="magazine-sans text-xs" style={{ color: 'var(--color-text-muted)' }}>
-                      SUCCESS
+                      {t('contact.sentStatus')}
                     </p>
                   </div>
                 </motion.div>
@@ -1909,7 +2552,7 @@ const UltraCV = ({
                   className="magazine-sans text-sm leading-relaxed"
                   style={{ color: 'var(--color-text)' }}
                 >
-                  Thank you for your message. I'll get back to you soon.
+                  {t('contact.sentBody')}
                 </motion.p>
 
                 {/* Magazine-style date */}
@@ -1921,11 +2564,7 @@ const UltraCV = ({
                   style={{ borderColor: 'var(--color-surface)' }}
                 >
                   <span className="magazine-sans text-xs" style={{ color: 'var(--color-text-muted)' }}>
-                    {new Date().toLocaleDateString('en-US', { 
-                      month: 'long', 
-                      day: 'numeric', 
-                      year: 'numeric' 
-                    })}
+                    {formatDate(new Date(), locale)}
                   </span>
                 </motion.div>
 
@@ -1948,12 +2587,87 @@ const UltraCV = ({
             </motion.div>
           )}
         </AnimatePresence>
+
+        {/* Message Failed Notification */}
+        <AnimatePresence>
+          {contactStatus === 'error' && (
+            <motion.div
+              role="alert"
+              initial={{ opacity: 0, y: 50, scale: 0.8 }}
+              animate={{ opacity: 1, y: 0, scale: 1 }}
+              exit={{ opacity: 0, y: 50, scale: 0.8 }}
+              transition={{ duration: 0.5, ease: "easeOut" }}
+              className="fixed bottom-8 right-8 z-50"
+            >
+              <div className="relative glass p-8" style={{ 
+                background: 'var(--color-surface)',
+                border: '2px dashed var(--color-secondary)',
+                maxWidth: '400px'
+              }}>
+                <button
+                  type="button"
+                  onClick={() => setContactStatus('idle')}
+                  className="absolute top-3 right-4 magazine-sans text-lg"
+                  style={{ color: 'var(--color-text-muted)' }}
+                  aria-label={t('contact.dismiss')}
+                >
+                  ×
+                </button>
+
+                <div className="flex items-center gap-4 mb-4">
+                  <div className="w-16 h-16 rounded-full flex items-center justify-center" style={{
+                    border: '3px solid var(--color-secondary)',
+                    color: 'var(--color-secondary)'
+                  }}>
+                    <span className="text-3xl">!</span>
+                  </div>
+                  <div>
+                    <h3 className="magazine-serif text-2xl font-bold">{t('contact.failedTitle')}</h3>
+                    <p className="magazine-sans text-xs" style={{ color: 'var(--color-secondary)' }}>
+                      {t('contact.failedStatus')}
+                    </p>
+                  </div>
+                </div>
+
+                <p className="magazine-sans text-sm leading-relaxed" style={{ color: 'var(--color-text)' }}>
+                  {contactFailure || t('contact.failedBody')}
+                  {email && (() => {
+                    const [before, after] = t('contact.emailFallback').split('{link}');
+                    return (
+                      <>
+                        {' '}{before}
+                        <a href={`mailto:${email}`} className="underline" style={{ color: 'var(--color-primary)' }}>
+                          {t('contact.emailFallbackLink')}
+                        </a>
+                        {after}
+                      </>
+                    );
+                  })()}
+                </p>
+              </div>
+            </motion.div>
+          )}
+        </AnimatePresence>
+
+        {/* Project details */}
+        <AnimatePresence>
+          {openProject && (
+            <ProjectModal
+              key={projectSlug(openProject)}
+              project={openProject}
+              onClose={closeProject}
+              triggerId={`project-trigger-${projectSlug(openProject)}`}
+              locale={intlLocale}
+              t={t}
+            />
+          )}
+        </AnimatePresence>
       </main>
 
       {/* Footer - Magazine Style */}
       <footer className="py-16 px-6 relative" style={{ 
         background: 'linear-gradient(180deg, transparent 0%, var(--color-surface) 100%)',
-        borderTop: '1px solid rgba(255, 255, 255, 0.1)'
+        borderTop: '1px solid var(--color-border)'
       }}>
         <div className="container mx-auto">
           <div className="magazine-divider"></div>
@@ -1962,56 +2676,36 @@ const UltraCV = ({
             {/* Left - Logo */}
             <div className="magazine-span-4">
               <div className="magazine-serif text-3xl font-bold" style={{ color: 'var(--color-primary)' }}>
-                <span style={{ fontWeight: 100 }}>T</span>ahsin <span style={{ fontWeight: 100 }}>M</span>ert <span style={{ fontWeight: 100 }}>M</span>utlu
+                {name.split(' ').map((word, i) => (
+                  <React.Fragment key={i}>
+                    {i > 0 && ' '}
+                    <span style={{ fontWeight: 100 }}>{word.charAt(0)}</span>{word.slice(1)}
+                  </React.Fragment>
+                ))}
               </div>
               <p className="magazine-sans text-xs mt-4" style={{ color: 'var(--color-text-muted)' }}>
-                © {new Date().getFullYear()} ALL RIGHTS RESERVED
+                © {new Date().getFullYear()} {t('footer.rights')}
               </p>
             </div>
             
             {/* Middle - Social Links */}
             <div className="magazine-span-4 flex justify-center gap-8">
-              <a
-                href="https://www.linkedin.com/in/tahsinmertmutlu"
-                target="_blank"
-                rel="noopener noreferrer"
-                aria-label="LinkedIn"
-                className="glass p-4 hover:scale-110 transition-transform"
-                style={{ 
-                  background: 'var(--color-surface)',
-                  border: '1px solid rgba(255, 255, 255, 0.1)'
-                }}
-              >
-                <span className="text-2xl">💼</span>
-              </a>
-              
-              <a
-                href="https://www.instagram.com/tahsin_mert_official/"
-                target="_blank"
-                rel="noopener noreferrer"
-                aria-label="Instagram"
-                className="glass p-4 hover:scale-110 transition-transform"
-                style={{ 
-                  background: 'var(--color-surface)',
-                  border: '1px solid rgba(255, 255, 255, 0.1)'
-                }}
-              >
-                <span className="text-2xl">📸</span>
-              </a>
-              
-              <a
-                href="https://github.com/tahsinmert"
-                target="_blank"
-                rel="noopener noreferrer"
-                aria-label="GitHub"
-                className="glass p-4 hover:scale-110 transition-transform"
-                style={{ 
-                  background: 'var(--color-surface)',
-                  border: '1px solid rgba(255, 255, 255, 0.1)'
-                }}
-              >
-                <span className="text-2xl">🔗</span>
-              </a>
+              {socials.map((social) => (
+                <a
+                  key={social.url}
+                  href={social.url}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  aria-label={social.label}
+                  className="glass p-4 hover:scale-110 transition-transform"
+                  style={{ 
+                    background: 'var(--color-surface)',
+                    border: '1px solid var(--color-border)'
+                  }}
+                >
+                  <span className="text-2xl">{social.icon || '🔗'}</span>
+                </a>
+              ))}
             </div>
             
             {/* Right - Copyright */}
@@ -2028,114 +2722,1294 @@ const UltraCV = ({
       </footer>
     </div>
   );
+
+  return <PageMotion lowBandwidth={lowBandwidth}>{page}</PageMotion>;
+};
+
+/**
+ * Page Motion Component
+ * Turns every framer-motion animation off in low-bandwidth mode; otherwise
+ * they follow the OS prefers-reduced-motion setting
+ */
+const PageMotion = ({ lowBandwidth, children }) => (
+  <MotionConfig reducedMotion={lowBandwidth ? 'always' : 'user'}>{children}</MotionConfig>
+);
+
+PageMotion.propTypes = {
+  lowBandwidth: PropTypes.bool.isRequired,
+  children: PropTypes.node.isRequired
+};
+
+/**
+ * Theme Toggle Component
+ * Switches between the dark and light token sets
+ */
+const ThemeToggle = ({ theme, onToggle, t, className = '' }) => {
+  const next = theme === 'dark' ? 'light' : 'dark';
+
+  return (
+    <button
+      type="button"
+      onClick={onToggle}
+      aria-label={t('theme.toggle')}
+      aria-pressed={theme === 'light'}
+      title={t('theme.switchTo', { theme: t(`theme.${next}`) })}
+      className={`magazine-sans text-xs flex items-center gap-2 hover:opacity-80 transition-opacity ${className}`}
+      style={{ color: 'var(--color-primary)' }}
+    >
+      <span aria-hidden="true" className="text-base">{theme === 'dark' ? '☾' : '☀'}</span>
+      <span className="uppercase">{t(`theme.${theme}`)}</span>
+    </button>
+  );
+};
+
+ThemeToggle.propTypes = {
+  theme: PropTypes.oneOf(['dark', 'light']).isRequired,
+  onToggle: PropTypes.func.isRequired,
+  t: PropTypes.func.isRequired,
+  className: PropTypes.string
+};
+
+/**
+ * Language Switcher Component
+ * Real links to the /, /tr... version of the page, switched in place on click
+ */
+const LanguageSwitcher = ({ locale, onChange, t, className = '' }) => {
+  const pathname = typeof window === 'undefined' ? '/' : window.location.pathname;
+
+  return (
+    <nav aria-label={t('language.label')} className={`magazine-sans text-xs flex items-center gap-2 ${className}`}>
+      {LOCALES.map((code, i) => (
+        <React.Fragment key={code}>
+          {i > 0 && <span aria-hidden="true" style={{ color: 'var(--color-text-muted)' }}>/</span>}
+          <a
+            href={localizePath(pathname, code)}
+            hrefLang={code}
+            lang={code}
+            title={CATALOGS[code].language.name}
+            aria-current={code === locale ? 'true' : undefined}
+            onClick={(e) => {
+              e.preventDefault();
+              onChange(code);
+            }}
+            className="hover:opacity-80 transition-opacity"
+            style={{
+              color: code === locale ? 'var(--color-primary)' : 'var(--color-text-muted)',
+              fontWeight: code === locale ? 700 : 400
+            }}
+          >
+            {CATALOGS[code].language.short}
+          </a>
+        </React.Fragment>
+      ))}
+    </nav>
+  );
+};
+
+LanguageSwitcher.propTypes = {
+  locale: PropTypes.oneOf(LOCALES).isRequired,
+  onChange: PropTypes.func.isRequired,
+  t: PropTypes.func.isRequired,
+  className: PropTypes.string
+};
+
+/**
+ * Token Editor Component
+ * Live view and editor of the theme custom properties for the CSS panel
+ */
+const TokenEditor = ({ preset, theme, onSelectPreset, onTokenChange, onReset, t }) => {
+  const [liveTokens, setLiveTokens] = useState({});
+  const presetKey = Object.keys(THEME_PRESETS).find((key) => THEME_PRESETS[key] === preset) || 'custom';
+
+  // Read the values the document actually resolved, not the preset's
+  useEffect(() => {
+    const styles = getComputedStyle(document.documentElement);
+    setLiveTokens(Object.fromEntries(
+      Object.keys(preset[theme]).map((name) => [name, styles.getPropertyValue(name).trim()])
+    ));
+  }, [preset, theme]);
+
+  const exportPreset = () => {
+    const json = JSON.stringify({ name: preset.name, dark: preset.dark, light: preset.light }, null, 2);
+    const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${preset.name.toLowerCase().replace(/\s+/g, '-')}-preset.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="space-y-4">
+      <label className="flex items-center justify-between gap-2 text-xs">
+        <span className="monospace">{t('devTools.cssPanel.preset')}</span>
+        <select
+          value={presetKey}
+          onChange={(e) => onSelectPreset(e.target.value)}
+          className="monospace text-xs p-1 rounded"
+          style={{ background: 'var(--color-bg)', color: 'var(--color-text)' }}
+        >
+          {Object.entries(THEME_PRESETS).map(([key, { name }]) => (
+            <option key={key} value={key}>{name}</option>
+          ))}
+          {presetKey === 'custom' && <option value="custom" disabled>{preset.name}</option>}
+        </select>
+      </label>
+
+      <p className="text-xs opacity-60">
+        {t('devTools.cssPanel.editing', { theme: t(`theme.${theme}`) })}
+      </p>
+
+      <div className="space-y-3">
+        {Object.keys(preset[theme]).map((name) => {
+          const value = liveTokens[name] || preset[theme][name];
+          const color = parseColor(value);
+          const length = !color && value.match(/^([\d.]+)(rem|px|em)$/);
+
+          return (
+            <div key={name} className="text-xs">
+              <div className="flex items-center justify-between gap-2 mb-1">
+                <code className="monospace">{name}</code>
+                <span className="monospace opacity-60 truncate">{value}</span>
+              </div>
+              {color && (
+                <div className="flex items-center gap-2">
+                  <input
+                    type="color"
+                    value={color.hex}
+                    onChange={(e) => onTokenChange(name, formatColor(e.target.value, color.alpha))}
+                    aria-label={t('devTools.cssPanel.colour', { name })}
+                    className="w-8 h-6 bg-transparent"
+                  />
+                  <input
+                    type="range"
+                    min="0"
+                    max="1"
+                    step="0.01"
+                    value={color.alpha}
+                    onChange={(e) => onTokenChange(name, formatColor(color.hex, parseFloat(e.target.value)))}
+                    aria-label={t('devTools.cssPanel.opacity', { name })}
+                    className="flex-1"
+                  />
+                </div>
+              )}
+              {length && (
+                <input
+                  type="range"
+                  min={length[2] === 'px' ? 0 : 0.25}
+                  max={length[2] === 'px' ? 64 : 4}
+                  step={length[2] === 'px' ? 1 : 0.05}
+                  value={parseFloat(length[1])}
+                  onChange={(e) => onTokenChange(name, `${e.target.value}${length[2]}`)}
+                  aria-label={name}
+                  className="w-full"
+                />
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="flex gap-2 pt-2 border-t border-border">
+        <button onClick={exportPreset} className="monospace text-xs underline hover:opacity-80 transition-opacity">
+          {t('devTools.cssPanel.exportPreset')}
+        </button>
+        <button onClick={onReset} className="monospace text-xs underline hover:opacity-80 transition-opacity">
+          {t('devTools.cssPanel.reset')}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const presetShape = PropTypes.shape({
+  name: PropTypes.string,
+  dark: PropTypes.objectOf(PropTypes.string),
+  light: PropTypes.objectOf(PropTypes.string)
+});
+
+TokenEditor.propTypes = {
+  preset: presetShape.isRequired,
+  theme: PropTypes.oneOf(['dark', 'light']).isRequired,
+  onSelectPreset: PropTypes.func.isRequired,
+  onTokenChange: PropTypes.func.isRequired,
+  onReset: PropTypes.func.isRequired,
+  t: PropTypes.func.isRequired
 };
 
 /**
  * Animated Counter Component
- * Increments number on viewport enter
+ * Counts up to a value on viewport enter, formatted for the locale. Values
+ * that do not start with a number ('Available') are shown as they are, and
+ * with reduced motion the final value shows immediately.
  */
-const AnimatedCounter = ({ value, suffix = '' }) => {
-  const [count, setCount] = useState(0);
+const COUNTER_DURATION = 2000;
+
+const AnimatedCounter = ({ value, suffix = '', locale, reducedMotion = false }) => {
+  const parsed = useMemo(() => parseStatValue(value), [value]);
+  const [progress, setProgress] = useState(0);
   const ref = useRef(null);
   const inView = useInView(ref, { once: true });
 
   useEffect(() => {
+    if (!parsed) return;
+    if (reducedMotion) {
+      setProgress(1);
+      return;
+    }
     if (!inView) return;
-    
-    const target = parseInt(value);
-    const duration = 2000;
-    const steps = 60;
-    const increment = target / steps;
-    const stepDuration = duration / steps;
-
-    let current = 0;
-    const timer = setInterval(() => {
-      current += increment;
-      if (current >= target) {
-        setCount(target);
-        clearInterval(timer);
-      } else {
-        setCount(Math.floor(current));
-      }
-    }, stepDuration);
 
-    return () => clearInterval(timer);
-  }, [inView, value]);
+    let frame;
+    const start = performance.now();
+    const tick = (now) => {
+      const elapsed = Math.min(1, (now - start) / COUNTER_DURATION);
+      // Ease out so the count settles on the final value
+      setProgress(1 - (1 - elapsed) ** 3);
+      if (elapsed < 1) frame = requestAnimationFrame(tick);
+    };
+    frame = requestAnimationFrame(tick);
+
+    return () => cancelAnimationFrame(frame);
+  }, [inView, parsed, reducedMotion]);
+
+  const final = parsed ? formatStatValue(parsed, 1, locale) : String(value);
+  const shown = parsed && !reducedMotion ? formatStatValue(parsed, progress, locale) : final;
 
   return (
     <div ref={ref} className="text-5xl font-bold" style={{ color: 'var(--color-primary)' }}>
-      {count}{suffix}
+      {/* Screen readers get the final value rather than every step */}
+      <span aria-hidden="true">{shown}{suffix}</span>
+      <span className="sr-only">{final}{suffix}</span>
     </div>
   );
 };
 
 AnimatedCounter.propTypes = {
-  value: PropTypes.string.isRequired,
-  suffix: PropTypes.string
+  value: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
+  suffix: PropTypes.string,
+  locale: PropTypes.string,
+  reducedMotion: PropTypes.bool
 };
 
 /**
  * Skill Cloud SVG Component
- * Interactive skill visualization
+ * Skills as circles sized by level and coloured by category, laid out by a
+ * small physics simulation. Nodes can be dragged, and reached with the arrow
+ * keys (Shift + arrows moves the focused node). Hovering or focusing a node
+ * highlights the skill; clicking it (or Enter) pins the highlight.
+ */
+const SkillCloud = ({ skills, activeSkill = null, onHighlight, onSelect, reducedMotion = false, t }) => {
+  const containerRef = useRef(null);
+  const svgRef = useRef(null);
+  const nodeRefs = useRef([]);
+  const drag = useRef(null);
+  const [width, setWidth] = useState(600);
+  const [activeIndex, setActiveIndex] = useState(0);
+  const [tooltipIndex, setTooltipIndex] = useState(null);
+  const [dragging, setDragging] = useState(false);
+
+  const size = useMemo(() => ({ width, height: Math.round(width * CLOUD_ASPECT) }), [width]);
+  const layout = useMemo(() => layoutSkills(skills, size), [skills, size]);
+  const [nodes, setNodes] = useState(layout);
+  const colors = useMemo(() => categoryColors(skills), [skills]);
+  const focusIndex = Math.min(activeIndex, nodes.length - 1);
+  const tooltip = nodes[tooltipIndex];
+
+  useEffect(() => setNodes(layout), [layout]);
+
+  // Lay the cloud out again whenever its column changes width
+  useEffect(() => {
+    const element = containerRef.current;
+    if (!element || typeof ResizeObserver === 'undefined') return;
+
+    const observer = new ResizeObserver(([entry]) => {
+      setWidth(Math.max(240, Math.round(entry.contentRect.width)));
+    });
+    observer.observe(element);
+    return () => observer.disconnect();
+  }, []);
+
+  const moveNode = (index, x, y) => {
+    setNodes((current) => settleLayout(
+      current.map((node, i) => (i === index ? { ...node, x, y, vx: 0, vy: 0 } : node)),
+      size,
+      { iterations: 20, pinned: index }
+    ));
+  };
+
+  const toCloudPoint = (e) => {
+    const rect = svgRef.current.getBoundingClientRect();
+    return {
+      x: ((e.clientX - rect.left) / rect.width) * size.width,
+      y: ((e.clientY - rect.top) / rect.height) * size.height
+    };
+  };
+
+  const startDrag = (e, index) => {
+    const point = toCloudPoint(e);
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+    drag.current = { index, dx: point.x - nodes[index].x, dy: point.y - nodes[index].y, moved: false };
+    setActiveIndex(index);
+    setDragging(true);
+  };
+
+  const continueDrag = (e) => {
+    if (!drag.current) return;
+    const point = toCloudPoint(e);
+    drag.current.moved = true;
+    moveNode(drag.current.index, point.x - drag.current.dx, point.y - drag.current.dy);
+  };
+
+  const endDrag = (e) => {
+    // A press without movement is a click
+    if (drag.current && !drag.current.moved && e.type === 'pointerup') onSelect?.(nodes[drag.current.index].id);
+    drag.current = null;
+    setDragging(false);
+  };
+
+  const focusNode = (index) => {
+    const next = (index + nodes.length) % nodes.length;
+    setActiveIndex(next);
+    nodeRefs.current[next]?.focus();
+  };
+
+  const handleKeyDown = (e, index) => {
+    const step = { ArrowLeft: [-1, 0], ArrowUp: [0, -1], ArrowRight: [1, 0], ArrowDown: [0, 1] }[e.key];
+
+    if (step && e.shiftKey) {
+      e.preventDefault();
+      moveNode(index, nodes[index].x + step[0] * 10, nodes[index].y + step[1] * 10);
+    } else if (step) {
+      e.preventDefault();
+      focusNode(index + (step[0] + step[1] > 0 ? 1 : -1));
+    } else if (e.key === 'Home' || e.key === 'End') {
+      e.preventDefault();
+      focusNode(e.key === 'Home' ? 0 : nodes.length - 1);
+    } else if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      onSelect?.(nodes[index].id);
+    } else if (e.key === 'Escape') {
+      setTooltipIndex(null);
+    }
+  };
+
+  const describe = (skill) => [
+    `${skill.level}%`,
+    skill.years != null && t('skills.years', { count: skill.years }),
+    skill.category
+  ].filter(Boolean).join(' · ');
+
+  if (nodes.length === 0) return null;
+
+  return (
+    <div ref={containerRef} className="relative w-full">
+      <ul className="flex flex-wrap gap-4 mb-4 magazine-sans text-xs" aria-label={t('skills.categories')}>
+        {Object.entries(colors).filter(([category]) => category).map(([category, color]) => (
+          <li key={category} className="flex items-center gap-2">
+            <span className="inline-block w-3 h-3 rounded-full" style={{ background: color }} aria-hidden="true" />
+            {category}
+          </li>
+        ))}
+      </ul>
+
+      <p id="skill-cloud-hint" className="sr-only">{t('skills.cloudHint')}</p>
+      <svg
+        ref={svgRef}
+        viewBox={`0 0 ${size.width} ${size.height}`}
+        className="skill-cloud w-full h-auto"
+        role="group"
+        aria-label={t('skills.cloud')}
+        aria-describedby="skill-cloud-hint"
+      >
+        {nodes.map((node, i) => {
+          const color = colors[node.skill.category || ''];
+          const highlighted = i === tooltipIndex || node.id === activeSkill;
+
+          return (
+            <g
+              key={node.id}
+              ref={(element) => { nodeRefs.current[i] = element; }}
+              role="button"
+              tabIndex={i === focusIndex ? 0 : -1}
+              aria-label={`${node.skill.name}: ${describe(node.skill)}`}
+              className="skill-node draggable"
+              style={{
+                transform: `translate(${node.x}px, ${node.y}px)`,
+                transition: dragging || reducedMotion ? 'none' : 'transform 0.4s ease-out',
+                touchAction: 'none'
+              }}
+              onPointerDown={(e) => startDrag(e, i)}
+              onPointerMove={continueDrag}
+              onPointerUp={endDrag}
+              onPointerCancel={endDrag}
+              onPointerEnter={() => {
+                setTooltipIndex(i);
+                onHighlight?.(node.id);
+              }}
+              onPointerLeave={() => {
+                if (dragging) return;
+                setTooltipIndex(null);
+                onHighlight?.(null);
+              }}
+              onFocus={() => {
+                setActiveIndex(i);
+                setTooltipIndex(i);
+                onHighlight?.(node.id);
+              }}
+              onBlur={() => {
+                setTooltipIndex(null);
+                onHighlight?.(null);
+              }}
+              onKeyDown={(e) => handleKeyDown(e, i)}
+            >
+              <circle
+                r={node.r}
+                fill={color}
+                fillOpacity={highlighted ? 0.55 : 0.25}
+                stroke={color}
+                strokeWidth={highlighted ? 3 : 1.5}
+              />
+              {/* The node's aria-label already names the skill */}
+              <text
+                aria-hidden="true"
+                textAnchor="middle"
+                dominantBaseline="middle"
+                fill="var(--color-text)"
+                fontSize={Math.max(10, node.r * 0.32)}
+                fontWeight="bold"
+                className="pointer-events-none select-none"
+              >
+                {node.skill.name}
+              </text>
+            </g>
+          );
+        })}
+      </svg>
+
+      {tooltip && (
+        <div
+          role="tooltip"
+          className="absolute glass px-3 py-2 magazine-sans text-xs pointer-events-none whitespace-nowrap"
+          style={{
+            left: `${(tooltip.x / size.width) * 100}%`,
+            top: `${((tooltip.y - tooltip.r) / size.height) * 100}%`,
+            transform: 'translate(-50%, calc(-100% - 8px))',
+            border: '1px solid var(--color-border)',
+            background: 'var(--color-surface)'
+          }}
+        >
+          <div className="font-bold">{tooltip.skill.name}</div>
+          <div style={{ color: 'var(--color-text-muted)' }}>{describe(tooltip.skill)}</div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+SkillCloud.propTypes = {
+  skills: PropTypes.arrayOf(PropTypes.shape({
+    name: PropTypes.string.isRequired,
+    level: PropTypes.number.isRequired,
+    category: PropTypes.string,
+    years: PropTypes.number
+  })).isRequired,
+  activeSkill: PropTypes.string,
+  onHighlight: PropTypes.func,
+  onSelect: PropTypes.func,
+  reducedMotion: PropTypes.bool,
+  t: PropTypes.func.isRequired
+};
+
+/**
+ * Skill Relations Component
+ * Where the highlighted skill was used: timeline entries, certifications and projects
  */
-const SkillCloud = () => {
-  const skills = [
-    'React', 'TypeScript', 'Next.js', 'Vue', 'Tailwind', 'Node.js',
-    'GraphQL', 'MongoDB', 'D3.js', 'WebGL', 'GSAP', 'Framer'
+const SkillRelations = ({ skill, pinned, relations, experience, certifications, projects, onOpenProject, onUnpin, t }) => {
+  const chipClass = 'inline-block glass px-3 py-1 magazine-sans text-xs hover:underline';
+  const groups = relations ? [
+    {
+      key: 'experience',
+      items: relations.experience.map((i) => ({ id: i, title: experience[i].title, href: `#experience-${i}` }))
+    },
+    {
+      key: 'certifications',
+      items: relations.certifications.map((i) => ({ id: i, title: certifications[i].title, href: `#certification-${i}` }))
+    },
+    {
+      key: 'projects',
+      items: relations.projects
+        .map((slug) => findProject(projects, slug))
+        .filter(Boolean)
+        .map((project) => ({ id: projectSlug(project), title: project.title, project }))
+    }
+  ].filter((group) => group.items.length > 0) : [];
+
+  return (
+    <div
+      id="skill-relations"
+      aria-live="polite"
+      className={skill ? 'glass p-6' : 'sr-only'}
+      style={skill ? { border: '1px solid var(--color-border)' } : undefined}
+    >
+      {skill && (
+        <>
+          <div className="flex justify-between items-baseline gap-4 mb-4">
+            <div className="magazine-label">{t('skills.usedIn', { skill })}</div>
+            {pinned && (
+              <button type="button" onClick={onUnpin} className="magazine-sans text-xs underline hover:opacity-80">
+                {t('skills.unpin')}
+              </button>
+            )}
+          </div>
+
+          {groups.length === 0 ? (
+            <p className="magazine-sans text-sm" style={{ color: 'var(--color-text-muted)' }}>
+              {t('skills.notLinked')}
+            </p>
+          ) : (
+            <dl className="space-y-3">
+              {groups.map((group) => (
+                <div key={group.key}>
+                  <dt className="magazine-sans text-xs mb-2" style={{ color: 'var(--color-text-muted)' }}>
+                    {t(`skills.relations.${group.key}`)}
+                  </dt>
+                  <dd>
+                    <ul className="flex flex-wrap gap-2">
+                      {group.items.map((item) => (
+                        <li key={item.id}>
+                          {item.project ? (
+                            <button type="button" onClick={() => onOpenProject(item.project)} className={chipClass}>
+                              {item.title}
+                            </button>
+                          ) : (
+                            <a href={item.href} className={chipClass}>{item.title}</a>
+                          )}
+                        </li>
+                      ))}
+                    </ul>
+                  </dd>
+                </div>
+              ))}
+            </dl>
+          )}
+
+          {!pinned && (
+            <p className="magazine-sans text-xs mt-4" style={{ color: 'var(--color-text-muted)' }}>
+              {t('skills.pinHint')}
+            </p>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+SkillRelations.propTypes = {
+  skill: PropTypes.string,
+  pinned: PropTypes.bool,
+  relations: PropTypes.shape({
+    experience: PropTypes.arrayOf(PropTypes.number).isRequired,
+    certifications: PropTypes.arrayOf(PropTypes.number).isRequired,
+    projects: PropTypes.arrayOf(PropTypes.string).isRequired
+  }),
+  experience: PropTypes.arrayOf(PropTypes.object).isRequired,
+  certifications: PropTypes.arrayOf(PropTypes.object).isRequired,
+  projects: PropTypes.arrayOf(PropTypes.object).isRequired,
+  onOpenProject: PropTypes.func.isRequired,
+  onUnpin: PropTypes.func.isRequired,
+  t: PropTypes.func.isRequired
+};
+
+/**
+ * Performance Overlay Component
+ * Live LCP, CLS, INP, long tasks, memory and an FPS sparkline, with a JSON
+ * report; its observers and frame loop stop when it unmounts
+ */
+const SPARKLINE_WIDTH = 208;
+const SPARKLINE_HEIGHT = 32;
+const RATING_CLASSES = { good: 'text-green-400', 'needs-improvement': 'text-yellow-400', poor: 'text-red-400' };
+
+const PerformanceOverlay = ({ network = null, t }) => {
+  const [metrics, setMetrics] = useState(EMPTY_METRICS);
+  const [fpsSamples, setFpsSamples] = useState([]);
+  const [memory, setMemory] = useState(null);
+
+  useEffect(() => observePerformance(setMetrics), []);
+
+  useEffect(() => startFpsMeter((fps) => {
+    setFpsSamples((samples) => addSample(samples, fps));
+    setMemory(readMemory());
+  }), []);
+
+  const downloadReport = () => {
+    const report = performanceReport({
+      metrics,
+      fpsSamples,
+      memory,
+      network,
+      url: window.location.href,
+      userAgent: navigator.userAgent
+    });
+    const url = URL.createObjectURL(new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'performance-report.json';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const fps = fpsSamples[fpsSamples.length - 1];
+  const vitals = [
+    { name: 'lcp', label: 'LCP', text: metrics.lcp === null ? '—' : `${metrics.lcp} ms` },
+    { name: 'cls', label: 'CLS', text: metrics.cls.toFixed(3) },
+    { name: 'inp', label: 'INP', text: metrics.inp === null ? '—' : `${metrics.inp} ms` }
   ];
 
   return (
-    <svg width="600" height="400" viewBox="0 0 600 400" className="skill-cloud">
-      <defs>
-        <radialGradient id="skillGradient" cx="50%" cy="50%">
-          <stop offset="0%" stopColor="var(--color-primary)" />
-          <stop offset="100%" stopColor="var(--color-secondary)" />
-        </radialGradient>
-      </defs>
-
-      {skills.map((skill, i) => {
-        const angle = (i / skills.length) * Math.PI * 2;
-        const radius = 150;
-        const x = 300 + Math.cos(angle) * radius;
-        const y = 200 + Math.sin(angle) * radius;
-
-        return (
-          <g key={i}>
-            <circle
-              cx={x}
-              cy={y}
-              r="40"
-              fill="url(#skillGradient)"
-              opacity="0.3"
-              className="skill-node cursor-pointer hover:opacity-80 transition-opacity"
-            />
-            <text
-              x={x}
-              y={y}
-              textAnchor="middle"
-              dominantBaseline="middle"
-              fill="var(--color-text)"
-              fontSize="14"
-              fontWeight="bold"
-              className="pointer-events-none"
+    <div
+      role="region"
+      aria-label={t('devTools.performanceOverlay.label')}
+      data-audit-ignore=""
+      className="fixed top-24 right-4 z-50 glass p-4 rounded-lg monospace text-xs"
+      style={{ background: 'var(--color-surface)', width: `${SPARKLINE_WIDTH + 32}px` }}
+    >
+      <div className="flex justify-between mb-2">
+        <span className="font-bold">{t('devTools.performanceOverlay.title')}</span>
+        <span>{t('devTools.performanceOverlay.fps', { fps: fps === undefined ? '—' : fps })}</span>
+      </div>
+
+      <svg width={SPARKLINE_WIDTH} height={SPARKLINE_HEIGHT} aria-hidden="true" className="block">
+        <polyline
+          points={sparklinePoints(fpsSamples, { width: SPARKLINE_WIDTH, height: SPARKLINE_HEIGHT })}
+          fill="none"
+          stroke="var(--color-primary)"
+          strokeWidth="1.5"
+        />
+      </svg>
+
+      <dl className="grid grid-cols-2 gap-x-4 gap-y-1 mt-3">
+        {vitals.map(({ name, label, text }) => (
+          <React.Fragment key={name}>
+            <dt className="opacity-60">{label}</dt>
+            <dd className={RATING_CLASSES[rateMetric(name, metrics[name])] || ''}>{text}</dd>
+          </React.Fragment>
+        ))}
+        <dt className="opacity-60">{t('devTools.performanceOverlay.longTasks')}</dt>
+        <dd>{t('devTools.performanceOverlay.longTasksValue', { tasks: metrics.longTasks.count, time: metrics.longTasks.totalBlockingTime })}</dd>
+        <dt className="opacity-60">{t('devTools.performanceOverlay.memory')}</dt>
+        <dd>
+          {memory
+            ? t('devTools.performanceOverlay.memoryValue', { used: memory.used, limit: memory.limit })
+            : t('devTools.performanceOverlay.unavailable')}
+        </dd>
+      </dl>
+
+      <button type="button" onClick={downloadReport} className="underline hover:opacity-80 mt-3">
+        {t('devTools.performanceOverlay.download')}
+      </button>
+    </div>
+  );
+};
+
+PerformanceOverlay.propTypes = {
+  network: PropTypes.shape({
+    online: PropTypes.bool,
+    effectiveType: PropTypes.string,
+    downlink: PropTypes.number,
+    saveData: PropTypes.bool
+  }),
+  t: PropTypes.func.isRequired
+};
+
+/**
+ * Filter Bar Component
+ * Search box and tag chips above a filterable list, with a live result count
+ */
+const FilterBar = ({ id, tags, filter, onChange, tagLabel, searchLabel, shown, total, locale, t }) => {
+  const setTag = (tag) => onChange({ ...filter, tag });
+  const chipClass = (active) =>
+    `magazine-sans text-xs px-3 py-1 rounded-full border transition-opacity ${active ? '' : 'opacity-60 hover:opacity-100'}`;
+  const chipStyle = (active) => ({
+    borderColor: active ? 'var(--color-primary)' : 'var(--color-border)',
+    background: active ? 'var(--color-primary)' : 'var(--color-surface)',
+    color: active ? 'var(--color-bg)' : 'var(--color-text)'
+  });
+
+  return (
+    <div className="mb-12 space-y-4">
+      <div className="flex flex-wrap items-center gap-4">
+        <label htmlFor={`${id}-search`} className="sr-only">{searchLabel}</label>
+        <input
+          id={`${id}-search`}
+          type="search"
+          value={filter.query}
+          onChange={(e) => onChange({ ...filter, query: e.target.value })}
+          placeholder={searchLabel}
+          className="glass flex-1 min-w-[12rem] px-4 py-2 magazine-sans text-sm bg-transparent"
+          style={{ border: '1px solid var(--color-border)' }}
+        />
+        <span className="magazine-sans text-xs" style={{ color: 'var(--color-text-muted)' }} role="status">
+          {t('filters.results', { count: shown, total })}
+        </span>
+        {isFiltered(filter) && (
+          <button
+            type="button"
+            onClick={() => onChange(EMPTY_FILTER)}
+            className="magazine-sans text-xs underline hover:opacity-80"
+          >
+            {t('filters.clear')}
+          </button>
+        )}
+      </div>
+
+      {tags.length > 1 && (
+        <div role="group" aria-label={tagLabel} className="flex flex-wrap gap-2">
+          <button
+            type="button"
+            onClick={() => setTag(null)}
+            aria-pressed={!filter.tag}
+            className={chipClass(!filter.tag)}
+            style={chipStyle(!filter.tag)}
+          >
+            {t('filters.all')}
+          </button>
+          {tags.map(({ tag, count }) => {
+            const active = sameTag(tag, filter.tag, locale);
+            return (
+              <button
+                key={tag}
+                type="button"
+                onClick={() => setTag(active ? null : tag)}
+                aria-pressed={active}
+                className={chipClass(active)}
+                style={chipStyle(active)}
+              >
+                {tag} <span aria-hidden="true">· {count}</span>
+              </button>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+FilterBar.propTypes = {
+  id: PropTypes.string.isRequired,
+  tags: PropTypes.arrayOf(PropTypes.shape({
+    tag: PropTypes.string.isRequired,
+    count: PropTypes.number.isRequired
+  })).isRequired,
+  filter: PropTypes.shape({
+    tag: PropTypes.string,
+    query: PropTypes.string.isRequired
+  }).isRequired,
+  onChange: PropTypes.func.isRequired,
+  tagLabel: PropTypes.string.isRequired,
+  searchLabel: PropTypes.string.isRequired,
+  shown: PropTypes.number.isRequired,
+  total: PropTypes.number.isRequired,
+  locale: PropTypes.string,
+  t: PropTypes.func.isRequired
+};
+
+const imageShape = PropTypes.shape({
+  src: PropTypes.string.isRequired,
+  alt: PropTypes.string,
+  caption: PropTypes.string
+});
+
+// Portfolio projects and services share one shape; services use a subset
+const projectShape = PropTypes.shape({
+  title: PropTypes.string.isRequired,
+  slug: PropTypes.string,
+  role: PropTypes.string,
+  startDate: PropTypes.string,
+  endDate: PropTypes.string,
+  description: PropTypes.string,
+  details: PropTypes.arrayOf(PropTypes.string),
+  cover: imageShape,
+  screenshots: PropTypes.arrayOf(imageShape),
+  video: PropTypes.shape({
+    src: PropTypes.string.isRequired,
+    poster: PropTypes.string,
+    title: PropTypes.string
+  }),
+  liveUrl: PropTypes.string,
+  repoUrl: PropTypes.string,
+  tech: PropTypes.arrayOf(PropTypes.string),
+  metrics: PropTypes.arrayOf(PropTypes.shape({
+    label: PropTypes.string.isRequired,
+    value: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired
+  })),
+  featured: PropTypes.bool
+});
+
+const FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]), select, textarea, [tabindex]:not([tabindex="-1"])';
+
+/**
+ * Project Modal Component
+ * Project/service details with a screenshot gallery, video, outcome metrics,
+ * tech list and links.
+ * Traps focus while open, closes on Escape or a click on the backdrop and
+ * gives focus back to whatever opened it
+ */
+const ProjectModal = ({ project, onClose, triggerId, locale, t }) => {
+  const dialogRef = useRef(null);
+  const closeRef = useRef(null);
+  const [imageIndex, setImageIndex] = useState(0);
+  const titleId = 'project-modal-title';
+  // The cover leads the gallery unless it is also one of the screenshots
+  const screenshots = [project.cover, ...(project.screenshots || [])]
+    .filter(Boolean)
+    .filter((shot, i, all) => all.findIndex((other) => other.src === shot.src) === i);
+  const details = project.details?.length ? project.details : [project.description].filter(Boolean);
+  const image = screenshots[imageIndex];
+  const period = projectPeriod(project, locale, t('project.present'));
+  const embedUrl = project.video && videoEmbedUrl(project.video.src);
+
+  useEffect(() => {
+    const previous = document.activeElement;
+    const { overflow } = document.body.style;
+    document.body.style.overflow = 'hidden';
+    closeRef.current?.focus();
+
+    return () => {
+      document.body.style.overflow = overflow;
+      // Deep links open the modal without a trigger, and the command palette that
+      // opened it is gone by now; fall back to the card's button
+      const target = previous?.isConnected && previous !== document.body ? previous : document.getElementById(triggerId);
+      target?.focus();
+    };
+  }, [triggerId]);
+
+  // Listen on the document so Escape still closes the modal after focus has
+  // left it, e.g. after a click on the backdrop
+  useEffect(() => {
+    const handleEscape = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    document.addEventListener('keydown', handleEscape);
+    return () => document.removeEventListener('keydown', handleEscape);
+  }, [onClose]);
+
+  const handleKeyDown = (e) => {
+    if (e.key !== 'Tab') return;
+
+    const focusable = [...dialogRef.current.querySelectorAll(FOCUSABLE)];
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    if (e.shiftKey && document.activeElement === first) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  };
+
+  const showImage = (index) => setImageIndex((index + screenshots.length) % screenshots.length);
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="fixed inset-0 z-[60] flex items-center justify-center p-4 md:p-8"
+      style={{ background: 'rgba(0, 0, 0, 0.7)' }}
+      onClick={(e) => e.target === e.currentTarget && onClose()}
+    >
+      <motion.div
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby={titleId}
+        onKeyDown={handleKeyDown}
+        initial={{ opacity: 0, y: 40 }}
+        animate={{ opacity: 1, y: 0 }}
+        exit={{ opacity: 0, y: 40 }}
+        className="relative w-full max-w-4xl max-h-full overflow-y-auto"
+        style={{
+          background: 'var(--color-bg)',
+          border: '1px solid var(--color-border)',
+          color: 'var(--color-text)'
+        }}
+      >
+        <button
+          ref={closeRef}
+          onClick={onClose}
+          aria-label={t('project.close')}
+          className="absolute top-4 right-4 z-10 glass w-10 h-10 flex items-center justify-center text-xl hover:scale-110 transition-transform"
+          style={{ background: 'var(--color-surface)', border: '1px solid var(--color-border)' }}
+        >
+          ✕
+        </button>
+
+        {/* Gallery */}
+        {image ? (
+          <figure>
+            <div className="relative" style={{ background: 'var(--color-surface)' }}>
+              <img
+                src={image.src}
+                alt={image.alt || ''}
+                className="w-full max-h-[60vh] object-contain"
+              />
+              {screenshots.length > 1 && (
+                <>
+                  <button
+                    onClick={() => showImage(imageIndex - 1)}
+                    aria-label={t('project.previousImage')}
+                    className="absolute left-4 top-1/2 -translate-y-1/2 glass w-10 h-10 flex items-center justify-center"
+                    style={{ background: 'var(--color-surface)' }}
+                  >
+                    ←
+                  </button>
+                  <button
+                    onClick={() => showImage(imageIndex + 1)}
+                    aria-label={t('project.nextImage')}
+                    className="absolute right-4 top-1/2 -translate-y-1/2 glass w-10 h-10 flex items-center justify-center"
+                    style={{ background: 'var(--color-surface)' }}
+                  >
+                    →
+                  </button>
+                </>
+              )}
+            </div>
+            {image.caption && (
+              <figcaption className="px-8 pt-4 magazine-sans text-xs" style={{ color: 'var(--color-text-muted)' }}>
+                {image.caption}
+              </figcaption>
+            )}
+            {screenshots.length > 1 && (
+              <div className="flex gap-2 px-8 pt-4 overflow-x-auto" role="group" aria-label={t('project.gallery')}>
+                {screenshots.map((shot, i) => (
+                  <button
+                    key={shot.src}
+                    onClick={() => showImage(i)}
+                    aria-label={t('project.showImage', { index: i + 1, total: screenshots.length })}
+                    aria-current={i === imageIndex}
+                    className="flex-shrink-0 w-20 h-14 overflow-hidden transition-opacity"
+                    style={{
+                      border: `2px solid ${i === imageIndex ? 'var(--color-primary)' : 'transparent'}`,
+                      opacity: i === imageIndex ? 1 : 0.6
+                    }}
+                  >
+                    <img src={shot.src} alt="" className="w-full h-full object-cover" />
+                  </button>
+                ))}
+              </div>
+            )}
+          </figure>
+        ) : (
+          <div
+            className="h-48 flex items-center justify-center text-8xl"
+            style={{ background: 'linear-gradient(135deg, var(--color-primary), var(--color-secondary))', opacity: 0.2 }}
+            aria-hidden="true"
+          >
+            🚀
+          </div>
+        )}
+
+        <div className="p-8 md:p-12">
+          {project.featured && (
+            <div className="magazine-label mb-4">{t('services.featured')}</div>
+          )}
+          <h2 id={titleId} className="magazine-serif text-4xl md:text-6xl mb-4 leading-none">
+            {project.title}
+          </h2>
+          {(project.role || period) && (
+            <p className="magazine-sans text-sm mb-8" style={{ color: 'var(--color-text-muted)' }}>
+              {[project.role, period].filter(Boolean).join(' · ')}
+            </p>
+          )}
+
+          {project.video && (
+            <div className="mb-8">
+              {embedUrl ? (
+                <iframe
+                  src={embedUrl}
+                  title={project.video.title || project.title}
+                  loading="lazy"
+                  allow="fullscreen; picture-in-picture"
+                  className="w-full aspect-video"
+                />
+              ) : (
+                <video
+                  src={project.video.src}
+                  poster={project.video.poster}
+                  title={project.video.title || project.title}
+                  controls
+                  preload="metadata"
+                  className="w-full"
+                />
+              )}
+            </div>
+          )}
+
+          <div className="space-y-4 mb-8">
+            {details.map((paragraph, i) => (
+              <p key={i} className="text-lg leading-relaxed" style={{ color: 'var(--color-text-muted)' }}>
+                {paragraph}
+              </p>
+            ))}
+          </div>
+
+          {project.metrics?.length > 0 && (
+            <>
+              <h3 className="magazine-sans text-xs font-bold mb-3">{t('project.outcomes')}</h3>
+              <div className="grid grid-cols-2 md:grid-cols-3 gap-4 mb-8">
+                {project.metrics.map((metric) => (
+                  <div
+                    key={metric.label}
+                    className="glass p-4"
+                    style={{ background: 'var(--color-surface)', border: '1px solid var(--color-border)' }}
+                  >
+                    <div className="magazine-serif text-4xl leading-none" style={{ color: 'var(--color-primary)' }}>
+                      {metric.value}
+                    </div>
+                    <div className="magazine-sans text-xs mt-2" style={{ color: 'var(--color-text-muted)' }}>
+                      {metric.label}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </>
+          )}
+
+          {project.tech?.length > 0 && (
+            <>
+              <h3 className="magazine-sans text-xs font-bold mb-3">{t('project.tech')}</h3>
+              <ul className="flex flex-wrap gap-2 mb-8">
+                {project.tech.map((tech) => (
+                  <li
+                    key={tech}
+                    className="glass px-3 py-1 magazine-sans text-xs"
+                    style={{ background: 'var(--color-surface)', border: '1px solid var(--color-border)' }}
+                  >
+                    {tech}
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+
+          {(project.liveUrl || project.repoUrl) && (
+            <div className="flex flex-wrap gap-4">
+              {project.liveUrl && (
+                <a
+                  href={project.liveUrl}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="glass px-6 py-3 magazine-sans text-sm font-bold hover:scale-105 transition-transform"
+                  style={{ background: 'var(--color-primary)', color: 'var(--color-bg)' }}
+                >
+                  {t('project.live')} ↗
+                </a>
+              )}
+              {project.repoUrl && (
+                <a
+                  href={project.repoUrl}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="glass px-6 py-3 magazine-sans text-sm font-bold hover:scale-105 transition-transform"
+                  style={{ border: '1px solid var(--color-primary)', color: 'var(--color-primary)' }}
+                >
+                  {t('project.repo')} ↗
+                </a>
+              )}
+            </div>
+          )}
+        </div>
+      </motion.div>
+    </motion.div>
+  );
+};
+
+ProjectModal.propTypes = {
+  project: projectShape.isRequired,
+  onClose: PropTypes.func.isRequired,
+  triggerId: PropTypes.string.isRequired,
+  locale: PropTypes.string,
+  t: PropTypes.func.isRequired
+};
+
+/**
+ * Command Palette Component
+ * Fuzzy search over sections, timeline entries, certifications, projects and
+ * actions. Focus stays in the combobox input: the arrow keys move the active
+ * option, Enter runs it, Escape or a click on the backdrop closes the palette
+ * and gives focus back to whatever had it
+ */
+const CommandPalette = ({ commands, onSelect, onClose, locale, t }) => {
+  const inputRef = useRef(null);
+  const selected = useRef(false);
+  const [query, setQuery] = useState('');
+  const [activeIndex, setActiveIndex] = useState(0);
+  const listboxId = 'command-palette-options';
+  const optionId = (command) => `command-palette-${command.id.replace(/[^\w-]/g, '-')}`;
+  const results = useMemo(() => searchCommands(commands, query, locale), [commands, query, locale]);
+  const active = results[Math.min(activeIndex, results.length - 1)];
+
+  useEffect(() => {
+    const previous = document.activeElement;
+    const { overflow } = document.body.style;
+    document.body.style.overflow = 'hidden';
+    inputRef.current?.focus();
+
+    return () => {
+      document.body.style.overflow = overflow;
+      // A command that was run moves focus itself (to a section, a project...)
+      if (!selected.current && previous?.isConnected) previous.focus();
+    };
+  }, []);
+
+  useEffect(() => {
+    if (active) document.getElementById(optionId(active))?.scrollIntoView({ block: 'nearest' });
+  }, [active]);
+
+  const select = (command) => {
+    selected.current = true;
+    onSelect(command);
+  };
+
+  const moveActive = (step) => {
+    if (results.length === 0) return;
+    setActiveIndex((index) => (Math.min(index, results.length - 1) + step + results.length) % results.length);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      moveActive(e.key === 'ArrowDown' ? 1 : -1);
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      if (active) select(active);
+    } else if (e.key === 'Escape') {
+      e.stopPropagation();
+      onClose();
+    } else if (e.key === 'Tab') {
+      // The input is the only stop; options are reached with the arrow keys
+      e.preventDefault();
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      className="fixed inset-0 z-[70] flex items-start justify-center p-4 pt-[15vh]"
+      style={{ background: 'rgba(0, 0, 0, 0.6)' }}
+      onClick={(e) => e.target === e.currentTarget && onClose()}
+    >
+      <motion.div
+        role="dialog"
+        aria-modal="true"
+        aria-label={t('palette.title')}
+        onKeyDown={handleKeyDown}
+        initial={{ opacity: 0, y: -20 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="w-full max-w-xl flex flex-col max-h-[70vh]"
+        style={{
+          background: 'var(--color-bg)',
+          border: '1px solid var(--color-border)',
+          color: 'var(--color-text)'
+        }}
+      >
+        <input
+          ref={inputRef}
+          type="text"
+          role="combobox"
+          aria-label={t('palette.label')}
+          aria-expanded={results.length > 0}
+          aria-controls={listboxId}
+          aria-autocomplete="list"
+          aria-activedescendant={active ? optionId(active) : undefined}
+          autoComplete="off"
+          spellCheck="false"
+          placeholder={t('palette.placeholder')}
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setActiveIndex(0);
+          }}
+          className="w-full px-5 py-4 magazine-sans text-base bg-transparent outline-none"
+          style={{ borderBottom: '1px solid var(--color-border)', color: 'var(--color-text)' }}
+        />
+
+        <ul id={listboxId} role="listbox" aria-label={t('palette.title')} className="overflow-y-auto py-2">
+          {results.map((command) => (
+            <li
+              key={command.id}
+              id={optionId(command)}
+              role="option"
+              aria-selected={command === active}
+              onMouseMove={() => setActiveIndex(results.indexOf(command))}
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => select(command)}
+              className="px-5 py-2 flex items-baseline gap-3 cursor-pointer"
+              style={{
+                background: command === active ? 'var(--color-surface)' : 'transparent',
+                borderLeft: `2px solid ${command === active ? 'var(--color-primary)' : 'transparent'}`
+              }}
             >
-              {skill}
-            </text>
-          </g>
-        );
-      })}
-    </svg>
+              <span className="magazine-sans text-sm flex-1 min-w-0 truncate">
+                {highlightParts(command.label, command.matches).map((part, i) => (part.match
+                  ? <mark key={i} style={{ background: 'none', color: 'var(--color-primary)', fontWeight: 700 }}>{part.text}</mark>
+                  : <React.Fragment key={i}>{part.text}</React.Fragment>))}
+                {command.detail && (
+                  <span className="ml-2 text-xs" style={{ color: 'var(--color-text-muted)' }}>{command.detail}</span>
+                )}
+              </span>
+              <span className="magazine-sans text-xs uppercase tracking-widest" style={{ color: 'var(--color-text-muted)' }}>
+                {t(`palette.groups.${command.group}`)}
+              </span>
+            </li>
+          ))}
+        </ul>
+
+        {results.length === 0 && (
+          <p className="px-5 py-6 magazine-sans text-sm" style={{ color: 'var(--color-text-muted)' }}>
+            {t('palette.empty', { query })}
+          </p>
+        )}
+
+        <p
+          className="px-5 py-2 magazine-sans text-xs flex justify-between gap-4"
+          style={{ borderTop: '1px solid var(--color-border)', color: 'var(--color-text-muted)' }}
+        >
+          <span aria-hidden="true">{t('palette.hint')}</span>
+          <span role="status">{t('palette.results', { count: results.length })}</span>
+        </p>
+      </motion.div>
+    </motion.div>
   );
 };
 
+CommandPalette.propTypes = {
+  commands: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    group: PropTypes.oneOf(PALETTE_GROUPS).isRequired,
+    label: PropTypes.string.isRequired,
+    detail: PropTypes.string,
+    keywords: PropTypes.arrayOf(PropTypes.string)
+  })).isRequired,
+  onSelect: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired,
+  locale: PropTypes.string,
+  t: PropTypes.func.isRequired
+};
+
 /**
  * Project Card Component
- * 3D tilt effect with hover interactions
+ * 3D tilt effect with hover interactions; clicking opens the project's details
  */
-const ProjectCard = ({ project, index }) => {
+const ProjectCard = ({ project, index, onOpen, locale, t }) => {
   const [mousePosition, setMousePosition] = useState({ x: 0, y: 0 });
   const [isHovered, setIsHovered] = useState(false);
   const cardRef = useRef(null);
+  const period = projectPeriod(project, locale, t('project.present'));
+  const tech = project.tech || [];
+  const metrics = (project.metrics || []).slice(0, 2);
 
   const handleMouseMove = (e) => {
     const rect = cardRef.current.getBoundingClientRect();
@@ -2157,31 +4031,75 @@ const ProjectCard = ({ project, index }) => {
       transition={{ delay: index * 0.1 }}
       onMouseMove={handleMouseMove}
       onMouseEnter={() => setIsHovered(true)}
-      onMouseLeave={() => setIsHovered(false)}
+      onMouseLeave={() => {
+        setIsHovered(false);
+        setMousePosition({ x: 0, y: 0 });
+      }}
+      onClick={() => onOpen(project)}
       className="glass p-6 rounded-lg cursor-pointer group"
       style={{
         transform: `perspective(1000px) rotateX(${-mousePosition.y}deg) rotateY(${mousePosition.x}deg)`,
-        transition: 'transform 0.1s ease-out'
+        transition: 'transform 0.1s ease-out',
+        border: '1px solid var(--color-border)'
       }}
     >
-      <div 
-        className="w-full h-48 rounded-lg mb-4 flex items-center justify-center"
-        style={{ 
-          background: `linear-gradient(135deg, var(--color-primary), var(--color-secondary))`,
-          opacity: 0.2
-        }}
-      >
-        {/* Placeholder for project image or Lottie */}
-        <span className="text-4xl">🚀</span>
-      </div>
+      {project.cover ? (
+        <img
+          src={project.cover.src}
+          alt={project.cover.alt || ''}
+          loading="lazy"
+          className="w-full h-48 rounded-lg mb-4 object-cover"
+        />
+      ) : (
+        <div 
+          className="w-full h-48 rounded-lg mb-4 flex items-center justify-center magazine-serif text-7xl"
+          style={{ 
+            background: `linear-gradient(135deg, var(--color-primary), var(--color-secondary))`,
+            color: 'var(--color-bg)'
+          }}
+          aria-hidden="true"
+        >
+          {project.title.charAt(0)}
+        </div>
+      )}
 
-      <h3 className="text-2xl font-bold mb-2">{project.title}</h3>
+      {(project.role || period) && (
+        <div className="magazine-sans text-xs mb-2" style={{ color: 'var(--color-text-muted)' }}>
+          {[project.role, period].filter(Boolean).join(' · ')}
+        </div>
+      )}
+      <h3 className="text-2xl font-bold mb-2">
+        {/* Keyboard access: the click bubbles up to the card */}
+        <button
+          type="button"
+          id={`project-trigger-${projectSlug(project)}`}
+          aria-haspopup="dialog"
+          className="text-left hover:underline"
+        >
+          {project.title}
+        </button>
+      </h3>
       <p className="mb-4" style={{ color: 'var(--color-text-muted)' }}>
         {project.description}
       </p>
 
+      {metrics.length > 0 && (
+        <div className="flex gap-8 mb-4">
+          {metrics.map((metric) => (
+            <div key={metric.label}>
+              <div className="magazine-serif text-3xl leading-none" style={{ color: 'var(--color-primary)' }}>
+                {metric.value}
+              </div>
+              <div className="magazine-sans text-xs mt-1" style={{ color: 'var(--color-text-muted)' }}>
+                {metric.label}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
       <div className="flex flex-wrap gap-2">
-        {project.tech.map((tech, i) => (
+        {tech.map((item, i) => (
           <motion.span
             key={i}
             initial={{ opacity: 0 }}
@@ -2189,7 +4107,7 @@ const ProjectCard = ({ project, index }) => {
             className="text-xs glass px-3 py-1 rounded-full"
             style={{ background: 'var(--color-surface)' }}
           >
-            {tech}
+            {item}
           </motion.span>
         ))}
       </div>
@@ -2198,21 +4116,216 @@ const ProjectCard = ({ project, index }) => {
 };
 
 ProjectCard.propTypes = {
-  project: PropTypes.shape({
-    title: PropTypes.string.isRequired,
-    description: PropTypes.string.isRequired,
-    tech: PropTypes.arrayOf(PropTypes.string).isRequired,
-    color: PropTypes.string
-  }).isRequired,
-  index: PropTypes.number.isRequired
+  project: projectShape.isRequired,
+  index: PropTypes.number.isRequired,
+  onOpen: PropTypes.func.isRequired,
+  locale: PropTypes.string,
+  t: PropTypes.func.isRequired
 };
 
+const terminalLineShape = PropTypes.oneOfType([
+  PropTypes.string,
+  PropTypes.shape({
+    text: PropTypes.string,
+    stream: PropTypes.oneOf(['stdout', 'stderr']),
+    delay: PropTypes.number,
+    color: PropTypes.string
+  })
+]);
+
+const terminalScriptShape = PropTypes.shape({
+  title: PropTypes.string,
+  prompt: PropTypes.string,
+  loop: PropTypes.bool,
+  typingDelay: PropTypes.number,
+  colors: PropTypes.objectOf(PropTypes.string),
+  steps: PropTypes.arrayOf(PropTypes.oneOfType([
+    PropTypes.string,
+    PropTypes.shape({
+      command: PropTypes.string.isRequired,
+      prompt: PropTypes.string,
+      delay: PropTypes.number,
+      typingDelay: PropTypes.number,
+      output: PropTypes.arrayOf(terminalLineShape),
+      pause: PropTypes.number
+    })
+  ])).isRequired
+});
+
 /**
  * Terminal Widget Component
- * Typewriter effect with pause/play controls
+ * Plays scripted sessions (see src/lib/terminalScript.js) with restart,
+ * play/pause and seek controls, or runs an interactive shell
+ * (see src/lib/shell.js) with history and tab completion. Both keep a
+ * bounded, copyable log and announce finished commands to screen readers.
  */
-const Terminal = ({ paused, currentLine, transcript, onPauseToggle, showTranscript }) => {
+const Terminal = ({
+  scripts,
+  animate,
+  showTranscript,
+  maxLines,
+  interactive,
+  onInteractiveChange,
+  resume,
+  theme,
+  onThemeChange,
+  locale,
+  t
+}) => {
   const terminalRef = useRef(null);
+  const inputRef = useRef(null);
+  const stickToBottom = useRef(true);
+  const [shellLines, setShellLines] = useState([]);
+  const [input, setInput] = useState('');
+  const [history, setHistory] = useState([]);
+  const [historyIndex, setHistoryIndex] = useState(-1);
+  const [sessionIndex, setSessionIndex] = useState(0);
+  const [time, setTime] = useState(0);
+  const [paused, setPaused] = useState(false);
+  const [logVisible, setLogVisible] = useState(showTranscript);
+  const [copyStatus, setCopyStatus] = useState('idle');
+
+  const script = scripts[sessionIndex] || scripts[0];
+  const timeline = useMemo(() => buildTimeline(script), [script]);
+  const finished = !timeline.loop && time >= timeline.duration;
+  // Without animation (low bandwidth) the finished session is shown at once
+  const session = terminalStateAt(timeline, animate ? time : timeline.duration);
+  const colors = timeline.colors;
+
+  const log = interactive ? shellLines : session.lines.slice(-maxLines);
+  const visibleLines = logVisible ? log : lastBlock(log);
+  // A command counts as finished once the next prompt appears
+  const atPrompt = session.current !== null;
+  const announcement = interactive || atPrompt ? transcriptText(lastBlock(log)) : '';
+
+  useEffect(() => {
+    setLogVisible(showTranscript);
+  }, [showTranscript]);
+
+  // Step from one event to the next; looping scripts start over after loopDelay
+  useEffect(() => {
+    if (paused || interactive || !animate) return;
+
+    const next = nextEventTime(timeline, time);
+    if (next === null && !timeline.loop) return;
+
+    const timer = next === null
+      ? setTimeout(() => setTime(0), timeline.loopDelay)
+      : setTimeout(() => setTime(next), next - time);
+    return () => clearTimeout(timer);
+  }, [timeline, time, paused, interactive, animate]);
+
+  // Follow new lines unless the reader has scrolled up
+  useEffect(() => {
+    const body = terminalRef.current;
+    if (body && stickToBottom.current) body.scrollTop = body.scrollHeight;
+  }, [visibleLines.length, atPrompt, interactive]);
+
+  const handleScroll = (e) => {
+    const { scrollTop, scrollHeight, clientHeight } = e.currentTarget;
+    stickToBottom.current = scrollHeight - scrollTop - clientHeight < 24;
+  };
+
+  useEffect(() => {
+    if (copyStatus === 'idle') return;
+    const timer = setTimeout(() => setCopyStatus('idle'), 2000);
+    return () => clearTimeout(timer);
+  }, [copyStatus]);
+
+  const copyTranscript = async () => {
+    try {
+      await navigator.clipboard.writeText(transcriptText(log));
+      setCopyStatus('copied');
+    } catch {
+      setCopyStatus('failed');
+    }
+  };
+
+  const restart = () => {
+    setTime(0);
+    setPaused(false);
+  };
+
+  const togglePlayback = () => {
+    if (finished) {
+      restart();
+    } else {
+      setPaused(!paused);
+    }
+  };
+
+  const selectSession = (index) => {
+    setSessionIndex(index);
+    restart();
+  };
+
+  const addLines = (command, output) => {
+    const prompt = command === null ? [] : [{ kind: 'command', prompt: '$', text: command }];
+    setShellLines((prev) => [...prev, ...prompt, ...output].slice(-maxLines));
+  };
+
+  const startShell = () => {
+    if (shellLines.length === 0) addLines(null, [{ text: t('shell.welcome'), kind: 'muted' }]);
+    stickToBottom.current = true;
+    onInteractiveChange(true);
+  };
+
+  // Focus the prompt when the shell opens
+  useEffect(() => {
+    if (interactive) inputRef.current?.focus();
+  }, [interactive]);
+
+  const submitCommand = (e) => {
+    e.preventDefault();
+    const command = input.trim();
+    setInput('');
+    setHistoryIndex(-1);
+    stickToBottom.current = true;
+
+    if (!command) {
+      addLines('', []);
+      return;
+    }
+    setHistory((prev) => (prev[prev.length - 1] === command ? prev : [...prev, command]));
+
+    const { output, clear } = runCommand(command, { resume, theme, setTheme: onThemeChange, t, locale });
+    if (clear) {
+      setShellLines([]);
+    } else {
+      addLines(command, output);
+    }
+  };
+
+  const browseHistory = (step) => {
+    if (history.length === 0) return;
+    const index = Math.min(history.length - 1, Math.max(-1, historyIndex + step));
+    setHistoryIndex(index);
+    setInput(index === -1 ? '' : history[history.length - 1 - index]);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      browseHistory(1);
+    } else if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      browseHistory(-1);
+    } else if (e.key === 'Tab' && input.trim()) {
+      e.preventDefault();
+      const { completed, candidates } = completeCommand(input);
+      if (candidates.length > 1) addLines(input, [{ text: candidates.join('  '), kind: 'muted' }]);
+      setInput(completed);
+    } else if (e.key === 'l' && e.ctrlKey) {
+      e.preventDefault();
+      setShellLines([]);
+    }
+  };
+
+  const copyLabel = {
+    idle: t('terminal.copy'),
+    copied: t('terminal.copied'),
+    failed: t('terminal.copyFailed')
+  }[copyStatus];
 
   return (
     <motion.div
@@ -2231,50 +4344,198 @@ const Terminal = ({ paused, currentLine, transcript, onPauseToggle, showTranscri
             <div className="w-3 h-3 rounded-full bg-green-500"></div>
           </div>
           <span className="ml-4 monospace text-sm">Terminal</span>
+          {!interactive && scripts.length > 1 && (
+            <div role="group" aria-label={t('terminal.sessions')} className="flex gap-1 ml-4">
+              {scripts.map((item, index) => (
+                <button
+                  key={index}
+                  type="button"
+                  onClick={() => selectSession(index)}
+                  aria-pressed={index === sessionIndex}
+                  className={`monospace text-xs px-2 py-1 rounded transition-opacity ${index === sessionIndex ? 'bg-white/10' : 'opacity-60 hover:opacity-100'}`}
+                >
+                  {item.title || `#${index + 1}`}
+                </button>
+              ))}
+            </div>
+          )}
         </div>
         
-        <div className="flex gap-2">
+        <div className="flex items-center gap-4">
+          <button
+            type="button"
+            onClick={interactive ? () => onInteractiveChange(false) : startShell}
+            aria-pressed={interactive}
+            className="monospace text-xs uppercase tracking-wider hover:opacity-80 transition-opacity"
+          >
+            {interactive ? t('terminal.demo') : t('terminal.interactive')}
+          </button>
           <button
-            onClick={onPauseToggle}
-            aria-label={paused ? 'Play terminal' : 'Pause terminal'}
-            className="monospace text-sm hover:opacity-80 transition-opacity"
+            type="button"
+            onClick={() => setLogVisible(!logVisible)}
+            aria-pressed={logVisible}
+            aria-label={t('terminal.log')}
+            title={t('terminal.log')}
+            className={`monospace text-sm transition-opacity ${logVisible ? 'hover:opacity-80' : 'opacity-50 hover:opacity-100'}`}
           >
-            {paused ? '▶' : '⏸'}
+            ☰
           </button>
+          <button
+            type="button"
+            onClick={copyTranscript}
+            disabled={log.length === 0}
+            aria-label={copyLabel}
+            title={copyLabel}
+            className="monospace text-sm hover:opacity-80 transition-opacity disabled:opacity-30"
+          >
+            {copyStatus === 'copied' ? '✓' : '⧉'}
+          </button>
+          {!interactive && animate && (
+            <>
+              <input
+                type="range"
+                min={0}
+                max={timeline.duration}
+                step={10}
+                value={Math.min(time, timeline.duration)}
+                onChange={(e) => setTime(Number(e.target.value))}
+                aria-label={t('terminal.seek')}
+                aria-valuetext={t('terminal.position', {
+                  current: (Math.min(time, timeline.duration) / 1000).toFixed(1),
+                  total: (timeline.duration / 1000).toFixed(1)
+                })}
+                className="w-24 hidden sm:block"
+                style={{ accentColor: colors.accent }}
+              />
+              <button
+                type="button"
+                onClick={restart}
+                aria-label={t('terminal.restart')}
+                className="monospace text-sm hover:opacity-80 transition-opacity"
+              >
+                ⏮
+              </button>
+              <button
+                onClick={togglePlayback}
+                aria-label={paused || finished ? t('terminal.play') : t('terminal.pause')}
+                className="monospace text-sm hover:opacity-80 transition-opacity"
+              >
+                {paused || finished ? '▶' : '⏸'}
+              </button>
+            </>
+          )}
         </div>
       </div>
 
       {/* Terminal body */}
-      <div ref={terminalRef} className="p-6 font-mono text-sm" style={{ color: '#0af' }}>
-        <div className="whitespace-pre-wrap">
-          {transcript}
-        </div>
-        <div className="flex items-center gap-2">
-          <span style={{ color: '#0af' }}>$</span>
-          <span>{currentLine}</span>
-          <motion.span
-            animate={{ opacity: [1, 0] }}
-            transition={{ duration: 0.8, repeat: Infinity }}
-            style={{ color: '#0af' }}
+      <div
+        ref={terminalRef}
+        onScroll={handleScroll}
+        onClick={interactive ? () => inputRef.current?.focus() : undefined}
+        className="p-6 font-mono text-sm max-h-96 overflow-y-auto"
+      >
+        {visibleLines.map((line, i) => (
+          <div
+            key={i}
+            className="whitespace-pre-wrap"
+            style={{ color: line.color || colors[line.kind] }}
           >
-            ▊
-          </motion.span>
+            {line.kind === 'command' && <span style={{ color: colors.prompt }}>{line.prompt} </span>}
+            {line.text || '\u00a0'}
+          </div>
+        ))}
+
+        {interactive ? (
+          <form onSubmit={submitCommand} className="flex items-center gap-2">
+            <span style={{ color: colors.prompt }}>$</span>
+            <label htmlFor="terminal-input" className="sr-only">{t('terminal.inputLabel')}</label>
+            <input
+              ref={inputRef}
+              id="terminal-input"
+              type="text"
+              value={input}
+              onChange={(e) => setInput(e.target.value)}
+              onKeyDown={handleKeyDown}
+              autoComplete="off"
+              autoCapitalize="off"
+              spellCheck={false}
+              className="flex-1 bg-transparent outline-none"
+              style={{ color: colors.stdout, caretColor: colors.prompt }}
+            />
+          </form>
+        ) : session.current && (
+          // Typed characters are not read out; the live region below has the result
+          <div className="flex items-center gap-2" style={{ color: colors.command }} aria-hidden="true">
+            <span style={{ color: colors.prompt }}>{session.current.prompt}</span>
+            <span>{session.current.text}</span>
+            <motion.span
+              animate={{ opacity: [1, 0] }}
+              transition={{ duration: 0.8, repeat: Infinity }}
+              style={{ color: colors.prompt }}
+            >
+              ▊
+            </motion.span>
+          </div>
+        )}
+      </div>
+
+      {!interactive && (
+        <div className="px-6 pb-4">
+          <button
+            type="button"
+            onClick={startShell}
+            className="text-xs hover:opacity-80 transition-opacity"
+            style={{ color: colors.muted }}
+          >
+            {t('terminal.hint')}
+          </button>
         </div>
+      )}
+
+      <div className="sr-only" role="status" aria-label={t('terminal.announcements')}>
+        {announcement}
       </div>
     </motion.div>
   );
 };
 
 Terminal.propTypes = {
-  paused: PropTypes.bool.isRequired,
-  currentLine: PropTypes.string.isRequired,
-  transcript: PropTypes.string.isRequired,
-  onPauseToggle: PropTypes.func.isRequired,
-  showTranscript: PropTypes.bool.isRequired
+  scripts: PropTypes.arrayOf(terminalScriptShape).isRequired,
+  animate: PropTypes.bool.isRequired,
+  showTranscript: PropTypes.bool.isRequired,
+  maxLines: PropTypes.number.isRequired,
+  interactive: PropTypes.bool.isRequired,
+  onInteractiveChange: PropTypes.func.isRequired,
+  resume: resumePropType,
+  theme: PropTypes.oneOf(['dark', 'light']).isRequired,
+  onThemeChange: PropTypes.func.isRequired,
+  locale: PropTypes.string,
+  t: PropTypes.func.isRequired
 };
 
 // Main component PropTypes
 UltraCV.propTypes = {
+  terminalScript: PropTypes.oneOfType([
+    terminalScriptShape,
+    PropTypes.arrayOf(terminalScriptShape)
+  ]),
+  showTerminalTranscript: PropTypes.bool,
+  terminalMaxLines: PropTypes.number,
+  devTools: PropTypes.bool,
+  resume: resumePropType,
+  pdfPageSize: PropTypes.oneOf(['auto', 'A4', 'LETTER']),
+  locale: PropTypes.oneOf(LOCALES),
+  contactTransport: PropTypes.oneOfType([
+    PropTypes.func,
+    PropTypes.shape({
+      type: PropTypes.oneOf(['api', 'netlify', 'webhook', 'mailto']).isRequired
+    })
+  ]),
+  themePreset: PropTypes.oneOfType([
+    PropTypes.oneOf(Object.keys(THEME_PRESETS)),
+    presetShape
+  ]),
+  jsonResume: jsonResumePropType,
   name: PropTypes.string,
   role: PropTypes.string,
   bio: PropTypes.string,
@@ -5,9 +5,18 @@
  * Run with: npm test
  */
 
-import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { render, screen, fireEvent, waitFor, within } from '@testing-library/react';
 import { act } from 'react-dom/test-utils';
 import UltraCV from './UltraCV';
+import defaultResume from './src/data/resume';
+
+// The shipped resume has no portfolio yet; these stand in for one
+const sampleProjects = [
+  { title: 'E-Commerce Platform', role: 'Frontend Lead', tech: ['Next.js', 'TypeScript', 'React', 'Jest', 'Cypress'], featured: true },
+  { title: 'Analytics Dashboard', role: 'Frontend Developer', tech: ['Vue.js', 'Chart.js', 'REST API', 'SASS'] },
+  { title: 'Social Media App', role: 'Frontend Developer', tech: ['React', 'Redux', 'Context API', 'REST API'] }
+];
+const resumeWithProjects = { ...defaultResume, projects: sampleProjects };
 
 // Mock GSAP ScrollTrigger
 jest.mock('gsap/ScrollTrigger', () => ({
@@ -30,10 +39,30 @@ Object.defineProperty(window, 'matchMedia', {
     dispatchEvent: jest.fn(),
   })),
 });
+const reducedMotionMatchMedia = window.matchMedia;
+
+// The terminal only types its sessions out without prefers-reduced-motion
+const allowMotion = () => {
+  window.matchMedia = jest.fn().mockImplementation(query => ({
+    matches: false,
+    media: query,
+    addListener: jest.fn(),
+    removeListener: jest.fn(),
+    addEventListener: jest.fn(),
+    removeEventListener: jest.fn(),
+  }));
+};
 
 describe('UltraCV Component', () => {
   beforeEach(() => {
     jest.clearAllMocks();
+    // Theme and Developer Tools settings are persisted; start every test from scratch
+    window.localStorage.clear();
+  });
+
+  afterEach(() => {
+    if (jest.isMockFunction(Date.now)) Date.now.mockRestore();
+    window.matchMedia = reducedMotionMatchMedia;
   });
 
   test('renders without crashing', () => {
@@ -55,6 +84,78 @@ describe('UltraCV Component', () => {
     expect(screen.getByText('Senior Developer')).toBeInTheDocument();
   });
 
+  test('renders every section from the resume prop', () => {
+    render(
+      <UltraCV
+        resume={{
+          basics: { name: 'Jane Roe', role: 'Designer' },
+          experience: [{ year: '2020 - 2022', title: 'Art Director', company: 'Studio' }],
+          skills: [{ name: 'Illustrator', level: 70, category: 'Design' }],
+          certifications: [{ title: 'Type Design', platform: 'Domestika' }],
+          projects: [{ title: 'Poster Series', description: 'Gig posters', tech: ['Print'] }],
+          services: [{ title: 'Branding', tech: ['Logo'] }],
+          socials: [{ label: 'Dribbble', url: 'https://dribbble.com/jane' }]
+        }}
+      />
+    );
+    expect(screen.getByText('Art Director')).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Illustrator' })).toBeInTheDocument();
+    expect(screen.getByText('Type Design')).toBeInTheDocument();
+    expect(screen.getByText('Poster Series')).toBeInTheDocument();
+    expect(screen.getByText('Branding')).toBeInTheDocument();
+    expect(screen.getByLabelText('Dribbble')).toHaveAttribute('href', 'https://dribbble.com/jane');
+  });
+
+  test('leaves the portfolio out of the navigation when there are no projects', () => {
+    render(<UltraCV resume={{ basics: { name: 'Jane Roe' }, projects: [] }} />);
+    expect(document.getElementById('projects')).toBeNull();
+    expect(document.querySelector('nav a[href="#projects"]')).toBeNull();
+    // The links after it move up a number
+    expect(screen.getByRole('link', { name: '04. Services' })).toHaveAttribute('href', '#services');
+  });
+
+  test('individual props override resume.basics', () => {
+    render(<UltraCV resume={{ basics: { name: 'Jane Roe' } }} name="John Doe" />);
+    expect(screen.getByText('John Doe')).toBeInTheDocument();
+  });
+
+  test('renders a JSON Resume document', () => {
+    render(
+      <UltraCV
+        jsonResume={{
+          basics: { name: 'Jane Roe', label: 'Designer' },
+          work: [{ name: 'Acme', position: 'Lead Designer', startDate: '2021-03-01' }],
+          skills: [{ name: 'Design', level: 'Advanced', keywords: ['Figma'] }]
+        }}
+      />
+    );
+    expect(screen.getByText('Lead Designer')).toBeInTheDocument();
+    expect(screen.getByText(/Mar 2021 – Present/)).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Figma' })).toBeInTheDocument();
+  });
+
+  test('renders in Turkish with the locale prop', () => {
+    render(<UltraCV locale="tr" />);
+
+    expect(screen.getByText('KARİYER YOLCULUĞU')).toBeInTheDocument();
+    expect(screen.getByLabelText('ADINIZ')).toBeInTheDocument();
+    expect(screen.getByText('YILLIK DENEYİM')).toBeInTheDocument();
+    expect(document.documentElement.lang).toBe('tr');
+  });
+
+  test('language switcher moves to /tr and back', () => {
+    render(<UltraCV />);
+
+    fireEvent.click(screen.getAllByText('TR')[0]);
+    expect(window.location.pathname).toBe('/tr');
+    expect(document.documentElement.lang).toBe('tr');
+    expect(screen.getByText('Hikâyem')).toBeInTheDocument();
+
+    fireEvent.click(screen.getAllByText('EN')[0]);
+    expect(window.location.pathname).toBe('/');
+    expect(screen.getByText('The Story')).toBeInTheDocument();
+  });
+
   test('toggles theme on button click', () => {
     const { container } = render(<UltraCV />);
     const themeButton = screen.getByLabelText('Toggle theme');
@@ -71,6 +172,20 @@ describe('UltraCV Component', () => {
     expect(container.firstChild).toHaveClass('theme-dark');
   });
 
+  test('persists the chosen theme and applies it to the document', () => {
+    render(<UltraCV />);
+
+    fireEvent.click(screen.getByLabelText('Toggle theme'));
+    expect(window.localStorage.getItem('ultracv-theme')).toBe('light');
+    expect(document.documentElement).toHaveAttribute('data-theme', 'light');
+  });
+
+  test('starts with the stored theme', () => {
+    window.localStorage.setItem('ultracv-theme', 'light');
+    const { container } = render(<UltraCV />);
+    expect(container.firstChild).toHaveClass('theme-light');
+  });
+
   test('shows and hides developer tools panel', () => {
     render(<UltraCV />);
     const devToolsButton = screen.getByLabelText('Toggle developer tools');
@@ -84,6 +199,77 @@ describe('UltraCV Component', () => {
     expect(screen.queryByText('Developer Tools')).not.toBeInTheDocument();
   });
 
+  test('developer tools report the connection and switch to low bandwidth on slow networks', () => {
+    const connection = { effectiveType: '2g', downlink: 0.2, saveData: false, addEventListener: jest.fn(), removeEventListener: jest.fn() };
+    Object.defineProperty(navigator, 'connection', { configurable: true, value: connection });
+
+    const { container } = render(<UltraCV />);
+    fireEvent.click(screen.getByLabelText('Toggle developer tools'));
+
+    expect(screen.getByText('● Online')).toBeInTheDocument();
+    expect(screen.getByText(/Connection: 2g · 0.2 Mbps/)).toBeInTheDocument();
+    expect(screen.getByText('On: the connection is rated 2g.')).toBeInTheDocument();
+    expect(container.firstChild).toHaveClass('low-bandwidth');
+    expect(container.querySelector('.custom-cursor')).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getByLabelText('off'));
+    expect(screen.getByText('Off: set manually.')).toBeInTheDocument();
+    expect(container.firstChild).not.toHaveClass('low-bandwidth');
+
+    delete navigator.connection;
+  });
+
+  test('accessibility audit lists findings with a way to scroll to them', async () => {
+    render(<UltraCV />);
+    fireEvent.click(screen.getByLabelText('Toggle developer tools'));
+    fireEvent.click(screen.getByText('Accessibility Audit'));
+
+    await waitFor(() => expect(screen.getByText(/^\d+ findings?$/)).toBeInTheDocument());
+    const photo = screen.getAllByRole('img')[0];
+    photo.removeAttribute('alt');
+    fireEvent.click(screen.getByText('Re-scan'));
+
+    expect(screen.getByText(/Image without alt text/)).toBeInTheDocument();
+    expect(photo).toHaveAttribute('data-a11y-issue', 'image-alt');
+    photo.scrollIntoView = jest.fn();
+    fireEvent.click(screen.getAllByText('Scroll to element')[0]);
+    expect(photo.scrollIntoView).toHaveBeenCalled();
+  });
+
+  test('developer tools remember their toggles and open with Alt+Shift+D', () => {
+    const { container, unmount } = render(<UltraCV />);
+    fireEvent.keyDown(window, { code: 'KeyD', key: 'D', altKey: true, shiftKey: true });
+    fireEvent.click(screen.getByText('Show DOM Outlines'));
+    expect(container.firstChild).toHaveClass('debug-dom');
+    unmount();
+
+    const { container: reloaded } = render(<UltraCV />);
+    expect(reloaded.firstChild).toHaveClass('debug-dom');
+    expect(screen.queryByText('Developer Tools')).not.toBeInTheDocument();
+  });
+
+  test('developer tools follow ?debug= and ?lowbw= flags', () => {
+    window.history.replaceState(null, '', '/?debug=tools,dom&lowbw=1');
+    const { container } = render(<UltraCV />);
+
+    expect(screen.getByText('Developer Tools')).toBeInTheDocument();
+    expect(container.firstChild).toHaveClass('debug-dom');
+    expect(container.firstChild).toHaveClass('low-bandwidth');
+    expect(window.localStorage.getItem('ultracv-devtools')).toBeNull();
+    window.history.replaceState(null, '', '/');
+  });
+
+  test('devTools={false} leaves the developer tools out', () => {
+    window.history.replaceState(null, '', '/?debug=tools');
+    render(<UltraCV devTools={false} />);
+
+    expect(screen.queryByLabelText('Toggle developer tools')).not.toBeInTheDocument();
+    expect(screen.queryByText('Developer Tools')).not.toBeInTheDocument();
+    fireEvent.keyDown(window, { code: 'KeyD', key: 'D', altKey: true, shiftKey: true });
+    expect(screen.queryByText('Developer Tools')).not.toBeInTheDocument();
+    window.history.replaceState(null, '', '/');
+  });
+
   test('toggles CSS panel', () => {
     render(<UltraCV />);
     
@@ -97,18 +283,61 @@ describe('UltraCV Component', () => {
     expect(screen.getByText('CSS Variables')).toBeInTheDocument();
   });
 
-  test('toggles FPS counter', () => {
+  test('CSS panel switches presets and exposes token controls', () => {
+    const { container } = render(<UltraCV />);
+
+    fireEvent.click(screen.getByLabelText('Toggle developer tools'));
+    fireEvent.click(screen.getByText('Show CSS Panel'));
+
+    fireEvent.change(screen.getByDisplayValue('Magazine'), { target: { value: 'electric' } });
+    expect(container.querySelector('style').textContent).toContain('--color-primary: #00f0ff');
+    expect(screen.getByLabelText('--color-primary colour')).toBeInTheDocument();
+    expect(screen.getByText('Export preset JSON')).toBeInTheDocument();
+  });
+
+  test('accepts an exported preset through the themePreset prop', () => {
+    const { container } = render(
+      <UltraCV themePreset={{ name: 'Mine', dark: { '--color-primary': '#00ff00' } }} />
+    );
+    expect(container.querySelector('style').textContent).toContain('--color-primary: #00ff00');
+  });
+
+  test('toggles the performance overlay and stops its frame loop when closed', () => {
+    const cancelSpy = jest.spyOn(window, 'cancelAnimationFrame');
     render(<UltraCV />);
     
     // Open dev tools
     fireEvent.click(screen.getByLabelText('Toggle developer tools'));
     
-    // Toggle FPS
-    const fpsCheckbox = screen.getByText('Show FPS Counter');
-    fireEvent.click(fpsCheckbox);
-    
-    // Should show FPS value
-    expect(screen.getByText(/fps/i)).toBeInTheDocument();
+    // Toggle the overlay
+    fireEvent.click(screen.getByText('Show Performance Overlay'));
+    const overlay = screen.getByRole('region', { name: 'Performance overlay' });
+    expect(within(overlay).getByText('LCP')).toBeInTheDocument();
+    expect(within(overlay).getByText('Download JSON report')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByText('Show Performance Overlay'));
+    expect(screen.queryByRole('region', { name: 'Performance overlay' })).not.toBeInTheDocument();
+    expect(cancelSpy).toHaveBeenCalled();
+    cancelSpy.mockRestore();
+  });
+
+  test('developer tools follow the language', () => {
+    render(<UltraCV locale="tr" />);
+
+    fireEvent.click(screen.getByLabelText('Geliştirici araçlarını aç/kapat'));
+    expect(screen.getByText('Geliştirici Araçları')).toBeInTheDocument();
+    expect(screen.getByLabelText('DOM Çerçevelerini Göster')).not.toBeChecked();
+    expect(screen.getByRole('group', { name: 'Düşük Bant Genişliği Modu' })).toHaveTextContent('Kapalı: bu tarayıcı bağlantı hızını bildirmiyor.');
+
+    fireEvent.click(screen.getByText('CSS Panelini Göster'));
+    expect(screen.getByText('CSS Değişkenleri')).toBeInTheDocument();
+    expect(screen.getByLabelText('Hazır tema')).toBeInTheDocument();
+    expect(screen.getByLabelText('--color-primary rengi')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByText('Performans Katmanını Göster'));
+    const overlay = screen.getByRole('region', { name: 'Performans katmanı' });
+    expect(within(overlay).getByText('Uzun görevler')).toBeInTheDocument();
+    expect(within(overlay).getByText('JSON raporunu indir')).toBeInTheDocument();
   });
 
   test('toggles DOM outlines', () => {
@@ -130,14 +359,14 @@ describe('UltraCV Component', () => {
     // Open dev tools
     fireEvent.click(screen.getByLabelText('Toggle developer tools'));
     
-    // Toggle low bandwidth
-    const lowBandwidthCheckbox = screen.getByText('Low Bandwidth Mode');
-    fireEvent.click(lowBandwidthCheckbox);
+    // Switch low bandwidth on
+    fireEvent.click(screen.getByLabelText('on'));
     
     expect(container.firstChild).toHaveClass('low-bandwidth');
   });
 
   test('terminal pause/play button works', async () => {
+    allowMotion();
     render(<UltraCV />);
     
     // Wait for terminal to render (it's in a section that needs scrolling)
@@ -153,6 +382,144 @@ describe('UltraCV Component', () => {
     expect(screen.getByLabelText('Play terminal')).toBeInTheDocument();
   });
 
+  test('terminal plays a custom script and seeks through it', () => {
+    allowMotion();
+    render(
+      <UltraCV
+        terminalScript={{
+          loop: false,
+          steps: [{ command: 'npm run deploy', output: ['Deployed to production', { text: 'slow network', stream: 'stderr' }] }]
+        }}
+      />
+    );
+
+    expect(screen.queryByText('Deployed to production')).not.toBeInTheDocument();
+
+    const seek = screen.getByLabelText('Session position');
+    fireEvent.change(seek, { target: { value: seek.max } });
+    expect(screen.getByText('Deployed to production')).toBeInTheDocument();
+    expect(screen.getByText('slow network')).toHaveStyle({ color: '#ff6b6b' });
+    // A finished one-shot session offers to play again
+    expect(screen.getByLabelText('Play terminal')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByLabelText('Restart session'));
+    expect(screen.queryByText('Deployed to production')).not.toBeInTheDocument();
+    expect(screen.getByLabelText('Pause terminal')).toBeInTheDocument();
+  });
+
+  test('terminal shows its session without typing it out under reduced motion', () => {
+    render(
+      <UltraCV terminalScript={{ loop: false, steps: [{ command: 'npm run deploy', output: ['Deployed to production'] }] }} />
+    );
+
+    expect(screen.getByText('Deployed to production')).toBeInTheDocument();
+    expect(screen.queryByLabelText('Pause terminal')).not.toBeInTheDocument();
+  });
+
+  test('terminal switches between project sessions', () => {
+    allowMotion();
+    render(
+      <UltraCV
+        terminalScript={[
+          { title: 'api', steps: [{ command: 'go test ./...', output: ['ok'] }] },
+          { title: 'web', steps: [{ command: 'npm test', output: ['12 passed'] }] }
+        ]}
+      />
+    );
+
+    fireEvent.click(screen.getByRole('button', { name: 'web' }));
+    expect(screen.getByRole('button', { name: 'web' })).toHaveAttribute('aria-pressed', 'true');
+
+    const seek = screen.getByLabelText('Session position');
+    fireEvent.change(seek, { target: { value: seek.max } });
+    expect(screen.getByText('12 passed')).toBeInTheDocument();
+  });
+
+  test('terminal log can be hidden, copied and is announced per command', async () => {
+    allowMotion();
+    const writeText = jest.fn().mockResolvedValue();
+    Object.assign(navigator, { clipboard: { writeText } });
+    render(
+      <UltraCV
+        terminalScript={{ loop: false, steps: [{ command: 'ls', output: ['a.txt'] }, { command: 'pwd', output: ['/home'] }] }}
+      />
+    );
+
+    const seek = screen.getByLabelText('Session position');
+    fireEvent.change(seek, { target: { value: seek.max } });
+    expect(screen.getByText('a.txt')).toBeInTheDocument();
+    expect(screen.getByRole('status', { name: 'Terminal output' })).toHaveTextContent('$ pwd /home');
+
+    fireEvent.click(screen.getByLabelText('Show full log'));
+    expect(screen.queryByText('a.txt')).not.toBeInTheDocument();
+    expect(screen.getByText('/home')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByLabelText('Copy transcript'));
+    expect(writeText).toHaveBeenCalledWith('$ ls\na.txt\n$ pwd\n/home');
+    expect(await screen.findByLabelText('Transcript copied')).toBeInTheDocument();
+  });
+
+  test('terminal log keeps only the last terminalMaxLines lines', () => {
+    allowMotion();
+    render(
+      <UltraCV
+        terminalMaxLines={2}
+        showTerminalTranscript={false}
+        terminalScript={{ loop: false, steps: [{ command: 'ls', output: ['one', 'two', 'three'] }] }}
+      />
+    );
+
+    expect(screen.getByLabelText('Show full log')).toHaveAttribute('aria-pressed', 'false');
+    fireEvent.click(screen.getByLabelText('Show full log'));
+
+    const seek = screen.getByLabelText('Session position');
+    fireEvent.change(seek, { target: { value: seek.max } });
+    expect(screen.queryByText('one')).not.toBeInTheDocument();
+    expect(screen.getByText('two')).toBeInTheDocument();
+    expect(screen.getByText('three')).toBeInTheDocument();
+  });
+
+  test('terminal shell runs commands from the resume', () => {
+    render(<UltraCV name="Shell Tester" />);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Type commands' }));
+    const input = screen.getByLabelText('Terminal command');
+    expect(input).toHaveFocus();
+    expect(screen.queryByLabelText('Pause terminal')).not.toBeInTheDocument();
+
+    fireEvent.change(input, { target: { value: 'whoami' } });
+    fireEvent.submit(input);
+    expect(screen.getAllByText('Shell Tester').length).toBeGreaterThan(1);
+
+    fireEvent.change(input, { target: { value: 'nope' } });
+    fireEvent.submit(input);
+    expect(screen.getByText(/command not found: nope/)).toBeInTheDocument();
+
+    fireEvent.keyDown(input, { key: 'ArrowUp' });
+    expect(input).toHaveValue('nope');
+    fireEvent.keyDown(input, { key: 'ArrowUp' });
+    expect(input).toHaveValue('whoami');
+
+    fireEvent.change(input, { target: { value: 'clear' } });
+    fireEvent.submit(input);
+    expect(screen.queryByText(/command not found/)).not.toBeInTheDocument();
+  });
+
+  test('terminal shell completes commands and switches the theme', () => {
+    const { container } = render(<UltraCV />);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Type commands' }));
+    const input = screen.getByLabelText('Terminal command');
+
+    fireEvent.change(input, { target: { value: 'theme l' } });
+    fireEvent.keyDown(input, { key: 'Tab' });
+    expect(input).toHaveValue('theme light ');
+
+    fireEvent.submit(input);
+    expect(container.firstChild).toHaveClass('theme-light');
+    expect(window.localStorage.getItem('ultracv-theme')).toBe('light');
+  });
+
   test('respects reduced motion preference', () => {
     // Mock reduced motion
     window.matchMedia = jest.fn().mockImplementation(query => ({
@@ -200,8 +567,33 @@ describe('UltraCV Component', () => {
     expect(screen.getByText('Happy Clients')).toBeInTheDocument();
   });
 
+  test('statistics are computed and shown in full with reduced motion', () => {
+    render(
+      <UltraCV
+        resume={{
+          basics: { name: 'Jane Roe' },
+          projects: [{ title: 'Atlas' }, { title: 'Ledger' }],
+          stats: [
+            { label: 'AGE', source: 'age' },
+            { label: 'PROJECTS', source: 'projects' },
+            { label: 'VISITORS', value: 12500, suffix: '+' },
+            { label: 'FREELANCE', value: 'Available' }
+          ]
+        }}
+      />
+    );
+
+    const statValue = (label) => screen.getByText(label).previousSibling;
+    // Without a birth date there is no age to show
+    expect(screen.queryByText('AGE')).not.toBeInTheDocument();
+    expect(statValue('PROJECTS')).toHaveTextContent('2');
+    expect(statValue('VISITORS')).toHaveTextContent('12,500+');
+    expect(statValue('FREELANCE')).toHaveTextContent('Available');
+    expect(screen.queryByText('NaN')).not.toBeInTheDocument();
+  });
+
   test('project cards render', () => {
-    render(<UltraCV />);
+    render(<UltraCV resume={resumeWithProjects} />);
     
     expect(screen.getByText('E-Commerce Platform')).toBeInTheDocument();
     expect(screen.getByText('Analytics Dashboard')).toBeInTheDocument();
@@ -216,6 +608,259 @@ describe('UltraCV Component', () => {
     expect(screen.getByText('Tailwind CSS')).toBeInTheDocument();
   });
 
+  test('timeline lists entries newest first with periods and switches tracks', async () => {
+    render(<UltraCV />);
+    const timeline = within(document.getElementById('experience'));
+    const titles = () => timeline.getAllByRole('heading', { level: 3 }).map((heading) => heading.textContent);
+
+    expect(titles()).toEqual([
+      'Frontend Developer',
+      'Senior Frontend Developer',
+      'Information Systems and Technologies',
+      'High School Diploma'
+    ]);
+    expect(timeline.getByText('2019 – 2023')).toBeInTheDocument();
+    expect(timeline.getByText('· 4 yrs', { exact: false })).toBeInTheDocument();
+
+    fireEvent.click(timeline.getByRole('button', { name: 'Education' }));
+    expect(timeline.getByRole('button', { name: 'Education' })).toHaveAttribute('aria-pressed', 'true');
+    await waitFor(() => expect(titles()).toEqual(['Information Systems and Technologies', 'High School Diploma']));
+  });
+
+  test('skill cloud draws the skill list and is keyboard navigable', () => {
+    render(
+      <UltraCV
+        resume={{
+          basics: { name: 'Jane Roe' },
+          skills: [
+            { name: 'React', level: 90, category: 'Frontend', years: 4 },
+            { name: 'Node', level: 60, category: 'Backend', years: 1 }
+          ]
+        }}
+      />
+    );
+
+    const cloud = screen.getByRole('group', { name: 'Skill cloud' });
+    const react = within(cloud).getByRole('button', { name: 'React: 90% · 4 years · Frontend' });
+    const node = within(cloud).getByRole('button', { name: 'Node: 60% · 1 year · Backend' });
+    expect(react.querySelector('circle').getAttribute('r')).not.toBe(node.querySelector('circle').getAttribute('r'));
+    expect(react).toHaveClass('draggable');
+
+    act(() => react.focus());
+    expect(screen.getByRole('tooltip')).toHaveTextContent('React90% · 4 years · Frontend');
+    fireEvent.keyDown(react, { key: 'ArrowRight' });
+    expect(node).toHaveFocus();
+    expect(node).toHaveAttribute('tabindex', '0');
+    expect(react).toHaveAttribute('tabindex', '-1');
+  });
+
+  test('hovering a skill highlights where it was used and clicking pins it', () => {
+    render(<UltraCV resume={resumeWithProjects} />);
+
+    const cardOf = (title) => screen.getByRole('heading', { name: title }).closest('.glass');
+    const react = screen.getByRole('button', { name: 'React.js', pressed: false });
+
+    fireEvent.mouseEnter(react.closest('.relative'));
+    expect(cardOf('Senior Frontend Developer')).toHaveClass('skill-related');
+    expect(cardOf('React.js Frontend Development')).toHaveClass('skill-related');
+    expect(cardOf('High School Diploma')).toHaveClass('skill-unrelated');
+    const relations = document.getElementById('skill-relations');
+    expect(relations).toHaveTextContent('Where I used React.js');
+    expect(within(relations).getByRole('button', { name: 'E-Commerce Platform' })).toBeInTheDocument();
+    const roleLink = within(relations).getByRole('link', { name: 'Senior Frontend Developer' });
+    expect(document.querySelector(roleLink.getAttribute('href'))).toHaveTextContent('Senior Frontend Developer');
+
+    fireEvent.click(react);
+    fireEvent.mouseLeave(react.closest('.relative'));
+    expect(react).toHaveAttribute('aria-pressed', 'true');
+    expect(cardOf('Senior Frontend Developer')).toHaveClass('skill-related');
+
+    fireEvent.click(within(relations).getByRole('button', { name: 'Unpin' }));
+    expect(cardOf('Senior Frontend Developer')).not.toHaveClass('skill-related');
+  });
+
+  test('portfolio cards show role, dates and metrics and open their case study', () => {
+    render(
+      <UltraCV
+        resume={{
+          basics: { name: 'Jane Roe' },
+          projects: [{
+            title: 'Atlas',
+            role: 'Lead developer',
+            startDate: '2023-06',
+            description: 'Maps for teams.',
+            cover: { src: '/atlas.png', alt: 'Atlas map view' },
+            video: { src: 'https://youtu.be/dQw4w9WgXcQ', title: 'Atlas walkthrough' },
+            metrics: [{ label: 'Teams onboarded', value: 40 }],
+            tech: ['React']
+          }],
+          services: [{ title: 'Branding' }]
+        }}
+      />
+    );
+
+    expect(screen.getByText('Lead developer · Jun 2023 – Present')).toBeInTheDocument();
+    expect(screen.getByAltText('Atlas map view')).toBeInTheDocument();
+    expect(screen.getByText('Teams onboarded')).toBeInTheDocument();
+    expect(screen.getByText('Branding')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Atlas' }));
+    const dialog = screen.getByRole('dialog', { name: 'Atlas' });
+    expect(window.location.hash).toBe('#projects/atlas');
+    expect(screen.getByTitle('Atlas walkthrough')).toHaveAttribute('src', 'https://www.youtube-nocookie.com/embed/dQw4w9WgXcQ');
+    expect(dialog).toHaveTextContent('OUTCOMES');
+
+    fireEvent.keyDown(dialog, { key: 'Escape' });
+    expect(window.location.hash).toBe('#projects');
+  });
+
+  test('filters projects by tech and search and keeps the filter in the URL', () => {
+    render(<UltraCV resume={resumeWithProjects} />);
+
+    const techFilters = screen.getByRole('group', { name: 'Filter by technology' });
+    fireEvent.click(within(techFilters).getByRole('button', { name: /^Vue\.js/ }));
+    expect(window.location.search).toBe('?tech=Vue.js');
+    expect(screen.getByText('Analytics Dashboard')).toBeInTheDocument();
+    expect(screen.queryByText('Social Media App')).not.toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText('Search projects'), { target: { value: 'nothing like this' } });
+    expect(window.location.search).toBe('?tech=Vue.js&q=nothing+like+this');
+    expect(screen.getAllByText('Nothing matches these filters.')).toHaveLength(1);
+
+    fireEvent.click(screen.getAllByRole('button', { name: 'Clear filters' })[0]);
+    expect(window.location.search).toBe('');
+    expect(screen.getByText('Social Media App')).toBeInTheDocument();
+  });
+
+  test('opens with the filters from a ?tech= and ?category= link', () => {
+    window.history.replaceState(null, '', '/?tech=react&category=Design');
+    render(<UltraCV resume={resumeWithProjects} />);
+
+    expect(screen.getByRole('button', { name: /^React/, pressed: true })).toBeInTheDocument();
+    expect(screen.queryByText('Analytics Dashboard')).not.toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Figma' })).toBeInTheDocument();
+    expect(screen.queryByText('PHP')).not.toBeInTheDocument();
+    window.history.replaceState(null, '', '/');
+  });
+
+  test('project details open in a modal and close with Escape', async () => {
+    render(<UltraCV />);
+
+    const trigger = screen.getByRole('button', { name: /Learn more: Web Design & Development/i });
+    trigger.focus();
+    fireEvent.click(trigger);
+
+    const dialog = screen.getByRole('dialog', { name: 'Web Design & Development' });
+    expect(window.location.hash).toBe('#projects/web-design');
+    expect(screen.getByLabelText('Close project details')).toHaveFocus();
+    expect(dialog).toHaveTextContent('WooCommerce');
+
+    fireEvent.keyDown(dialog, { key: 'Escape' });
+    await waitFor(() => expect(screen.queryByRole('dialog')).not.toBeInTheDocument());
+    expect(window.location.hash).toBe('#services');
+    expect(trigger).toHaveFocus();
+  });
+
+  test('project modal closes with Escape after focus has left it', async () => {
+    render(<UltraCV />);
+    fireEvent.click(screen.getByRole('button', { name: /Learn more: Digital Marketing/i }));
+    expect(screen.getByRole('dialog', { name: 'Digital Marketing' })).toBeInTheDocument();
+
+    act(() => document.activeElement.blur());
+    expect(document.body).toHaveFocus();
+    fireEvent.keyDown(document.body, { key: 'Escape' });
+    await waitFor(() => expect(screen.queryByRole('dialog')).not.toBeInTheDocument());
+  });
+
+  test('project modal keeps focus inside while open', () => {
+    render(<UltraCV />);
+    fireEvent.click(screen.getByRole('button', { name: /Learn more: Digital Marketing/i }));
+
+    const close = screen.getByLabelText('Close project details');
+    fireEvent.keyDown(close, { key: 'Tab', shiftKey: true });
+    // Only the close button is focusable without links or screenshots
+    expect(close).toHaveFocus();
+  });
+
+  test('command palette opens with Ctrl+K and jumps to a timeline entry', () => {
+    Element.prototype.scrollIntoView = jest.fn();
+    render(<UltraCV />);
+    fireEvent.keyDown(window, { key: 'k', ctrlKey: true });
+
+    const input = screen.getByRole('combobox', { name: /Search sections, roles, projects and actions/i });
+    expect(input).toHaveFocus();
+    fireEvent.change(input, { target: { value: 'yeditepe' } });
+
+    const [option] = screen.getAllByRole('option');
+    expect(option).toHaveTextContent('Information Systems and Technologies');
+    expect(option).toHaveAttribute('aria-selected', 'true');
+    expect(input).toHaveAttribute('aria-activedescendant', option.id);
+
+    fireEvent.keyDown(input, { key: 'Enter' });
+    expect(screen.queryByRole('dialog', { name: 'Command palette' })).not.toBeInTheDocument();
+    expect(document.activeElement).toHaveTextContent('Information Systems and Technologies');
+    expect(Element.prototype.scrollIntoView).toHaveBeenCalled();
+    delete Element.prototype.scrollIntoView;
+  });
+
+  test('command palette moves with the arrow keys, runs actions and closes with Escape', () => {
+    Element.prototype.scrollIntoView = jest.fn();
+    render(<UltraCV />);
+    const skipLink = screen.getByText('Skip to main content');
+    skipLink.focus();
+
+    fireEvent.keyDown(window, { key: 'k', metaKey: true });
+    const input = screen.getByRole('combobox');
+    fireEvent.change(input, { target: { value: 'theme' } });
+    const options = screen.getAllByRole('option');
+    expect(options[0]).toHaveTextContent('Toggle theme');
+
+    fireEvent.keyDown(input, { key: 'ArrowUp' });
+    expect(options[options.length - 1]).toHaveAttribute('aria-selected', 'true');
+    fireEvent.keyDown(input, { key: 'ArrowDown' });
+    expect(options[0]).toHaveAttribute('aria-selected', 'true');
+
+    fireEvent.keyDown(input, { key: 'Escape' });
+    expect(screen.queryByRole('combobox')).not.toBeInTheDocument();
+    expect(skipLink).toHaveFocus();
+
+    const before = document.documentElement.dataset.theme;
+    fireEvent.keyDown(window, { key: 'k', ctrlKey: true });
+    fireEvent.change(screen.getByRole('combobox'), { target: { value: 'toggle theme' } });
+    fireEvent.keyDown(screen.getByRole('combobox'), { key: 'Enter' });
+    expect(document.documentElement.dataset.theme).not.toBe(before);
+    delete Element.prototype.scrollIntoView;
+  });
+
+  test('opens a project from a #projects/<slug> link with gallery and links', async () => {
+    window.history.replaceState(null, '', '/#projects/atlas');
+    render(
+      <UltraCV
+        resume={{
+          basics: { name: 'Jane Roe' },
+          services: [{
+            title: 'Atlas',
+            details: ['Maps for teams.'],
+            screenshots: [{ src: '/a.png', alt: 'Map view' }, { src: '/b.png', alt: 'Team view' }],
+            liveUrl: 'https://atlas.example.com',
+            repoUrl: 'https://github.com/jane/atlas'
+          }]
+        }}
+      />
+    );
+
+    expect(screen.getByRole('dialog', { name: 'Atlas' })).toBeInTheDocument();
+    expect(screen.getByAltText('Map view')).toBeInTheDocument();
+    fireEvent.click(screen.getByLabelText('Next screenshot'));
+    expect(screen.getByAltText('Team view')).toBeInTheDocument();
+    expect(screen.getByRole('link', { name: /Live demo/ })).toHaveAttribute('href', 'https://atlas.example.com');
+    expect(screen.getByRole('link', { name: /Source code/ })).toHaveAttribute('href', 'https://github.com/jane/atlas');
+
+    fireEvent.click(screen.getByLabelText('Close project details'));
+    await waitFor(() => expect(screen.getByRole('button', { name: /Learn more: Atlas/i })).toHaveFocus());
+    window.history.replaceState(null, '', '/');
+  });
+
   test('contact form renders', () => {
     render(<UltraCV />);
     
@@ -225,6 +870,88 @@ describe('UltraCV Component', () => {
     expect(screen.getByText('Send Message')).toBeInTheDocument();
   });
 
+  const fillContactForm = ({ name = 'Ada', email = 'ada@example.com', message = 'Hello, nice portfolio!' } = {}) => {
+    fireEvent.change(screen.getByLabelText('YOUR NAME'), { target: { value: name } });
+    fireEvent.change(screen.getByLabelText('YOUR EMAIL'), { target: { value: email } });
+    fireEvent.change(screen.getByLabelText('MESSAGE'), { target: { value: message } });
+  };
+
+  // Pretend the visitor has been reading for a while before sending
+  const sendContactForm = () => {
+    jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 60 * 1000);
+    fireEvent.click(screen.getByText('Send Message →'));
+  };
+
+  test('contact form sends through the transport and confirms', async () => {
+    const transport = jest.fn().mockResolvedValue();
+    render(<UltraCV contactTransport={transport} />);
+
+    fillContactForm();
+    sendContactForm();
+
+    expect(screen.getByText('Sending…')).toBeDisabled();
+    expect(transport).toHaveBeenCalledWith({ name: 'Ada', email: 'ada@example.com', message: 'Hello, nice portfolio!' });
+    await waitFor(() => expect(screen.getByText('MESSAGE SENT')).toBeInTheDocument());
+    expect(screen.getByLabelText('YOUR NAME')).toHaveValue('');
+  });
+
+  test('contact form shows an error toast and keeps the input when sending fails', async () => {
+    const transport = jest.fn().mockRejectedValue(new Error('Request failed with status 500'));
+    render(<UltraCV contactTransport={transport} />);
+
+    fillContactForm();
+    sendContactForm();
+
+    await waitFor(() => expect(screen.getByRole('alert')).toHaveTextContent('MESSAGE NOT SENT'));
+    expect(screen.queryByText('MESSAGE SENT')).not.toBeInTheDocument();
+    expect(screen.getByLabelText('MESSAGE')).toHaveValue('Hello, nice portfolio!');
+  });
+
+  test('contact form shows accessible inline errors instead of sending', () => {
+    const transport = jest.fn();
+    render(<UltraCV contactTransport={transport} />);
+
+    fillContactForm({ name: '', email: 'not-an-email', message: 'Hi' });
+    sendContactForm();
+
+    expect(transport).not.toHaveBeenCalled();
+    expect(screen.queryByText('MESSAGE SENT')).not.toBeInTheDocument();
+
+    const nameInput = screen.getByLabelText('YOUR NAME');
+    expect(nameInput).toHaveAttribute('aria-invalid', 'true');
+    expect(nameInput).toHaveAttribute('aria-describedby', 'name-error');
+    expect(nameInput).toHaveFocus();
+    expect(screen.getByText('Please enter your name.')).toHaveAttribute('id', 'name-error');
+    expect(screen.getByText(/valid email address/)).toBeInTheDocument();
+    expect(screen.getByText(/at least 10 characters/)).toBeInTheDocument();
+
+    fireEvent.change(nameInput, { target: { value: 'Ada' } });
+    expect(nameInput).toHaveAttribute('aria-invalid', 'false');
+  });
+
+  test('contact form silently drops submissions with the honeypot filled', async () => {
+    const transport = jest.fn();
+    const { container } = render(<UltraCV contactTransport={transport} />);
+
+    fillContactForm();
+    fireEvent.change(container.querySelector('input[name="bot-field"]'), { target: { value: 'spam' } });
+    sendContactForm();
+
+    await waitFor(() => expect(screen.getByText('MESSAGE SENT')).toBeInTheDocument());
+    expect(transport).not.toHaveBeenCalled();
+  });
+
+  test('contact form rejects submissions sent right after page load', () => {
+    const transport = jest.fn();
+    render(<UltraCV contactTransport={transport} />);
+
+    fillContactForm();
+    fireEvent.click(screen.getByText('Send Message →'));
+
+    expect(transport).not.toHaveBeenCalled();
+    expect(screen.getByRole('alert')).toHaveTextContent('That was quick!');
+  });
+
   test('footer renders with social links', () => {
     render(<UltraCV />);
     
@@ -0,0 +1,33 @@
+/**
+ * Netlify Function: POST /api/contact
+ *
+ * Receives the UltraCV contact form, validates it server-side and forwards it
+ * to the sink configured through CONTACT_SINK (see src/lib/contactSinks.js).
+ */
+
+import { handleContact } from '../../src/lib/contactHandler.js';
+import { createSink } from '../../src/lib/contactSinks.js';
+
+export default async (req) => {
+  let sink;
+  try {
+    sink = createSink(process.env);
+  } catch (error) {
+    console.error('Contact endpoint is not configured', error);
+    return Response.json({ error: 'Contact endpoint is not configured' }, { status: 500 });
+  }
+
+  const { status, headers, body } = await handleContact(
+    {
+      method: req.method,
+      contentType: req.headers.get('content-type') || '',
+      body: await req.text()
+    },
+    sink
+  );
+  return new Response(JSON.stringify(body), { status, headers });
+};
+
+export const config = {
+  path: '/api/contact'
+};
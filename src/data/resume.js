@@ -0,0 +1,216 @@
+/**
+ * resume.js - Default resume content for UltraCV
+ *
+ * Every section of UltraCV (hero, statistics, about, timeline, skill bars,
+ * certifications, portfolio, services, contact details and footer socials) renders from
+ * an object of this shape. Pass your own copy as the `resume` prop to reuse
+ * the component for someone else; see `resumeSchema` in src/lib/resume.js for
+ * the full schema.
+ *
+ * `translations` holds per-locale overrides of the text fields; the Turkish
+ * one lives in resume.tr.js.
+ */
+
+import tr from './resume.tr.js';
+
+const resume = {
+  basics: {
+    name: 'Tahsin Mert Mutlu',
+    role: 'UI/UX Designer & Web Developer',
+    bio: '4+ years of experience designing user-centered interfaces and developing modern, fast, and responsive websites. Creating clean, aesthetic, and functional digital experiences.',
+    email: 'tahsinmert.mutlu@std.yeditepe.edu.tr',
+    phone: '+90 545 897 6442',
+    location: 'Istanbul, Turkey',
+    website: {
+      label: 'tahsinmertmutlu.com',
+      url: 'https://tahsinmertmutlu.com'
+    },
+    photo: '/tahsinmert.jpeg',
+    heroImage: '/tahsin-mert-lake-photo.jpg',
+    highlight: 'UI/UX Designer & Web Developer',
+    summary: [
+      'I am a UI/UX Designer & Web Developer with over 4 years of experience designing user-centered interfaces and developing modern, fast, and responsive websites.',
+      'My goal is to create clean, aesthetic, and functional digital experiences. I value usability, accessibility, and performance details. Whether it\'s portfolio sites, corporate web pages, or custom projects; I love transforming ideas into powerful and impressive products.',
+      'Specialized in user experience (UX) and user interface (UI) design, I work with modern web technologies as a web developer, developing both aesthetic and functional digital products.'
+    ],
+    quote: 'I\'m always open to new projects and creative collaborations. If you want to produce impressive work together, don\'t hesitate to get in touch.',
+    contactQuote: 'I\'m always open to new projects and creative collaborations.'
+  },
+
+  stats: [
+    { label: 'AGE', value: '20', suffix: '' },
+    { label: 'YEARS EXPERIENCE', value: '4+', suffix: '' },
+    { label: 'CERTIFICATIONS', source: 'certifications' },
+    { label: 'DEGREE', value: 'Master', suffix: '' },
+    { label: 'FREELANCE', value: 'Available', suffix: '' }
+  ],
+
+  experience: [
+    {
+      type: 'work',
+      startDate: '2023',
+      title: 'Senior Frontend Developer',
+      company: 'TechSolutions İstanbul, Türkiye',
+      description: `Developed corporate web apps and e-commerce platforms with React.js and Next.js.\nLed a team of 7 frontend engineers, managed code reviews and Agile processes.\nBuilt scalable codebases with TypeScript and improved performance.\nWorked closely with UI/UX using Figma, developed responsive user-friendly layouts.\nEnhanced testing with Jest, Cypress.`,
+      skills: ['React.js', 'Next.js', 'TypeScript', 'Figma', 'Jest', 'Cypress']
+    },
+    {
+      type: 'work',
+      startDate: '2024',
+      title: 'Frontend Developer',
+      company: 'WebCraft İstanbul, Türkiye',
+      description: `Created dynamic, modern websites with JavaScript (ES6+), Vue.js, HTML5, CSS3/SASS.\nBuilt admin panels and user management systems.\nUsed Redux/Context API for React state management, handled RESTful APIs.\nDelivered 5+ projects simultaneously, tailored to client needs.\nEnsured cross-browser and mobile compatibility.`,
+      skills: ['JavaScript', 'Vue.js', 'React.js', 'HTML5', 'CSS3', 'SASS', 'PHP', 'WordPress']
+    },
+    {
+      type: 'education',
+      startDate: '2023',
+      endDate: '2027',
+      title: 'Information Systems and Technologies',
+      company: 'Yeditepe Üniversitesi, İstanbul',
+      description: `In-depth coursework: digital systems, software development, data analytics, cybersecurity.\nCombining tech and real-world problem solving. Ongoing degree.`
+    },
+    {
+      type: 'education',
+      startDate: '2019',
+      endDate: '2023',
+      title: 'High School Diploma',
+      company: 'Doğa Koleji, Çanakkale',
+      description: `Strong STEM and computing foundation, team projects and problem solving.\nDeveloped collaboration and tech project skills through extracurricular activities.`
+    }
+  ],
+
+  skills: [
+    { name: 'HTML', level: 100, category: 'Frontend', years: 5, aliases: ['HTML5'] },
+    { name: 'CSS', level: 90, category: 'Frontend', years: 5, aliases: ['CSS3', 'SASS', 'Flexbox', 'Grid'] },
+    { name: 'React.js', level: 80, category: 'Framework', years: 3, aliases: ['Next.js', 'Redux'] },
+    { name: 'Vue.js', level: 75, category: 'Framework', years: 2, aliases: ['Nuxt.js', 'Vuex'] },
+    { name: 'JavaScript', level: 75, category: 'Language', years: 4, aliases: ['ES6+'] },
+    { name: 'PHP', level: 80, category: 'Backend', years: 4 },
+    { name: 'WordPress / CMS', level: 90, category: 'CMS', years: 5, aliases: ['WordPress', 'WooCommerce', 'CMS'] },
+    { name: 'Figma', level: 80, category: 'Design', years: 3 },
+    { name: 'Canva', level: 80, category: 'Design', years: 4 },
+    { name: 'Photoshop', level: 55, category: 'Design', years: 2 }
+  ],
+
+  certifications: [
+    {
+      title: 'Modern JavaScript (ES6+)',
+      platform: 'Udacity',
+      duration: '3 Months',
+      skills: ['ES6+ Syntax', 'Async/Await', 'Promises', 'DOM Manipulation', 'Fetch API', 'Modular JavaScript']
+    },
+    {
+      title: 'React.js Frontend Development',
+      platform: 'Coursera (Meta)',
+      duration: '4 Months',
+      skills: ['React Hooks', 'Context API', 'Redux', 'SPA Development', 'Jest Testing']
+    },
+    {
+      title: 'Responsive Web Design',
+      platform: 'freeCodeCamp',
+      duration: '300 Hours',
+      skills: ['HTML5', 'CSS3', 'Flexbox', 'Grid', 'Media Queries', 'Accessibility']
+    },
+    {
+      title: 'TypeScript Mastery',
+      platform: 'Frontend Masters',
+      duration: '6 Weeks',
+      skills: ['Static Typing', 'Interfaces', 'Generics', 'Angular/React Integration']
+    },
+    {
+      title: 'Web Performance Optimization',
+      platform: 'Google Developers',
+      duration: '2 Months',
+      skills: ['Lighthouse Audits', 'Lazy Loading', 'Critical Rendering Path', 'Performance Optimization']
+    },
+    {
+      title: 'Vue.js & Nuxt.js',
+      platform: 'Udemy',
+      duration: '30 Hours',
+      skills: ['Vuex', 'State Management', 'Server-Side Rendering', 'Nuxt.js', 'Vue.js Best Practices']
+    }
+  ],
+
+  // Case studies for the Portfolio section; it stays hidden while this is empty
+  projects: [],
+
+  services: [
+    {
+      title: 'Digital Marketing',
+      slug: 'digital-marketing',
+      description: 'We increase your brand\'s online visibility. With SEO, social media management, and advertising strategies, we make it easier for you to reach your target audience.',
+      details: [
+        'Campaigns start with an audit of your site, search rankings and social channels, followed by a plan with clear targets for traffic, leads and cost per acquisition.',
+        'Technical SEO, content calendars, paid search and social ads are run together and reported monthly, so budget moves to what actually converts.'
+      ],
+      tech: ['SEO', 'Social Media', 'Ads', 'Analytics'],
+      featured: true
+    },
+    {
+      title: 'Web Design & Development',
+      slug: 'web-design',
+      description: 'We design modern, user-friendly, and mobile-optimized websites. We strengthen your online sales with e-commerce solutions.',
+      details: [
+        'Every site is designed mobile-first in Figma, tested with real content and built for fast loading, accessibility and easy editing.',
+        'Projects range from portfolio and corporate sites to WooCommerce and headless e-commerce stores, delivered with analytics, SEO basics and a handover session.'
+      ],
+      tech: ['Responsive', 'E-Commerce', 'WordPress', 'CMS'],
+      featured: false
+    },
+    {
+      title: 'Corporate Consulting',
+      slug: 'corporate-consulting',
+      description: 'We optimize your business processes, reduce costs, and increase efficiency. We ensure long-term success through strategic planning.',
+      details: [
+        'Workshops with your team map the current processes, the tools in use and where time and money are lost.',
+        'The result is a prioritised roadmap with measurable goals, and hands-on support while the changes are rolled out.'
+      ],
+      tech: ['Strategy', 'Optimization', 'Planning', 'Efficiency'],
+      featured: true
+    },
+    {
+      title: 'Software Solutions',
+      slug: 'software-solutions',
+      description: 'We develop custom software and automation systems. We offer solutions that accelerate your workflow, secure and scalable.',
+      details: [
+        'Internal tools, integrations and automations that remove repetitive work, built on well-documented APIs.',
+        'Each solution ships with tests, monitoring and documentation so it stays maintainable after delivery.'
+      ],
+      tech: ['Custom Software', 'Automation', 'APIs', 'Integration'],
+      featured: false
+    },
+    {
+      title: 'Graphic Design',
+      slug: 'graphic-design',
+      description: 'We design logos, brochures, banners, and digital content that strengthen your brand identity. We enable you to make a difference with creative solutions.',
+      details: [
+        'Brand identities from logo and colour palette to typography and usage guidelines.',
+        'Print and digital assets such as brochures, banners and social media templates follow the same system, so the brand looks consistent everywhere.'
+      ],
+      tech: ['Logo Design', 'Branding', 'Print', 'Digital'],
+      featured: false
+    },
+    {
+      title: 'CRM Management',
+      slug: 'crm-management',
+      description: 'We establish CRM systems that increase customer loyalty and facilitate your sales processes. We support your decision-making processes with data analysis.',
+      details: [
+        'Setup and migration of CRM systems, with pipelines, custom fields and automations that match how your sales team works.',
+        'Dashboards and reports turn customer data into decisions, and training makes sure the team actually uses the system.'
+      ],
+      tech: ['CRM', 'Sales', 'Analytics', 'Automation'],
+      featured: false
+    }
+  ],
+
+  socials: [
+    { label: 'LinkedIn', url: 'https://www.linkedin.com/in/tahsinmertmutlu', icon: '💼' },
+    { label: 'Instagram', url: 'https://www.instagram.com/tahsin_mert_official/', icon: '📸' },
+    { label: 'GitHub', url: 'https://github.com/tahsinmert', icon: '🔗' }
+  ],
+
+  translations: { tr }
+};
+
+export default resume;
@@ -0,0 +1,130 @@
+/**
+ * resume.tr.js - Turkish translation of the default resume content
+ *
+ * Merged over resume.js by `localizeResume` (src/lib/i18n.js): objects by key,
+ * arrays by index, so only the translated text fields appear here.
+ */
+
+const tr = {
+  basics: {
+    role: 'UI/UX Tasarımcı ve Web Geliştirici',
+    bio: 'Kullanıcı odaklı arayüzler tasarlama ve modern, hızlı, duyarlı web siteleri geliştirme konusunda 4+ yıllık deneyim. Sade, estetik ve işlevsel dijital deneyimler yaratıyorum.',
+    location: 'İstanbul, Türkiye',
+    highlight: 'UI/UX Tasarımcı ve Web Geliştirici',
+    summary: [
+      'Kullanıcı odaklı arayüzler tasarlama ve modern, hızlı, duyarlı web siteleri geliştirme konusunda 4 yılı aşkın deneyime sahip bir UI/UX Tasarımcı ve Web Geliştirici\'yim.',
+      'Amacım sade, estetik ve işlevsel dijital deneyimler yaratmak. Kullanılabilirliğe, erişilebilirliğe ve performans detaylarına önem veriyorum. Portfolyo siteleri, kurumsal web sayfaları ya da özel projeler; fikirleri güçlü ve etkileyici ürünlere dönüştürmeyi seviyorum.',
+      'Kullanıcı deneyimi (UX) ve kullanıcı arayüzü (UI) tasarımında uzmanlaşırken, web geliştirici olarak modern web teknolojileriyle hem estetik hem işlevsel dijital ürünler geliştiriyorum.'
+    ],
+    quote: 'Yeni projelere ve yaratıcı iş birliklerine her zaman açığım. Birlikte etkileyici işler üretmek isterseniz benimle iletişime geçmekten çekinmeyin.',
+    contactQuote: 'Yeni projelere ve yaratıcı iş birliklerine her zaman açığım.'
+  },
+
+  stats: [
+    { label: 'YAŞ' },
+    { label: 'YILLIK DENEYİM' },
+    { label: 'SERTİFİKA' },
+    { label: 'DERECE', value: 'Yüksek Lisans' },
+    { label: 'SERBEST ÇALIŞMA', value: 'Müsait' }
+  ],
+
+  experience: [
+    {
+      title: 'Kıdemli Frontend Geliştirici',
+      description: `React.js ve Next.js ile kurumsal web uygulamaları ve e-ticaret platformları geliştirdim.\n7 kişilik frontend ekibine liderlik ettim, kod incelemelerini ve Agile süreçlerini yönettim.\nTypeScript ile ölçeklenebilir kod tabanları kurdum ve performansı iyileştirdim.\nFigma üzerinden UI/UX ile yakın çalışarak duyarlı ve kullanıcı dostu arayüzler geliştirdim.\nJest ve Cypress ile test süreçlerini güçlendirdim.`
+    },
+    {
+      title: 'Frontend Geliştirici',
+      description: `JavaScript (ES6+), Vue.js, HTML5 ve CSS3/SASS ile dinamik, modern web siteleri oluşturdum.\nYönetim panelleri ve kullanıcı yönetim sistemleri geliştirdim.\nReact state yönetimi için Redux/Context API kullandım, RESTful API'lerle çalıştım.\nMüşteri ihtiyaçlarına göre 5+ projeyi eş zamanlı teslim ettim.\nTarayıcılar arası ve mobil uyumluluğu sağladım.`
+    },
+    {
+      title: 'Bilişim Sistemleri ve Teknolojileri',
+      description: `Kapsamlı dersler: dijital sistemler, yazılım geliştirme, veri analitiği, siber güvenlik.\nTeknolojiyi gerçek dünya problemlerinin çözümüyle birleştiriyorum. Eğitimim devam ediyor.`
+    },
+    {
+      title: 'Lise Diploması',
+      description: `Güçlü fen, matematik ve bilgisayar temeli; takım projeleri ve problem çözme.\nDers dışı etkinliklerle iş birliği ve teknoloji projesi becerileri geliştirdim.`
+    }
+  ],
+
+  skills: [
+    {},
+    {},
+    { category: 'Çatı' },
+    { category: 'Çatı' },
+    { category: 'Dil' },
+    {},
+    {},
+    { category: 'Tasarım' },
+    { category: 'Tasarım' },
+    { category: 'Tasarım' }
+  ],
+
+  certifications: [
+    { title: 'Modern JavaScript (ES6+)', duration: '3 Ay' },
+    { title: 'React.js ile Frontend Geliştirme', duration: '4 Ay' },
+    { title: 'Duyarlı Web Tasarımı', duration: '300 Saat', skills: ['HTML5', 'CSS3', 'Flexbox', 'Grid', 'Media Queries', 'Erişilebilirlik'] },
+    { title: 'TypeScript Uzmanlığı', duration: '6 Hafta' },
+    { title: 'Web Performans Optimizasyonu', duration: '2 Ay' },
+    { title: 'Vue.js ve Nuxt.js', duration: '30 Saat' }
+  ],
+
+  services: [
+    {
+      title: 'Dijital Pazarlama',
+      description: 'Markanızın çevrimiçi görünürlüğünü artırıyoruz. SEO, sosyal medya yönetimi ve reklam stratejileriyle hedef kitlenize ulaşmanızı kolaylaştırıyoruz.',
+      details: [
+        'Kampanyalar sitenizin, arama sıralamalarınızın ve sosyal medya kanallarınızın analiziyle başlar; ardından trafik, potansiyel müşteri ve edinme maliyeti için net hedefler içeren bir plan hazırlanır.',
+        'Teknik SEO, içerik takvimi, arama ve sosyal medya reklamları birlikte yürütülür ve her ay raporlanır; böylece bütçe gerçekten dönüşüm getiren kanallara kayar.'
+      ],
+      tech: ['SEO', 'Sosyal Medya', 'Reklam', 'Analitik']
+    },
+    {
+      title: 'Web Tasarım ve Geliştirme',
+      description: 'Modern, kullanıcı dostu ve mobil uyumlu web siteleri tasarlıyoruz. E-ticaret çözümleriyle çevrimiçi satışlarınızı güçlendiriyoruz.',
+      details: [
+        'Her site Figma’da önce mobil için tasarlanır, gerçek içerikle test edilir; hızlı yüklenme, erişilebilirlik ve kolay düzenleme için geliştirilir.',
+        'Projeler portfolyo ve kurumsal sitelerden WooCommerce ve headless e-ticaret mağazalarına kadar uzanır; analitik, temel SEO ve bir devir teslim oturumuyla teslim edilir.'
+      ],
+      tech: ['Duyarlı', 'E-Ticaret', 'WordPress', 'CMS']
+    },
+    {
+      title: 'Kurumsal Danışmanlık',
+      description: 'İş süreçlerinizi optimize ediyor, maliyetleri düşürüyor ve verimliliği artırıyoruz. Stratejik planlamayla uzun vadeli başarı sağlıyoruz.',
+      details: [
+        'Ekibinizle yapılan atölyelerde mevcut süreçler, kullanılan araçlar ve zaman ile paranın nerede kaybedildiği çıkarılır.',
+        'Sonuç, ölçülebilir hedefleri olan önceliklendirilmiş bir yol haritası ve değişiklikler uygulanırken birebir destektir.'
+      ],
+      tech: ['Strateji', 'Optimizasyon', 'Planlama', 'Verimlilik']
+    },
+    {
+      title: 'Yazılım Çözümleri',
+      description: 'Özel yazılım ve otomasyon sistemleri geliştiriyoruz. İş akışınızı hızlandıran, güvenli ve ölçeklenebilir çözümler sunuyoruz.',
+      details: [
+        'Tekrarlayan işleri ortadan kaldıran, iyi belgelenmiş API’ler üzerine kurulu iç araçlar, entegrasyonlar ve otomasyonlar.',
+        'Her çözüm testler, izleme ve dokümantasyonla teslim edilir; böylece teslimattan sonra da bakımı kolay kalır.'
+      ],
+      tech: ['Özel Yazılım', 'Otomasyon', 'API', 'Entegrasyon']
+    },
+    {
+      title: 'Grafik Tasarım',
+      description: 'Marka kimliğinizi güçlendiren logo, broşür, afiş ve dijital içerikler tasarlıyoruz. Yaratıcı çözümlerle fark yaratmanızı sağlıyoruz.',
+      details: [
+        'Logo ve renk paletinden tipografi ve kullanım kılavuzuna kadar marka kimlikleri.',
+        'Broşür, afiş ve sosyal medya şablonları gibi basılı ve dijital materyaller aynı sistemi izler; marka her yerde tutarlı görünür.'
+      ],
+      tech: ['Logo Tasarımı', 'Markalaşma', 'Baskı', 'Dijital']
+    },
+    {
+      title: 'CRM Yönetimi',
+      description: 'Müşteri sadakatini artıran ve satış süreçlerinizi kolaylaştıran CRM sistemleri kuruyoruz. Veri analiziyle karar alma süreçlerinizi destekliyoruz.',
+      details: [
+        'Satış ekibinizin çalışma biçimine uygun süreçler, özel alanlar ve otomasyonlarla CRM sistemlerinin kurulumu ve taşınması.',
+        'Panolar ve raporlar müşteri verisini karara dönüştürür; eğitimler ekibin sistemi gerçekten kullanmasını sağlar.'
+      ],
+      tech: ['CRM', 'Satış', 'Analitik', 'Otomasyon']
+    }
+  ]
+};
+
+export default tr;
@@ -0,0 +1,54 @@
+/**
+ * terminal.js - Default session played by the Terminal widget
+ *
+ * Pass your own script (or a list of them, one per project) as the
+ * `terminalScript` prop; see src/lib/terminalScript.js for the format.
+ */
+
+const terminalScript = {
+  title: 'build',
+  prompt: '$',
+  loop: true,
+  steps: [
+    {
+      command: 'npm install --save-dev framer-motion',
+      output: [
+        { text: 'added 3 packages, and audited 412 packages in 2s', delay: 900 },
+        '',
+        '86 packages are looking for funding',
+        '  run `npm fund` for details',
+        '',
+        'found 0 vulnerabilities'
+      ]
+    },
+    {
+      command: 'git commit -m "feat: add CV components"',
+      output: [
+        '[main 4f2a9c1] feat: add CV components',
+        ' 3 files changed, 214 insertions(+), 12 deletions(-)'
+      ]
+    },
+    {
+      command: 'npm run build',
+      output: [
+        '> tahsinmertmutlu-cv@1.0.0 build',
+        '> vite build',
+        '',
+        'vite v5.0.8 building for production...',
+        { text: '✓ 412 modules transformed.', delay: 1200 },
+        { text: '(!) Some chunks are larger than 500 kB after minification.', stream: 'stderr', delay: 300 },
+        { text: '✓ built in 4.21s', delay: 200 }
+      ]
+    },
+    {
+      command: 'echo "Build complete ✓"',
+      output: ['Build complete ✓']
+    },
+    {
+      command: 'node --version',
+      output: ['v20.11.0']
+    }
+  ]
+};
+
+export default terminalScript;
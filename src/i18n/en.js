@@ -0,0 +1,312 @@
+/**
+ * en.js - English UI strings
+ *
+ * Keys are shared with tr.js; see src/lib/i18n.js for lookup, `{placeholders}`
+ * and `_one` / `_other` plurals. Resume content is translated separately
+ * through `resume.translations`.
+ */
+
+export default {
+  language: {
+    name: 'English',
+    short: 'EN',
+    label: 'Language'
+  },
+
+  meta: {
+    title: '{name} - {role} | Portfolio & CV'
+  },
+
+  skipLink: 'Skip to main content',
+
+  nav: {
+    about: 'About',
+    experience: 'Work',
+    skills: 'Skills',
+    projects: 'Portfolio',
+    services: 'Services',
+    contact: 'Contact',
+    openMenu: 'Open menu',
+    closeMenu: 'Close menu',
+    volume: 'VOL.'
+  },
+
+  theme: {
+    toggle: 'Toggle theme',
+    switchTo: 'Switch to {theme} theme',
+    dark: 'dark',
+    light: 'light'
+  },
+
+  hero: {
+    portfolio: 'Portfolio',
+    featured: 'FEATURED',
+    downloadPdf: 'DOWNLOAD PDF ↓',
+    preparingPdf: 'PREPARING PDF…',
+    pdfFailed: 'The PDF could not be created here, so the printable CV opened in a new tab instead.',
+    contactMe: 'CONTACT ME',
+    printableCv: 'View printable CV →'
+  },
+
+  about: {
+    statistics: 'STATISTICS',
+    label: 'ABOUT THE DEVELOPER',
+    title: 'The Story'
+  },
+
+  experience: {
+    label: 'CAREER TRAJECTORY',
+    title: 'Resume',
+    present: 'Present',
+    years_one: '{count} yr',
+    years_other: '{count} yrs',
+    months_one: '{count} mo',
+    months_other: '{count} mos',
+    tracks: 'Timeline track',
+    track: {
+      all: 'All',
+      work: 'Work',
+      education: 'Education'
+    }
+  },
+
+  skills: {
+    label: 'TECHNICAL EXPERTISE',
+    title: 'Skills',
+    techStack: 'TECH STACK',
+    tools_one: '{count} Tool',
+    tools: '{count} Tools',
+    cloud: 'Skill cloud',
+    cloudHint: 'Use the arrow keys to move between skills, Enter to pin where a skill was used and Shift + arrow keys to move it. Skills can also be dragged.',
+    categories: 'Skill categories',
+    usedIn: 'Where I used {skill}',
+    notLinked: 'Not linked to any role, certification or project yet.',
+    pinHint: 'Click the skill to keep this view while you scroll.',
+    unpin: 'Unpin',
+    relations: {
+      experience: 'Experience',
+      certifications: 'Certifications',
+      projects: 'Projects'
+    },
+    years_one: '{count} year',
+    years_other: '{count} years'
+  },
+
+  certifications: {
+    label: 'CONTINUOUS LEARNING',
+    title: 'Certifications'
+  },
+
+  services: {
+    label: 'WHAT I OFFER',
+    title: 'Services',
+    number: 'SERVICE {number}',
+    featured: 'FEATURED',
+    key: 'KEY SERVICE',
+    available: 'AVAILABLE NOW',
+    getQuote: 'GET QUOTE →',
+    learnMore: 'LEARN MORE'
+  },
+
+  project: {
+    label: 'SELECTED WORK',
+    title: 'Portfolio',
+    present: 'Present',
+    outcomes: 'OUTCOMES',
+    close: 'Close project details',
+    gallery: 'Screenshots',
+    previousImage: 'Previous screenshot',
+    nextImage: 'Next screenshot',
+    showImage: 'Show screenshot {index} of {total}',
+    tech: 'TECH STACK',
+    live: 'Live demo',
+    repo: 'Source code'
+  },
+
+  filters: {
+    searchProjects: 'Search projects',
+    searchSkills: 'Search skills',
+    byTech: 'Filter by technology',
+    byCategory: 'Filter by category',
+    all: 'All',
+    clear: 'Clear filters',
+    results: '{count} of {total} shown',
+    empty: 'Nothing matches these filters.'
+  },
+
+  palette: {
+    open: 'Search the page',
+    title: 'Command palette',
+    label: 'Search sections, roles, projects and actions',
+    placeholder: 'Type to search or run a command…',
+    results_one: '{count} result',
+    results_other: '{count} results',
+    empty: 'Nothing matches “{query}”.',
+    hint: '↑ ↓ to move · Enter to open · Esc to close',
+    groups: {
+      sections: 'Section',
+      experience: 'Timeline',
+      certifications: 'Certification',
+      projects: 'Project',
+      actions: 'Action'
+    },
+    actions: {
+      theme: 'Toggle theme',
+      pdf: 'Download CV (PDF)',
+      email: 'Copy email address',
+      devTools: 'Open developer tools'
+    },
+    emailCopied: 'Email address copied',
+    emailCopyFailed: 'Could not copy the email address'
+  },
+
+  terminal: {
+    label: 'BEHIND THE SCENES',
+    title: 'Code Preview',
+    play: 'Play terminal',
+    pause: 'Pause terminal',
+    restart: 'Restart session',
+    seek: 'Session position',
+    position: '{current} of {total} seconds',
+    sessions: 'Sessions',
+    log: 'Show full log',
+    copy: 'Copy transcript',
+    copied: 'Transcript copied',
+    copyFailed: 'Could not copy the transcript',
+    interactive: 'Type commands',
+    demo: 'Back to demo',
+    hint: 'Try it yourself: whoami, skills, projects… →',
+    inputLabel: 'Terminal command',
+    announcements: 'Terminal output'
+  },
+
+  shell: {
+    welcome: 'Interactive mode. Type “help” to see what I can tell you.',
+    helpIntro: 'Available commands (Tab completes, ↑/↓ browse history):',
+    commands: {
+      help: 'show this list',
+      whoami: 'who I am',
+      skills: 'skills by category',
+      experience: 'work and education timeline',
+      projects: 'portfolio projects',
+      services: 'what I offer',
+      contact: 'how to reach me',
+      theme: 'show or switch the colour theme',
+      clear: 'clear the screen'
+    },
+    empty: 'Nothing here yet.',
+    themeCurrent: 'Current theme: {theme}',
+    themeSet: 'Theme switched to {theme}.',
+    themeUnknown: 'Unknown theme “{theme}”. Try: theme dark, theme light',
+    notFound: 'command not found: {command}. Type “help” for a list.'
+  },
+
+  contact: {
+    label: 'GET IN TOUCH',
+    title: 'Contact',
+    email: 'EMAIL ADDRESS',
+    phone: 'PHONE NUMBER',
+    website: 'WEBSITE',
+    location: 'LOCATION',
+    nameField: 'YOUR NAME',
+    emailField: 'YOUR EMAIL',
+    messageField: 'MESSAGE',
+    honeypot: 'Leave this field empty',
+    send: 'Send Message →',
+    sending: 'Sending…',
+    sentTitle: 'MESSAGE SENT',
+    sentStatus: 'SUCCESS',
+    sentBody: 'Thank you for your message. I\'ll get back to you soon.',
+    failedTitle: 'MESSAGE NOT SENT',
+    failedStatus: 'ERROR',
+    failedBody: 'Something went wrong while sending your message. Your text is still in the form, so you can try again.',
+    tooFast: 'That was quick! Please give your message a second look and send it again.',
+    rateLimited_one: 'You\'ve sent several messages in a short time. Please try again in {count} minute.',
+    rateLimited_other: 'You\'ve sent several messages in a short time. Please try again in {count} minutes.',
+    emailFallback: 'You can also {link}.',
+    emailFallbackLink: 'email me directly',
+    dismiss: 'Dismiss',
+    errors: {
+      nameRequired: 'Please enter your name.',
+      nameTooLong: 'Please keep your name under {max} characters.',
+      emailRequired: 'Please enter your email address.',
+      emailInvalid: 'Please enter a valid email address, like name@example.com.',
+      messageRequired: 'Please write a message.',
+      messageTooShort: 'Please write at least {min} characters.',
+      messageTooLong: 'Please keep your message under {max} characters.'
+    }
+  },
+
+  footer: {
+    rights: 'ALL RIGHTS RESERVED'
+  },
+
+  devTools: {
+    toggle: 'Toggle developer tools',
+    toggleTitle: 'Developer tools (Alt+Shift+D)',
+    title: 'Developer Tools',
+    css: 'Show CSS Panel',
+    performance: 'Show Performance Overlay',
+    dom: 'Show DOM Outlines',
+    audit: 'Accessibility Audit',
+    findings_one: '{count} finding',
+    findings_other: '{count} findings',
+    rescan: 'Re-scan',
+    scrollTo: 'Scroll to element',
+    lowBandwidth: 'Low Bandwidth Mode',
+    modes: {
+      auto: 'auto',
+      on: 'on',
+      off: 'off'
+    },
+    states: {
+      on: 'On',
+      off: 'Off'
+    },
+    reasons: {
+      manual: '{state}: set manually.',
+      saveData: '{state}: the browser asks to save data.',
+      connection: '{state}: the connection is rated {type}.',
+      unsupported: '{state}: this browser does not report connection speed.'
+    },
+    fast: 'fast',
+    cssPanel: {
+      title: 'CSS Variables',
+      close: 'Close CSS panel',
+      preset: 'Preset',
+      editing: 'Editing the {theme} theme. Changes apply live.',
+      colour: '{name} colour',
+      opacity: '{name} opacity',
+      exportPreset: 'Export preset JSON',
+      reset: 'Reset'
+    },
+    performanceOverlay: {
+      label: 'Performance overlay',
+      title: 'Performance',
+      fps: '{fps} fps',
+      longTasks: 'Long tasks',
+      longTasksValue: '{tasks} · TBT {time} ms',
+      memory: 'Memory',
+      memoryValue: '{used} / {limit} MB',
+      unavailable: 'n/a',
+      download: 'Download JSON report'
+    },
+    exportJsonResume: 'Export JSON Resume',
+    copySetupLink: 'Copy setup link',
+    copied: 'Copied',
+    copyFailed: 'Copy failed',
+    network: 'Network:',
+    online: 'Online',
+    offline: 'Offline',
+    connection: 'Connection: {type}',
+    unknown: 'unknown'
+  },
+
+  pdf: {
+    summary: 'Professional Summary',
+    skills: 'Technical Skills',
+    experience: 'Professional Experience',
+    education: 'Education',
+    certifications: 'Certifications'
+  }
+};
@@ -0,0 +1,305 @@
+/**
+ * tr.js - Turkish UI strings
+ *
+ * Mirrors the keys of en.js; anything missing here falls back to English.
+ */
+
+export default {
+  language: {
+    name: 'Türkçe',
+    short: 'TR',
+    label: 'Dil'
+  },
+
+  meta: {
+    title: '{name} - {role} | Portfolyo ve Özgeçmiş'
+  },
+
+  skipLink: 'Ana içeriğe geç',
+
+  nav: {
+    about: 'Hakkımda',
+    experience: 'Deneyim',
+    skills: 'Yetenekler',
+    projects: 'Portfolyo',
+    services: 'Hizmetler',
+    contact: 'İletişim',
+    openMenu: 'Menüyü aç',
+    closeMenu: 'Menüyü kapat',
+    volume: 'SAYI'
+  },
+
+  theme: {
+    toggle: 'Temayı değiştir',
+    switchTo: '{theme} temaya geç',
+    dark: 'koyu',
+    light: 'açık'
+  },
+
+  hero: {
+    portfolio: 'Portfolyo',
+    featured: 'ÖNE ÇIKAN',
+    downloadPdf: 'PDF İNDİR ↓',
+    preparingPdf: 'PDF HAZIRLANIYOR…',
+    pdfFailed: 'PDF burada oluşturulamadı, bu yüzden yazdırılabilir CV yeni bir sekmede açıldı.',
+    contactMe: 'BANA ULAŞIN',
+    printableCv: 'Yazdırılabilir özgeçmişi görüntüle →'
+  },
+
+  about: {
+    statistics: 'İSTATİSTİKLER',
+    label: 'GELİŞTİRİCİ HAKKINDA',
+    title: 'Hikâyem'
+  },
+
+  experience: {
+    label: 'KARİYER YOLCULUĞU',
+    title: 'Özgeçmiş',
+    present: 'Günümüz',
+    years_one: '{count} yıl',
+    years_other: '{count} yıl',
+    months_one: '{count} ay',
+    months_other: '{count} ay',
+    tracks: 'Zaman çizelgesi',
+    track: {
+      all: 'Tümü',
+      work: 'İş',
+      education: 'Eğitim'
+    }
+  },
+
+  skills: {
+    label: 'TEKNİK UZMANLIK',
+    title: 'Yetenekler',
+    techStack: 'TEKNOLOJİLER',
+    tools: '{count} Araç',
+    cloud: 'Yetenek bulutu',
+    cloudHint: 'Yetenekler arasında ok tuşlarıyla gezinin; Enter ile yeteneğin kullanıldığı yerleri sabitleyin, Shift + ok tuşlarıyla taşıyın. Yetenekler sürüklenebilir de.',
+    categories: 'Yetenek kategorileri',
+    usedIn: '{skill} nerelerde kullanıldı',
+    notLinked: 'Henüz bir görev, sertifika ya da projeyle ilişkilendirilmedi.',
+    pinHint: 'Kaydırırken bu görünümü korumak için yeteneğe tıklayın.',
+    unpin: 'Sabitlemeyi kaldır',
+    relations: {
+      experience: 'Deneyim',
+      certifications: 'Sertifikalar',
+      projects: 'Projeler'
+    },
+    years_other: '{count} yıl'
+  },
+
+  certifications: {
+    label: 'SÜREKLİ ÖĞRENME',
+    title: 'Sertifikalar'
+  },
+
+  services: {
+    label: 'SUNDUKLARIM',
+    title: 'Hizmetler',
+    number: 'HİZMET {number}',
+    featured: 'ÖNE ÇIKAN',
+    key: 'TEMEL HİZMET',
+    available: 'ŞİMDİ MÜSAİT',
+    getQuote: 'TEKLİF AL →',
+    learnMore: 'DAHA FAZLA'
+  },
+
+  project: {
+    label: 'SEÇİLMİŞ İŞLER',
+    title: 'Portfolyo',
+    present: 'Günümüz',
+    outcomes: 'SONUÇLAR',
+    close: 'Proje ayrıntılarını kapat',
+    gallery: 'Ekran görüntüleri',
+    previousImage: 'Önceki ekran görüntüsü',
+    nextImage: 'Sonraki ekran görüntüsü',
+    showImage: '{total} ekran görüntüsünden {index}. görüntüyü göster',
+    tech: 'TEKNOLOJİLER',
+    live: 'Canlı demo',
+    repo: 'Kaynak kod'
+  },
+
+  filters: {
+    searchProjects: 'Projelerde ara',
+    searchSkills: 'Yeteneklerde ara',
+    byTech: 'Teknolojiye göre filtrele',
+    byCategory: 'Kategoriye göre filtrele',
+    all: 'Tümü',
+    clear: 'Filtreleri temizle',
+    results: '{total} içinden {count} gösteriliyor',
+    empty: 'Bu filtrelere uyan bir şey yok.'
+  },
+
+  palette: {
+    open: 'Sayfada ara',
+    title: 'Komut paleti',
+    label: 'Bölüm, rol, proje ve eylem ara',
+    placeholder: 'Aramak veya komut çalıştırmak için yazın…',
+    results_other: '{count} sonuç',
+    empty: '“{query}” ile eşleşen bir şey yok.',
+    hint: '↑ ↓ gezin · Enter aç · Esc kapat',
+    groups: {
+      sections: 'Bölüm',
+      experience: 'Zaman çizelgesi',
+      certifications: 'Sertifika',
+      projects: 'Proje',
+      actions: 'Eylem'
+    },
+    actions: {
+      theme: 'Temayı değiştir',
+      pdf: 'CV’yi indir (PDF)',
+      email: 'E-posta adresini kopyala',
+      devTools: 'Geliştirici araçlarını aç'
+    },
+    emailCopied: 'E-posta adresi kopyalandı',
+    emailCopyFailed: 'E-posta adresi kopyalanamadı'
+  },
+
+  terminal: {
+    label: 'PERDE ARKASI',
+    title: 'Kod Önizlemesi',
+    play: 'Terminali oynat',
+    pause: 'Terminali duraklat',
+    restart: 'Oturumu yeniden başlat',
+    seek: 'Oturum konumu',
+    position: '{current} / {total} saniye',
+    sessions: 'Oturumlar',
+    log: 'Tüm kaydı göster',
+    copy: 'Kaydı kopyala',
+    copied: 'Kayıt kopyalandı',
+    copyFailed: 'Kayıt kopyalanamadı',
+    interactive: 'Komut yaz',
+    demo: 'Demoya dön',
+    hint: 'Kendiniz deneyin: whoami, skills, projects… →',
+    inputLabel: 'Terminal komutu',
+    announcements: 'Terminal çıktısı'
+  },
+
+  shell: {
+    welcome: 'Etkileşimli mod. Neler anlatabileceğimi görmek için “help” yazın.',
+    helpIntro: 'Kullanılabilir komutlar (Tab tamamlar, ↑/↓ geçmişte gezinir):',
+    commands: {
+      help: 'bu listeyi göster',
+      whoami: 'ben kimim',
+      skills: 'kategorilere göre yetenekler',
+      experience: 'iş ve eğitim geçmişi',
+      projects: 'portfolyo projeleri',
+      services: 'sunduklarım',
+      contact: 'bana nasıl ulaşılır',
+      theme: 'renk temasını göster veya değiştir',
+      clear: 'ekranı temizle'
+    },
+    empty: 'Henüz bir şey yok.',
+    themeCurrent: 'Geçerli tema: {theme}',
+    themeSet: 'Tema {theme} olarak değiştirildi.',
+    themeUnknown: 'Bilinmeyen tema “{theme}”. Deneyin: theme dark, theme light',
+    notFound: 'komut bulunamadı: {command}. Liste için “help” yazın.'
+  },
+
+  contact: {
+    label: 'İLETİŞİME GEÇİN',
+    title: 'İletişim',
+    email: 'E-POSTA ADRESİ',
+    phone: 'TELEFON NUMARASI',
+    website: 'WEB SİTESİ',
+    location: 'KONUM',
+    nameField: 'ADINIZ',
+    emailField: 'E-POSTANIZ',
+    messageField: 'MESAJINIZ',
+    honeypot: 'Bu alanı boş bırakın',
+    send: 'Mesaj Gönder →',
+    sending: 'Gönderiliyor…',
+    sentTitle: 'MESAJ GÖNDERİLDİ',
+    sentStatus: 'BAŞARILI',
+    sentBody: 'Mesajınız için teşekkürler. En kısa sürede size dönüş yapacağım.',
+    failedTitle: 'MESAJ GÖNDERİLEMEDİ',
+    failedStatus: 'HATA',
+    failedBody: 'Mesajınız gönderilirken bir sorun oluştu. Yazdıklarınız formda duruyor, tekrar deneyebilirsiniz.',
+    tooFast: 'Çok hızlıydı! Lütfen mesajınızı bir kez daha gözden geçirip tekrar gönderin.',
+    rateLimited_other: 'Kısa sürede birkaç mesaj gönderdiniz. Lütfen {count} dakika sonra tekrar deneyin.',
+    emailFallback: 'Dilerseniz {link}.',
+    emailFallbackLink: 'bana doğrudan e-posta gönderebilirsiniz',
+    dismiss: 'Kapat',
+    errors: {
+      nameRequired: 'Lütfen adınızı girin.',
+      nameTooLong: 'Lütfen adınızı {max} karakterin altında tutun.',
+      emailRequired: 'Lütfen e-posta adresinizi girin.',
+      emailInvalid: 'Lütfen ad@ornek.com gibi geçerli bir e-posta adresi girin.',
+      messageRequired: 'Lütfen bir mesaj yazın.',
+      messageTooShort: 'Lütfen en az {min} karakter yazın.',
+      messageTooLong: 'Lütfen mesajınızı {max} karakterin altında tutun.'
+    }
+  },
+
+  footer: {
+    rights: 'TÜM HAKLARI SAKLIDIR'
+  },
+
+  devTools: {
+    toggle: 'Geliştirici araçlarını aç/kapat',
+    toggleTitle: 'Geliştirici araçları (Alt+Shift+D)',
+    title: 'Geliştirici Araçları',
+    css: 'CSS Panelini Göster',
+    performance: 'Performans Katmanını Göster',
+    dom: 'DOM Çerçevelerini Göster',
+    audit: 'Erişilebilirlik Denetimi',
+    findings_other: '{count} bulgu',
+    rescan: 'Yeniden tara',
+    scrollTo: 'Öğeye kaydır',
+    lowBandwidth: 'Düşük Bant Genişliği Modu',
+    modes: {
+      auto: 'otomatik',
+      on: 'açık',
+      off: 'kapalı'
+    },
+    states: {
+      on: 'Açık',
+      off: 'Kapalı'
+    },
+    reasons: {
+      manual: '{state}: elle ayarlandı.',
+      saveData: '{state}: tarayıcı veri tasarrufu istiyor.',
+      connection: '{state}: bağlantı {type} olarak derecelendirildi.',
+      unsupported: '{state}: bu tarayıcı bağlantı hızını bildirmiyor.'
+    },
+    fast: 'hızlı',
+    cssPanel: {
+      title: 'CSS Değişkenleri',
+      close: 'CSS panelini kapat',
+      preset: 'Hazır tema',
+      editing: '{theme} tema düzenleniyor. Değişiklikler anında uygulanır.',
+      colour: '{name} rengi',
+      opacity: '{name} opaklığı',
+      exportPreset: 'Temayı JSON olarak dışa aktar',
+      reset: 'Sıfırla'
+    },
+    performanceOverlay: {
+      label: 'Performans katmanı',
+      title: 'Performans',
+      fps: '{fps} fps',
+      longTasks: 'Uzun görevler',
+      longTasksValue: '{tasks} · TBT {time} ms',
+      memory: 'Bellek',
+      memoryValue: '{used} / {limit} MB',
+      unavailable: 'yok',
+      download: 'JSON raporunu indir'
+    },
+    exportJsonResume: 'JSON Resume olarak dışa aktar',
+    copySetupLink: 'Kurulum bağlantısını kopyala',
+    copied: 'Kopyalandı',
+    copyFailed: 'Kopyalanamadı',
+    network: 'Ağ:',
+    online: 'Çevrimiçi',
+    offline: 'Çevrimdışı',
+    connection: 'Bağlantı: {type}',
+    unknown: 'bilinmiyor'
+  },
+
+  pdf: {
+    summary: 'Profesyonel Özet',
+    skills: 'Teknik Yetenekler',
+    experience: 'İş Deneyimi',
+    education: 'Eğitim',
+    certifications: 'Sertifikalar'
+  }
+};
@@ -0,0 +1,250 @@
+/**
+ * a11yAudit.js - Accessibility checks behind the Developer Tools audit mode
+ *
+ * `auditElement(root)` scans a rendered tree and returns findings:
+ *
+ *   { rule: 'image-alt', message: 'Image without alt text', element: <img> }
+ *
+ * Rules:
+ *   image-alt      <img> without an alt attribute (alt="" marks decoration)
+ *   control-name   buttons and links without an accessible name
+ *   contrast       text below WCAG AA contrast against its background
+ *   heading-order  a heading more than one level below the previous one
+ *   landmarks      no main, navigation or footer landmark, or several mains
+ *
+ * `auditThemeTokens(tokens)` checks the theme's text colours against its
+ * background and surface tokens, so a preset can be checked before anything
+ * uses it. These are quick checks for development, not a replacement for a
+ * full audit with a screen reader.
+ */
+
+import { parseColor } from './themePresets.js';
+
+// Subtrees marked with this attribute (the Developer Tools panels) are skipped
+export const AUDIT_IGNORE_ATTRIBUTE = 'data-audit-ignore';
+
+const NORMAL_TEXT_RATIO = 4.5;
+const LARGE_TEXT_RATIO = 3;
+
+/**
+ * [r, g, b, a] (0-255, alpha 0-1) from a CSS colour: hex, rgb(), rgba(),
+ * `color(srgb r g b / a)` (what browsers compute color-mix() to) or
+ * 'transparent'. Null for anything else.
+ */
+export const parseRgba = (value = '') => {
+  const color = value.trim();
+  if (color === 'transparent') return [0, 0, 0, 0];
+
+  const parsed = parseColor(color);
+  if (parsed) {
+    const [r, g, b] = [1, 3, 5].map((i) => parseInt(parsed.hex.slice(i, i + 2), 16));
+    return [r, g, b, parsed.alpha];
+  }
+
+  const srgb = color.match(/^color\(srgb\s+([\d.]+)\s+([\d.]+)\s+([\d.]+)\s*(?:\/\s*([\d.]+))?\)$/i);
+  if (srgb) {
+    const [, r, g, b, a = '1'] = srgb;
+    return [r, g, b].map((channel) => parseFloat(channel) * 255).concat(parseFloat(a));
+  }
+
+  return null;
+};
+
+/**
+ * Paint `top` over an opaque `bottom`: the colour the eye actually sees.
+ */
+export const blend = ([r, g, b, a], [br, bg, bb]) => [
+  r * a + br * (1 - a),
+  g * a + bg * (1 - a),
+  b * a + bb * (1 - a),
+  1
+];
+
+const luminance = ([r, g, b]) => {
+  const [lr, lg, lb] = [r, g, b].map((channel) => {
+    const c = channel / 255;
+    return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * lr + 0.7152 * lg + 0.0722 * lb;
+};
+
+/**
+ * WCAG contrast ratio (1-21) of a text colour over an opaque background.
+ */
+export const contrastRatio = (foreground, background) => {
+  const [lighter, darker] = [luminance(blend(foreground, background)), luminance(background)].sort((a, b) => b - a);
+  return (lighter + 0.05) / (darker + 0.05);
+};
+
+const formatRatio = (ratio) => `${Math.floor(ratio * 10) / 10}:1`;
+
+const THEME_PAIRS = [
+  ['--color-text', '--color-bg', NORMAL_TEXT_RATIO],
+  ['--color-text-muted', '--color-bg', NORMAL_TEXT_RATIO],
+  ['--color-text', '--color-surface', NORMAL_TEXT_RATIO],
+  ['--color-text-muted', '--color-surface', NORMAL_TEXT_RATIO],
+  // Primary is used for labels and large headings
+  ['--color-primary', '--color-bg', LARGE_TEXT_RATIO]
+];
+
+/**
+ * Contrast findings for one theme's tokens (`preset.dark` or `preset.light`).
+ * Surfaces are translucent, so they are painted over the background first.
+ */
+export const auditThemeTokens = (tokens) => {
+  const bg = parseRgba(tokens['--color-bg']);
+  if (!bg) return [];
+  const backgrounds = {
+    '--color-bg': bg,
+    '--color-surface': parseRgba(tokens['--color-surface']) && blend(parseRgba(tokens['--color-surface']), bg)
+  };
+
+  return THEME_PAIRS.flatMap(([text, background, required]) => {
+    const foreground = parseRgba(tokens[text]);
+    if (!foreground || !backgrounds[background]) return [];
+
+    const ratio = contrastRatio(foreground, backgrounds[background]);
+    return ratio < required
+      ? [{
+        rule: 'contrast',
+        message: `${text} on ${background}: ${formatRatio(ratio)} (needs ${required}:1)`,
+        element: null
+      }]
+      : [];
+  });
+};
+
+const isIgnored = (element) =>
+  Boolean(element.closest(`[${AUDIT_IGNORE_ATTRIBUTE}], [aria-hidden="true"], [hidden], .sr-only`));
+
+const textOf = (element) => {
+  const images = [...element.querySelectorAll('img[alt], svg title')]
+    .map((node) => (node.tagName.toLowerCase() === 'img' ? node.getAttribute('alt') : node.textContent));
+  return [element.textContent, ...images].join(' ').trim();
+};
+
+/**
+ * The element's accessible name, from aria-labelledby, aria-label, its text
+ * (including image alt text) or its title.
+ */
+export const accessibleName = (element) => {
+  const doc = element.ownerDocument;
+  const labelledBy = element.getAttribute('aria-labelledby');
+  if (labelledBy) {
+    const name = labelledBy.split(/\s+/).map((id) => doc.getElementById(id)?.textContent || '').join(' ').trim();
+    if (name) return name;
+  }
+  return (element.getAttribute('aria-label') || '').trim()
+    || textOf(element)
+    || (element.getAttribute('title') || '').trim();
+};
+
+const describe = (element) => {
+  const tag = element.tagName.toLowerCase();
+  const hint = element.getAttribute('src') || element.className?.toString().split(/\s+/).find(Boolean) || '';
+  return hint ? `<${tag}> ${hint.slice(0, 40)}` : `<${tag}>`;
+};
+
+const auditImages = (root) =>
+  [...root.querySelectorAll('img:not([alt])')]
+    .filter((img) => !isIgnored(img))
+    .map((element) => ({ rule: 'image-alt', message: `Image without alt text: ${describe(element)}`, element }));
+
+const auditControlNames = (root) =>
+  [...root.querySelectorAll('button, a[href], [role="button"], [role="link"]')]
+    .filter((control) => !isIgnored(control) && !accessibleName(control))
+    .map((element) => ({
+      rule: 'control-name',
+      message: `${element.tagName === 'A' ? 'Link' : 'Button'} without an accessible name: ${describe(element)}`,
+      element
+    }));
+
+const auditHeadings = (root) => {
+  const findings = [];
+  let previous = null;
+  root.querySelectorAll('h1, h2, h3, h4, h5, h6').forEach((element) => {
+    if (isIgnored(element)) return;
+    const level = Number(element.tagName[1]);
+    if (previous !== null && level > previous + 1) {
+      findings.push({
+        rule: 'heading-order',
+        message: `Heading jumps from h${previous} to h${level}: "${element.textContent.trim().slice(0, 40)}"`,
+        element
+      });
+    }
+    previous = level;
+  });
+  return findings;
+};
+
+const LANDMARKS = [
+  { name: 'main', selector: 'main, [role="main"]' },
+  { name: 'navigation', selector: 'nav, [role="navigation"]' },
+  { name: 'footer', selector: 'footer, [role="contentinfo"]' }
+];
+
+const auditLandmarks = (root) =>
+  LANDMARKS.flatMap(({ name, selector }) => {
+    const found = [...root.querySelectorAll(selector)].filter((element) => !isIgnored(element));
+    if (found.length === 0) return [{ rule: 'landmarks', message: `No ${name} landmark`, element: null }];
+    if (name === 'main' && found.length > 1) {
+      return [{ rule: 'landmarks', message: `${found.length} main landmarks; there should be one`, element: found[1] }];
+    }
+    return [];
+  });
+
+const hasOwnText = (element) =>
+  [...element.childNodes].some((node) => node.nodeType === 3 && node.textContent.trim());
+
+const auditContrast = (root, getStyle) => {
+  const backgrounds = new Map();
+  // Opaque colour behind an element: its own and its ancestors' backgrounds
+  // painted over each other, over white when none is opaque
+  const backgroundOf = (element) => {
+    if (!element || element.nodeType !== 1) return [255, 255, 255, 1];
+    if (!backgrounds.has(element)) {
+      const own = parseRgba(getStyle(element).backgroundColor) || [0, 0, 0, 0];
+      backgrounds.set(element, own[3] >= 1 ? own : blend(own, backgroundOf(element.parentElement)));
+    }
+    return backgrounds.get(element);
+  };
+  const opacityOf = (element) => {
+    let opacity = 1;
+    for (let node = element; node && node !== root.parentElement; node = node.parentElement) {
+      opacity *= parseFloat(getStyle(node).opacity || '1');
+    }
+    return opacity;
+  };
+
+  return [...root.querySelectorAll('*')]
+    .filter((element) => hasOwnText(element) && !isIgnored(element))
+    .flatMap((element) => {
+      const style = getStyle(element);
+      const color = parseRgba(style.color);
+      if (!color || style.visibility === 'hidden' || style.display === 'none') return [];
+
+      const size = parseFloat(style.fontSize) || 16;
+      const large = size >= 24 || (size >= 18.66 && Number(style.fontWeight) >= 700);
+      const required = large ? LARGE_TEXT_RATIO : NORMAL_TEXT_RATIO;
+      const [r, g, b, a] = color;
+      const ratio = contrastRatio([r, g, b, a * opacityOf(element)], backgroundOf(element));
+      if (ratio >= required) return [];
+
+      return [{
+        rule: 'contrast',
+        message: `Low contrast ${formatRatio(ratio)} (needs ${required}:1): "${element.textContent.trim().slice(0, 40)}"`,
+        element
+      }];
+    });
+};
+
+/**
+ * Findings for everything rendered under `root`, in rule order.
+ */
+export const auditElement = (root, { getStyle = (element) => window.getComputedStyle(element) } = {}) => [
+  ...auditImages(root),
+  ...auditControlNames(root),
+  ...auditContrast(root, getStyle),
+  ...auditHeadings(root),
+  ...auditLandmarks(root)
+];
@@ -0,0 +1,112 @@
+/**
+ * a11yAudit.test.js
+ * Unit tests for the accessibility audit checks
+ *
+ * Run with: npm test
+ */
+
+import { THEME_PRESETS } from './themePresets';
+import { parseRgba, contrastRatio, auditThemeTokens, accessibleName, auditElement } from './a11yAudit';
+
+// jsdom does not apply stylesheets: every element gets black text on white
+const plainStyle = () => ({ color: 'rgb(0, 0, 0)', backgroundColor: 'rgba(0, 0, 0, 0)', opacity: '1', fontSize: '16px', fontWeight: '400' });
+
+const renderHtml = (html) => {
+  const root = document.createElement('div');
+  root.innerHTML = html;
+  document.body.appendChild(root);
+  return root;
+};
+
+const PAGE = `
+  <nav><a href="#about">About</a></nav>
+  <main><h1>Jane Roe</h1><h2>About</h2></main>
+  <footer>© Jane</footer>
+`;
+
+describe('a11yAudit', () => {
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  test('parses computed colours', () => {
+    expect(parseRgba('#fff')).toEqual([255, 255, 255, 1]);
+    expect(parseRgba('rgba(0, 0, 0, 0.5)')).toEqual([0, 0, 0, 0.5]);
+    expect(parseRgba('color(srgb 1 0 0 / 0.25)')).toEqual([255, 0, 0, 0.25]);
+    expect(parseRgba('transparent')).toEqual([0, 0, 0, 0]);
+    expect(parseRgba('var(--color-text)')).toBeNull();
+  });
+
+  test('computes WCAG contrast ratios, blending translucent text', () => {
+    expect(contrastRatio([0, 0, 0, 1], [255, 255, 255, 1])).toBeCloseTo(21);
+    expect(contrastRatio([255, 255, 255, 1], [255, 255, 255, 1])).toBeCloseTo(1);
+    expect(contrastRatio([0, 0, 0, 0.3], [255, 255, 255, 1])).toBeLessThan(4.5);
+  });
+
+  test('the built-in presets pass the token contrast checks', () => {
+    Object.values(THEME_PRESETS).forEach((preset) => {
+      expect(auditThemeTokens(preset.dark)).toEqual([]);
+      expect(auditThemeTokens(preset.light)).toEqual([]);
+    });
+  });
+
+  test('flags theme tokens with low contrast', () => {
+    const findings = auditThemeTokens({ ...THEME_PRESETS.magazine.dark, '--color-text-muted': 'rgba(255, 255, 255, 0.3)' });
+    expect(findings.map((finding) => finding.message)).toEqual([
+      expect.stringMatching(/^--color-text-muted on --color-bg: \d\.\d:1 \(needs 4.5:1\)$/),
+      expect.stringMatching(/^--color-text-muted on --color-surface/)
+    ]);
+  });
+
+  test('finds accessible names from labels, text, alt text and titles', () => {
+    const root = renderHtml(`
+      <span id="label">Close</span>
+      <button aria-labelledby="label"></button>
+      <button aria-label="Open menu"><svg></svg></button>
+      <a href="/"><img src="/logo.png" alt="Home"></a>
+      <button title="Settings"></button>
+      <button><svg></svg></button>
+    `);
+    expect([...root.querySelectorAll('button, a')].map(accessibleName)).toEqual(['Close', 'Open menu', 'Home', 'Settings', '']);
+  });
+
+  test('reports images without alt and unnamed controls', () => {
+    const root = renderHtml(`${PAGE}
+      <img src="/photo.jpg">
+      <img src="/divider.svg" alt="">
+      <button class="hamburger"><svg></svg></button>
+      <div data-audit-ignore><button></button></div>
+    `);
+    const findings = auditElement(root, { getStyle: plainStyle });
+    expect(findings.map(({ rule, message }) => [rule, message])).toEqual([
+      ['image-alt', 'Image without alt text: <img> /photo.jpg'],
+      ['control-name', 'Button without an accessible name: <button> hamburger']
+    ]);
+    expect(findings[0].element).toBe(root.querySelector('img'));
+  });
+
+  test('reports heading jumps and missing landmarks', () => {
+    const root = renderHtml('<main><h1>Title</h1><h3>Skipped</h3><h2>Fine</h2></main><main></main>');
+    const findings = auditElement(root, { getStyle: plainStyle });
+    expect(findings.map(({ rule, message }) => [rule, message])).toEqual([
+      ['heading-order', 'Heading jumps from h1 to h3: "Skipped"'],
+      ['landmarks', '2 main landmarks; there should be one'],
+      ['landmarks', 'No navigation landmark'],
+      ['landmarks', 'No footer landmark']
+    ]);
+  });
+
+  test('reports text with low contrast against its background, including faded text', () => {
+    const root = renderHtml(`${PAGE}<section><p class="faded">Muted note</p><p class="large">Big grey title</p></section>`);
+    const getStyle = (element) => {
+      if (element.classList.contains('faded')) return { ...plainStyle(), opacity: '0.4' };
+      if (element.classList.contains('large')) return { ...plainStyle(), color: 'rgb(140, 140, 140)', fontSize: '32px' };
+      if (element.tagName === 'SECTION') return { ...plainStyle(), backgroundColor: 'rgb(255, 255, 255)' };
+      return plainStyle();
+    };
+    const findings = auditElement(root, { getStyle });
+    expect(findings.map(({ rule, message }) => [rule, message])).toEqual([
+      ['contrast', 'Low contrast 2.8:1 (needs 4.5:1): "Muted note"']
+    ]);
+  });
+});
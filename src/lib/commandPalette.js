@@ -0,0 +1,181 @@
+/**
+ * commandPalette.js - Commands and fuzzy search behind the Ctrl/⌘+K palette
+ *
+ * `paletteCommands` lists everything the palette can jump to or do:
+ *
+ *   { id: 'section:skills', group: 'sections', label: 'Skills', target: 'skills' }
+ *   { id: 'experience:2', group: 'experience', label: 'Frontend Developer',
+ *     detail: 'WebCraft', keywords: ['React.js', ...], target: 2 }
+ *   { id: 'action:theme', group: 'actions', label: 'Toggle theme', target: 'theme' }
+ *
+ * `searchCommands` ranks them against what the visitor typed. The letters of
+ * the query must appear in order ("tsc" finds "TypeScript"); letters at the
+ * start of a word and runs of consecutive letters rank higher, and the label
+ * counts more than the detail and keywords. Case and accents are ignored.
+ */
+
+import { projectSlug } from './projects.js';
+
+export const PALETTE_GROUPS = ['sections', 'experience', 'certifications', 'projects', 'actions'];
+
+const WORD_START_BONUS = 8;
+const CONSECUTIVE_BONUS = 8;
+const MAX_GAP_PENALTY = 3;
+// A match only in the detail or keywords ranks below the same match in the label
+const SECONDARY_FIELD_WEIGHT = 0.5;
+
+const fold = (text, locale) =>
+  String(text ?? '')
+    .toLocaleLowerCase(locale)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '');
+
+// The folded text, and for each of its characters the character of `text` it came from
+const foldWithOrigins = (text, locale) => {
+  const folded = [];
+  const origins = [];
+  [...String(text ?? '')].forEach((char, i) => {
+    [...fold(char, locale)].forEach((part) => {
+      folded.push(part);
+      origins.push(i);
+    });
+  });
+  return { folded, origins };
+};
+
+const isWordStart = (chars, i) => i === 0 || !/[\p{L}\p{N}]/u.test(chars[i - 1]);
+
+// Match `query` left to right from `start`. Each next letter is taken right
+// after the previous one if it is there, else at the next word start, else
+// wherever it first appears.
+const matchFrom = (query, chars, start) => {
+  const positions = [start];
+  for (let q = 1; q < query.length; q += 1) {
+    const from = positions[q - 1] + 1;
+    const first = chars.indexOf(query[q], from);
+    if (first === -1) return null;
+
+    let position = first;
+    if (first !== from) {
+      const wordStart = chars.findIndex((char, i) => i >= first && char === query[q] && isWordStart(chars, i));
+      if (wordStart !== -1) position = wordStart;
+    }
+    positions.push(position);
+  }
+  return positions;
+};
+
+const scorePositions = (positions, chars) =>
+  positions.reduce((score, position, i) => {
+    let next = score + 1;
+    if (isWordStart(chars, position)) next += WORD_START_BONUS;
+    if (i > 0 && position === positions[i - 1] + 1) next += CONSECUTIVE_BONUS;
+    if (i > 0) next -= Math.min(position - positions[i - 1] - 1, MAX_GAP_PENALTY);
+    return next;
+  }, 0) - positions[0] * 0.1;
+
+/**
+ * How well `query` matches `text`: { score, indices } with the indices of
+ * the matched characters of `text` (by code point), or null when the letters
+ * of the query do not all appear in order. Spaces in the query are ignored.
+ */
+export const fuzzyMatch = (query, text, locale) => {
+  const needle = [...fold(query, locale).replace(/\s+/g, '')];
+  if (needle.length === 0) return { score: 0, indices: [] };
+
+  const { folded, origins } = foldWithOrigins(text, locale);
+  let best = null;
+  folded.forEach((char, start) => {
+    if (char !== needle[0]) return;
+    const positions = matchFrom(needle, folded, start);
+    if (!positions) return;
+    const score = scorePositions(positions, folded);
+    if (!best || score > best.score) best = { score, positions };
+  });
+
+  if (!best) return null;
+  return { score: best.score, indices: [...new Set(best.positions.map((position) => origins[position]))] };
+};
+
+/**
+ * `commands` that match `query`, best first, each with the `matches` to
+ * highlight in its label. An empty query keeps every command in order.
+ */
+export const searchCommands = (commands, query, locale) => {
+  if (!query.trim()) return commands.map((command) => ({ ...command, matches: [] }));
+
+  return commands
+    .map((command, order) => {
+      const label = fuzzyMatch(query, command.label, locale);
+      const secondary = [command.detail, ...(command.keywords || [])]
+        .filter(Boolean)
+        .map((field) => fuzzyMatch(query, field, locale))
+        .filter(Boolean)
+        .map((match) => match.score * SECONDARY_FIELD_WEIGHT);
+      const scores = [label?.score, ...secondary].filter((score) => score !== undefined);
+      if (scores.length === 0) return null;
+      return { command, order, score: Math.max(...scores), matches: label ? label.indices : [] };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score || a.order - b.order)
+    .map(({ command, matches }) => ({ ...command, matches }));
+};
+
+/**
+ * `label` split into runs for rendering, marking the characters at `indices`:
+ * [{ text: 'Type', match: true }, { text: 'Script', match: false }]
+ */
+export const highlightParts = (label, indices = []) => {
+  const marked = new Set(indices);
+  return [...label].reduce((parts, char, i) => {
+    const match = marked.has(i);
+    const last = parts[parts.length - 1];
+    if (last && last.match === match) last.text += char;
+    else parts.push({ text: char, match });
+    return parts;
+  }, []);
+};
+
+/**
+ * Every command the palette offers, grouped in PALETTE_GROUPS order.
+ *
+ *   sections        [{ id, name }]: the page sections, by element id
+ *   timeline        timelineEntries(experience): one command per entry
+ *   certifications  resume.certifications
+ *   projects        resume.projects, opened by slug
+ *   actions         [{ id, label, keywords }]: things to do rather than places to go
+ */
+export const paletteCommands = ({ sections = [], timeline = [], certifications = [], projects = [], actions = [] }) => [
+  ...sections.map(({ id, name }) => ({ id: `section:${id}`, group: 'sections', label: name, target: id })),
+  ...timeline.map((item) => ({
+    id: `experience:${item.index}`,
+    group: 'experience',
+    label: item.title,
+    detail: item.company,
+    keywords: item.skills || [],
+    target: item.index
+  })),
+  ...certifications.map((cert, i) => ({
+    id: `certification:${i}`,
+    group: 'certifications',
+    label: cert.title,
+    detail: cert.platform,
+    keywords: cert.skills || [],
+    target: i
+  })),
+  ...projects.map((project) => ({
+    id: `project:${projectSlug(project)}`,
+    group: 'projects',
+    label: project.title,
+    detail: project.role,
+    keywords: project.tech || [],
+    target: projectSlug(project)
+  })),
+  ...actions.map(({ id, label, keywords = [] }) => ({ id: `action:${id}`, group: 'actions', label, keywords, target: id }))
+];
+
+/**
+ * Ctrl+K, or ⌘+K on a Mac.
+ */
+export const isPaletteShortcut = (event) =>
+  Boolean(event.ctrlKey || event.metaKey) && !event.altKey && !event.shiftKey && event.key?.toLowerCase() === 'k';
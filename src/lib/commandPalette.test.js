@@ -0,0 +1,108 @@
+/**
+ * commandPalette.test.js
+ * Unit tests for command palette commands, fuzzy search and the shortcut
+ *
+ * Run with: npm test
+ */
+
+import {
+  fuzzyMatch,
+  searchCommands,
+  highlightParts,
+  paletteCommands,
+  isPaletteShortcut
+} from './commandPalette';
+
+const commands = paletteCommands({
+  sections: [
+    { id: 'about', name: 'About' },
+    { id: 'experience', name: 'Work' },
+    { id: 'skills', name: 'Skills' }
+  ],
+  timeline: [
+    { index: 1, title: 'Frontend Developer', company: 'WebCraft', skills: ['Vue.js', 'TypeScript'] },
+    { index: 0, title: 'Senior Frontend Developer', company: 'TechSolutions' }
+  ],
+  certifications: [{ title: 'Modern JavaScript (ES6+)', platform: 'Udacity', skills: ['Promises'] }],
+  projects: [{ title: 'Analytics Dashboard', role: 'Lead developer', tech: ['React', 'D3'] }],
+  actions: [
+    { id: 'theme', label: 'Toggle theme', keywords: ['dark', 'light'] },
+    { id: 'pdf', label: 'Download CV' }
+  ]
+});
+
+const labels = (results) => results.map((command) => command.label);
+
+describe('commandPalette', () => {
+  test('builds commands for sections, timeline entries, certifications, projects and actions', () => {
+    expect(commands.map((command) => command.id)).toEqual([
+      'section:about',
+      'section:experience',
+      'section:skills',
+      'experience:1',
+      'experience:0',
+      'certification:0',
+      'project:analytics-dashboard',
+      'action:theme',
+      'action:pdf'
+    ]);
+    expect(commands[3]).toMatchObject({ group: 'experience', detail: 'WebCraft', target: 1 });
+    expect(commands[6]).toMatchObject({ group: 'projects', target: 'analytics-dashboard' });
+    expect(commands[7]).toMatchObject({ group: 'actions', target: 'theme' });
+  });
+
+  test('matches letters in order, ignoring case, accents and spaces', () => {
+    expect(fuzzyMatch('tsc', 'TypeScript').indices).toEqual([0, 4, 5]);
+    expect(fuzzyMatch('univ', 'Üniversite', 'tr-TR').indices).toEqual([0, 1, 2, 3]);
+    expect(fuzzyMatch('dl cv', 'Download CV')).not.toBeNull();
+    expect(fuzzyMatch('cvd', 'Download CV')).toBeNull();
+    expect(fuzzyMatch('', 'Anything')).toEqual({ score: 0, indices: [] });
+  });
+
+  test('prefers word starts and consecutive letters', () => {
+    expect(fuzzyMatch('fd', 'Frontend Developer').indices).toEqual([0, 9]);
+    expect(fuzzyMatch('fd', 'Frontend Developer').score).toBeGreaterThan(fuzzyMatch('fd', 'Fixed').score);
+    expect(fuzzyMatch('dev', 'Senior Developer').score).toBeGreaterThan(fuzzyMatch('dev', 'Dashboard Environment View').score);
+  });
+
+  test('ranks the best match first and keeps the original order for ties', () => {
+    expect(labels(searchCommands(commands, 'dev'))).toEqual([
+      'Frontend Developer',
+      'Senior Frontend Developer',
+      'Analytics Dashboard',
+      'Modern JavaScript (ES6+)'
+    ]);
+    expect(labels(searchCommands(commands, 'skl'))).toEqual(['Skills']);
+  });
+
+  test('searches details and keywords but highlights only the label', () => {
+    const [result] = searchCommands(commands, 'dark');
+    expect(result.label).toBe('Toggle theme');
+    expect(result.matches).toEqual([]);
+
+    expect(labels(searchCommands(commands, 'udacity'))).toEqual(['Modern JavaScript (ES6+)']);
+    expect(searchCommands(commands, 'tog')[0].matches).toEqual([0, 1, 2]);
+  });
+
+  test('lists every command for an empty query', () => {
+    expect(searchCommands(commands, '  ')).toHaveLength(commands.length);
+    expect(searchCommands(commands, 'zzz')).toEqual([]);
+  });
+
+  test('splits a label into highlighted runs', () => {
+    expect(highlightParts('TypeScript', [0, 4, 5])).toEqual([
+      { text: 'T', match: true },
+      { text: 'ype', match: false },
+      { text: 'Sc', match: true },
+      { text: 'ript', match: false }
+    ]);
+    expect(highlightParts('Work')).toEqual([{ text: 'Work', match: false }]);
+  });
+
+  test('opens on Ctrl+K and ⌘+K', () => {
+    expect(isPaletteShortcut({ ctrlKey: true, key: 'k' })).toBe(true);
+    expect(isPaletteShortcut({ metaKey: true, key: 'K' })).toBe(true);
+    expect(isPaletteShortcut({ key: 'k' })).toBe(false);
+    expect(isPaletteShortcut({ ctrlKey: true, shiftKey: true, key: 'k' })).toBe(false);
+  });
+});
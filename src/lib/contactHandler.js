@@ -0,0 +1,79 @@
+/**
+ * contactHandler.js - Server-side handling of contact form submissions
+ *
+ * Platform-neutral: `handleContact` takes a plain `{ method, contentType, body }`
+ * request and a sink (an async function that delivers the message, see
+ * contactSinks.js) and returns a plain `{ status, headers, body }` response.
+ * The Netlify Function in netlify/functions/contact.js and the `vite dev`
+ * stand-in in vite.config.js both wrap it.
+ *
+ * The browser already validates, but anyone can POST here directly, so the
+ * same rules from contactValidation.js are enforced again.
+ */
+
+import { validateContact, HONEYPOT_FIELD } from './contactValidation.js';
+
+export const MAX_BODY_LENGTH = 16 * 1024;
+
+const json = (status, body, headers = {}) => ({
+  status,
+  headers: { 'Content-Type': 'application/json', ...headers },
+  body
+});
+
+const parseBody = (body, contentType = '') => {
+  if (contentType.includes('application/x-www-form-urlencoded')) {
+    return Object.fromEntries(new URLSearchParams(body));
+  }
+  const payload = JSON.parse(body);
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    throw new Error('Expected a JSON object');
+  }
+  return payload;
+};
+
+/**
+ * Validate a submission and pass it to `sink`.
+ *
+ * Responses: 200 `{ ok: true }`, 400 `{ error, errors? }`, 405, 413, and 502
+ * when the sink fails.
+ */
+export const handleContact = async ({ method, contentType, body = '' }, sink) => {
+  if (method !== 'POST') {
+    return json(405, { error: 'Method not allowed' }, { Allow: 'POST' });
+  }
+  if (body.length > MAX_BODY_LENGTH) {
+    return json(413, { error: 'Message too large' });
+  }
+
+  let payload;
+  try {
+    payload = parseBody(body, contentType);
+  } catch {
+    return json(400, { error: 'Invalid request body' });
+  }
+
+  // Bots get the same answer as people, but nothing is delivered
+  if (payload[HONEYPOT_FIELD]) {
+    return json(200, { ok: true });
+  }
+
+  const message = {
+    name: String(payload.name ?? '').trim(),
+    email: String(payload.email ?? '').trim(),
+    message: String(payload.message ?? '').trim()
+  };
+  const errors = validateContact(message);
+  if (Object.keys(errors).length > 0) {
+    return json(400, { error: 'Invalid message', errors });
+  }
+
+  try {
+    await sink({ ...message, receivedAt: new Date().toISOString() });
+  } catch (error) {
+    console.error('Contact message could not be delivered', error);
+    return json(502, { error: 'Message could not be delivered' });
+  }
+
+  return json(200, { ok: true });
+};
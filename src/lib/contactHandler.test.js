@@ -0,0 +1,77 @@
+/**
+ * contactHandler.test.js
+ * Unit tests for the server-side contact handler
+ *
+ * Run with: npm test
+ */
+
+import { handleContact, MAX_BODY_LENGTH } from './contactHandler';
+
+const valid = { name: 'Ada Lovelace', email: 'ada@example.com', message: 'I would love to work with you.' };
+
+const post = (payload, contentType = 'application/json') => ({
+  method: 'POST',
+  contentType,
+  body: typeof payload === 'string' ? payload : JSON.stringify(payload)
+});
+
+describe('handleContact', () => {
+  test('delivers a valid JSON message to the sink', async () => {
+    const sink = jest.fn().mockResolvedValue();
+    const response = await handleContact(post({ ...valid, name: '  Ada Lovelace ' }), sink);
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({ ok: true });
+    expect(sink).toHaveBeenCalledWith(expect.objectContaining({ ...valid, receivedAt: expect.any(String) }));
+  });
+
+  test('accepts urlencoded form posts', async () => {
+    const sink = jest.fn().mockResolvedValue();
+    const response = await handleContact(
+      post(new URLSearchParams(valid).toString(), 'application/x-www-form-urlencoded'),
+      sink
+    );
+
+    expect(response.status).toBe(200);
+    expect(sink).toHaveBeenCalledWith(expect.objectContaining(valid));
+  });
+
+  test('rejects invalid messages with per-field errors', async () => {
+    const sink = jest.fn();
+    const response = await handleContact(post({ name: '', email: 'nope', message: 'Hi' }), sink);
+
+    expect(response.status).toBe(400);
+    expect(Object.keys(response.body.errors)).toEqual(['name', 'email', 'message']);
+    expect(sink).not.toHaveBeenCalled();
+  });
+
+  test('rejects other methods, oversized and malformed bodies', async () => {
+    const sink = jest.fn();
+
+    const get = await handleContact({ method: 'GET' }, sink);
+    expect(get.status).toBe(405);
+    expect(get.headers.Allow).toBe('POST');
+
+    expect((await handleContact(post('x'.repeat(MAX_BODY_LENGTH + 1)), sink)).status).toBe(413);
+    expect((await handleContact(post('{not json'), sink)).status).toBe(400);
+    expect((await handleContact(post('[1, 2]'), sink)).status).toBe(400);
+    expect(sink).not.toHaveBeenCalled();
+  });
+
+  test('answers bots that fill the honeypot without delivering', async () => {
+    const sink = jest.fn();
+    const response = await handleContact(post({ ...valid, 'bot-field': 'http://spam.example' }), sink);
+
+    expect(response.status).toBe(200);
+    expect(sink).not.toHaveBeenCalled();
+  });
+
+  test('reports a failing sink as 502', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const sink = jest.fn().mockRejectedValue(new Error('SMTP down'));
+    const response = await handleContact(post(valid), sink);
+
+    expect(response.status).toBe(502);
+    console.error.mockRestore();
+  });
+});
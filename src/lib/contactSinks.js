@@ -0,0 +1,87 @@
+/**
+ * contactSinks.js - Where the contact endpoint delivers messages (Node only)
+ *
+ * A sink is an async function `(message) => void` that rejects when delivery
+ * fails. `createSink` picks one from environment variables:
+ *
+ *   CONTACT_SINK=smtp     SMTP_HOST, SMTP_PORT (587), SMTP_USER, SMTP_PASS,
+ *                         CONTACT_TO, CONTACT_FROM (defaults to SMTP_USER)
+ *   CONTACT_SINK=webhook  CONTACT_WEBHOOK_URL
+ *   CONTACT_SINK=file     CONTACT_FILE (.contact-messages.json) — development only
+ *
+ * Node modules are imported lazily so only the selected sink loads them.
+ */
+
+export const smtpSink = ({ host, port = 587, user, pass, from = user, to }) => {
+  if (!host || !to) throw new Error('smtpSink requires a host and a recipient');
+
+  return async (message) => {
+    const { default: nodemailer } = await import('nodemailer');
+    const transporter = nodemailer.createTransport({
+      host,
+      port: Number(port),
+      secure: Number(port) === 465,
+      auth: user ? { user, pass } : undefined
+    });
+    await transporter.sendMail({
+      from,
+      to,
+      replyTo: `"${message.name.replace(/"/g, '')}" <${message.email}>`,
+      subject: `New message from ${message.name}`,
+      text: `${message.message}\n\n— ${message.name} <${message.email}>\nReceived ${message.receivedAt}`
+    });
+  };
+};
+
+export const webhookSink = ({ url, headers = {} }) => {
+  if (!url) throw new Error('webhookSink requires a url');
+
+  return async (message) => {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(message)
+    });
+    if (!response.ok) throw new Error(`Webhook responded with status ${response.status}`);
+  };
+};
+
+/**
+ * Append messages to a JSON array on disk. Serverless file systems are
+ * read-only or ephemeral, so use this for local development only.
+ */
+export const fileSink = ({ file = '.contact-messages.json' } = {}) => async (message) => {
+  const { readFile, writeFile } = await import('node:fs/promises');
+
+  let messages = [];
+  try {
+    messages = JSON.parse(await readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+  messages.push(message);
+  await writeFile(file, `${JSON.stringify(messages, null, 2)}\n`);
+};
+
+/**
+ * Build the sink selected by `env.CONTACT_SINK`.
+ */
+export const createSink = (env = process.env) => {
+  switch (env.CONTACT_SINK) {
+    case 'smtp':
+      return smtpSink({
+        host: env.SMTP_HOST,
+        port: env.SMTP_PORT,
+        user: env.SMTP_USER,
+        pass: env.SMTP_PASS,
+        from: env.CONTACT_FROM || env.SMTP_USER,
+        to: env.CONTACT_TO
+      });
+    case 'webhook':
+      return webhookSink({ url: env.CONTACT_WEBHOOK_URL });
+    case 'file':
+      return fileSink({ file: env.CONTACT_FILE });
+    default:
+      throw new Error(`CONTACT_SINK must be "smtp", "webhook" or "file" (got ${JSON.stringify(env.CONTACT_SINK)})`);
+  }
+};
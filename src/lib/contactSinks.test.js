@@ -0,0 +1,55 @@
+/**
+ * contactSinks.test.js
+ * Unit tests for contact endpoint sinks
+ *
+ * Run with: npm test
+ */
+
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { createSink, fileSink, webhookSink } from './contactSinks';
+
+const message = { name: 'Ada', email: 'ada@example.com', message: 'Hello there!', receivedAt: '2024-01-01T00:00:00.000Z' };
+
+describe('contactSinks', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(path.join(tmpdir(), 'ultracv-'));
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  test('file sink appends messages to a JSON array', async () => {
+    const file = path.join(dir, 'messages.json');
+    const sink = fileSink({ file });
+
+    await sink(message);
+    await sink({ ...message, name: 'Grace' });
+
+    const saved = JSON.parse(await readFile(file, 'utf8'));
+    expect(saved.map((m) => m.name)).toEqual(['Ada', 'Grace']);
+  });
+
+  test('webhook sink posts JSON and fails on error statuses', async () => {
+    global.fetch = jest.fn().mockResolvedValue({ ok: true, status: 200 });
+    await webhookSink({ url: 'https://hooks.example.com/x' })(message);
+    expect(JSON.parse(global.fetch.mock.calls[0][1].body)).toEqual(message);
+
+    global.fetch.mockResolvedValue({ ok: false, status: 503 });
+    await expect(webhookSink({ url: 'https://hooks.example.com/x' })(message)).rejects.toThrow('503');
+  });
+
+  test('createSink picks the sink from the environment', () => {
+    expect(createSink({ CONTACT_SINK: 'file' })).toEqual(expect.any(Function));
+    expect(createSink({ CONTACT_SINK: 'webhook', CONTACT_WEBHOOK_URL: 'https://hooks.example.com/x' })).toEqual(expect.any(Function));
+    expect(createSink({ CONTACT_SINK: 'smtp', SMTP_HOST: 'smtp.example.com', CONTACT_TO: 'me@example.com' })).toEqual(expect.any(Function));
+
+    expect(() => createSink({})).toThrow('CONTACT_SINK must be');
+    expect(() => createSink({ CONTACT_SINK: 'smtp' })).toThrow('requires a host');
+    expect(() => createSink({ CONTACT_SINK: 'webhook' })).toThrow('requires a url');
+  });
+});
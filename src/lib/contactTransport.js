@@ -0,0 +1,93 @@
+/**
+ * contactTransport.js - Delivery of contact form messages
+ *
+ * A transport is an async function `(message) => void` that rejects when the
+ * message could not be delivered. `message` is `{ name, email, message }`.
+ *
+ * UltraCV's `contactTransport` prop accepts either such a function or a config
+ * object understood by `createTransport`:
+ *
+ *   { type: 'api', url: '/api/contact' }   (default)
+ *   { type: 'netlify', formName: 'contact' }
+ *   { type: 'webhook', url: 'https://example.com/hook', headers: { ... } }
+ *   { type: 'mailto', to: 'me@example.com', subject: 'Hello' }
+ */
+
+const ensureOk = (response) => {
+  if (!response.ok) {
+    throw new Error(`Request failed with status ${response.status}`);
+  }
+  return response;
+};
+
+/**
+ * Netlify Forms: a urlencoded POST carrying the `form-name` field. The form
+ * must also exist as static HTML (see the hidden form in index.html) so that
+ * Netlify registers it at deploy time.
+ */
+export const netlifyTransport = ({ formName = 'contact', endpoint = '/' } = {}) => async (message) => {
+  const body = new URLSearchParams({ 'form-name': formName, ...message });
+  ensureOk(await fetch(endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: body.toString()
+  }));
+};
+
+/**
+ * Generic JSON webhook (Zapier, Make, Formspree, a custom API...).
+ */
+export const webhookTransport = ({ url, headers = {} }) => {
+  if (!url) throw new Error('webhookTransport requires a url');
+
+  return async (message) => {
+    ensureOk(await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json', ...headers },
+      body: JSON.stringify(message)
+    }));
+  };
+};
+
+/**
+ * The site's own contact endpoint: netlify/functions/contact.js when deployed
+ * on Netlify, the stand-in from vite.config.js under `vite dev`.
+ */
+export const apiTransport = ({ url = '/api/contact', ...options } = {}) =>
+  webhookTransport({ url, ...options });
+
+export const buildMailtoUrl = ({ to, subject = 'Message from your website' }, { name, email, message }) => {
+  const params = new URLSearchParams({
+    subject,
+    body: `${message}\n\n— ${name} <${email}>`
+  });
+  // mailto bodies expect %20, not the + that URLSearchParams produces
+  return `mailto:${to}?${params.toString().replace(/\+/g, '%20')}`;
+};
+
+/**
+ * Opens the visitor's mail client with the message pre-filled. Nothing is
+ * sent by the site itself, so this never fails.
+ */
+export const mailtoTransport = (options) => async (message) => {
+  window.location.href = buildMailtoUrl(options, message);
+};
+
+const TRANSPORTS = {
+  api: apiTransport,
+  netlify: netlifyTransport,
+  webhook: webhookTransport,
+  mailto: mailtoTransport
+};
+
+/**
+ * Turn the `contactTransport` prop into a transport function. `defaults` fill
+ * options the config leaves out (UltraCV passes the resume email as `to`).
+ */
+export const createTransport = (config = { type: 'api' }, defaults = {}) => {
+  if (typeof config === 'function') return config;
+
+  const factory = TRANSPORTS[config.type];
+  if (!factory) throw new Error(`Unknown contact transport "${config.type}"`);
+  return factory({ ...defaults, ...config });
+};
@@ -0,0 +1,78 @@
+/**
+ * contactTransport.test.js
+ * Unit tests for contact form transports
+ *
+ * Run with: npm test
+ */
+
+import {
+  netlifyTransport,
+  webhookTransport,
+  buildMailtoUrl,
+  createTransport
+} from './contactTransport';
+
+const message = { name: 'Ada Lovelace', email: 'ada@example.com', message: 'Hello there' };
+
+describe('contactTransport', () => {
+  beforeEach(() => {
+    global.fetch = jest.fn().mockResolvedValue({ ok: true, status: 200 });
+  });
+
+  test('netlify transport posts the form urlencoded with its form-name', async () => {
+    await netlifyTransport({ formName: 'contact' })(message);
+
+    const [url, options] = global.fetch.mock.calls[0];
+    expect(url).toBe('/');
+    expect(options.method).toBe('POST');
+    expect(options.headers['Content-Type']).toBe('application/x-www-form-urlencoded');
+    expect(Object.fromEntries(new URLSearchParams(options.body))).toEqual({
+      'form-name': 'contact',
+      ...message
+    });
+  });
+
+  test('webhook transport posts JSON with custom headers', async () => {
+    await webhookTransport({ url: 'https://hooks.example.com/x', headers: { 'X-Token': 'abc' } })(message);
+
+    const [url, options] = global.fetch.mock.calls[0];
+    expect(url).toBe('https://hooks.example.com/x');
+    expect(options.headers['Content-Type']).toBe('application/json');
+    expect(options.headers['X-Token']).toBe('abc');
+    expect(JSON.parse(options.body)).toEqual(message);
+  });
+
+  test('rejects when the server responds with an error status', async () => {
+    global.fetch.mockResolvedValue({ ok: false, status: 500 });
+    await expect(netlifyTransport()(message)).rejects.toThrow('status 500');
+  });
+
+  test('rejects when the network fails', async () => {
+    global.fetch.mockRejectedValue(new TypeError('Failed to fetch'));
+    await expect(webhookTransport({ url: '/hook' })(message)).rejects.toThrow('Failed to fetch');
+  });
+
+  test('builds a mailto URL with subject and signed body', () => {
+    const url = buildMailtoUrl({ to: 'me@example.com', subject: 'Hi there' }, message);
+
+    expect(url.startsWith('mailto:me@example.com?')).toBe(true);
+    expect(url).not.toContain('+');
+    const params = new URLSearchParams(url.split('?')[1]);
+    expect(params.get('subject')).toBe('Hi there');
+    expect(params.get('body')).toBe('Hello there\n\n— Ada Lovelace <ada@example.com>');
+  });
+
+  test('createTransport resolves configs, defaults and custom functions', async () => {
+    const custom = jest.fn();
+    expect(createTransport(custom)).toBe(custom);
+
+    await createTransport()(message);
+    expect(global.fetch).toHaveBeenCalledWith('/api/contact', expect.objectContaining({
+      method: 'POST',
+      body: JSON.stringify(message)
+    }));
+
+    expect(() => createTransport({ type: 'pigeon' })).toThrow('Unknown contact transport');
+    expect(() => createTransport({ type: 'webhook' })).toThrow('requires a url');
+  });
+});
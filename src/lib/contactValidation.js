@@ -0,0 +1,118 @@
+/**
+ * contactValidation.js - Contact form validation and spam protection
+ *
+ * `validateContact` returns a `{ field: message }` map of problems (empty when
+ * the message is fine). `checkSpam` applies the cheap bot heuristics: a hidden
+ * honeypot field that people never fill in, a minimum time between page load
+ * and submit, and a per-browser rate limit kept in localStorage.
+ */
+
+export const CONTACT_LIMITS = {
+  name: 100,
+  email: 254,
+  message: 5000,
+  minMessage: 10
+};
+
+export const HONEYPOT_FIELD = 'bot-field';
+export const MIN_FILL_TIME = 3000;
+export const RATE_LIMIT = { max: 3, windowMs: 10 * 60 * 1000 };
+export const RATE_LIMIT_STORAGE_KEY = 'ultracv-contact-sends';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Default (English) error messages. The browser passes translated ones from
+ * the active i18n catalog; `{max}` and `{min}` are filled in from CONTACT_LIMITS.
+ */
+export const CONTACT_ERROR_MESSAGES = {
+  nameRequired: 'Please enter your name.',
+  nameTooLong: 'Please keep your name under {max} characters.',
+  emailRequired: 'Please enter your email address.',
+  emailInvalid: 'Please enter a valid email address, like name@example.com.',
+  messageRequired: 'Please write a message.',
+  messageTooShort: 'Please write at least {min} characters.',
+  messageTooLong: 'Please keep your message under {max} characters.'
+};
+
+// Each rule returns the key of its error message, or null
+const RULES = {
+  name: (value) => {
+    if (!value) return 'nameRequired';
+    if (value.length > CONTACT_LIMITS.name) return 'nameTooLong';
+    return null;
+  },
+  email: (value) => {
+    if (!value) return 'emailRequired';
+    if (value.length > CONTACT_LIMITS.email || !EMAIL_PATTERN.test(value)) return 'emailInvalid';
+    return null;
+  },
+  message: (value) => {
+    if (!value) return 'messageRequired';
+    if (value.length < CONTACT_LIMITS.minMessage) return 'messageTooShort';
+    if (value.length > CONTACT_LIMITS.message) return 'messageTooLong';
+    return null;
+  }
+};
+
+/**
+ * Validate a single field. Returns an error message or null.
+ */
+export const validateContactField = (field, value = '', messages = CONTACT_ERROR_MESSAGES) => {
+  const error = RULES[field](String(value).trim());
+  if (!error) return null;
+
+  const vars = { max: CONTACT_LIMITS[field], min: CONTACT_LIMITS.minMessage };
+  return (messages[error] || CONTACT_ERROR_MESSAGES[error]).replace(/\{(\w+)\}/g, (_, name) => vars[name]);
+};
+
+/**
+ * Validate the whole form. Returns `{ field: message }` for every invalid field.
+ */
+export const validateContact = (form = {}, messages = CONTACT_ERROR_MESSAGES) =>
+  Object.fromEntries(
+    Object.keys(RULES)
+      .map((field) => [field, validateContactField(field, form[field], messages)])
+      .filter(([, error]) => error)
+  );
+
+const readSends = () => {
+  try {
+    const sends = JSON.parse(window.localStorage.getItem(RATE_LIMIT_STORAGE_KEY));
+    return Array.isArray(sends) ? sends.filter((time) => typeof time === 'number') : [];
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Milliseconds until this browser may send again; 0 when it may send now.
+ */
+export const rateLimitWait = (now = Date.now()) => {
+  const recent = readSends().filter((time) => now - time < RATE_LIMIT.windowMs);
+  if (recent.length < RATE_LIMIT.max) return 0;
+  return Math.min(...recent) + RATE_LIMIT.windowMs - now;
+};
+
+export const recordSend = (now = Date.now()) => {
+  const recent = readSends().filter((time) => now - time < RATE_LIMIT.windowMs);
+  try {
+    window.localStorage.setItem(RATE_LIMIT_STORAGE_KEY, JSON.stringify([...recent, now]));
+  } catch {
+    // Storage disabled: the limit cannot be enforced in this browser
+  }
+};
+
+/**
+ * Returns why a submission looks automated or abusive, or null.
+ *
+ * - 'honeypot'     the hidden field was filled in
+ * - 'too-fast'     submitted less than MIN_FILL_TIME after the page loaded
+ * - 'rate-limited' RATE_LIMIT.max messages already sent within the window
+ */
+export const checkSpam = ({ honeypot = '', startedAt, now = Date.now() }) => {
+  if (honeypot) return 'honeypot';
+  if (startedAt && now - startedAt < MIN_FILL_TIME) return 'too-fast';
+  if (rateLimitWait(now) > 0) return 'rate-limited';
+  return null;
+};
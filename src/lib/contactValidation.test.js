@@ -0,0 +1,68 @@
+/**
+ * contactValidation.test.js
+ * Unit tests for contact form validation and spam checks
+ *
+ * Run with: npm test
+ */
+
+import {
+  validateContact,
+  validateContactField,
+  checkSpam,
+  rateLimitWait,
+  recordSend,
+  MIN_FILL_TIME,
+  RATE_LIMIT,
+  RATE_LIMIT_STORAGE_KEY
+} from './contactValidation';
+
+const valid = { name: 'Ada Lovelace', email: 'ada@example.com', message: 'I would love to work with you.' };
+
+describe('contactValidation', () => {
+  beforeEach(() => {
+    window.localStorage.clear();
+  });
+
+  test('accepts a complete message', () => {
+    expect(validateContact(valid)).toEqual({});
+  });
+
+  test('reports every missing field', () => {
+    expect(Object.keys(validateContact({}))).toEqual(['name', 'email', 'message']);
+    expect(validateContactField('name', '   ')).toBe('Please enter your name.');
+  });
+
+  test('rejects malformed emails and too short or long messages', () => {
+    expect(validateContactField('email', 'ada@example')).toMatch(/valid email/);
+    expect(validateContactField('email', 'ada example@x.com')).toMatch(/valid email/);
+    expect(validateContactField('message', 'Hi')).toMatch(/at least 10/);
+    expect(validateContactField('message', 'x'.repeat(5001))).toMatch(/under 5000/);
+  });
+
+  test('uses translated messages and fills in the limits', () => {
+    const messages = { messageTooShort: 'En az {min} karakter.' };
+    expect(validateContactField('message', 'Hi', messages)).toBe('En az 10 karakter.');
+    expect(validateContact({ ...valid, name: '' }, messages)).toEqual({ name: 'Please enter your name.' });
+  });
+
+  test('flags a filled honeypot and a too-fast submission', () => {
+    const now = 1_000_000;
+    expect(checkSpam({ honeypot: 'http://spam.example', startedAt: now - 60000, now })).toBe('honeypot');
+    expect(checkSpam({ startedAt: now - MIN_FILL_TIME + 1, now })).toBe('too-fast');
+    expect(checkSpam({ startedAt: now - MIN_FILL_TIME, now })).toBeNull();
+  });
+
+  test('rate limits a browser after too many sends', () => {
+    const now = 5_000_000;
+    for (let i = 0; i < RATE_LIMIT.max; i += 1) recordSend(now - 1000 * (i + 1));
+
+    expect(checkSpam({ now })).toBe('rate-limited');
+    expect(rateLimitWait(now)).toBe(RATE_LIMIT.windowMs - 3000);
+    expect(rateLimitWait(now + RATE_LIMIT.windowMs)).toBe(0);
+  });
+
+  test('ignores corrupted rate limit storage', () => {
+    window.localStorage.setItem(RATE_LIMIT_STORAGE_KEY, '{not json');
+    expect(rateLimitWait()).toBe(0);
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * devTools.js - Persisted Developer Tools settings and their URL flags
+ *
+ * The panel's toggles are stored in localStorage, so they survive a reload.
+ * Query flags override the stored settings for one visit, which makes a setup
+ * easy to share:
+ *
+ *   ?debug=fps,dom       performance overlay and DOM outlines on
+ *   ?debug=css,a11y      CSS panel and accessibility audit on
+ *   ?debug=tools         open the Developer Tools panel
+ *   ?lowbw=1             low-bandwidth mode on (0: off, auto: automatic)
+ *
+ * Flags only switch things on; anything they do not name keeps its stored
+ * value. Alt+Shift+D (Option+Shift+D on a Mac) opens and closes the panel.
+ */
+
+import { LOW_BANDWIDTH_MODES } from './network.js';
+
+export const DEVTOOLS_STORAGE_KEY = 'ultracv-devtools';
+
+export const DEFAULT_DEVTOOLS = {
+  open: false,
+  css: false,
+  performance: false,
+  dom: false,
+  audit: false,
+  lowBandwidth: 'auto'
+};
+
+// `?debug=` names and the setting each one switches on
+export const DEBUG_FLAGS = {
+  tools: 'open',
+  css: 'css',
+  fps: 'performance',
+  perf: 'performance',
+  dom: 'dom',
+  a11y: 'audit'
+};
+
+const LOW_BANDWIDTH_FLAGS = { 1: 'on', 0: 'off', on: 'on', off: 'off', auto: 'auto' };
+
+// Settings worth keeping across visits; the panel itself starts closed
+const STORED_KEYS = ['css', 'performance', 'dom', 'audit', 'lowBandwidth'];
+
+const sanitize = (settings) => Object.fromEntries(
+  STORED_KEYS
+    .filter((key) => key in settings)
+    .filter((key) => (key === 'lowBandwidth'
+      ? LOW_BANDWIDTH_MODES.includes(settings[key])
+      : typeof settings[key] === 'boolean'))
+    .map((key) => [key, settings[key]])
+);
+
+export const getStoredDevTools = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(DEVTOOLS_STORAGE_KEY));
+    return stored && typeof stored === 'object' ? sanitize(stored) : {};
+  } catch {
+    return {};
+  }
+};
+
+export const storeDevTools = (settings) => {
+  try {
+    window.localStorage.setItem(DEVTOOLS_STORAGE_KEY, JSON.stringify(sanitize(settings)));
+  } catch {
+    // Private mode or storage disabled: the settings last for this visit only
+  }
+};
+
+/**
+ * The settings named by `?debug=` and `?lowbw=`. Unknown names are ignored.
+ */
+export const parseDevToolsFlags = (search = '') => {
+  const query = new URLSearchParams(search);
+  const flags = {};
+
+  (query.get('debug') || '')
+    .split(',')
+    .map((name) => DEBUG_FLAGS[name.trim().toLowerCase()])
+    .filter(Boolean)
+    .forEach((key) => { flags[key] = true; });
+
+  const lowBandwidth = LOW_BANDWIDTH_FLAGS[(query.get('lowbw') || '').toLowerCase()];
+  if (lowBandwidth) flags.lowBandwidth = lowBandwidth;
+
+  return flags;
+};
+
+/**
+ * Settings for this visit: defaults, then stored settings, then URL flags.
+ */
+export const getInitialDevTools = (search = typeof window === 'undefined' ? '' : window.location.search) => {
+  if (typeof window === 'undefined') return DEFAULT_DEVTOOLS;
+  return { ...DEFAULT_DEVTOOLS, ...getStoredDevTools(), ...parseDevToolsFlags(search) };
+};
+
+/**
+ * The query string that reproduces `settings`, e.g. '?debug=fps,dom&lowbw=1'.
+ */
+export const devToolsQuery = (settings) => {
+  // The first `?debug=` name of each setting that is on
+  const names = [...new Set(Object.values(DEBUG_FLAGS))]
+    .filter((key) => settings[key])
+    .map((key) => Object.keys(DEBUG_FLAGS).find((name) => DEBUG_FLAGS[name] === key));
+  const query = new URLSearchParams();
+  if (names.length) query.set('debug', names.join(','));
+  if (settings.lowBandwidth !== 'auto') query.set('lowbw', settings.lowBandwidth === 'on' ? '1' : '0');
+
+  const text = query.toString().replace(/%2C/g, ',');
+  return text ? `?${text}` : '';
+};
+
+/**
+ * Alt+Shift+D, matched by key position so it works on every layout.
+ */
+export const isDevToolsShortcut = (event) => event.altKey && event.shiftKey && event.code === 'KeyD';
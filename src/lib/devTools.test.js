@@ -0,0 +1,73 @@
+/**
+ * devTools.test.js
+ * Unit tests for persisted Developer Tools settings and URL flags
+ *
+ * Run with: npm test
+ */
+
+import {
+  DEFAULT_DEVTOOLS,
+  DEVTOOLS_STORAGE_KEY,
+  getStoredDevTools,
+  storeDevTools,
+  parseDevToolsFlags,
+  getInitialDevTools,
+  devToolsQuery,
+  isDevToolsShortcut
+} from './devTools';
+
+describe('devTools', () => {
+  beforeEach(() => {
+    window.localStorage.clear();
+  });
+
+  test('stores the toggles but not whether the panel is open', () => {
+    storeDevTools({ ...DEFAULT_DEVTOOLS, open: true, dom: true, lowBandwidth: 'on' });
+    expect(JSON.parse(window.localStorage.getItem(DEVTOOLS_STORAGE_KEY))).toEqual({
+      css: false,
+      performance: false,
+      dom: true,
+      audit: false,
+      lowBandwidth: 'on'
+    });
+    expect(getStoredDevTools()).toMatchObject({ dom: true, lowBandwidth: 'on' });
+  });
+
+  test('ignores malformed stored settings', () => {
+    window.localStorage.setItem(DEVTOOLS_STORAGE_KEY, '{not json');
+    expect(getStoredDevTools()).toEqual({});
+
+    window.localStorage.setItem(DEVTOOLS_STORAGE_KEY, JSON.stringify({ dom: 'yes', lowBandwidth: 'turbo', css: true }));
+    expect(getStoredDevTools()).toEqual({ css: true });
+  });
+
+  test('reads debug and low-bandwidth flags from the query string', () => {
+    expect(parseDevToolsFlags('?debug=fps,dom&lowbw=1')).toEqual({ performance: true, dom: true, lowBandwidth: 'on' });
+    expect(parseDevToolsFlags('?debug=tools, A11Y,css,nope&lowbw=auto')).toEqual({ open: true, audit: true, css: true, lowBandwidth: 'auto' });
+    expect(parseDevToolsFlags('?lowbw=0')).toEqual({ lowBandwidth: 'off' });
+    expect(parseDevToolsFlags('?lowbw=maybe')).toEqual({});
+  });
+
+  test('URL flags win over stored settings, which win over the defaults', () => {
+    storeDevTools({ ...DEFAULT_DEVTOOLS, css: true, lowBandwidth: 'off' });
+    expect(getInitialDevTools('?debug=dom&lowbw=1')).toEqual({
+      ...DEFAULT_DEVTOOLS,
+      css: true,
+      dom: true,
+      lowBandwidth: 'on'
+    });
+    expect(getInitialDevTools('')).toMatchObject({ css: true, dom: false, lowBandwidth: 'off' });
+  });
+
+  test('writes a query string that reproduces the settings', () => {
+    const settings = { ...DEFAULT_DEVTOOLS, performance: true, dom: true, lowBandwidth: 'on' };
+    expect(devToolsQuery(settings)).toBe('?debug=fps,dom&lowbw=1');
+    expect(parseDevToolsFlags(devToolsQuery(settings))).toEqual({ performance: true, dom: true, lowBandwidth: 'on' });
+    expect(devToolsQuery(DEFAULT_DEVTOOLS)).toBe('');
+  });
+
+  test('recognises the Alt+Shift+D shortcut by key position', () => {
+    expect(isDevToolsShortcut({ altKey: true, shiftKey: true, code: 'KeyD', key: '∂' })).toBe(true);
+    expect(isDevToolsShortcut({ altKey: false, shiftKey: true, code: 'KeyD' })).toBe(false);
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * filters.js - Tag filters and search for the portfolio and skills
+ *
+ * Projects are tagged by `project.tech`, skills by `skill.category`. The
+ * active filter of each list lives in the URL query, so a filtered view can
+ * be linked to:
+ *
+ *   ?tech=React          projects built with React
+ *   ?q=dashboard         projects mentioning "dashboard"
+ *   ?category=Design     skills in the Design category
+ *   ?skill=fig           skills matching "fig"
+ *
+ * Tags and search ignore case and accents, so `?tech=react` works too.
+ */
+
+export const FILTER_PARAMS = {
+  projects: { tag: 'tech', query: 'q' },
+  skills: { tag: 'category', query: 'skill' }
+};
+
+export const EMPTY_FILTER = { tag: null, query: '' };
+
+const fold = (text, locale) =>
+  String(text ?? '')
+    .toLocaleLowerCase(locale)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '');
+
+export const sameTag = (a, b, locale) => a != null && b != null && fold(a, locale) === fold(b, locale);
+
+/**
+ * True when every word of `query` appears somewhere in `fields`.
+ */
+export const matchesQuery = (fields, query, locale) => {
+  const words = fold(query, locale).split(/\s+/).filter(Boolean);
+  if (words.length === 0) return true;
+
+  const haystack = fields.map((field) => fold(field, locale)).join('\n');
+  return words.every((word) => haystack.includes(word));
+};
+
+const projectTags = (project) => project.tech || [];
+const projectFields = (project) => [project.title, project.role, project.description, ...projectTags(project)];
+
+const skillTags = (skill) => (skill.category ? [skill.category] : []);
+const skillFields = (skill) => [skill.name, skill.category];
+
+/**
+ * Tags used by `items`, most used first: [{ tag, count }]
+ */
+const collectTags = (items, getTags, locale) => {
+  const counts = new Map();
+  items.forEach((item) => {
+    getTags(item).forEach((tag) => {
+      const key = fold(tag, locale);
+      const entry = counts.get(key) || { tag, count: 0 };
+      counts.set(key, { ...entry, count: entry.count + 1 });
+    });
+  });
+
+  return [...counts.values()].sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag, locale));
+};
+
+const filterBy = (items, { tag, query }, getTags, getFields, locale) =>
+  items.filter((item) =>
+    (!tag || getTags(item).some((itemTag) => sameTag(itemTag, tag, locale)))
+    && matchesQuery(getFields(item), query, locale));
+
+export const techTags = (projects, locale) => collectTags(projects, projectTags, locale);
+
+export const skillCategories = (skills, locale) => collectTags(skills, skillTags, locale);
+
+export const filterProjects = (projects, filter, locale) =>
+  filterBy(projects, filter, projectTags, projectFields, locale);
+
+export const filterSkills = (skills, filter, locale) =>
+  filterBy(skills, filter, skillTags, skillFields, locale);
+
+export const isFiltered = ({ tag, query }) => Boolean(tag || query.trim());
+
+/**
+ * The filter named by a query string, for one list's `params`.
+ */
+export const readFilter = (search, params) => {
+  const query = new URLSearchParams(search);
+  return { tag: query.get(params.tag) || null, query: query.get(params.query) || '' };
+};
+
+/**
+ * `search` with one list's filter written into it ('' when nothing is left).
+ */
+export const writeFilter = (search, params, { tag, query }) => {
+  const next = new URLSearchParams(search);
+  if (tag) next.set(params.tag, tag);
+  else next.delete(params.tag);
+  if (query.trim()) next.set(params.query, query);
+  else next.delete(params.query);
+
+  const text = next.toString();
+  return text ? `?${text}` : '';
+};
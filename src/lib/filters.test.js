@@ -0,0 +1,71 @@
+/**
+ * filters.test.js
+ * Unit tests for project and skill filters
+ *
+ * Run with: npm test
+ */
+
+import defaultResume from '../data/resume';
+import {
+  FILTER_PARAMS,
+  EMPTY_FILTER,
+  matchesQuery,
+  techTags,
+  skillCategories,
+  filterProjects,
+  filterSkills,
+  isFiltered,
+  readFilter,
+  writeFilter
+} from './filters';
+
+const projects = [
+  { title: 'Atlas', role: 'Lead developer', description: 'Maps for teams.', tech: ['React', 'Mapbox'] },
+  { title: 'Café Menü', description: 'Ordering app.', tech: ['Vue.js', 'react'] },
+  { title: 'Ledger', description: 'Invoices.', tech: ['PHP'] }
+];
+
+describe('filters', () => {
+  test('collects tags, most used first, ignoring case', () => {
+    expect(techTags(projects)).toEqual([
+      { tag: 'React', count: 2 },
+      { tag: 'Mapbox', count: 1 },
+      { tag: 'PHP', count: 1 },
+      { tag: 'Vue.js', count: 1 }
+    ]);
+    expect(skillCategories(defaultResume.skills)[0]).toEqual({ tag: 'Design', count: 3 });
+  });
+
+  test('filters projects by tech and free text', () => {
+    const titles = (filter) => filterProjects(projects, { ...EMPTY_FILTER, ...filter }).map((p) => p.title);
+
+    expect(titles({})).toEqual(['Atlas', 'Café Menü', 'Ledger']);
+    expect(titles({ tag: 'react' })).toEqual(['Atlas', 'Café Menü']);
+    expect(titles({ query: 'cafe' })).toEqual(['Café Menü']);
+    expect(titles({ query: 'lead  maps' })).toEqual(['Atlas']);
+    expect(titles({ tag: 'React', query: 'invoices' })).toEqual([]);
+  });
+
+  test('filters skills by category and name', () => {
+    const names = (filter) => filterSkills(defaultResume.skills, { ...EMPTY_FILTER, ...filter }).map((s) => s.name);
+
+    expect(names({ tag: 'Design' })).toEqual(['Figma', 'Canva', 'Photoshop']);
+    expect(names({ query: 'vue' })).toEqual(['Vue.js']);
+  });
+
+  test('matches Turkish text with the locale', () => {
+    expect(matchesQuery(['İstanbul'], 'istanbul', 'tr')).toBe(true);
+    expect(matchesQuery(['Tasarım'], 'TASARIM', 'tr')).toBe(true);
+    expect(matchesQuery(['Tasarım'], '', 'tr')).toBe(true);
+  });
+
+  test('reads and writes filters in the query string', () => {
+    const { projects: params } = FILTER_PARAMS;
+
+    expect(readFilter('?tech=React&q=shop', params)).toEqual({ tag: 'React', query: 'shop' });
+    expect(readFilter('', params)).toEqual(EMPTY_FILTER);
+    expect(writeFilter('?category=Design', params, { tag: 'Next.js', query: '' })).toBe('?category=Design&tech=Next.js');
+    expect(writeFilter('?tech=React&q=shop', params, EMPTY_FILTER)).toBe('');
+    expect(isFiltered({ tag: null, query: '  ' })).toBe(false);
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * i18n.js - Locales, message lookup and localized URLs
+ *
+ * UI strings live in one catalog per locale (src/i18n/en.js, src/i18n/tr.js),
+ * nested by section and looked up with dotted keys:
+ *
+ *   const t = createTranslator('tr');
+ *   t('contact.title');                       // 'İletişim'
+ *   t('skills.tools', { count: '12+' });      // '12+ Araç'
+ *
+ * A key with `_one` / `_other` variants is pluralised from `vars.count`.
+ * Missing keys fall back to English, then to the key itself.
+ *
+ * The locale is part of the URL: `/` is English and `/tr` Turkish, so each
+ * language has its own indexable address. Resume content is translated through
+ * `resume.translations` (see `localizeResume`).
+ */
+
+import en from '../i18n/en.js';
+import tr from '../i18n/tr.js';
+
+export const CATALOGS = { en, tr };
+export const LOCALES = Object.keys(CATALOGS);
+export const DEFAULT_LOCALE = 'en';
+
+/**
+ * BCP 47 tags for Intl formatting and `<html lang>`.
+ */
+export const INTL_LOCALES = { en: 'en-US', tr: 'tr-TR' };
+
+const LOCALE_PATH = new RegExp(`^/(${LOCALES.filter((l) => l !== DEFAULT_LOCALE).join('|')})(?=/|$)`);
+
+/**
+ * The locale a path belongs to: '/tr' and '/tr/...' are Turkish, anything
+ * else is the default locale.
+ */
+export const localeFromPath = (pathname = '/') => pathname.match(LOCALE_PATH)?.[1] || DEFAULT_LOCALE;
+
+/**
+ * The same page in another locale: localizePath('/tr', 'en') === '/'.
+ */
+export const localizePath = (pathname = '/', locale = DEFAULT_LOCALE) => {
+  const rest = pathname.replace(LOCALE_PATH, '') || '/';
+  if (locale === DEFAULT_LOCALE) return rest;
+  return rest === '/' ? `/${locale}` : `/${locale}${rest}`;
+};
+
+export const getInitialLocale = () =>
+  typeof window === 'undefined' ? DEFAULT_LOCALE : localeFromPath(window.location.pathname);
+
+const lookup = (catalog, key) =>
+  key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), catalog);
+
+const interpolate = (template, vars) =>
+  template.replace(/\{(\w+)\}/g, (match, name) => (vars[name] === undefined ? match : String(vars[name])));
+
+/**
+ * Build `t(key, vars)` for a locale.
+ */
+export const createTranslator = (locale = DEFAULT_LOCALE) => {
+  const catalogs = [CATALOGS[locale], CATALOGS[DEFAULT_LOCALE]].filter(Boolean);
+  const plurals = new Intl.PluralRules(INTL_LOCALES[locale] || INTL_LOCALES[DEFAULT_LOCALE]);
+
+  return (key, vars = {}) => {
+    const keys = typeof vars.count === 'number' ? [`${key}_${plurals.select(vars.count)}`, `${key}_other`, key] : [key];
+
+    for (const catalog of catalogs) {
+      for (const candidate of keys) {
+        const message = lookup(catalog, candidate);
+        if (typeof message === 'string') return interpolate(message, vars);
+      }
+    }
+    return key;
+  };
+};
+
+/**
+ * Format a date for a locale, e.g. 'March 4, 2025' / '4 Mart 2025'.
+ */
+export const formatDate = (date, locale = DEFAULT_LOCALE, options = { month: 'long', day: 'numeric', year: 'numeric' }) =>
+  new Date(date).toLocaleDateString(INTL_LOCALES[locale] || locale, options);
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const merge = (base, override) => {
+  if (Array.isArray(base) && Array.isArray(override)) {
+    return base.map((item, i) => (override[i] === undefined ? item : merge(item, override[i])));
+  }
+  if (isPlainObject(base) && isPlainObject(override)) {
+    return Object.fromEntries(
+      [...new Set([...Object.keys(base), ...Object.keys(override)])]
+        .map((key) => [key, key in override ? merge(base[key], override[key]) : base[key]])
+    );
+  }
+  return override === undefined ? base : override;
+};
+
+/**
+ * Apply `resume.translations[locale]` on top of the resume. Objects merge by
+ * key and arrays by index, so a translation only needs the text fields:
+ *
+ *   translations: { tr: { stats: [{ label: 'YAŞ' }, { label: 'YILLIK DENEYİM' }] } }
+ */
+export const localizeResume = (resume, locale = DEFAULT_LOCALE) => {
+  const { translations, ...rest } = resume;
+  const translation = translations?.[locale];
+  return translation ? merge(rest, translation) : rest;
+};
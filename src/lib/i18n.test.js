@@ -0,0 +1,91 @@
+/**
+ * i18n.test.js
+ * Unit tests for locale routing, message lookup and resume localization
+ *
+ * Run with: npm test
+ */
+
+import en from '../i18n/en';
+import tr from '../i18n/tr';
+import defaultResume from '../data/resume';
+import { validateResume } from './resume';
+import {
+  createTranslator,
+  formatDate,
+  localeFromPath,
+  localizePath,
+  localizeResume
+} from './i18n';
+
+const keysOf = (catalog, prefix = '') =>
+  Object.entries(catalog).flatMap(([key, value]) =>
+    typeof value === 'string' ? [`${prefix}${key}`] : keysOf(value, `${prefix}${key}.`)
+  );
+
+const withoutPlural = (key) => key.replace(/_(one|other)$/, '');
+
+describe('i18n', () => {
+  test('the Turkish catalog covers every English key', () => {
+    const trKeys = new Set(keysOf(tr).map(withoutPlural));
+    const missing = keysOf(en).map(withoutPlural).filter((key) => !trKeys.has(key));
+    expect(missing).toEqual([]);
+  });
+
+  test('reads the locale from the URL path', () => {
+    expect(localeFromPath('/')).toBe('en');
+    expect(localeFromPath('/tr')).toBe('tr');
+    expect(localeFromPath('/tr/')).toBe('tr');
+    expect(localeFromPath('/tracks')).toBe('en');
+  });
+
+  test('builds the same page in another locale', () => {
+    expect(localizePath('/', 'tr')).toBe('/tr');
+    expect(localizePath('/tr', 'en')).toBe('/');
+    expect(localizePath('/tr/', 'en')).toBe('/');
+    expect(localizePath('/tr', 'tr')).toBe('/tr');
+  });
+
+  test('translates, interpolates and falls back to English', () => {
+    const t = createTranslator('tr');
+    expect(t('contact.title')).toBe('İletişim');
+    expect(t('skills.tools', { count: '12+' })).toBe('12+ Araç');
+    expect(t('no.such.key')).toBe('no.such.key');
+
+    const unknown = createTranslator('xx');
+    expect(unknown('contact.title')).toBe('Contact');
+  });
+
+  test('picks plural forms from count', () => {
+    const t = createTranslator('en');
+    expect(t('contact.rateLimited', { count: 1 })).toMatch(/in 1 minute\.$/);
+    expect(t('contact.rateLimited', { count: 5 })).toMatch(/in 5 minutes\.$/);
+    expect(createTranslator('tr')('contact.rateLimited', { count: 1 })).toMatch(/1 dakika/);
+  });
+
+  test('formats dates for the locale', () => {
+    const date = new Date(2025, 2, 4);
+    expect(formatDate(date, 'en')).toBe('March 4, 2025');
+    expect(formatDate(date, 'tr')).toBe('4 Mart 2025');
+  });
+
+  test('merges translations by key and by index', () => {
+    const resume = {
+      basics: { name: 'Ada', role: 'Engineer' },
+      stats: [{ label: 'AGE', value: '30' }, { label: 'YEARS', value: '8' }],
+      translations: { tr: { basics: { role: 'Mühendis' }, stats: [{ label: 'YAŞ' }] } }
+    };
+
+    expect(localizeResume(resume, 'tr')).toEqual({
+      basics: { name: 'Ada', role: 'Mühendis' },
+      stats: [{ label: 'YAŞ', value: '30' }, { label: 'YEARS', value: '8' }]
+    });
+    expect(localizeResume(resume, 'en')).not.toHaveProperty('translations');
+    expect(localizeResume(resume, 'en').basics.role).toBe('Engineer');
+  });
+
+  test('the Turkish default resume is still a valid resume', () => {
+    const localized = localizeResume(defaultResume, 'tr');
+    expect(validateResume(localized)).toEqual([]);
+    expect(localized.skills.map((skill) => skill.level)).toEqual(defaultResume.skills.map((skill) => skill.level));
+  });
+});
@@ -0,0 +1,253 @@
+/**
+ * jsonResume.js - JSON Resume (https://jsonresume.org/schema) interop
+ *
+ * `fromJsonResume` maps a JSON Resume document onto the UltraCV resume shape
+ * (see src/lib/resume.js) and `toJsonResume` serialises it back.
+ *
+ * Mapping:
+ * - basics            -> hero, about, contact details and footer socials
+ * - work, education   -> experience timeline (type 'work' / 'education')
+ * - skills            -> skill bars; each keyword becomes a bar whose category
+ *                        is the skill group's name
+ * - certificates      -> certification cards
+ * - projects          -> portfolio; `highlights` become the detail
+ *                        paragraphs, `roles` the role and `url` the live link
+ *
+ * On import the first paragraph of `basics.summary` doubles as the hero bio.
+ * UltraCV-only fields with no JSON Resume equivalent (statistics, services,
+ * project media and metrics, skill years and aliases, the skills of timeline
+ * entries, certification durations and skill badges) are not exported.
+ */
+
+import { entryDates } from './timeline.js';
+import { validateResume } from './resume.js';
+
+const LEVEL_WORDS = {
+  beginner: 25,
+  novice: 25,
+  intermediate: 50,
+  advanced: 75,
+  expert: 90,
+  master: 100
+};
+
+const NETWORK_ICONS = {
+  linkedin: '💼',
+  instagram: '📸',
+  github: '🔗'
+};
+
+/**
+ * Turn a JSON Resume skill level ("Master", "80%", 80) into a 0-100 number.
+ */
+export const parseLevel = (level) => {
+  if (typeof level === 'number') return Math.min(100, Math.max(0, level));
+  if (typeof level !== 'string') return 50;
+
+  const numeric = parseFloat(level);
+  if (!Number.isNaN(numeric)) return Math.min(100, Math.max(0, numeric));
+
+  return LEVEL_WORDS[level.trim().toLowerCase()] ?? 50;
+};
+
+// Timeline dates are 'YYYY' or 'YYYY-MM': '2021-03-01' -> '2021-03'
+const toMonth = (date) => {
+  const match = String(date ?? '').match(/^\d{4}(-\d{2})?/);
+  return match ? match[0] : undefined;
+};
+
+const splitParagraphs = (text = '') =>
+  text.split(/\n\s*\n/).map((p) => p.trim()).filter(Boolean);
+
+const toLines = (text = '') =>
+  text.split('\n').map((line) => line.trim()).filter(Boolean);
+
+const compact = (obj) =>
+  Object.fromEntries(Object.entries(obj).filter(([, v]) => v !== undefined && v !== ''));
+
+const timelineDates = ({ startDate, endDate }) => compact({
+  startDate: toMonth(startDate),
+  endDate: toMonth(endDate)
+});
+
+/**
+ * Map a JSON Resume document onto the UltraCV resume shape.
+ */
+export const fromJsonResume = (doc = {}) => {
+  const {
+    basics = {},
+    work = [],
+    education = [],
+    skills = [],
+    certificates = [],
+    projects = []
+  } = doc;
+  const summary = splitParagraphs(basics.summary);
+  const location = basics.location || {};
+
+  return {
+    basics: compact({
+      name: basics.name || '',
+      role: basics.label,
+      bio: summary[0],
+      email: basics.email,
+      phone: basics.phone,
+      location: [location.city, location.region, location.countryCode].filter(Boolean).join(', '),
+      website: basics.url ? { label: basics.url.replace(/^https?:\/\//, '').replace(/\/$/, ''), url: basics.url } : undefined,
+      photo: basics.image,
+      summary
+    }),
+
+    stats: [],
+
+    experience: [
+      ...work.map((job) => ({
+        type: 'work',
+        ...timelineDates(job),
+        title: job.position || job.name || '',
+        company: [job.name, job.location].filter(Boolean).join(', '),
+        description: [job.summary, ...(job.highlights || [])].filter(Boolean).join('\n')
+      })),
+      ...education.map((school) => ({
+        type: 'education',
+        ...timelineDates(school),
+        title: [school.studyType, school.area].filter(Boolean).join(' in ') || school.institution || '',
+        company: school.institution || '',
+        description: (school.courses || []).join('\n')
+      }))
+    ],
+
+    // A group without a name becomes a single bar only when it has no
+    // keywords either; with neither there is nothing to show
+    skills: skills.flatMap((group) => {
+      const level = parseLevel(group.level);
+      const keywords = (group.keywords || []).filter(Boolean);
+      if (keywords.length === 0) return group.name ? [{ name: group.name, level }] : [];
+      return keywords.map((keyword) => compact({ name: keyword, level, category: group.name }));
+    }),
+
+    certifications: certificates.map((cert) => compact({
+      title: cert.name || '',
+      platform: cert.issuer,
+      duration: cert.date
+    })),
+
+    projects: projects.map((project) => compact({
+      title: project.name || '',
+      role: project.roles?.join(', '),
+      startDate: project.startDate,
+      endDate: project.endDate,
+      description: project.description,
+      details: project.highlights,
+      tech: project.keywords || [],
+      liveUrl: project.url,
+      featured: false
+    })),
+
+    socials: (basics.profiles || [])
+      .filter((profile) => profile.url)
+      .map((profile) => compact({
+        label: profile.network || profile.username || profile.url,
+        url: profile.url,
+        icon: NETWORK_ICONS[(profile.network || '').toLowerCase()]
+      }))
+  };
+};
+
+const SECTIONS = ['work', 'education', 'skills', 'certificates', 'projects'];
+
+/**
+ * Custom PropTypes validator for the `jsonResume` prop. The document is mapped
+ * with `fromJsonResume` and the result checked like the `resume` prop, so a
+ * bad field is reported by the path it ends up at, e.g. `resume.skills[0].name`.
+ */
+export const jsonResumePropType = (props, propName, componentName) => {
+  const doc = props[propName];
+  if (doc === undefined) return null;
+
+  const invalid = (problems) => new Error(
+    `Invalid prop \`${propName}\` supplied to \`${componentName}\`:\n` +
+    problems.map((problem) => `  ${problem}`).join('\n')
+  );
+
+  if (doc === null || typeof doc !== 'object' || Array.isArray(doc)) {
+    return invalid(['expected a JSON Resume object']);
+  }
+  const notArrays = SECTIONS.filter((section) => doc[section] !== undefined && !Array.isArray(doc[section]));
+  if (notArrays.length > 0) {
+    return invalid(notArrays.map((section) => `\`${section}\` expected an array`));
+  }
+
+  const errors = validateResume(fromJsonResume(doc));
+  if (errors.length === 0) return null;
+  return invalid(errors.map(({ path, message }) => `\`${path}\` ${message}`));
+};
+
+/**
+ * Serialise an UltraCV resume back to a JSON Resume document.
+ */
+export const toJsonResume = (resume = {}) => {
+  const {
+    basics = {},
+    experience = [],
+    skills = [],
+    certifications = [],
+    projects = [],
+    socials = []
+  } = resume;
+  const [city, ...region] = (basics.location || '').split(',').map((part) => part.trim());
+  const work = experience.filter((item) => item.type !== 'education');
+  const education = experience.filter((item) => item.type === 'education');
+
+  // Group skill bars by category and level so no percentage is lost
+  const skillGroups = [];
+  skills.forEach((skill) => {
+    const name = skill.category || skill.name;
+    const level = `${skill.level}%`;
+    const group = skillGroups.find((g) => g.name === name && g.level === level);
+    if (group) group.keywords.push(skill.name);
+    else skillGroups.push({ name, level, keywords: [skill.name] });
+  });
+
+  return {
+    $schema: 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json',
+    basics: compact({
+      name: basics.name,
+      label: basics.role,
+      image: basics.photo,
+      email: basics.email,
+      phone: basics.phone,
+      url: basics.website?.url,
+      summary: (basics.summary?.length ? basics.summary : [basics.bio].filter(Boolean)).join('\n\n'),
+      location: city ? compact({ city, region: region.join(', ') }) : undefined,
+      profiles: socials.map((social) => ({ network: social.label, url: social.url }))
+    }),
+    work: work.map((item) => compact({
+      name: item.company,
+      position: item.title,
+      ...timelineDates(entryDates(item)),
+      highlights: toLines(item.description)
+    })),
+    education: education.map((item) => compact({
+      institution: item.company,
+      area: item.title,
+      ...timelineDates(entryDates(item)),
+      courses: toLines(item.description)
+    })),
+    skills: skillGroups,
+    certificates: certifications.map((cert) => compact({
+      name: cert.title,
+      issuer: cert.platform
+    })),
+    projects: projects.map((project) => compact({
+      name: project.title,
+      roles: project.role ? [project.role] : undefined,
+      startDate: project.startDate,
+      endDate: project.endDate,
+      description: project.description,
+      highlights: project.details,
+      keywords: project.tech,
+      url: project.liveUrl
+    }))
+  };
+};
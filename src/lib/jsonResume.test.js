@@ -0,0 +1,164 @@
+/**
+ * jsonResume.test.js
+ * Unit tests for JSON Resume import/export
+ *
+ * Run with: npm test
+ */
+
+import resume from '../data/resume';
+import { validateResume } from './resume';
+import { fromJsonResume, toJsonResume, parseLevel, jsonResumePropType } from './jsonResume';
+
+const doc = {
+  basics: {
+    name: 'Jane Roe',
+    label: 'Product Designer',
+    email: 'jane@example.com',
+    url: 'https://janeroe.dev',
+    summary: 'Designs things.\n\nAlso builds them.',
+    location: { city: 'Berlin', countryCode: 'DE' },
+    profiles: [{ network: 'GitHub', url: 'https://github.com/janeroe' }]
+  },
+  work: [{
+    name: 'Acme',
+    position: 'Lead Designer',
+    startDate: '2021-03-01',
+    highlights: ['Shipped the design system']
+  }],
+  education: [{
+    institution: 'TU Berlin',
+    area: 'Computer Science',
+    studyType: 'Bachelor',
+    startDate: '2016',
+    endDate: '2020'
+  }],
+  skills: [{ name: 'Design', level: 'Advanced', keywords: ['Figma', 'Sketch'] }],
+  certificates: [{ name: 'UX Certificate', issuer: 'NN/g', date: '2022-05-01' }],
+  projects: [{
+    name: 'Atlas',
+    roles: ['Lead developer'],
+    startDate: '2022-01',
+    description: 'Maps for teams',
+    highlights: ['Used by 40 teams'],
+    keywords: ['React'],
+    url: 'https://atlas.example.com'
+  }]
+};
+
+describe('parseLevel', () => {
+  test('understands words, percentages and numbers', () => {
+    expect(parseLevel('Master')).toBe(100);
+    expect(parseLevel('intermediate')).toBe(50);
+    expect(parseLevel('80%')).toBe(80);
+    expect(parseLevel(120)).toBe(100);
+    expect(parseLevel(undefined)).toBe(50);
+  });
+});
+
+describe('fromJsonResume', () => {
+  test('produces a valid UltraCV resume', () => {
+    expect(validateResume(fromJsonResume(doc))).toEqual([]);
+  });
+
+  test('maps basics onto the hero and contact details', () => {
+    const { basics, socials } = fromJsonResume(doc);
+    expect(basics).toMatchObject({
+      name: 'Jane Roe',
+      role: 'Product Designer',
+      bio: 'Designs things.',
+      location: 'Berlin, DE',
+      website: { label: 'janeroe.dev', url: 'https://janeroe.dev' },
+      summary: ['Designs things.', 'Also builds them.']
+    });
+    expect(socials).toEqual([{ label: 'GitHub', url: 'https://github.com/janeroe', icon: '🔗' }]);
+  });
+
+  test('maps work and education onto the timeline', () => {
+    const { experience } = fromJsonResume(doc);
+    expect(experience).toEqual([
+      { type: 'work', startDate: '2021-03', title: 'Lead Designer', company: 'Acme', description: 'Shipped the design system' },
+      { type: 'education', startDate: '2016', endDate: '2020', title: 'Bachelor in Computer Science', company: 'TU Berlin', description: '' }
+    ]);
+  });
+
+  test('expands skill keywords into bars', () => {
+    expect(fromJsonResume(doc).skills).toEqual([
+      { name: 'Figma', level: 75, category: 'Design' },
+      { name: 'Sketch', level: 75, category: 'Design' }
+    ]);
+  });
+
+  test('skips skill groups with neither a name nor keywords', () => {
+    const skills = [
+      { level: 'Expert' },
+      { name: '', keywords: [''] },
+      { name: 'Writing', level: 'Advanced' },
+      { keywords: ['Figma'] }
+    ];
+    const imported = fromJsonResume({ ...doc, skills });
+    expect(imported.skills).toEqual([
+      { name: 'Writing', level: 75 },
+      { name: 'Figma', level: 50 }
+    ]);
+    expect(validateResume(imported)).toEqual([]);
+  });
+
+  test('maps certificates and projects', () => {
+    const { certifications, projects, services } = fromJsonResume(doc);
+    expect(certifications).toEqual([{ title: 'UX Certificate', platform: 'NN/g', duration: '2022-05-01' }]);
+    expect(services).toBeUndefined();
+    expect(projects).toEqual([{
+      title: 'Atlas',
+      role: 'Lead developer',
+      startDate: '2022-01',
+      description: 'Maps for teams',
+      details: ['Used by 40 teams'],
+      tech: ['React'],
+      liveUrl: 'https://atlas.example.com',
+      featured: false
+    }]);
+  });
+});
+
+describe('toJsonResume', () => {
+  test('round-trips the timeline, skills, socials and projects of the default resume', () => {
+    const withProjects = { ...resume, projects: [{ title: 'Atlas', tech: ['React'], featured: false }] };
+    const imported = fromJsonResume(toJsonResume(withProjects));
+    // Skill years and aliases and the skills of timeline entries have no JSON Resume field
+    expect(imported.experience).toEqual(resume.experience.map(({ skills, ...entry }) => entry));
+    expect(imported.skills).toEqual(resume.skills.map(({ years, aliases, ...skill }) => skill));
+    expect(imported.socials).toEqual(resume.socials);
+    expect(imported.projects).toEqual(withProjects.projects);
+    expect(imported.basics.summary).toEqual(resume.basics.summary);
+  });
+
+  test('writes standard JSON Resume sections', () => {
+    const exported = toJsonResume(resume);
+    expect(exported.basics.name).toBe('Tahsin Mert Mutlu');
+    expect(exported.basics.location).toEqual({ city: 'Istanbul', region: 'Turkey' });
+    expect(exported.work[0]).toMatchObject({ position: 'Senior Frontend Developer', startDate: '2023' });
+    expect(exported.work[0].endDate).toBeUndefined();
+    expect(exported.education[1]).toMatchObject({ institution: 'Doğa Koleji, Çanakkale', startDate: '2019', endDate: '2023' });
+    expect(exported.skills[0]).toEqual({ name: 'Frontend', level: '100%', keywords: ['HTML'] });
+    expect(exported.certificates[0]).toEqual({ name: 'Modern JavaScript (ES6+)', issuer: 'Udacity' });
+  });
+});
+
+describe('jsonResumePropType', () => {
+  test('accepts a document that maps onto a valid resume', () => {
+    expect(jsonResumePropType({ jsonResume: doc }, 'jsonResume', 'UltraCV')).toBeNull();
+    expect(jsonResumePropType({}, 'jsonResume', 'UltraCV')).toBeNull();
+  });
+
+  test('reports sections that are not arrays', () => {
+    const error = jsonResumePropType({ jsonResume: { ...doc, work: {} } }, 'jsonResume', 'UltraCV');
+    expect(error.message).toContain('Invalid prop `jsonResume` supplied to `UltraCV`');
+    expect(error.message).toContain('`work` expected an array');
+    expect(jsonResumePropType({ jsonResume: [] }, 'jsonResume', 'UltraCV').message).toContain('expected a JSON Resume object');
+  });
+
+  test('reports fields of the mapped resume by their path', () => {
+    const error = jsonResumePropType({ jsonResume: { ...doc, basics: { ...doc.basics, name: 42 } } }, 'jsonResume', 'UltraCV');
+    expect(error.message).toContain('`resume.basics.name` expected string');
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * network.js - Connection status and the automatic low-bandwidth mode
+ *
+ * `readNetworkStatus` combines `navigator.onLine` with the Network Information
+ * API (`navigator.connection`: effective type, downlink and the Save-Data
+ * preference), which only some browsers support:
+ *
+ *   { online: true, supported: true, effectiveType: '3g', downlink: 1.4, saveData: false }
+ *
+ * Low-bandwidth mode is 'auto', 'on' or 'off'. In 'auto' it switches on for
+ * Save-Data and for connections the browser rates slower than 4G. The
+ * decision carries a reason so the Developer Tools panel can explain it.
+ */
+
+export const LOW_BANDWIDTH_MODES = ['auto', 'on', 'off'];
+
+export const SLOW_CONNECTION_TYPES = ['slow-2g', '2g', '3g'];
+
+export const UNKNOWN_NETWORK = {
+  online: true,
+  supported: false,
+  effectiveType: null,
+  downlink: null,
+  saveData: false
+};
+
+const getNavigator = () => (typeof navigator === 'undefined' ? null : navigator);
+
+const getConnection = (nav) => nav?.connection || nav?.mozConnection || nav?.webkitConnection;
+
+export const readNetworkStatus = (nav = getNavigator()) => {
+  if (!nav) return UNKNOWN_NETWORK;
+
+  const connection = getConnection(nav);
+  return {
+    online: nav.onLine !== false,
+    supported: Boolean(connection),
+    effectiveType: connection?.effectiveType || null,
+    downlink: typeof connection?.downlink === 'number' ? connection.downlink : null,
+    saveData: Boolean(connection?.saveData)
+  };
+};
+
+/**
+ * Whether low-bandwidth mode is on, and why:
+ *
+ *   { enabled: true, reason: 'save-data' }
+ *
+ * Reasons: 'manual-on' and 'manual-off' for a fixed mode; in 'auto',
+ * 'save-data', 'slow-connection', 'fast-connection' or 'unsupported' (no
+ * Network Information API, so the mode stays off).
+ */
+export const lowBandwidthDecision = (mode, status) => {
+  if (mode === 'on') return { enabled: true, reason: 'manual-on' };
+  if (mode === 'off') return { enabled: false, reason: 'manual-off' };
+  if (status.saveData) return { enabled: true, reason: 'save-data' };
+  if (SLOW_CONNECTION_TYPES.includes(status.effectiveType)) return { enabled: true, reason: 'slow-connection' };
+  if (!status.supported) return { enabled: false, reason: 'unsupported' };
+  return { enabled: false, reason: 'fast-connection' };
+};
+
+/**
+ * One sentence explaining a decision in the language of `t`, e.g.
+ * "On: the connection is rated 2g."
+ */
+export const explainLowBandwidth = ({ enabled, reason }, status, t) => {
+  const state = t(enabled ? 'devTools.states.on' : 'devTools.states.off');
+  switch (reason) {
+    case 'manual-on':
+    case 'manual-off':
+      return t('devTools.reasons.manual', { state });
+    case 'save-data':
+      return t('devTools.reasons.saveData', { state });
+    case 'unsupported':
+      return t('devTools.reasons.unsupported', { state });
+    default:
+      return t('devTools.reasons.connection', { state, type: status.effectiveType || t('devTools.fast') });
+  }
+};
+
+/**
+ * Call `callback` with a fresh status whenever the browser goes on- or
+ * offline or the connection changes. Returns an unsubscribe function.
+ */
+export const watchNetworkStatus = (callback, win = window) => {
+  const connection = getConnection(win.navigator);
+  const handleChange = () => callback(readNetworkStatus(win.navigator));
+
+  win.addEventListener('online', handleChange);
+  win.addEventListener('offline', handleChange);
+  connection?.addEventListener?.('change', handleChange);
+  return () => {
+    win.removeEventListener('online', handleChange);
+    win.removeEventListener('offline', handleChange);
+    connection?.removeEventListener?.('change', handleChange);
+  };
+};
@@ -0,0 +1,88 @@
+/**
+ * network.test.js
+ * Unit tests for connection status and the automatic low-bandwidth mode
+ *
+ * Run with: npm test
+ */
+
+import { createTranslator } from './i18n';
+import { readNetworkStatus, lowBandwidthDecision, explainLowBandwidth, watchNetworkStatus, UNKNOWN_NETWORK } from './network';
+
+const createConnection = (props) => {
+  const listeners = new Set();
+  return {
+    ...props,
+    addEventListener: (type, listener) => listeners.add(listener),
+    removeEventListener: (type, listener) => listeners.delete(listener),
+    emit: () => listeners.forEach((listener) => listener()),
+    listeners
+  };
+};
+
+describe('network', () => {
+  test('reads online state and the Network Information API', () => {
+    const connection = createConnection({ effectiveType: '3g', downlink: 1.4, saveData: true });
+    expect(readNetworkStatus({ onLine: false, connection })).toEqual({
+      online: false,
+      supported: true,
+      effectiveType: '3g',
+      downlink: 1.4,
+      saveData: true
+    });
+    expect(readNetworkStatus({ onLine: true })).toEqual(UNKNOWN_NETWORK);
+    expect(readNetworkStatus(null)).toEqual(UNKNOWN_NETWORK);
+  });
+
+  test('auto mode switches on for Save-Data and slow connections', () => {
+    const status = (props) => ({ ...UNKNOWN_NETWORK, supported: true, ...props });
+    expect(lowBandwidthDecision('auto', status({ effectiveType: '4g', saveData: true })))
+      .toEqual({ enabled: true, reason: 'save-data' });
+    expect(lowBandwidthDecision('auto', status({ effectiveType: '2g' })))
+      .toEqual({ enabled: true, reason: 'slow-connection' });
+    expect(lowBandwidthDecision('auto', status({ effectiveType: '4g' })))
+      .toEqual({ enabled: false, reason: 'fast-connection' });
+    expect(lowBandwidthDecision('auto', UNKNOWN_NETWORK))
+      .toEqual({ enabled: false, reason: 'unsupported' });
+  });
+
+  test('a manual mode wins over the connection', () => {
+    const slow = { ...UNKNOWN_NETWORK, supported: true, effectiveType: 'slow-2g' };
+    expect(lowBandwidthDecision('off', slow)).toEqual({ enabled: false, reason: 'manual-off' });
+    expect(lowBandwidthDecision('on', UNKNOWN_NETWORK)).toEqual({ enabled: true, reason: 'manual-on' });
+  });
+
+  test('explains the decision', () => {
+    const t = createTranslator('en');
+    const slow = { ...UNKNOWN_NETWORK, supported: true, effectiveType: '2g' };
+    expect(explainLowBandwidth(lowBandwidthDecision('auto', slow), slow, t)).toBe('On: the connection is rated 2g.');
+    expect(explainLowBandwidth(lowBandwidthDecision('on', slow), slow, t)).toBe('On: set manually.');
+    expect(explainLowBandwidth(lowBandwidthDecision('auto', UNKNOWN_NETWORK), UNKNOWN_NETWORK, t))
+      .toBe('Off: this browser does not report connection speed.');
+    expect(explainLowBandwidth(lowBandwidthDecision('auto', slow), slow, createTranslator('tr')))
+      .toBe('Açık: bağlantı 2g olarak derecelendirildi.');
+  });
+
+  test('reports changes until unsubscribed', () => {
+    const connection = createConnection({ effectiveType: '4g', downlink: 10 });
+    const listeners = new Map();
+    const win = {
+      navigator: { onLine: true, connection },
+      addEventListener: (type, listener) => listeners.set(type, listener),
+      removeEventListener: (type) => listeners.delete(type)
+    };
+    const callback = jest.fn();
+
+    const unsubscribe = watchNetworkStatus(callback, win);
+    connection.effectiveType = '2g';
+    connection.emit();
+    expect(callback).toHaveBeenLastCalledWith(expect.objectContaining({ effectiveType: '2g' }));
+
+    win.navigator.onLine = false;
+    listeners.get('offline')();
+    expect(callback).toHaveBeenLastCalledWith(expect.objectContaining({ online: false }));
+
+    unsubscribe();
+    expect(listeners.size).toBe(0);
+    expect(connection.listeners.size).toBe(0);
+  });
+});
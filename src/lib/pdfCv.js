@@ -0,0 +1,188 @@
+/**
+ * pdfCv.js - Client-side PDF export of the CV
+ *
+ * `buildCvPdf` turns the resume data into a pdfmake document definition:
+ * real text (selectable and searchable), embedded Roboto fonts, clickable
+ * mailto/tel/social links, document metadata, and experience items that are
+ * never split across a page break. `downloadCvPdf` lazy-loads pdfmake (about
+ * 1MB with fonts) only when a visitor actually asks for the PDF.
+ */
+
+import { createTranslator } from './i18n.js';
+import { timelineEntries, formatPeriod, formatDuration } from './timeline.js';
+
+const PRIMARY = '#ff1744';
+const PAGE_WIDTHS = { A4: 595.28, LETTER: 612 };
+const MARGIN = 40;
+
+const toLines = (text = '') =>
+  text.split('\n').map((line) => line.trim()).filter(Boolean);
+
+/**
+ * A4 everywhere except the regions that use US Letter.
+ */
+export const defaultPageSize = (locale = typeof navigator !== 'undefined' ? navigator.language : 'en') =>
+  /-(US|CA|MX|PH|CL|CO|VE)$/i.test(locale) ? 'LETTER' : 'A4';
+
+export const DEFAULT_LABELS = {
+  summary: 'Professional Summary',
+  skills: 'Technical Skills',
+  experience: 'Professional Experience',
+  education: 'Education',
+  certifications: 'Certifications'
+};
+
+const sectionTitle = (text, locale) => ({ text: text.toLocaleUpperCase(locale), style: 'section' });
+
+const timelineItem = (item, locale, t) => ({
+  unbreakable: true,
+  margin: [0, 0, 0, 12],
+  stack: [
+    {
+      columns: [
+        { text: item.title, style: 'itemTitle' },
+        {
+          text: [formatPeriod(item, locale, t('experience.present')), formatDuration(item.months, t)].filter(Boolean).join(' · '),
+          style: 'itemYear',
+          width: 'auto'
+        }
+      ]
+    },
+    item.company ? { text: item.company, style: 'itemCompany' } : null,
+    { ul: toLines(item.description), style: 'itemBody' }
+  ].filter(Boolean)
+});
+
+/**
+ * Build a pdfmake document definition for a resume. `labels` overrides the
+ * section headings, `locale` drives upper-casing (Turkish i → İ) and dates, and
+ * `t` words the timeline's "Present" and durations; UltraCV passes all three
+ * for the active language.
+ */
+export const buildCvPdf = (resume, { pageSize = defaultPageSize(), labels: customLabels, locale = 'en', t = createTranslator() } = {}) => {
+  const labels = { ...DEFAULT_LABELS, ...customLabels };
+  const {
+    basics,
+    experience = [],
+    skills = [],
+    certifications = [],
+    socials = []
+  } = resume;
+  const timeline = timelineEntries(experience);
+  const work = timeline.filter((item) => item.type !== 'education');
+  const education = timeline.filter((item) => item.type === 'education');
+  const summary = basics.summary?.length ? basics.summary : [basics.bio].filter(Boolean);
+
+  const contact = [
+    basics.email && { text: basics.email, link: `mailto:${basics.email}` },
+    basics.phone && { text: basics.phone, link: `tel:${basics.phone.replace(/\s/g, '')}` },
+    basics.location && { text: basics.location },
+    basics.website && { text: basics.website.label || basics.website.url, link: basics.website.url },
+    ...socials.map((social) => ({ text: social.label, link: social.url }))
+  ].filter(Boolean);
+
+  const categories = [...new Set(skills.map((skill) => skill.category || 'Other'))];
+
+  const content = [
+    { text: basics.name.toLocaleUpperCase(locale), style: 'name' },
+    basics.role ? { text: basics.role, style: 'role' } : null,
+    {
+      text: contact.flatMap((part, i) => [
+        ...(i > 0 ? [{ text: '  •  ', color: '#bbbbbb' }] : []),
+        part.link ? { ...part, color: PRIMARY } : part
+      ]),
+      style: 'contact'
+    },
+    { canvas: [{ type: 'line', x1: 0, y1: 0, x2: PAGE_WIDTHS[pageSize] - MARGIN * 2, y2: 0, lineWidth: 2, lineColor: PRIMARY }], margin: [0, 8, 0, 4] },
+
+    ...(summary.length ? [
+      sectionTitle(labels.summary, locale),
+      ...summary.map((paragraph) => ({ text: paragraph, style: 'summary' }))
+    ] : []),
+
+    ...(skills.length ? [
+      sectionTitle(labels.skills, locale),
+      {
+        columns: [0, 1].map((column) => ({
+          stack: categories
+            .filter((_, i) => i % 2 === column)
+            .map((category) => ({
+              unbreakable: true,
+              margin: [0, 0, 0, 8],
+              stack: [
+                { text: category.toLocaleUpperCase(locale), style: 'skillCategory' },
+                ...skills
+                  .filter((skill) => (skill.category || 'Other') === category)
+                  .map((skill) => ({ text: `${skill.name} (${skill.level}%)`, style: 'skill' }))
+              ]
+            }))
+        }))
+      }
+    ] : []),
+
+    ...(work.length ? [sectionTitle(labels.experience, locale), ...work.map((item) => timelineItem(item, locale, t))] : []),
+    ...(education.length ? [sectionTitle(labels.education, locale), ...education.map((item) => timelineItem(item, locale, t))] : []),
+
+    ...(certifications.length ? [
+      sectionTitle(labels.certifications, locale),
+      ...certifications.map((cert) => ({
+        unbreakable: true,
+        margin: [0, 0, 0, 8],
+        stack: [
+          { text: cert.title, style: 'certTitle' },
+          { text: [cert.platform, cert.duration].filter(Boolean).join(' • '), style: 'itemCompany' },
+          cert.skills?.length ? { text: cert.skills.join(', '), style: 'itemBody' } : null
+        ].filter(Boolean)
+      }))
+    ] : [])
+  ].filter(Boolean);
+
+  return {
+    pageSize,
+    pageMargins: [MARGIN, 48, MARGIN, 48],
+    info: {
+      title: `${basics.name} - CV`,
+      author: basics.name,
+      subject: basics.role || 'Curriculum Vitae',
+      keywords: skills.map((skill) => skill.name).join(', '),
+      creator: 'UltraCV'
+    },
+    content,
+    footer: (currentPage, pageCount) => ({
+      text: `${basics.name} — ${currentPage} / ${pageCount}`,
+      style: 'footer'
+    }),
+    defaultStyle: { font: 'Roboto', fontSize: 10, lineHeight: 1.3, color: '#333333' },
+    styles: {
+      name: { fontSize: 24, bold: true, color: '#000000' },
+      role: { fontSize: 13, color: '#666666', margin: [0, 2, 0, 6] },
+      contact: { fontSize: 9 },
+      section: { fontSize: 12, bold: true, color: '#000000', margin: [0, 14, 0, 6] },
+      summary: { alignment: 'justify', color: '#444444', margin: [0, 0, 0, 4] },
+      skillCategory: { fontSize: 8, color: '#888888' },
+      skill: { fontSize: 10 },
+      itemTitle: { fontSize: 11, bold: true },
+      itemYear: { fontSize: 9, color: '#888888' },
+      itemCompany: { fontSize: 9, italics: true, color: '#666666', margin: [0, 1, 0, 3] },
+      itemBody: { fontSize: 9, color: '#555555' },
+      certTitle: { fontSize: 10, bold: true },
+      footer: { fontSize: 8, color: '#999999', alignment: 'center', margin: [0, 16, 0, 0] }
+    }
+  };
+};
+
+/**
+ * Generate the PDF in the browser and hand it to the visitor as a download.
+ */
+export const downloadCvPdf = async (resume, options) => {
+  const [{ default: pdfMake }, { default: vfs }] = await Promise.all([
+    import('pdfmake/build/pdfmake'),
+    import('pdfmake/build/vfs_fonts')
+  ]);
+  pdfMake.addVirtualFileSystem(vfs);
+
+  const filename = `${resume.basics.name.replace(/\s+/g, '-')}-CV.pdf`;
+  return new Promise((resolve) => {
+    pdfMake.createPdf(buildCvPdf(resume, options)).download(filename, resolve);
+  });
+};
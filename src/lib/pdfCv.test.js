@@ -0,0 +1,72 @@
+/**
+ * pdfCv.test.js
+ * Unit tests for the PDF document definition
+ *
+ * Run with: npm test
+ */
+
+import resume from '../data/resume';
+import { createTranslator } from './i18n';
+import { buildCvPdf, defaultPageSize } from './pdfCv';
+
+const flatten = (node) => {
+  if (!node || typeof node !== 'object') return [];
+  if (Array.isArray(node)) return node.flatMap(flatten);
+  return [node, ...Object.values(node).flatMap(flatten)];
+};
+
+describe('defaultPageSize', () => {
+  test('uses Letter for North American locales and A4 elsewhere', () => {
+    expect(defaultPageSize('en-US')).toBe('LETTER');
+    expect(defaultPageSize('en-CA')).toBe('LETTER');
+    expect(defaultPageSize('tr-TR')).toBe('A4');
+    expect(defaultPageSize('en')).toBe('A4');
+  });
+});
+
+describe('buildCvPdf', () => {
+  test('sets document metadata from basics', () => {
+    const doc = buildCvPdf(resume, { pageSize: 'A4' });
+    expect(doc.pageSize).toBe('A4');
+    expect(doc.info).toMatchObject({
+      title: 'Tahsin Mert Mutlu - CV',
+      author: 'Tahsin Mert Mutlu',
+      subject: 'UI/UX Designer & Web Developer'
+    });
+  });
+
+  test('links email, phone and socials', () => {
+    const links = flatten(buildCvPdf(resume).content)
+      .map((node) => node.link)
+      .filter(Boolean);
+    expect(links).toEqual(expect.arrayContaining([
+      `mailto:${resume.basics.email}`,
+      'tel:+905458976442',
+      ...resume.socials.map((social) => social.url)
+    ]));
+  });
+
+  test('keeps each timeline item on a single page', () => {
+    const items = buildCvPdf(resume).content.filter((node) => node.unbreakable && node.stack?.[0]?.columns);
+    expect(items).toHaveLength(resume.experience.length);
+  });
+
+  test('uses localized section headings with locale-aware upper-casing', () => {
+    const labels = { education: 'Eğitim', certifications: 'Sertifikalar' };
+    const doc = buildCvPdf(resume, { labels, locale: 'tr-TR' });
+    const sections = doc.content.filter((node) => node.style === 'section').map((node) => node.text);
+
+    expect(sections).toEqual(expect.arrayContaining(['EĞİTİM', 'SERTİFİKALAR']));
+    expect(doc.content[0].text).toBe('TAHSİN MERT MUTLU');
+  });
+
+  test('words timeline periods for the locale', () => {
+    const doc = buildCvPdf(resume, { locale: 'tr-TR', t: createTranslator('tr') });
+    const periods = flatten(doc.content).filter((node) => node.style === 'itemYear').map((node) => node.text);
+    expect(periods).toContain('2019 – 2023 · 4 yıl');
+  });
+
+  test('numbers pages in the footer', () => {
+    expect(buildCvPdf(resume).footer(2, 3).text).toBe('Tahsin Mert Mutlu — 2 / 3');
+  });
+});
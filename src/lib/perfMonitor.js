@@ -0,0 +1,257 @@
+/**
+ * perfMonitor.js - Measurements behind the Developer Tools performance overlay
+ *
+ * `observePerformance` listens to the browser's PerformanceObserver entries
+ * and reports a snapshot whenever something changes:
+ *
+ *   {
+ *     lcp: 1840,                  Largest Contentful Paint, ms
+ *     cls: 0.04,                  Cumulative Layout Shift (largest session window)
+ *     inp: 120,                   Interaction to Next Paint, ms (null before any input)
+ *     longTasks: { count: 3, totalBlockingTime: 180, longest: 140 }
+ *   }
+ *
+ * `startFpsMeter` samples frames per second. Both return a function that
+ * stops them, so the overlay leaves nothing running once it is closed.
+ * Entry types a browser does not support are skipped (Safari and Firefox
+ * report no LCP, INP or long tasks).
+ */
+
+// [good, poor] limits from https://web.dev/articles/vitals
+export const VITALS_THRESHOLDS = {
+  lcp: [2500, 4000],
+  cls: [0.1, 0.25],
+  inp: [200, 500]
+};
+
+const LONG_TASK_BUDGET = 50;
+const SESSION_GAP = 1000;
+const SESSION_LENGTH = 5000;
+// Interactions per ignored outlier when estimating INP
+const INTERACTIONS_PER_OUTLIER = 50;
+
+export const EMPTY_METRICS = {
+  lcp: null,
+  cls: 0,
+  inp: null,
+  longTasks: { count: 0, totalBlockingTime: 0, longest: 0 }
+};
+
+/**
+ * 'good', 'needs-improvement' or 'poor' for a Web Vital; null without a value.
+ */
+export const rateMetric = (name, value) => {
+  if (value === null || value === undefined || !VITALS_THRESHOLDS[name]) return null;
+  const [good, poor] = VITALS_THRESHOLDS[name];
+  if (value <= good) return 'good';
+  return value <= poor ? 'needs-improvement' : 'poor';
+};
+
+// Only the worst interactions matter for INP; ten cover the outliers
+// ignored in up to 500 interactions
+const MAX_INTERACTIONS = 10;
+
+// The observer keeps these running totals rather than every entry, so a long
+// visit does not grow its memory
+const EMPTY_SHIFTS = { largest: 0, session: null };
+const EMPTY_INTERACTIONS = { count: 0, lastId: 0, worst: [] };
+const EMPTY_TASKS = { count: 0, blocking: 0, longest: 0 };
+
+const addShift = (state, shift) => {
+  if (shift.hadRecentInput) return state;
+  const { session } = state;
+  const continues = session
+    && shift.startTime - session.last < SESSION_GAP
+    && shift.startTime - session.start < SESSION_LENGTH;
+  const next = continues
+    ? { ...session, value: session.value + shift.value, last: shift.startTime }
+    : { value: shift.value, start: shift.startTime, last: shift.startTime };
+  return { largest: Math.max(state.largest, next.value), session: next };
+};
+
+// Interaction ids grow as the visitor interacts, so a higher id than any seen
+// so far is a new interaction
+const addInteraction = (state, event) => {
+  if (!event.interactionId) return state;
+  const { interactionId: id } = event;
+  const previous = state.worst.find((interaction) => interaction.id === id);
+  const worst = [
+    ...state.worst.filter((interaction) => interaction.id !== id),
+    { id, duration: Math.max(previous?.duration || 0, event.duration) }
+  ]
+    .sort((a, b) => b.duration - a.duration)
+    .slice(0, MAX_INTERACTIONS);
+  return { count: id > state.lastId ? state.count + 1 : state.count, lastId: Math.max(state.lastId, id), worst };
+};
+
+const addTask = (state, task) => ({
+  count: state.count + 1,
+  blocking: state.blocking + Math.max(0, task.duration - LONG_TASK_BUDGET),
+  longest: Math.max(state.longest, task.duration)
+});
+
+const inpOf = ({ count, worst }) => {
+  if (worst.length === 0) return null;
+  return worst[Math.min(Math.floor(count / INTERACTIONS_PER_OUTLIER), worst.length - 1)].duration;
+};
+
+const tasksOf = ({ count, blocking, longest }) => ({
+  count,
+  totalBlockingTime: Math.round(blocking),
+  longest: Math.round(longest)
+});
+
+/**
+ * CLS from layout-shift entries: shifts less than a second apart form a
+ * session of at most five seconds, and the largest session counts. Shifts
+ * right after user input are expected and ignored.
+ */
+export const cumulativeLayoutShift = (shifts) => shifts.reduce(addShift, EMPTY_SHIFTS).largest;
+
+/**
+ * INP from event entries: the slowest interaction, ignoring one outlier per
+ * 50 interactions. Null before the first interaction.
+ */
+export const interactionToNextPaint = (events) => inpOf(events.reduce(addInteraction, EMPTY_INTERACTIONS));
+
+/**
+ * Count, total blocking time (the part of each task over 50ms) and the
+ * longest of the long tasks.
+ */
+export const longTaskSummary = (tasks) => tasksOf(tasks.reduce(addTask, EMPTY_TASKS));
+
+const OBSERVED_TYPES = {
+  'largest-contentful-paint': { buffered: true },
+  'layout-shift': { buffered: true },
+  event: { buffered: true, durationThreshold: 40 },
+  'first-input': { buffered: true },
+  longtask: { buffered: true }
+};
+
+/**
+ * Call `onChange` with a metrics snapshot (see above) as entries arrive.
+ * Returns a function that disconnects the observers.
+ */
+export const observePerformance = (onChange, { Observer = globalThis.PerformanceObserver } = {}) => {
+  if (!Observer) return () => {};
+
+  const totals = { lcp: null, shifts: EMPTY_SHIFTS, interactions: EMPTY_INTERACTIONS, tasks: EMPTY_TASKS };
+  const snapshot = () => ({
+    lcp: totals.lcp === null ? null : Math.round(totals.lcp),
+    cls: totals.shifts.largest,
+    inp: inpOf(totals.interactions),
+    longTasks: tasksOf(totals.tasks)
+  });
+
+  const record = (type, list) => {
+    if (type === 'largest-contentful-paint') {
+      const last = list[list.length - 1];
+      if (last) totals.lcp = last.renderTime || last.loadTime || last.startTime;
+    } else if (type === 'layout-shift') {
+      totals.shifts = list.reduce(addShift, totals.shifts);
+    } else if (type === 'event' || type === 'first-input') {
+      totals.interactions = list.reduce(addInteraction, totals.interactions);
+    } else {
+      totals.tasks = list.reduce(addTask, totals.tasks);
+    }
+  };
+
+  const supported = Observer.supportedEntryTypes || [];
+  const observers = Object.entries(OBSERVED_TYPES)
+    .filter(([type]) => supported.includes(type))
+    .map(([type, options]) => {
+      const observer = new Observer((list) => {
+        record(type, list.getEntries());
+        onChange(snapshot());
+      });
+      try {
+        observer.observe({ type, ...options });
+      } catch {
+        // Listed as supported but rejected (older engines): skip this type
+      }
+      return observer;
+    });
+
+  return () => observers.forEach((observer) => observer.disconnect());
+};
+
+/**
+ * Count animation frames and call `onSample(fps)` about once a second.
+ * Returns a function that cancels the pending frame.
+ */
+export const startFpsMeter = (onSample, {
+  requestFrame = (callback) => requestAnimationFrame(callback),
+  cancelFrame = (id) => cancelAnimationFrame(id),
+  now = () => performance.now()
+} = {}) => {
+  let start = now();
+  let frames = 0;
+  let frame = null;
+
+  const tick = () => {
+    frames += 1;
+    const time = now();
+    if (time - start >= 1000) {
+      onSample(Math.round((frames * 1000) / (time - start)));
+      frames = 0;
+      start = time;
+    }
+    frame = requestFrame(tick);
+  };
+
+  frame = requestFrame(tick);
+  return () => cancelFrame(frame);
+};
+
+/**
+ * `samples` with `value` appended, keeping the last `limit`.
+ */
+export const addSample = (samples, value, limit = 60) => [...samples, value].slice(-limit);
+
+/**
+ * SVG polyline points for a sparkline of `samples`, scaled so `max` touches
+ * the top and the newest sample sits at the right edge.
+ */
+export const sparklinePoints = (samples, { width, height, max = 60, limit = 60 }) => {
+  const step = width / Math.max(1, limit - 1);
+  const offset = limit - samples.length;
+  return samples
+    .map((value, i) => {
+      const x = (offset + i) * step;
+      const y = height - (Math.min(value, max) / max) * height;
+      return `${Math.round(x * 10) / 10},${Math.round(y * 10) / 10}`;
+    })
+    .join(' ');
+};
+
+/**
+ * JavaScript heap usage in MB (Chromium only; null elsewhere).
+ */
+export const readMemory = (perf = globalThis.performance) => {
+  const memory = perf?.memory;
+  if (!memory) return null;
+  const toMb = (bytes) => Math.round((bytes / 1048576) * 10) / 10;
+  return { used: toMb(memory.usedJSHeapSize), total: toMb(memory.totalJSHeapSize), limit: toMb(memory.jsHeapSizeLimit) };
+};
+
+/**
+ * A JSON-ready report of everything the overlay measured, with a rating for
+ * each Web Vital.
+ */
+export const performanceReport = ({ metrics, fpsSamples = [], memory = null, network = null, url, userAgent }, now = new Date()) => ({
+  url,
+  userAgent,
+  recordedAt: now.toISOString(),
+  vitals: Object.fromEntries(['lcp', 'cls', 'inp'].map((name) => [
+    name,
+    { value: metrics[name], rating: rateMetric(name, metrics[name]) }
+  ])),
+  longTasks: metrics.longTasks,
+  fps: {
+    samples: fpsSamples,
+    average: fpsSamples.length ? Math.round(fpsSamples.reduce((sum, fps) => sum + fps, 0) / fpsSamples.length) : null,
+    min: fpsSamples.length ? Math.min(...fpsSamples) : null
+  },
+  memory,
+  network
+});
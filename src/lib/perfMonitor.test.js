@@ -0,0 +1,161 @@
+/**
+ * perfMonitor.test.js
+ * Unit tests for the performance overlay's measurements
+ *
+ * Run with: npm test
+ */
+
+import {
+  rateMetric,
+  cumulativeLayoutShift,
+  interactionToNextPaint,
+  longTaskSummary,
+  observePerformance,
+  startFpsMeter,
+  addSample,
+  sparklinePoints,
+  readMemory,
+  performanceReport,
+  EMPTY_METRICS
+} from './perfMonitor';
+
+const createObserverMock = (supportedEntryTypes) => {
+  const instances = [];
+  class Observer {
+    constructor(callback) {
+      this.callback = callback;
+      this.disconnect = jest.fn();
+      instances.push(this);
+    }
+
+    observe({ type }) {
+      this.type = type;
+    }
+
+    emit(entries) {
+      this.callback({ getEntries: () => entries });
+    }
+  }
+  Observer.supportedEntryTypes = supportedEntryTypes;
+  return { Observer, instances };
+};
+
+describe('perfMonitor', () => {
+  test('rates Web Vitals against the published thresholds', () => {
+    expect(rateMetric('lcp', 2400)).toBe('good');
+    expect(rateMetric('lcp', 3000)).toBe('needs-improvement');
+    expect(rateMetric('cls', 0.3)).toBe('poor');
+    expect(rateMetric('inp', null)).toBeNull();
+  });
+
+  test('takes the largest layout shift session and ignores shifts after input', () => {
+    const shifts = [
+      { startTime: 100, value: 0.05 },
+      { startTime: 600, value: 0.05 },
+      { startTime: 3000, value: 0.02 },
+      { startTime: 3100, value: 0.5, hadRecentInput: true }
+    ];
+    expect(cumulativeLayoutShift(shifts)).toBeCloseTo(0.1);
+    expect(cumulativeLayoutShift([])).toBe(0);
+  });
+
+  test('estimates INP from the slowest interaction', () => {
+    const events = [
+      { interactionId: 1, duration: 80 },
+      { interactionId: 1, duration: 120 },
+      { interactionId: 2, duration: 60 },
+      { interactionId: 0, duration: 900 }
+    ];
+    expect(interactionToNextPaint(events)).toBe(120);
+    expect(interactionToNextPaint([])).toBeNull();
+
+    // With 50+ interactions the single worst one is ignored
+    const many = Array.from({ length: 50 }, (_, i) => ({ interactionId: i + 1, duration: i === 0 ? 1000 : 100 }));
+    expect(interactionToNextPaint(many)).toBe(100);
+
+    // Only the ten worst are kept, which still covers 500 interactions
+    const slowFirst = Array.from({ length: 600 }, (_, i) => ({ interactionId: i + 1, duration: 1000 - i }));
+    expect(interactionToNextPaint(slowFirst)).toBe(991);
+  });
+
+  test('sums blocking time of long tasks', () => {
+    expect(longTaskSummary([{ duration: 80 }, { duration: 140 }])).toEqual({ count: 2, totalBlockingTime: 120, longest: 140 });
+    expect(longTaskSummary([])).toEqual(EMPTY_METRICS.longTasks);
+  });
+
+  test('observes supported entry types and disconnects them', () => {
+    const { Observer, instances } = createObserverMock(['largest-contentful-paint', 'longtask']);
+    const onChange = jest.fn();
+
+    const stop = observePerformance(onChange, { Observer });
+    expect(instances.map((observer) => observer.type)).toEqual(['largest-contentful-paint', 'longtask']);
+
+    instances[0].emit([{ startTime: 900 }, { startTime: 1800.4 }]);
+    instances[1].emit([{ duration: 90 }]);
+    expect(onChange).toHaveBeenLastCalledWith({
+      lcp: 1800,
+      cls: 0,
+      inp: null,
+      longTasks: { count: 1, totalBlockingTime: 40, longest: 90 }
+    });
+
+    instances[1].emit([{ duration: 60.4 }]);
+    expect(onChange).toHaveBeenLastCalledWith(expect.objectContaining({
+      longTasks: { count: 2, totalBlockingTime: 50, longest: 90 }
+    }));
+
+    stop();
+    instances.forEach((observer) => expect(observer.disconnect).toHaveBeenCalled());
+    expect(observePerformance(onChange, { Observer: undefined })).toEqual(expect.any(Function));
+  });
+
+  test('samples FPS once a second and cancels its frame when stopped', () => {
+    let time = 0;
+    let pending = null;
+    const requestFrame = jest.fn((callback) => {
+      pending = callback;
+      return requestFrame.mock.calls.length;
+    });
+    const cancelFrame = jest.fn();
+    const onSample = jest.fn();
+
+    const stop = startFpsMeter(onSample, { requestFrame, cancelFrame, now: () => time });
+    for (let i = 0; i < 30; i += 1) {
+      time += 1000 / 30;
+      pending();
+    }
+    expect(onSample).toHaveBeenCalledWith(30);
+
+    stop();
+    expect(cancelFrame).toHaveBeenCalledWith(requestFrame.mock.calls.length);
+  });
+
+  test('keeps the last samples and draws them right-aligned', () => {
+    expect(addSample([1, 2, 3], 4, 3)).toEqual([2, 3, 4]);
+    expect(sparklinePoints([60, 30], { width: 100, height: 20, limit: 3 })).toBe('50,0 100,10');
+  });
+
+  test('reads heap usage where the browser reports it', () => {
+    const perf = { memory: { usedJSHeapSize: 10485760, totalJSHeapSize: 20971520, jsHeapSizeLimit: 104857600 } };
+    expect(readMemory(perf)).toEqual({ used: 10, total: 20, limit: 100 });
+    expect(readMemory({})).toBeNull();
+  });
+
+  test('builds a JSON report with ratings and FPS statistics', () => {
+    const report = performanceReport({
+      metrics: { ...EMPTY_METRICS, lcp: 1800, cls: 0.3 },
+      fpsSamples: [60, 50, 58],
+      url: 'https://example.com/',
+      userAgent: 'test'
+    }, new Date('2026-10-19T12:00:00Z'));
+
+    expect(report.recordedAt).toBe('2026-10-19T12:00:00.000Z');
+    expect(report.vitals).toEqual({
+      lcp: { value: 1800, rating: 'good' },
+      cls: { value: 0.3, rating: 'poor' },
+      inp: { value: null, rating: null }
+    });
+    expect(report.fps).toEqual({ samples: [60, 50, 58], average: 56, min: 50 });
+    expect(JSON.parse(JSON.stringify(report))).toEqual(report);
+  });
+});
@@ -0,0 +1,374 @@
+/**
+ * printCv.js - Printable CV renderer
+ *
+ * Renders the resume data (see src/data/resume.js) into the standalone,
+ * print-friendly HTML page served at /cv.html. The `cvHtml` Vite plugin in
+ * vite.config.js calls this at dev-server request time and at build time, so
+ * the printable CV always matches the interactive page.
+ */
+
+import { createTranslator } from './i18n.js';
+import { timelineEntries, formatPeriod, formatDuration } from './timeline.js';
+
+// The printable CV is English, like its section headings
+const t = createTranslator('en');
+
+const escapeHtml = (value = '') =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const toLines = (text = '') =>
+  text.split('\n').map((line) => line.trim()).filter(Boolean);
+
+const STYLES = `
+    * {
+        margin: 0;
+        padding: 0;
+        box-sizing: border-box;
+    }
+    
+    body {
+        font-family: 'Helvetica', 'Arial', sans-serif;
+        font-size: 11pt;
+        line-height: 1.5;
+        color: #333;
+        background: #ffffff;
+    }
+    
+    .container {
+        max-width: 900px;
+        margin: 0 auto;
+        padding: 40px;
+    }
+    
+    /* Header */
+    header {
+        border-bottom: 3px solid #ff1744;
+        padding-bottom: 20px;
+        margin-bottom: 30px;
+        position: relative;
+    }
+    
+    .header-content {
+        display: flex;
+        justify-content: space-between;
+        align-items: flex-start;
+        gap: 30px;
+    }
+    
+    .header-text {
+        flex: 1;
+    }
+    
+    .profile-photo {
+        width: 150px;
+        height: 180px;
+        object-fit: cover;
+        border: 3px solid #ff1744;
+        border-radius: 4px;
+    }
+    
+    h1 {
+        font-size: 28pt;
+        font-weight: bold;
+        margin-bottom: 8px;
+        color: #000;
+    }
+    
+    .title {
+        font-size: 15pt;
+        color: #666;
+        margin-bottom: 15px;
+    }
+    
+    .contact-info {
+        display: flex;
+        justify-content: space-between;
+        flex-wrap: wrap;
+        font-size: 10pt;
+        margin-top: 10px;
+    }
+    
+    .contact-info > div {
+        margin: 5px 10px 5px 0;
+    }
+    
+    .contact-info a {
+        color: inherit;
+        text-decoration: none;
+    }
+    
+    .social-links {
+        margin-top: 10px;
+        font-size: 10pt;
+        color: #0066cc;
+    }
+    
+    .social-links a {
+        margin-right: 15px;
+        text-decoration: none;
+        color: #0066cc;
+    }
+    
+    /* Sections */
+    .section {
+        margin: 25px 0;
+        page-break-inside: avoid;
+    }
+    
+    h2 {
+        font-size: 16pt;
+        font-weight: bold;
+        color: #000;
+        border-bottom: 2px solid #ff1744;
+        padding-bottom: 5px;
+        margin-bottom: 15px;
+    }
+    
+    /* Summary */
+    .summary {
+        font-size: 11pt;
+        line-height: 1.8;
+        color: #444;
+        text-align: justify;
+    }
+    
+    /* Experience & Education */
+    .item {
+        margin-bottom: 20px;
+        page-break-inside: avoid;
+    }
+    
+    .item-title {
+        font-size: 13pt;
+        font-weight: bold;
+        margin-bottom: 3px;
+    }
+    
+    .item-company {
+        font-size: 11pt;
+        font-style: italic;
+        color: #666;
+        margin-bottom: 5px;
+    }
+    
+    .item-duration {
+        font-size: 10pt;
+        color: #888;
+        margin-bottom: 8px;
+    }
+    
+    .item-description {
+        font-size: 10pt;
+        color: #555;
+        margin-left: 15px;
+    }
+    
+    .item-description ul {
+        margin-left: 15px;
+    }
+    
+    .item-description li {
+        margin-bottom: 4px;
+    }
+    
+    /* Skills Grid */
+    .skills-grid {
+        display: grid;
+        grid-template-columns: repeat(2, 1fr);
+        gap: 20px;
+        margin-top: 10px;
+    }
+    
+    .skill-category {
+        font-size: 9pt;
+        color: #888;
+        margin-bottom: 5px;
+        text-transform: uppercase;
+    }
+    
+    .skill-name {
+        font-size: 10pt;
+        color: #333;
+        margin-bottom: 3px;
+    }
+    
+    /* Certifications */
+    .cert-item {
+        margin-bottom: 15px;
+        padding-left: 10px;
+    }
+    
+    .cert-title {
+        font-size: 11pt;
+        font-weight: bold;
+        margin-bottom: 3px;
+    }
+    
+    .cert-platform {
+        font-size: 10pt;
+        color: #666;
+        margin-bottom: 5px;
+    }
+    
+    .cert-skills {
+        font-size: 9pt;
+        color: #555;
+    }
+    
+    /* Print styles */
+    @media print {
+        body {
+            background: white;
+        }
+        
+        .container {
+            padding: 20px;
+        }
+        
+        .section {
+            page-break-inside: avoid;
+        }
+        
+        .header-content {
+            page-break-inside: avoid;
+        }
+        
+        .profile-photo {
+            width: 120px;
+            height: 150px;
+        }
+        
+        a {
+            color: #000;
+            text-decoration: none;
+        }
+    }
+    
+    /* Mobile responsiveness */
+    @media (max-width: 768px) {
+        .header-content {
+            flex-direction: column;
+            align-items: center;
+            text-align: center;
+        }
+        
+        .profile-photo {
+            margin-top: 20px;
+        }
+        
+        .contact-info {
+            flex-direction: column;
+            align-items: center;
+        }
+    }
+`;
+
+const renderItem = (item) => `
+            <div class="item">
+                <div class="item-title">${escapeHtml(item.title)}</div>
+                ${item.company ? `<div class="item-company">${escapeHtml(item.company)}</div>` : ''}
+                <div class="item-duration">${escapeHtml([formatPeriod(item, 'en', t('experience.present')), formatDuration(item.months, t)].filter(Boolean).join(' · '))}</div>
+                <div class="item-description">
+                    <ul>
+                        ${toLines(item.description).map((line) => `<li>${escapeHtml(line)}</li>`).join('\n                        ')}
+                    </ul>
+                </div>
+            </div>`;
+
+const renderSkills = (skills) => {
+  const groups = [];
+  skills.forEach((skill) => {
+    const category = skill.category || 'Other';
+    const group = groups.find((g) => g.category === category);
+    if (group) group.skills.push(skill);
+    else groups.push({ category, skills: [skill] });
+  });
+
+  return groups.map(({ category, skills: groupSkills }) => `
+                <div>
+                    <div class="skill-category">${escapeHtml(category)}</div>
+                    ${groupSkills.map((skill) => `<div class="skill-name">${escapeHtml(skill.name)} (${skill.level}%)</div>`).join('\n                    ')}
+                </div>`).join('');
+};
+
+const renderCert = (cert) => `
+            <div class="cert-item">
+                <div class="cert-title">${escapeHtml(cert.title)}</div>
+                <div class="cert-platform">${[cert.platform, cert.duration].filter(Boolean).map(escapeHtml).join(' • ')}</div>
+                ${cert.skills?.length ? `<div class="cert-skills">${cert.skills.map(escapeHtml).join(', ')}</div>` : ''}
+            </div>`;
+
+const section = (title, body) => `
+        <section class="section">
+            <h2>${title}</h2>
+            ${body}
+        </section>
+`;
+
+/**
+ * Render a resume to a complete HTML document.
+ */
+export const renderCvHtml = (resume) => {
+  const {
+    basics,
+    experience = [],
+    skills = [],
+    certifications = [],
+    socials = []
+  } = resume;
+  const timeline = timelineEntries(experience);
+  const work = timeline.filter((item) => item.type !== 'education');
+  const education = timeline.filter((item) => item.type === 'education');
+  const links = [
+    ...socials.map((social) => ({ label: social.label, url: social.url })),
+    ...(basics.website ? [{ label: 'Portfolio', url: basics.website.url }] : [])
+  ];
+  const summary = basics.summary?.length ? basics.summary : [basics.bio].filter(Boolean);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(basics.name)} - CV</title>
+    <style>${STYLES}    </style>
+</head>
+<body>
+    <div class="container">
+        <!-- Header -->
+        <header>
+            <div class="header-content">
+                <div class="header-text">
+                    <h1>${escapeHtml(basics.name.toUpperCase())}</h1>
+                    ${basics.role ? `<div class="title">${escapeHtml(basics.role)}</div>` : ''}
+
+                    <div class="contact-info">
+                        ${basics.email ? `<div>📧 <a href="mailto:${escapeHtml(basics.email)}">${escapeHtml(basics.email)}</a></div>` : ''}
+                        ${basics.phone ? `<div>📱 <a href="tel:${escapeHtml(basics.phone.replace(/\s/g, ''))}">${escapeHtml(basics.phone)}</a></div>` : ''}
+                        ${basics.location ? `<div>📍 ${escapeHtml(basics.location)}</div>` : ''}
+                    </div>
+
+                    <div class="social-links">
+                        ${links.map((link) => `<a href="${escapeHtml(link.url)}" target="_blank" rel="noopener noreferrer">${escapeHtml(link.label)}</a>`).join('\n                        ')}
+                    </div>
+                </div>
+
+                ${basics.photo ? `<img src="${escapeHtml(basics.photo)}" alt="${escapeHtml(basics.name)}" class="profile-photo">` : ''}
+            </div>
+        </header>
+${summary.length ? section('PROFESSIONAL SUMMARY', summary.map((p) => `<p class="summary">${escapeHtml(p)}</p>`).join('\n            ')) : ''}\
+${skills.length ? section('TECHNICAL SKILLS', `<div class="skills-grid">${renderSkills(skills)}
+            </div>`) : ''}\
+${work.length ? section('PROFESSIONAL EXPERIENCE', work.map(renderItem).join('\n')) : ''}\
+${education.length ? section('EDUCATION', education.map(renderItem).join('\n')) : ''}\
+${certifications.length ? section('PROFESSIONAL CERTIFICATIONS', certifications.map(renderCert).join('\n')) : ''}\
+    </div>
+</body>
+</html>
+`;
+};
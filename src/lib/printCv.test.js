@@ -0,0 +1,63 @@
+/**
+ * printCv.test.js
+ * Unit tests for the printable CV renderer
+ *
+ * Run with: npm test
+ */
+
+import resume from '../data/resume';
+import { renderCvHtml } from './printCv';
+
+describe('renderCvHtml', () => {
+  test('renders contact details from basics', () => {
+    const html = renderCvHtml(resume);
+    expect(html).toContain('<h1>TAHSIN MERT MUTLU</h1>');
+    expect(html).toContain(`href="mailto:${resume.basics.email}"`);
+    expect(html).toContain('href="tel:+905458976442"');
+  });
+
+  test('lists exactly the skills of the resume, grouped by category', () => {
+    const html = renderCvHtml({
+      basics: { name: 'Jane Roe' },
+      skills: [
+        { name: 'Figma', level: 80, category: 'Design' },
+        { name: 'Sketch', level: 60, category: 'Design' }
+      ]
+    });
+    expect(html.match(/class="skill-category"/g)).toHaveLength(1);
+    expect(html).toContain('Figma (80%)');
+    expect(html).toContain('Sketch (60%)');
+    expect(html).not.toContain('Node.js');
+  });
+
+  test('splits the timeline into experience and education', () => {
+    const html = renderCvHtml(resume);
+    const education = html.indexOf('<h2>EDUCATION</h2>');
+    expect(html.indexOf('Senior Frontend Developer')).toBeLessThan(education);
+    expect(html.indexOf('High School Diploma')).toBeGreaterThan(education);
+  });
+
+  test('lists the newest timeline entries first with their periods', () => {
+    const html = renderCvHtml({
+      basics: { name: 'Jane Roe' },
+      experience: [
+        { type: 'work', title: 'Junior Designer', startDate: '2018-01', endDate: '2019-08' },
+        { type: 'work', title: 'Lead Designer', startDate: '2021-03' }
+      ]
+    });
+    expect(html.indexOf('Lead Designer')).toBeLessThan(html.indexOf('Junior Designer'));
+    expect(html).toContain('Jan 2018 – Aug 2019 · 1 yr 8 mos');
+    expect(html).toMatch(/Mar 2021 – Present · \d+ yrs?/);
+  });
+
+  test('omits empty sections', () => {
+    const html = renderCvHtml({ basics: { name: 'Jane Roe' } });
+    expect(html).not.toContain('<h2>');
+  });
+
+  test('escapes HTML in resume content', () => {
+    const html = renderCvHtml({ basics: { name: 'Jane <script>' } });
+    expect(html).toContain('JANE &lt;SCRIPT&gt;');
+    expect(html).not.toContain('<script>');
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * projects.js - Project slugs and `#projects/<slug>` deep links
+ *
+ * Every project (and service) card opens a detail modal whose URL hash names
+ * it, e.g. `#projects/web-design`, so a link to one project can be shared.
+ * The slug is `project.slug` when set, otherwise derived from the title; set
+ * it explicitly when titles are translated so links work in every language.
+ */
+
+import { formatPeriod } from './timeline.js';
+
+export const PROJECT_HASH_PREFIX = '#projects/';
+
+// Letters that do not decompose into ASCII + accent under NFKD
+const TRANSLITERATIONS = { ı: 'i', ø: 'o', ß: 'ss', æ: 'ae', œ: 'oe', ł: 'l', đ: 'd' };
+
+/**
+ * 'Web Design & Development' -> 'web-design-development'
+ */
+export const slugify = (text = '') =>
+  text
+    .toLowerCase()
+    .replace(/[\u0131\u00f8\u00df\u00e6\u0153\u0142\u0111]/g, (letter) => TRANSLITERATIONS[letter])
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+export const projectSlug = (project) => project.slug || slugify(project.title);
+
+export const projectHash = (project) => `${PROJECT_HASH_PREFIX}${projectSlug(project)}`;
+
+/**
+ * The slug named by a location hash, or null when the hash is not a project link.
+ */
+export const slugFromHash = (hash = '') => {
+  if (!hash.startsWith(PROJECT_HASH_PREFIX)) return null;
+  try {
+    return decodeURIComponent(hash.slice(PROJECT_HASH_PREFIX.length)) || null;
+  } catch {
+    return null;
+  }
+};
+
+export const findProject = (projects, slug) =>
+  (slug && projects.find((project) => projectSlug(project) === slug)) || null;
+
+/**
+ * 'Jun 2023 – Aug 2024', or '… – Present' without an end date; projects use
+ * the same periods as the timeline.
+ */
+export const projectPeriod = (project, locale, present) => formatPeriod(project, locale, present);
+
+/**
+ * Embeddable player URL for YouTube and Vimeo links; null for anything else,
+ * which plays in a <video> element.
+ */
+export const videoEmbedUrl = (src = '') => {
+  const youtube = src.match(/(?:youtube\.com\/(?:watch\?v=|embed\/)|youtu\.be\/)([\w-]{11})/);
+  if (youtube) return `https://www.youtube-nocookie.com/embed/${youtube[1]}`;
+
+  const vimeo = src.match(/vimeo\.com\/(?:video\/)?(\d+)/);
+  if (vimeo) return `https://player.vimeo.com/video/${vimeo[1]}`;
+
+  return null;
+};
@@ -0,0 +1,69 @@
+/**
+ * projects.test.js
+ * Unit tests for project slugs and deep links
+ *
+ * Run with: npm test
+ */
+
+import defaultResume from '../data/resume';
+import { localizeResume } from './i18n';
+import {
+  slugify,
+  projectSlug,
+  projectHash,
+  slugFromHash,
+  findProject,
+  projectPeriod,
+  videoEmbedUrl
+} from './projects';
+
+describe('projects', () => {
+  test('slugifies titles, accents and Turkish letters', () => {
+    expect(slugify('Web Design & Development')).toBe('web-design-development');
+    expect(slugify('  Café Menü — v2 ')).toBe('cafe-menu-v2');
+    expect(slugify('Dijital Pazarlama Çözümleri ve Yönetişim')).toBe('dijital-pazarlama-cozumleri-ve-yonetisim');
+    expect(slugify('Işık')).toBe('isik');
+  });
+
+  test('prefers an explicit slug and builds the hash', () => {
+    expect(projectSlug({ title: 'Web Design', slug: 'web' })).toBe('web');
+    expect(projectHash({ title: 'Web Design' })).toBe('#projects/web-design');
+  });
+
+  test('reads slugs from hashes', () => {
+    expect(slugFromHash('#projects/web-design')).toBe('web-design');
+    expect(slugFromHash('#projects/caf%C3%A9')).toBe('café');
+    expect(slugFromHash('#projects')).toBeNull();
+    expect(slugFromHash('#projects/')).toBeNull();
+    expect(slugFromHash('#projects/%E0')).toBeNull();
+    expect(slugFromHash('')).toBeNull();
+  });
+
+  test('finds projects by slug', () => {
+    const projects = [{ title: 'A' }, { title: 'B', slug: 'bee' }];
+    expect(findProject(projects, 'bee')).toBe(projects[1]);
+    expect(findProject(projects, 'a')).toBe(projects[0]);
+    expect(findProject(projects, 'c')).toBeNull();
+    expect(findProject(projects, null)).toBeNull();
+  });
+
+  test('default projects and services keep unique slugs in every language', () => {
+    const slugs = (resume) => [...resume.projects, ...resume.services].map(projectSlug);
+    expect(slugs(localizeResume(defaultResume, 'tr'))).toEqual(slugs(localizeResume(defaultResume, 'en')));
+    expect(new Set(slugs(defaultResume)).size).toBe(defaultResume.projects.length + defaultResume.services.length);
+  });
+
+  test('formats project periods per locale', () => {
+    expect(projectPeriod({ startDate: '2023-06', endDate: '2024-08' }, 'en')).toBe('Jun 2023 – Aug 2024');
+    expect(projectPeriod({ startDate: '2023-06' }, 'tr', 'Günümüz')).toBe('Haz 2023 – Günümüz');
+    expect(projectPeriod({ startDate: '2021', endDate: '2021' }, 'en')).toBe('2021');
+    expect(projectPeriod({}, 'en')).toBe('');
+  });
+
+  test('turns YouTube and Vimeo links into embeds', () => {
+    expect(videoEmbedUrl('https://www.youtube.com/watch?v=dQw4w9WgXcQ&t=10')).toBe('https://www.youtube-nocookie.com/embed/dQw4w9WgXcQ');
+    expect(videoEmbedUrl('https://youtu.be/dQw4w9WgXcQ')).toBe('https://www.youtube-nocookie.com/embed/dQw4w9WgXcQ');
+    expect(videoEmbedUrl('https://vimeo.com/76979871')).toBe('https://player.vimeo.com/video/76979871');
+    expect(videoEmbedUrl('/media/demo.mp4')).toBeNull();
+  });
+});
@@ -0,0 +1,186 @@
+/**
+ * resume.js - Resume schema and validation
+ *
+ * A tiny declarative schema describes the `resume` prop of UltraCV. It backs
+ * both `validateResume` (for loaders that want a list of problems) and the
+ * `resumePropType` custom PropTypes validator, so a bad field is reported with
+ * its full path, e.g. `resume.skills[2].level`.
+ */
+
+const string = { type: 'string' };
+const boolean = { type: 'boolean' };
+const required = (rule) => ({ ...rule, required: true });
+const range = (min, max) => ({ type: 'number', min, max });
+const oneOf = (...values) => ({ type: 'string', values });
+const arrayOf = (item) => ({ type: 'array', item });
+const shape = (fields) => ({ type: 'object', fields });
+
+export const resumeSchema = required(shape({
+  basics: required(shape({
+    name: required(string),
+    role: string,
+    bio: string,
+    email: string,
+    phone: string,
+    location: string,
+    website: shape({
+      label: string,
+      url: required(string)
+    }),
+    photo: string,
+    birthDate: string,
+    heroImage: string,
+    highlight: string,
+    summary: arrayOf(string),
+    quote: string,
+    contactQuote: string
+  })),
+  // A fixed value, or a source to compute it from (see src/lib/stats.js)
+  stats: arrayOf(shape({
+    label: required(string),
+    value: { type: ['string', 'number'] },
+    source: oneOf('age', 'experience', 'projects', 'certifications', 'skills'),
+    suffix: string
+  })),
+  experience: arrayOf(shape({
+    type: oneOf('work', 'education'),
+    // 'YYYY' or 'YYYY-MM'; no endDate means ongoing (see src/lib/timeline.js)
+    startDate: string,
+    endDate: string,
+    // Free-text period of older resumes, e.g. '2019 - 2023'
+    year: string,
+    title: required(string),
+    company: string,
+    description: string,
+    skills: arrayOf(string)
+  })),
+  skills: arrayOf(shape({
+    name: required(string),
+    level: required(range(0, 100)),
+    category: string,
+    years: range(0, 80),
+    aliases: arrayOf(string)
+  })),
+  certifications: arrayOf(shape({
+    title: required(string),
+    platform: string,
+    duration: string,
+    skills: arrayOf(string)
+  })),
+  projects: arrayOf(shape({
+    title: required(string),
+    slug: string,
+    role: string,
+    startDate: string,
+    endDate: string,
+    description: string,
+    details: arrayOf(string),
+    cover: shape({
+      src: required(string),
+      alt: string
+    }),
+    screenshots: arrayOf(shape({
+      src: required(string),
+      alt: string,
+      caption: string
+    })),
+    video: shape({
+      src: required(string),
+      poster: string,
+      title: string
+    }),
+    liveUrl: string,
+    repoUrl: string,
+    tech: arrayOf(string),
+    metrics: arrayOf(shape({
+      label: required(string),
+      value: required({ type: ['string', 'number'] })
+    })),
+    featured: boolean
+  })),
+  services: arrayOf(shape({
+    title: required(string),
+    slug: string,
+    description: string,
+    details: arrayOf(string),
+    tech: arrayOf(string),
+    screenshots: arrayOf(shape({
+      src: required(string),
+      alt: string,
+      caption: string
+    })),
+    liveUrl: string,
+    repoUrl: string,
+    featured: boolean
+  })),
+  socials: arrayOf(shape({
+    label: required(string),
+    url: required(string),
+    icon: string
+  })),
+  // Per-locale overrides of the fields above, e.g. { tr: { basics: { role } } }
+  translations: { type: 'object' }
+}));
+
+const typeOf = (value) => {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+};
+
+const check = (rule, value, path, errors) => {
+  if (value === undefined || value === null) {
+    if (rule.required) errors.push({ path, message: 'is required' });
+    return;
+  }
+
+  const allowed = [].concat(rule.type);
+  const actual = typeOf(value);
+  if (!allowed.includes(actual) || (actual === 'number' && Number.isNaN(value))) {
+    errors.push({ path, message: `expected ${allowed.join(' or ')}, received ${actual}` });
+    return;
+  }
+
+  if (rule.values && !rule.values.includes(value)) {
+    errors.push({ path, message: `expected one of ${rule.values.join(', ')}, received "${value}"` });
+  }
+
+  if (actual === 'number' && (value < (rule.min ?? -Infinity) || value > (rule.max ?? Infinity))) {
+    errors.push({ path, message: `expected a number between ${rule.min} and ${rule.max}, received ${value}` });
+  }
+
+  if (rule.item) {
+    value.forEach((item, i) => check(rule.item, item, `${path}[${i}]`, errors));
+  }
+
+  if (rule.fields) {
+    Object.entries(rule.fields).forEach(([key, fieldRule]) => {
+      check(fieldRule, value[key], `${path}.${key}`, errors);
+    });
+  }
+};
+
+/**
+ * Validate a resume object against `resumeSchema`.
+ * Returns an array of `{ path, message }`; empty when the resume is valid.
+ */
+export const validateResume = (resume, path = 'resume') => {
+  const errors = [];
+  check(resumeSchema, resume, path, errors);
+  return errors;
+};
+
+/**
+ * Custom PropTypes validator for the `resume` prop.
+ */
+export const resumePropType = (props, propName, componentName) => {
+  if (props[propName] === undefined) return null;
+
+  const errors = validateResume(props[propName], propName);
+  if (errors.length === 0) return null;
+
+  return new Error(
+    `Invalid prop supplied to \`${componentName}\`:\n` +
+    errors.map(({ path, message }) => `  \`${path}\` ${message}`).join('\n')
+  );
+};
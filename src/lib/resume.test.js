@@ -0,0 +1,61 @@
+/**
+ * resume.test.js
+ * Unit tests for the resume schema
+ *
+ * Run with: npm test
+ */
+
+import resume from '../data/resume';
+import { validateResume, resumePropType } from './resume';
+
+describe('validateResume', () => {
+  test('accepts the default resume', () => {
+    expect(validateResume(resume)).toEqual([]);
+  });
+
+  test('requires basics.name', () => {
+    expect(validateResume({ basics: {} })).toEqual([
+      { path: 'resume.basics.name', message: 'is required' }
+    ]);
+  });
+
+  test('reports the path of a wrongly typed field', () => {
+    const errors = validateResume({
+      ...resume,
+      skills: [{ name: 'HTML', level: '100' }]
+    });
+    expect(errors).toEqual([
+      { path: 'resume.skills[0].level', message: 'expected number, received string' }
+    ]);
+  });
+
+  test('checks skill levels are percentages', () => {
+    const errors = validateResume({
+      ...resume,
+      skills: [{ name: 'HTML', level: 120 }]
+    });
+    expect(errors[0].path).toBe('resume.skills[0].level');
+    expect(errors[0].message).toMatch(/between 0 and 100/);
+  });
+
+  test('checks experience type', () => {
+    const errors = validateResume({
+      ...resume,
+      experience: [{ type: 'hobby', year: '2020', title: 'Chess' }]
+    });
+    expect(errors[0].path).toBe('resume.experience[0].type');
+  });
+});
+
+describe('resumePropType', () => {
+  test('passes for a valid resume or a missing prop', () => {
+    expect(resumePropType({ resume }, 'resume', 'UltraCV')).toBeNull();
+    expect(resumePropType({}, 'resume', 'UltraCV')).toBeNull();
+  });
+
+  test('returns an error naming the bad field', () => {
+    const error = resumePropType({ resume: { basics: { name: 42 } } }, 'resume', 'UltraCV');
+    expect(error).toBeInstanceOf(Error);
+    expect(error.message).toContain('`resume.basics.name` expected string, received number');
+  });
+});
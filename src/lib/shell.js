@@ -0,0 +1,189 @@
+/**
+ * shell.js - Commands for the Terminal widget's interactive mode
+ *
+ * `runCommand(input, context)` returns `{ output, clear }` where `output` is a
+ * list of `{ text, kind }` lines (kind: 'stdout' | 'stderr' | 'muted' |
+ * 'accent'). Everything printed comes from the resume in `context`, so the
+ * shell always matches the page. `context` is:
+ *
+ *   { resume, theme, setTheme(theme), t, locale }
+ *
+ * `t` is a translator from src/lib/i18n.js and `locale` a BCP 47 tag used for
+ * upper-casing and dates (both default to English).
+ *
+ * Command names stay English, like any other shell; help texts and messages
+ * follow the active language.
+ */
+
+import { createTranslator } from './i18n.js';
+import { formatPeriod, timelineEntries } from './timeline.js';
+
+const line = (text = '', kind = 'stdout') => ({ text, kind });
+
+const bar = (level, width = 10) => {
+  const filled = Math.round((level / 100) * width);
+  return `${'█'.repeat(filled)}${'░'.repeat(width - filled)}`;
+};
+
+const pad = (text, width) => text + ' '.repeat(Math.max(1, width - text.length));
+
+const THEME_NAMES = ['dark', 'light'];
+
+export const COMMANDS = {
+  help: {
+    run: (args, { t }) => [
+      line(t('shell.helpIntro'), 'muted'),
+      ...Object.keys(COMMANDS).map((name) =>
+        line(`  ${pad(COMMANDS[name].usage || name, 14)}${t(`shell.commands.${name}`)}`)
+      )
+    ]
+  },
+
+  whoami: {
+    run: (args, { resume }) => {
+      const { basics } = resume;
+      return [
+        line(basics.name, 'accent'),
+        basics.role && line(basics.role),
+        basics.location && line(`📍 ${basics.location}`, 'muted'),
+        basics.bio && line(''),
+        basics.bio && line(basics.bio)
+      ].filter(Boolean);
+    }
+  },
+
+  skills: {
+    run: (args, { resume, t, locale }) => {
+      const skills = resume.skills || [];
+      if (skills.length === 0) return [line(t('shell.empty'), 'muted')];
+
+      const width = Math.max(...skills.map((skill) => skill.name.length)) + 2;
+      const categories = [...new Set(skills.map((skill) => skill.category || ''))];
+      return categories.flatMap((category) => [
+        category && line(category.toLocaleUpperCase(locale), 'accent'),
+        ...skills
+          .filter((skill) => (skill.category || '') === category)
+          .map((skill) => line(`  ${pad(skill.name, width)}${bar(skill.level)} ${skill.level}%`))
+      ].filter(Boolean));
+    }
+  },
+
+  experience: {
+    run: (args, { resume, t, locale }) => {
+      const items = timelineEntries(resume.experience);
+      if (items.length === 0) return [line(t('shell.empty'), 'muted')];
+
+      return items.flatMap((item) => [
+        line(`${formatPeriod(item, locale, t('experience.present'))}  ${item.title}`, 'accent'),
+        item.company && line(`  ${item.company}`, 'muted')
+      ].filter(Boolean));
+    }
+  },
+
+  projects: {
+    run: (args, { resume, t }) => {
+      const projects = resume.projects || [];
+      if (projects.length === 0) return [line(t('shell.empty'), 'muted')];
+
+      return projects.flatMap((project) => [
+        line(`${project.featured ? '★' : '•'} ${project.title}`, 'accent'),
+        project.role && line(`  ${project.role}`),
+        project.tech?.length && line(`  ${project.tech.join(' · ')}`, 'muted'),
+        project.liveUrl && line(`  ${project.liveUrl}`, 'muted')
+      ].filter(Boolean));
+    }
+  },
+
+  services: {
+    run: (args, { resume, t }) => {
+      const services = resume.services || [];
+      if (services.length === 0) return [line(t('shell.empty'), 'muted')];
+
+      return services.flatMap((service) => [
+        line(`${service.featured ? '★' : '•'} ${service.title}`, 'accent'),
+        service.tech?.length && line(`  ${service.tech.join(' · ')}`, 'muted')
+      ].filter(Boolean));
+    }
+  },
+
+  contact: {
+    run: (args, { resume }) => {
+      const { basics, socials = [] } = resume;
+      return [
+        basics.email && line(`✉  ${basics.email}`),
+        basics.phone && line(`☎  ${basics.phone}`),
+        basics.website && line(`🌐 ${basics.website.url}`),
+        ...socials.map((social) => line(`${social.icon || '🔗'} ${social.label}: ${social.url}`))
+      ].filter(Boolean);
+    }
+  },
+
+  theme: {
+    usage: 'theme [dark|light]',
+    run: ([name], { theme, setTheme, t }) => {
+      if (!name) return [line(t('shell.themeCurrent', { theme }))];
+      if (!THEME_NAMES.includes(name)) {
+        return [line(t('shell.themeUnknown', { theme: name }), 'stderr')];
+      }
+      setTheme(name);
+      return [line(t('shell.themeSet', { theme: name }), 'muted')];
+    }
+  },
+
+  clear: {
+    run: () => []
+  }
+};
+
+/**
+ * Run one line of input.
+ */
+export const runCommand = (input, context) => {
+  const t = context.t || createTranslator();
+  const [name, ...args] = input.trim().split(/\s+/);
+
+  if (!name) return { output: [], clear: false };
+  if (name === 'clear') return { output: [], clear: true };
+
+  const command = Object.hasOwn(COMMANDS, name) ? COMMANDS[name] : null;
+  if (!command) {
+    return { output: [line(t('shell.notFound', { command: name }), 'stderr')], clear: false };
+  }
+  return { output: command.run(args, { ...context, t }), clear: false };
+};
+
+const commonPrefix = (words) =>
+  words.reduce((prefix, word) => {
+    let i = 0;
+    while (i < prefix.length && prefix[i] === word[i]) i += 1;
+    return prefix.slice(0, i);
+  });
+
+/**
+ * Tab completion. Returns the completed input (unchanged when nothing
+ * matches) and the candidates, which the Terminal lists when there are
+ * several.
+ */
+export const completeCommand = (input) => {
+  const [name, ...args] = input.trimStart().split(/\s+/);
+
+  let words;
+  let before;
+  let partial;
+  if (args.length === 0) {
+    words = Object.keys(COMMANDS);
+    before = '';
+    partial = name;
+  } else if (name === 'theme' && args.length === 1) {
+    words = THEME_NAMES;
+    before = 'theme ';
+    partial = args[0];
+  } else {
+    return { completed: input, candidates: [] };
+  }
+
+  const candidates = words.filter((word) => word.startsWith(partial));
+  if (candidates.length === 0) return { completed: input, candidates };
+  if (candidates.length === 1) return { completed: `${before}${candidates[0]} `, candidates };
+  return { completed: `${before}${commonPrefix(candidates)}`, candidates };
+};
@@ -0,0 +1,92 @@
+/**
+ * shell.test.js
+ * Unit tests for the interactive terminal commands
+ *
+ * Run with: npm test
+ */
+
+import defaultResume from '../data/resume';
+import { createTranslator } from './i18n';
+import { COMMANDS, runCommand, completeCommand } from './shell';
+
+const texts = (output) => output.map((line) => line.text);
+
+describe('shell', () => {
+  let setTheme;
+  let context;
+
+  beforeEach(() => {
+    setTheme = jest.fn();
+    context = { resume: defaultResume, theme: 'dark', setTheme };
+  });
+
+  test('help lists every command with its description', () => {
+    const { output } = runCommand('help', context);
+    Object.keys(COMMANDS).forEach((name) => {
+      expect(output.some((line) => line.text.trim().startsWith(name))).toBe(true);
+    });
+    expect(texts(output).join('\n')).toContain('theme [dark|light]');
+  });
+
+  test('whoami, experience, projects, services and contact print resume data', () => {
+    expect(texts(runCommand('whoami', context).output)).toContain(defaultResume.basics.name);
+    expect(texts(runCommand('projects', context).output)).toEqual(['Nothing here yet.']);
+    const withProjects = { ...context, resume: { ...defaultResume, projects: [{ title: 'Atlas', tech: ['React'] }] } };
+    expect(texts(runCommand('projects', withProjects).output).join('\n')).toContain('Atlas');
+    expect(texts(runCommand('services', context).output).join('\n'))
+      .toContain(defaultResume.services[0].title);
+    expect(texts(runCommand('experience', context).output).join('\n'))
+      .toContain(defaultResume.experience[0].title);
+    expect(texts(runCommand('contact', context).output).join('\n'))
+      .toContain(defaultResume.basics.email);
+  });
+
+  test('skills groups by category with level bars', () => {
+    const resume = {
+      ...defaultResume,
+      skills: [
+        { name: 'React', level: 90, category: 'Frontend' },
+        { name: 'Node', level: 50, category: 'Backend' }
+      ]
+    };
+    const output = texts(runCommand('skills', { ...context, resume }).output);
+
+    expect(output[0]).toBe('FRONTEND');
+    expect(output[1]).toMatch(/React\s+█{9}░ 90%/);
+    expect(output[2]).toBe('BACKEND');
+  });
+
+  test('theme shows, switches and rejects unknown themes', () => {
+    expect(texts(runCommand('theme', context).output)).toEqual(['Current theme: dark']);
+
+    runCommand('theme light', context);
+    expect(setTheme).toHaveBeenCalledWith('light');
+
+    const { output } = runCommand('theme sepia', context);
+    expect(output[0].kind).toBe('stderr');
+    expect(setTheme).toHaveBeenCalledTimes(1);
+  });
+
+  test('clear, blank input and unknown commands', () => {
+    expect(runCommand('clear', context)).toEqual({ output: [], clear: true });
+    expect(runCommand('   ', context)).toEqual({ output: [], clear: false });
+
+    const { output } = runCommand('sudo rm -rf /', context);
+    expect(output).toEqual([{ text: 'command not found: sudo. Type “help” for a list.', kind: 'stderr' }]);
+    expect(runCommand('toString', context).output[0].kind).toBe('stderr');
+  });
+
+  test('messages follow the translator', () => {
+    const { output } = runCommand('nope', { ...context, t: createTranslator('tr') });
+    expect(output[0].text).not.toContain('command not found');
+  });
+
+  test('completes command names and theme arguments', () => {
+    expect(completeCommand('who')).toEqual({ completed: 'whoami ', candidates: ['whoami'] });
+    expect(completeCommand('c')).toEqual({ completed: 'c', candidates: ['contact', 'clear'] });
+    expect(completeCommand('s')).toEqual({ completed: 's', candidates: ['skills', 'services'] });
+    expect(completeCommand('theme l')).toEqual({ completed: 'theme light ', candidates: ['light'] });
+    expect(completeCommand('xyz').candidates).toEqual([]);
+    expect(completeCommand('skills foo').completed).toBe('skills foo');
+  });
+});
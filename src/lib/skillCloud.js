@@ -0,0 +1,162 @@
+/**
+ * skillCloud.js - Physics layout for the skill cloud
+ *
+ * Every skill becomes a circle sized by its level. Nodes start on a spiral
+ * around the centre and `stepLayout` then runs a small simulation: gravity
+ * pulls nodes to the centre, collisions push overlapping nodes apart and the
+ * walls keep them inside the box. The simulation is deterministic, so the
+ * same skills in the same box always settle the same way (and render the
+ * same on the server).
+ *
+ * Dragging pins one node while the others settle around it.
+ */
+
+export const CLOUD_ASPECT = 2 / 3;
+
+// Node radius at level 0 and 100 in a 600px wide cloud
+const MIN_RADIUS = 22;
+const MAX_RADIUS = 48;
+const BASE_WIDTH = 600;
+// Share of the box the circles may cover before they are scaled down
+const MAX_FILL = 0.45;
+const PADDING = 4;
+const GRAVITY = 0.02;
+const DAMPING = 0.8;
+const COLLISION_PASSES = 3;
+const RELAX_STEPS = 100;
+const GOLDEN_ANGLE = Math.PI * (3 - Math.sqrt(5));
+
+/**
+ * Theme-aware colours, one per category in order of first appearance.
+ */
+export const CATEGORY_COLORS = [
+  'var(--color-primary)',
+  'var(--color-secondary)',
+  'var(--color-accent)',
+  'color-mix(in srgb, var(--color-primary) 50%, var(--color-secondary))',
+  'color-mix(in srgb, var(--color-secondary) 50%, var(--color-accent))',
+  'color-mix(in srgb, var(--color-accent) 50%, var(--color-primary))'
+];
+
+export const categoryColors = (skills) => {
+  const colors = {};
+  skills.forEach(({ category = '' }) => {
+    if (!(category in colors)) {
+      colors[category] = CATEGORY_COLORS[Object.keys(colors).length % CATEGORY_COLORS.length];
+    }
+  });
+  return colors;
+};
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+export const nodeRadius = (level, scale = 1) =>
+  (MIN_RADIUS + ((MAX_RADIUS - MIN_RADIUS) * clamp(level, 0, 100)) / 100) * scale;
+
+/**
+ * Nodes on a spiral, radii scaled to the box: smaller boxes get smaller
+ * circles, and many skills are shrunk until they fit.
+ */
+export const createNodes = (skills, { width, height }) => {
+  const base = skills.map((skill) => nodeRadius(skill.level));
+  const area = base.reduce((sum, r) => sum + Math.PI * r * r, 0);
+  const scale = Math.min(width / BASE_WIDTH, area ? Math.sqrt((MAX_FILL * width * height) / area) : 1);
+  const spread = Math.min(width, height) / 2;
+
+  return skills.map((skill, i) => {
+    const angle = i * GOLDEN_ANGLE;
+    const distance = spread * Math.sqrt((i + 0.5) / skills.length);
+    return {
+      id: skill.name,
+      skill,
+      r: base[i] * scale,
+      x: width / 2 + Math.cos(angle) * distance,
+      y: height / 2 + Math.sin(angle) * distance,
+      vx: 0,
+      vy: 0
+    };
+  });
+};
+
+const keepInside = (node, { width, height }) => {
+  node.x = clamp(node.x, node.r, width - node.r);
+  node.y = clamp(node.y, node.r, height - node.r);
+};
+
+/**
+ * One tick of the simulation. `pinned` is the index of a node that stays put;
+ * without `gravity` the tick only resolves collisions.
+ */
+export const stepLayout = (nodes, size, { pinned = null, gravity = true } = {}) => {
+  const { width, height } = size;
+  const next = nodes.map((node) => ({ ...node }));
+
+  next.forEach((node, i) => {
+    if (i === pinned || !gravity) return;
+    // Pull harder vertically so the cloud spreads across a wide box
+    node.vx = (node.vx + (width / 2 - node.x) * GRAVITY) * DAMPING;
+    node.vy = (node.vy + (height / 2 - node.y) * GRAVITY * (width / height)) * DAMPING;
+    node.x += node.vx;
+    node.y += node.vy;
+  });
+
+  for (let pass = 0; pass < COLLISION_PASSES; pass += 1) {
+    for (let i = 0; i < next.length; i += 1) {
+      for (let j = i + 1; j < next.length; j += 1) {
+        const a = next[i];
+        const b = next[j];
+        let dx = b.x - a.x;
+        let dy = b.y - a.y;
+        let distance = Math.hypot(dx, dy);
+        if (distance === 0) {
+          // Same spot: separate along a fixed direction per pair
+          dx = Math.cos(i + j);
+          dy = Math.sin(i + j);
+          distance = 1;
+        }
+
+        const overlap = a.r + b.r + PADDING - distance;
+        if (overlap <= 0) continue;
+
+        const share = i === pinned ? 0 : j === pinned ? 1 : 0.5;
+        const ux = dx / distance;
+        const uy = dy / distance;
+        a.x -= ux * overlap * share;
+        a.y -= uy * overlap * share;
+        b.x += ux * overlap * (1 - share);
+        b.y += uy * overlap * (1 - share);
+      }
+    }
+    next.forEach((node) => keepInside(node, size));
+  }
+
+  return next;
+};
+
+/**
+ * Run the simulation, then resolve whatever overlap gravity left behind.
+ */
+export const settleLayout = (nodes, size, { iterations = 200, pinned = null } = {}) => {
+  let current = nodes;
+  for (let i = 0; i < iterations; i += 1) current = stepLayout(current, size, { pinned });
+  for (let i = 0; i < RELAX_STEPS && overlappingPairs(current).length > 0; i += 1) {
+    current = stepLayout(current, size, { pinned, gravity: false });
+  }
+  return current;
+};
+
+export const layoutSkills = (skills, size) => settleLayout(createNodes(skills, size), size, { iterations: 300 });
+
+/**
+ * Pairs of nodes whose circles overlap by more than `tolerance` pixels.
+ */
+export const overlappingPairs = (nodes, tolerance = 0.5) => {
+  const pairs = [];
+  for (let i = 0; i < nodes.length; i += 1) {
+    for (let j = i + 1; j < nodes.length; j += 1) {
+      const distance = Math.hypot(nodes[j].x - nodes[i].x, nodes[j].y - nodes[i].y);
+      if (nodes[i].r + nodes[j].r - distance > tolerance) pairs.push([nodes[i].id, nodes[j].id]);
+    }
+  }
+  return pairs;
+};
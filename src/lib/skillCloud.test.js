@@ -0,0 +1,64 @@
+/**
+ * skillCloud.test.js
+ * Unit tests for the skill cloud layout
+ *
+ * Run with: npm test
+ */
+
+import defaultResume from '../data/resume';
+import {
+  CATEGORY_COLORS,
+  categoryColors,
+  nodeRadius,
+  createNodes,
+  settleLayout,
+  layoutSkills,
+  overlappingPairs
+} from './skillCloud';
+
+const inside = (nodes, { width, height }) =>
+  nodes.every((n) => n.x >= n.r - 0.01 && n.x <= width - n.r + 0.01 && n.y >= n.r - 0.01 && n.y <= height - n.r + 0.01);
+
+describe('skillCloud', () => {
+  test('sizes nodes by level and colours them by category', () => {
+    expect(nodeRadius(100)).toBeGreaterThan(nodeRadius(50));
+    expect(nodeRadius(150)).toBe(nodeRadius(100));
+
+    const colors = categoryColors(defaultResume.skills);
+    expect(colors.Frontend).toBe(CATEGORY_COLORS[0]);
+    expect(colors.Framework).toBe(CATEGORY_COLORS[1]);
+    expect(new Set(Object.values(colors)).size).toBe(Object.keys(colors).length);
+  });
+
+  test.each([[600, 400], [320, 213], [900, 600]])('settles without overlaps in a %ix%i box', (width, height) => {
+    const size = { width, height };
+    const nodes = layoutSkills(defaultResume.skills, size);
+
+    expect(nodes.map((n) => n.id)).toEqual(defaultResume.skills.map((s) => s.name));
+    expect(overlappingPairs(nodes)).toEqual([]);
+    expect(inside(nodes, size)).toBe(true);
+  });
+
+  test('shrinks nodes to fit many skills', () => {
+    const size = { width: 600, height: 400 };
+    const skills = Array.from({ length: 40 }, (_, i) => ({ name: `Skill ${i}`, level: (i * 37) % 100 }));
+
+    expect(createNodes(skills, size)[0].r).toBeLessThan(nodeRadius(skills[0].level));
+    expect(overlappingPairs(layoutSkills(skills, size))).toEqual([]);
+  });
+
+  test('is deterministic', () => {
+    const size = { width: 600, height: 400 };
+    expect(layoutSkills(defaultResume.skills, size)).toEqual(layoutSkills(defaultResume.skills, size));
+  });
+
+  test('keeps a dragged node where it was dropped', () => {
+    const size = { width: 600, height: 400 };
+    const nodes = layoutSkills(defaultResume.skills, size)
+      .map((n, i) => (i === 3 ? { ...n, x: 300, y: 200 } : n));
+    const settled = settleLayout(nodes, size, { iterations: 20, pinned: 3 });
+
+    expect(settled[3]).toMatchObject({ x: 300, y: 200 });
+    expect(overlappingPairs(settled)).toEqual([]);
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * skillGraph.js - Which timeline entries, certifications and projects used a skill
+ *
+ * Skills are linked to the items that name them:
+ *
+ *   experience[i].skills     e.g. ['React.js', 'TypeScript']
+ *   certifications[i].skills
+ *   projects[i].tech
+ *
+ * plus each item's title. Names match ignoring case, accents and a `.js`
+ * suffix, and a skill also matches as a whole word inside a longer name, so
+ * 'React.js' is used by 'React', 'React Hooks' and 'Angular/React
+ * Integration'. `skill.aliases` adds other names for a skill:
+ *
+ *   { name: 'WordPress / CMS', aliases: ['WordPress', 'WooCommerce'] }
+ *
+ * The graph maps each skill name to the items that used it:
+ *
+ *   { 'React.js': { experience: [0, 1], certifications: [1], projects: ['ultracv'] } }
+ *
+ * with experience and certifications by index and projects by slug.
+ */
+
+import { projectSlug } from './projects.js';
+
+export const NO_RELATIONS = { experience: [], certifications: [], projects: [] };
+
+// 'React.js Hooks' -> ['react', 'hooks']
+const words = (text, locale) =>
+  String(text ?? '')
+    .toLocaleLowerCase(locale)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/\.js\b/g, '')
+    .split(/[^\p{L}\p{N}+#]+/u)
+    .filter(Boolean);
+
+const containsWords = (haystack, needle) =>
+  needle.length > 0 && haystack.some((_, start) => needle.every((word, i) => haystack[start + i] === word));
+
+/**
+ * True when `name` (a tech, certification skill or title) refers to `skill`.
+ */
+export const usesSkill = (skill, name, locale) => {
+  const nameWords = words(name, locale);
+  return [skill.name, ...(skill.aliases || [])].some((alias) => containsWords(nameWords, words(alias, locale)));
+};
+
+export const buildSkillGraph = ({ skills = [], experience = [], certifications = [], projects = [] }, locale) => {
+  const sources = {
+    experience: experience.map((entry, i) => ({ id: i, names: [entry.title, ...(entry.skills || [])] })),
+    certifications: certifications.map((cert, i) => ({ id: i, names: [cert.title, ...(cert.skills || [])] })),
+    projects: projects.map((project) => ({ id: projectSlug(project), names: [project.title, ...(project.tech || [])] }))
+  };
+
+  return Object.fromEntries(skills.map((skill) => [
+    skill.name,
+    Object.fromEntries(Object.entries(sources).map(([kind, items]) => [
+      kind,
+      items.filter((item) => item.names.some((name) => usesSkill(skill, name, locale))).map((item) => item.id)
+    ]))
+  ]));
+};
+
+export const relationsOf = (graph, skillName) => graph[skillName] || NO_RELATIONS;
+
+export const relationCount = (relations) =>
+  relations.experience.length + relations.certifications.length + relations.projects.length;
@@ -0,0 +1,51 @@
+/**
+ * skillGraph.test.js
+ * Unit tests for the skill relationship graph
+ *
+ * Run with: npm test
+ */
+
+import defaultResume from '../data/resume';
+import { NO_RELATIONS, usesSkill, buildSkillGraph, relationsOf, relationCount } from './skillGraph';
+
+describe('skillGraph', () => {
+  test('matches names ignoring case, .js and surrounding words', () => {
+    const react = { name: 'React.js' };
+
+    expect(usesSkill(react, 'react')).toBe(true);
+    expect(usesSkill(react, 'React Hooks')).toBe(true);
+    expect(usesSkill(react, 'Angular/React Integration')).toBe(true);
+    expect(usesSkill(react, 'Preact')).toBe(false);
+    expect(usesSkill({ name: 'C++' }, 'Modern C++')).toBe(true);
+    expect(usesSkill({ name: 'C' }, 'C++')).toBe(false);
+  });
+
+  test('matches aliases', () => {
+    const wordpress = { name: 'WordPress / CMS', aliases: ['WooCommerce'] };
+
+    expect(usesSkill(wordpress, 'WooCommerce')).toBe(true);
+    expect(usesSkill(wordpress, 'WordPress')).toBe(false);
+  });
+
+  test('links skills to timeline entries, certifications and projects', () => {
+    const graph = buildSkillGraph({
+      skills: [{ name: 'React.js' }, { name: 'Go' }],
+      experience: [{ title: 'Frontend Developer', skills: ['React'] }, { title: 'Intern' }],
+      certifications: [{ title: 'React.js Frontend Development', skills: [] }, { title: 'Go Basics' }],
+      projects: [{ title: 'Atlas', slug: 'atlas', tech: ['react', 'Mapbox'] }]
+    });
+
+    expect(graph['React.js']).toEqual({ experience: [0], certifications: [0], projects: ['atlas'] });
+    expect(relationsOf(graph, 'Go')).toEqual({ experience: [], certifications: [1], projects: [] });
+    expect(relationsOf(graph, 'Rust')).toBe(NO_RELATIONS);
+    expect(relationCount(graph['React.js'])).toBe(3);
+  });
+
+  test('answers "where did you use React?" for the default resume', () => {
+    const graph = buildSkillGraph(defaultResume);
+    const react = relationsOf(graph, 'React.js');
+
+    expect(react.experience.map((i) => defaultResume.experience[i].title)).toContain('Senior Frontend Developer');
+    expect(react.certifications.map((i) => defaultResume.certifications[i].title)).toContain('React.js Frontend Development');
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * stats.js - Statistics computed from the resume
+ *
+ * A statistic either has a fixed `value` or names a `source` to compute it
+ * from the rest of the resume, so it never goes stale:
+ *
+ *   { label: 'AGE', source: 'age' }                           basics.birthDate
+ *   { label: 'YEARS EXPERIENCE', source: 'experience', suffix: '+' }
+ *   { label: 'PROJECTS', source: 'projects' }
+ *
+ * Sources: age, experience (whole years since the earliest work entry
+ * started), projects, certifications and skills (counts).
+ *
+ * Values are shown by AnimatedCounter: numbers, and strings that start with
+ * one ('4+', '$12k', '99.9%'), count up; other strings ('Available') are
+ * shown as they are.
+ */
+
+import { entryDates } from './timeline.js';
+
+/**
+ * Whole years from `from` to `to`, counting a year only once its anniversary
+ * has passed.
+ */
+export const yearsBetween = (from, to = new Date()) => {
+  const start = new Date(from);
+  if (Number.isNaN(start.getTime())) return null;
+
+  const beforeAnniversary = to.getUTCMonth() < start.getUTCMonth()
+    || (to.getUTCMonth() === start.getUTCMonth() && to.getUTCDate() < start.getUTCDate());
+  return Math.max(0, to.getUTCFullYear() - start.getUTCFullYear() - (beforeAnniversary ? 1 : 0));
+};
+
+// '2023' -> '2023-01-01', '2023-06' -> '2023-06-01'
+const firstDay = (date) => `${date.slice(0, 7)}${date.length === 4 ? '-01' : ''}-01`;
+
+const experienceYears = (experience = [], now) => {
+  const starts = experience
+    .filter((entry) => (entry.type || 'work') === 'work')
+    .map((entry) => entryDates(entry).startDate)
+    .filter(Boolean)
+    .map(firstDay)
+    .sort();
+  return starts.length > 0 ? yearsBetween(starts[0], now) : null;
+};
+
+export const STAT_SOURCES = {
+  age: (resume, now) => (resume.basics?.birthDate ? yearsBetween(resume.basics.birthDate, now) : null),
+  experience: (resume, now) => experienceYears(resume.experience, now),
+  projects: (resume) => (resume.projects || []).length,
+  certifications: (resume) => (resume.certifications || []).length,
+  skills: (resume) => (resume.skills || []).length
+};
+
+/**
+ * `resume.stats` with computed values filled in. Statistics that cannot be
+ * computed (an age without a birth date) are left out.
+ */
+export const computeStats = (resume, now = new Date()) =>
+  (resume.stats || [])
+    .map((stat) => (stat.source ? { ...stat, value: STAT_SOURCES[stat.source]?.(resume, now) ?? null } : stat))
+    .filter((stat) => stat.value !== null && stat.value !== undefined);
+
+/**
+ * Split a value into the number to count up to and the text around it:
+ * '4+' -> { prefix: '', number: 4, decimals: 0, rest: '+' }. Null when the
+ * value does not start with a number.
+ */
+export const parseStatValue = (value) => {
+  if (typeof value === 'number') {
+    return Number.isFinite(value)
+      ? { prefix: '', number: value, decimals: (String(value).split('.')[1] || '').length, rest: '' }
+      : null;
+  }
+
+  const match = String(value).match(/^([^\p{L}\d]*?)(\d+(?:\.\d+)?)(.*)$/u);
+  if (!match) return null;
+  return {
+    prefix: match[1],
+    number: Number(match[2]),
+    decimals: (match[2].split('.')[1] || '').length,
+    rest: match[3]
+  };
+};
+
+/**
+ * The value `progress` (0-1) of the way through counting up, formatted for
+ * the locale: formatStatValue(parseStatValue('1200+'), 1, 'tr-TR') -> '1.200+'
+ */
+export const formatStatValue = ({ prefix, number, decimals, rest }, progress, locale) => {
+  const factor = 10 ** decimals;
+  const current = Math.round(number * progress * factor) / factor;
+  const formatted = new Intl.NumberFormat(locale, {
+    minimumFractionDigits: decimals,
+    maximumFractionDigits: decimals
+  }).format(current);
+  return `${prefix}${formatted}${rest}`;
+};
@@ -0,0 +1,69 @@
+/**
+ * stats.test.js
+ * Unit tests for computed statistics and counter values
+ *
+ * Run with: npm test
+ */
+
+import defaultResume from '../data/resume';
+import { yearsBetween, computeStats, parseStatValue, formatStatValue } from './stats';
+
+const now = new Date('2026-10-19T12:00:00Z');
+
+describe('stats', () => {
+  test('counts whole years once the anniversary has passed', () => {
+    expect(yearsBetween('2005-10-19', now)).toBe(21);
+    expect(yearsBetween('2005-10-20', now)).toBe(20);
+    expect(yearsBetween('2027-01-01', now)).toBe(0);
+    expect(yearsBetween('not a date', now)).toBeNull();
+  });
+
+  test('computes age, experience and counts from the resume', () => {
+    const resume = {
+      basics: { name: 'Jane', birthDate: '1990-12-01' },
+      experience: [
+        { type: 'education', year: '2008 - 2012' },
+        { type: 'work', year: '2015 - 2018' },
+        { year: '2018 - Present' }
+      ],
+      projects: [{ title: 'A' }, { title: 'B' }],
+      stats: [
+        { label: 'AGE', source: 'age' },
+        { label: 'YEARS', source: 'experience', suffix: '+' },
+        { label: 'PROJECTS', source: 'projects' },
+        { label: 'CERTIFICATES', source: 'certifications' },
+        { label: 'FREELANCE', value: 'Available' }
+      ]
+    };
+
+    expect(computeStats(resume, now).map((stat) => stat.value)).toEqual([35, 11, 2, 0, 'Available']);
+    expect(computeStats(resume, now)[1].suffix).toBe('+');
+  });
+
+  test('leaves out statistics that cannot be computed', () => {
+    const resume = { basics: { name: 'Jane' }, stats: [{ label: 'AGE', source: 'age' }, { label: 'X', value: 1 }] };
+    expect(computeStats(resume, now)).toEqual([{ label: 'X', value: 1 }]);
+  });
+
+  test('the default statistics keep their given values and count the certifications', () => {
+    const values = computeStats(defaultResume, now).map((stat) => stat.value);
+    expect(values).toEqual(['20', '4+', defaultResume.certifications.length, 'Master', 'Available']);
+  });
+
+  test('parses numbers at the start of values', () => {
+    expect(parseStatValue(20)).toEqual({ prefix: '', number: 20, decimals: 0, rest: '' });
+    expect(parseStatValue('4+')).toEqual({ prefix: '', number: 4, decimals: 0, rest: '+' });
+    expect(parseStatValue('$12.5k')).toEqual({ prefix: '$', number: 12.5, decimals: 1, rest: 'k' });
+    expect(parseStatValue('Master')).toBeNull();
+    expect(parseStatValue('v2')).toBeNull();
+    expect(parseStatValue(NaN)).toBeNull();
+  });
+
+  test('formats counter values for the locale', () => {
+    expect(formatStatValue(parseStatValue('1200+'), 1, 'en-US')).toBe('1,200+');
+    expect(formatStatValue(parseStatValue('1200+'), 1, 'tr-TR')).toBe('1.200+');
+    expect(formatStatValue(parseStatValue('99.9%'), 1, 'tr-TR')).toBe('99,9%');
+    expect(formatStatValue(parseStatValue('4+'), 0.5, 'en-US')).toBe('2+');
+    expect(formatStatValue(parseStatValue('$12.5k'), 0, 'en-US')).toBe('$0.0k');
+  });
+});
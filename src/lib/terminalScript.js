@@ -0,0 +1,178 @@
+/**
+ * terminalScript.js - Scripted sessions for the Terminal widget
+ *
+ * A script describes a recorded-looking session:
+ *
+ *   {
+ *     title: 'deploy',              // shown when there are several sessions
+ *     prompt: '$',
+ *     loop: true,                   // false plays once and stops at the end
+ *     typingDelay: 50,              // ms per typed character
+ *     colors: { stderr: '#f55' },   // overrides TERMINAL_COLORS
+ *     steps: [
+ *       'git status',               // a command without output
+ *       {
+ *         command: 'npm run build',
+ *         prompt: '~/app $',        // per-step prompt
+ *         delay: 600,               // ms before typing starts
+ *         output: [
+ *           'vite v5 building…',    // stdout line
+ *           { text: 'warning', stream: 'stderr', delay: 400, color: '#fa0' }
+ *         ],
+ *         pause: 1500               // ms after the last output line
+ *       }
+ *     ]
+ *   }
+ *
+ * `buildTimeline` turns a script into timestamped events; `terminalStateAt`
+ * replays them up to any point in time, so pausing, seeking and restarting
+ * are all just a different `time`.
+ *
+ * Replayed lines are `{ kind: 'command', prompt, text }` or
+ * `{ kind: 'stdout' | 'stderr', text, color }`; the interactive shell logs its
+ * lines in the same shape.
+ */
+
+export const TERMINAL_COLORS = {
+  prompt: '#0af',
+  command: '#0af',
+  stdout: '#e0e0e0',
+  stderr: '#ff6b6b',
+  muted: '#8a8a8a',
+  accent: '#0af'
+};
+
+export const SCRIPT_DEFAULTS = {
+  prompt: '$',
+  loop: true,
+  typingDelay: 50,
+  delay: 600,
+  outputDelay: 300,
+  lineDelay: 80,
+  pause: 1500,
+  loopDelay: 2000
+};
+
+const toLine = (line) => (typeof line === 'string' ? { text: line } : line);
+
+/**
+ * Fill in defaults: string steps and lines become objects and every step gets
+ * its own prompt and timings.
+ */
+export const normalizeScript = (script = {}) => {
+  const settings = { ...SCRIPT_DEFAULTS, ...script };
+
+  const steps = (script.steps || []).map((step) => {
+    const { command, output = [], ...rest } = typeof step === 'string' ? { command: step } : step;
+    return {
+      prompt: settings.prompt,
+      typingDelay: settings.typingDelay,
+      delay: settings.delay,
+      outputDelay: settings.outputDelay,
+      pause: settings.pause,
+      ...rest,
+      command: command || '',
+      output: output.map(toLine).map((line) => ({
+        stream: 'stdout',
+        delay: settings.lineDelay,
+        ...line,
+        text: line.text || ''
+      }))
+    };
+  });
+
+  return {
+    title: settings.title,
+    prompt: settings.prompt,
+    loop: settings.loop,
+    loopDelay: settings.loopDelay,
+    colors: { ...TERMINAL_COLORS, ...script.colors },
+    steps
+  };
+};
+
+/**
+ * Events, in time order:
+ *
+ *   { at, type: 'prompt', prompt }        an empty prompt appears
+ *   { at, type: 'type', text }            the command typed so far
+ *   { at, type: 'enter', prompt, text }   the command is run
+ *   { at, type: 'output', line }          one line of output
+ *
+ * `duration` is when the last step's pause ends.
+ */
+export const buildTimeline = (script) => {
+  const normalized = normalizeScript(script);
+  const events = [];
+  let time = 0;
+
+  normalized.steps.forEach((step) => {
+    events.push({ at: time, type: 'prompt', prompt: step.prompt });
+    time += step.delay;
+
+    for (let i = 1; i <= step.command.length; i += 1) {
+      events.push({ at: time + i * step.typingDelay, type: 'type', text: step.command.slice(0, i) });
+    }
+    time += (step.command.length + 1) * step.typingDelay;
+    events.push({ at: time, type: 'enter', prompt: step.prompt, text: step.command });
+
+    if (step.output.length > 0) time += step.outputDelay;
+    step.output.forEach((line, i) => {
+      if (i > 0) time += line.delay;
+      events.push({ at: time, type: 'output', line });
+    });
+    time += step.pause;
+  });
+
+  events.push({ at: time, type: 'prompt', prompt: normalized.prompt });
+
+  return { ...normalized, events, duration: time };
+};
+
+/**
+ * What the terminal shows at `time`: the finished lines (commands and output)
+ * and the line being typed, or null while a command's output is printing.
+ */
+export const terminalStateAt = (timeline, time) => {
+  const lines = [];
+  let current = null;
+
+  for (const event of timeline.events) {
+    if (event.at > time) break;
+
+    if (event.type === 'prompt') {
+      current = { prompt: event.prompt, text: '' };
+    } else if (event.type === 'type') {
+      current = { ...current, text: event.text };
+    } else if (event.type === 'enter') {
+      lines.push({ kind: 'command', prompt: event.prompt, text: event.text });
+      current = null;
+    } else {
+      lines.push({ kind: event.line.stream, text: event.line.text, color: event.line.color });
+    }
+  }
+
+  return { lines, current };
+};
+
+/**
+ * Time of the first event after `time`, or null when none is left.
+ */
+export const nextEventTime = (timeline, time) => {
+  const next = timeline.events.find((event) => event.at > time);
+  return next ? next.at : null;
+};
+
+/**
+ * The last command and its output (everything when no command has run yet).
+ */
+export const lastBlock = (lines) => {
+  const start = lines.map((line) => line.kind).lastIndexOf('command');
+  return start === -1 ? lines : lines.slice(start);
+};
+
+/**
+ * Plain-text transcript, with prompts, for copying or announcing.
+ */
+export const transcriptText = (lines) =>
+  lines.map((line) => (line.kind === 'command' ? `${line.prompt} ${line.text}` : line.text)).join('\n');
@@ -0,0 +1,105 @@
+/**
+ * terminalScript.test.js
+ * Unit tests for scripted terminal sessions
+ *
+ * Run with: npm test
+ */
+
+import defaultScript from '../data/terminal';
+import {
+  TERMINAL_COLORS,
+  normalizeScript,
+  buildTimeline,
+  terminalStateAt,
+  nextEventTime,
+  lastBlock,
+  transcriptText
+} from './terminalScript';
+
+const script = {
+  prompt: '>',
+  loop: false,
+  typingDelay: 10,
+  steps: [
+    {
+      command: 'ls',
+      delay: 100,
+      outputDelay: 50,
+      output: ['a.txt', { text: 'oops', stream: 'stderr', delay: 200 }],
+      pause: 500
+    },
+    'pwd'
+  ]
+};
+
+describe('terminalScript', () => {
+  test('normalizes string steps, string lines, prompts and colours', () => {
+    const normalized = normalizeScript({ ...script, colors: { stderr: '#f00' } });
+
+    expect(normalized.steps[1]).toMatchObject({ command: 'pwd', prompt: '>', typingDelay: 10, output: [] });
+    expect(normalized.steps[0].output[0]).toEqual({ text: 'a.txt', stream: 'stdout', delay: 80 });
+    expect(normalized.colors).toEqual({ ...TERMINAL_COLORS, stderr: '#f00' });
+  });
+
+  test('times typing, output and pauses', () => {
+    const timeline = buildTimeline(script);
+    const at = (type, text) => timeline.events.find((e) => e.type === type && (e.text ?? e.line.text) === text).at;
+
+    expect(at('type', 'l')).toBe(110);
+    expect(at('type', 'ls')).toBe(120);
+    expect(at('enter', 'ls')).toBe(130);
+    expect(at('output', 'a.txt')).toBe(180);
+    expect(at('output', 'oops')).toBe(380);
+    expect(timeline.duration).toBe(880 + 600 + 40 + 1500);
+  });
+
+  test('replays the session up to any time', () => {
+    const timeline = buildTimeline(script);
+
+    expect(terminalStateAt(timeline, 0)).toEqual({ lines: [], current: { prompt: '>', text: '' } });
+    expect(terminalStateAt(timeline, 115).current.text).toBe('l');
+
+    const printing = terminalStateAt(timeline, 200);
+    expect(printing.current).toBeNull();
+    expect(printing.lines).toEqual([
+      { kind: 'command', prompt: '>', text: 'ls' },
+      { kind: 'stdout', text: 'a.txt', color: undefined }
+    ]);
+
+    const end = terminalStateAt(timeline, timeline.duration);
+    expect(end.lines.map((line) => line.text)).toEqual(['ls', 'a.txt', 'oops', 'pwd']);
+    expect(end.lines[2].kind).toBe('stderr');
+    expect(end.current).toEqual({ prompt: '>', text: '' });
+  });
+
+  test('finds the next event and stops at the end', () => {
+    const timeline = buildTimeline(script);
+
+    expect(nextEventTime(timeline, 0)).toBe(110);
+    expect(nextEventTime(timeline, 110)).toBe(120);
+    expect(nextEventTime(timeline, timeline.duration)).toBeNull();
+  });
+
+  test('the default session builds and ends with its last command', () => {
+    const timeline = buildTimeline(defaultScript);
+    const { lines } = terminalStateAt(timeline, timeline.duration);
+
+    expect(timeline.loop).toBe(true);
+    expect(lines.filter((line) => line.kind === 'command')).toHaveLength(defaultScript.steps.length);
+    expect(lines.some((line) => line.kind === 'stderr')).toBe(true);
+  });
+
+  test('extracts the last command block and a plain-text transcript', () => {
+    const lines = [
+      { kind: 'stdout', text: 'welcome' },
+      { kind: 'command', prompt: '$', text: 'ls' },
+      { kind: 'stdout', text: 'a.txt' },
+      { kind: 'command', prompt: '~ $', text: 'pwd' },
+      { kind: 'stdout', text: '/home' }
+    ];
+
+    expect(lastBlock(lines)).toEqual(lines.slice(3));
+    expect(lastBlock(lines.slice(0, 1))).toEqual(lines.slice(0, 1));
+    expect(transcriptText(lines)).toBe('welcome\n$ ls\na.txt\n~ $ pwd\n/home');
+  });
+});
@@ -0,0 +1,51 @@
+/**
+ * theme.js - Light/dark theme resolution and persistence
+ *
+ * The chosen theme is stored in localStorage; without a stored choice the
+ * operating system's `prefers-color-scheme` decides. The inline script in
+ * index.html repeats `getInitialTheme` so the right theme is applied before
+ * the first paint; keep the two in sync.
+ */
+
+export const THEMES = ['dark', 'light'];
+export const THEME_STORAGE_KEY = 'ultracv-theme';
+
+const LIGHT_QUERY = '(prefers-color-scheme: light)';
+
+export const getStoredTheme = () => {
+  try {
+    const stored = window.localStorage.getItem(THEME_STORAGE_KEY);
+    return THEMES.includes(stored) ? stored : null;
+  } catch {
+    return null;
+  }
+};
+
+export const storeTheme = (theme) => {
+  try {
+    window.localStorage.setItem(THEME_STORAGE_KEY, theme);
+  } catch {
+    // Private mode or storage disabled: the choice lasts for this visit only
+  }
+};
+
+export const getSystemTheme = () =>
+  typeof window !== 'undefined' && window.matchMedia?.(LIGHT_QUERY).matches ? 'light' : 'dark';
+
+export const getInitialTheme = () => {
+  if (typeof window === 'undefined') return 'dark';
+  return getStoredTheme() || getSystemTheme();
+};
+
+/**
+ * Call `callback` with the new system theme whenever the OS preference changes.
+ * Returns an unsubscribe function.
+ */
+export const watchSystemTheme = (callback) => {
+  const mediaQuery = window.matchMedia?.(LIGHT_QUERY);
+  if (!mediaQuery?.addEventListener) return () => {};
+
+  const handleChange = (e) => callback(e.matches ? 'light' : 'dark');
+  mediaQuery.addEventListener('change', handleChange);
+  return () => mediaQuery.removeEventListener('change', handleChange);
+};
@@ -0,0 +1,43 @@
+/**
+ * theme.test.js
+ * Unit tests for theme resolution and persistence
+ *
+ * Run with: npm test
+ */
+
+import { getInitialTheme, storeTheme, THEME_STORAGE_KEY } from './theme';
+
+const mockColorScheme = (scheme) => {
+  window.matchMedia = jest.fn().mockImplementation(query => ({
+    matches: query === `(prefers-color-scheme: ${scheme})`,
+    addEventListener: jest.fn(),
+    removeEventListener: jest.fn(),
+  }));
+};
+
+describe('theme', () => {
+  beforeEach(() => {
+    window.localStorage.clear();
+  });
+
+  test('follows the system preference without a stored choice', () => {
+    mockColorScheme('light');
+    expect(getInitialTheme()).toBe('light');
+
+    mockColorScheme('dark');
+    expect(getInitialTheme()).toBe('dark');
+  });
+
+  test('a stored choice wins over the system preference', () => {
+    mockColorScheme('light');
+    storeTheme('dark');
+    expect(window.localStorage.getItem(THEME_STORAGE_KEY)).toBe('dark');
+    expect(getInitialTheme()).toBe('dark');
+  });
+
+  test('ignores unknown stored values', () => {
+    mockColorScheme('dark');
+    window.localStorage.setItem(THEME_STORAGE_KEY, 'sepia');
+    expect(getInitialTheme()).toBe('dark');
+  });
+});
@@ -0,0 +1,170 @@
+/**
+ * themePresets.js - Named colour presets and token helpers
+ *
+ * A preset is plain JSON with a token set per theme:
+ *
+ *   { "name": "Electric", "dark": { "--color-primary": "#00f0ff", ... }, "light": { ... } }
+ *
+ * UltraCV accepts a preset name or object through its `themePreset` prop and
+ * turns it into the `:root[data-theme=...]` rules with `presetToCss`. The CSS
+ * panel in Developer Tools edits a copy and exports it in the same format.
+ */
+
+export const THEME_PRESETS = {
+  magazine: {
+    name: 'Magazine',
+    dark: {
+      '--color-primary': '#ff1744',
+      '--color-secondary': '#ff6f00',
+      '--color-accent': '#7c4dff',
+      '--color-bg': '#0a0a0a',
+      '--color-surface': 'rgba(255, 255, 255, 0.08)',
+      '--color-text': '#ffffff',
+      '--color-text-muted': 'rgba(255, 255, 255, 0.7)',
+      '--color-border': 'rgba(255, 255, 255, 0.1)',
+      '--color-shadow': 'rgba(255, 23, 68, 0.3)',
+      '--color-highlight': 'rgba(255, 23, 68, 0.3)',
+      '--spacing-unit': '1rem'
+    },
+    light: {
+      '--color-primary': '#d50032',
+      '--color-secondary': '#e65100',
+      '--color-accent': '#651fff',
+      '--color-bg': '#f4efe6',
+      '--color-surface': 'rgba(0, 0, 0, 0.05)',
+      '--color-text': '#111111',
+      '--color-text-muted': 'rgba(0, 0, 0, 0.68)',
+      '--color-border': 'rgba(0, 0, 0, 0.12)',
+      '--color-shadow': 'rgba(213, 0, 50, 0.2)',
+      '--color-highlight': 'rgba(213, 0, 50, 0.18)',
+      '--spacing-unit': '1rem'
+    }
+  },
+
+  electric: {
+    name: 'Electric',
+    dark: {
+      '--color-primary': '#00f0ff',
+      '--color-secondary': '#ff00ff',
+      '--color-accent': '#7c4dff',
+      '--color-bg': '#0a0a0a',
+      '--color-surface': 'rgba(255, 255, 255, 0.05)',
+      '--color-text': '#ffffff',
+      '--color-text-muted': 'rgba(255, 255, 255, 0.6)',
+      '--color-border': 'rgba(255, 255, 255, 0.1)',
+      '--color-shadow': 'rgba(0, 240, 255, 0.3)',
+      '--color-highlight': 'rgba(0, 240, 255, 0.25)',
+      '--spacing-unit': '1rem'
+    },
+    light: {
+      '--color-primary': '#00838f',
+      '--color-secondary': '#c2185b',
+      '--color-accent': '#5e35b1',
+      '--color-bg': '#f1f7f8',
+      '--color-surface': 'rgba(0, 0, 0, 0.04)',
+      '--color-text': '#0b1b1e',
+      '--color-text-muted': 'rgba(11, 27, 30, 0.68)',
+      '--color-border': 'rgba(0, 0, 0, 0.12)',
+      '--color-shadow': 'rgba(0, 131, 143, 0.2)',
+      '--color-highlight': 'rgba(0, 131, 143, 0.18)',
+      '--spacing-unit': '1rem'
+    }
+  },
+
+  ink: {
+    name: 'Ink',
+    dark: {
+      '--color-primary': '#f5f5f5',
+      '--color-secondary': '#9e9e9e',
+      '--color-accent': '#bdbdbd',
+      '--color-bg': '#121212',
+      '--color-surface': 'rgba(255, 255, 255, 0.06)',
+      '--color-text': '#f5f5f5',
+      '--color-text-muted': 'rgba(245, 245, 245, 0.65)',
+      '--color-border': 'rgba(255, 255, 255, 0.12)',
+      '--color-shadow': 'rgba(255, 255, 255, 0.12)',
+      '--color-highlight': 'rgba(255, 255, 255, 0.18)',
+      '--spacing-unit': '1rem'
+    },
+    light: {
+      '--color-primary': '#111111',
+      '--color-secondary': '#616161',
+      '--color-accent': '#424242',
+      '--color-bg': '#fafafa',
+      '--color-surface': 'rgba(0, 0, 0, 0.04)',
+      '--color-text': '#111111',
+      '--color-text-muted': 'rgba(17, 17, 17, 0.65)',
+      '--color-border': 'rgba(0, 0, 0, 0.12)',
+      '--color-shadow': 'rgba(0, 0, 0, 0.15)',
+      '--color-highlight': 'rgba(0, 0, 0, 0.1)',
+      '--spacing-unit': '1rem'
+    }
+  }
+};
+
+export const DEFAULT_PRESET = 'magazine';
+
+/**
+ * Resolve a preset name or (possibly partial) preset object to a full preset.
+ * Missing tokens fall back to the default preset.
+ */
+export const resolvePreset = (preset = DEFAULT_PRESET) => {
+  const base = THEME_PRESETS[DEFAULT_PRESET];
+  if (typeof preset === 'string') return THEME_PRESETS[preset] || base;
+
+  return {
+    name: preset.name || 'Custom',
+    dark: { ...base.dark, ...preset.dark },
+    light: { ...base.light, ...preset.light }
+  };
+};
+
+const declarations = (tokens) =>
+  Object.entries(tokens).map(([name, value]) => `  ${name}: ${value};`).join('\n');
+
+/**
+ * Turn a preset into the `:root[data-theme=...]` rules UltraCV injects.
+ */
+export const presetToCss = (preset) => `:root,
+:root[data-theme='dark'] {
+${declarations(preset.dark)}
+  color-scheme: dark;
+}
+
+:root[data-theme='light'] {
+${declarations(preset.light)}
+  color-scheme: light;
+}`;
+
+const toHex = (n) => Math.round(n).toString(16).padStart(2, '0');
+
+/**
+ * Split a CSS colour (#rgb, #rrggbb, rgb(), rgba()) into a colour-picker
+ * friendly hex and an alpha channel. Returns null for anything else.
+ */
+export const parseColor = (value = '') => {
+  const color = value.trim();
+
+  const hex = color.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+  if (hex) {
+    const digits = hex[1].length === 3 ? hex[1].replace(/./g, '$&$&') : hex[1];
+    return { hex: `#${digits.toLowerCase()}`, alpha: 1 };
+  }
+
+  const rgb = color.match(/^rgba?\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*(?:,\s*([\d.]+)\s*)?\)$/i);
+  if (rgb) {
+    const [, r, g, b, a = '1'] = rgb;
+    return { hex: `#${toHex(r)}${toHex(g)}${toHex(b)}`, alpha: parseFloat(a) };
+  }
+
+  return null;
+};
+
+/**
+ * Inverse of `parseColor`: a hex for opaque colours, rgba() otherwise.
+ */
+export const formatColor = (hex, alpha = 1) => {
+  if (alpha >= 1) return hex;
+  const [r, g, b] = [1, 3, 5].map((i) => parseInt(hex.slice(i, i + 2), 16));
+  return `rgba(${r}, ${g}, ${b}, ${Math.round(alpha * 100) / 100})`;
+};
@@ -0,0 +1,55 @@
+/**
+ * themePresets.test.js
+ * Unit tests for theme presets and colour helpers
+ *
+ * Run with: npm test
+ */
+
+import { THEME_PRESETS, resolvePreset, presetToCss, parseColor, formatColor } from './themePresets';
+
+describe('resolvePreset', () => {
+  test('looks up named presets and falls back to the default', () => {
+    expect(resolvePreset('electric')).toBe(THEME_PRESETS.electric);
+    expect(resolvePreset('unknown')).toBe(THEME_PRESETS.magazine);
+    expect(resolvePreset()).toBe(THEME_PRESETS.magazine);
+  });
+
+  test('fills partial preset objects from the default', () => {
+    const preset = resolvePreset({ name: 'Mine', dark: { '--color-primary': '#00ff00' } });
+    expect(preset.name).toBe('Mine');
+    expect(preset.dark['--color-primary']).toBe('#00ff00');
+    expect(preset.dark['--color-bg']).toBe(THEME_PRESETS.magazine.dark['--color-bg']);
+    expect(preset.light).toEqual(THEME_PRESETS.magazine.light);
+  });
+
+  test('every preset defines the same tokens for both themes', () => {
+    const tokens = Object.keys(THEME_PRESETS.magazine.dark).sort();
+    Object.values(THEME_PRESETS).forEach((preset) => {
+      expect(Object.keys(preset.dark).sort()).toEqual(tokens);
+      expect(Object.keys(preset.light).sort()).toEqual(tokens);
+    });
+  });
+});
+
+describe('presetToCss', () => {
+  test('emits a rule per theme', () => {
+    const css = presetToCss(THEME_PRESETS.electric);
+    expect(css).toContain(":root[data-theme='dark'] {\n  --color-primary: #00f0ff;");
+    expect(css).toContain(":root[data-theme='light'] {\n  --color-primary: #00838f;");
+  });
+});
+
+describe('colour helpers', () => {
+  test('parseColor handles hex and rgb(a)', () => {
+    expect(parseColor('#FFF')).toEqual({ hex: '#ffffff', alpha: 1 });
+    expect(parseColor(' #ff1744 ')).toEqual({ hex: '#ff1744', alpha: 1 });
+    expect(parseColor('rgba(255, 23, 68, 0.3)')).toEqual({ hex: '#ff1744', alpha: 0.3 });
+    expect(parseColor('rgb(0,0,0)')).toEqual({ hex: '#000000', alpha: 1 });
+    expect(parseColor('1rem')).toBeNull();
+  });
+
+  test('formatColor round-trips parseColor', () => {
+    expect(formatColor('#ff1744')).toBe('#ff1744');
+    expect(formatColor('#ff1744', 0.3)).toBe('rgba(255, 23, 68, 0.3)');
+  });
+});
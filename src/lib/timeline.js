@@ -0,0 +1,114 @@
+/**
+ * timeline.js - Dates, durations and ordering of the experience timeline
+ *
+ * Timeline entries carry structured dates, 'YYYY' or 'YYYY-MM':
+ *
+ *   { type: 'work', title, company, startDate: '2023-06', endDate: '2024-08' }
+ *
+ * Without an end date an entry is ongoing ("Present"); an end date still in
+ * the future (an expected graduation) counts as ongoing too. Resumes written
+ * with a free-text `year: '2019 - 2023'` still work: the years are read from
+ * it.
+ *
+ * The React timeline, the printable CV and the PDF all list
+ * `timelineEntries`, so they show the same periods and durations in the same
+ * order, newest first.
+ */
+
+import { formatDate } from './i18n.js';
+
+// '2023-06' -> { year: 2023, month: 6 }; a bare year has no month
+const parseMonth = (value) => {
+  const match = String(value ?? '').match(/^(\d{4})(?:-(\d{2}))?/);
+  return match ? { year: Number(match[1]), month: match[2] ? Number(match[2]) : null } : null;
+};
+
+// Months since year 0; a bare year starts in January and ends in December
+const monthIndex = ({ year, month }, edge) => year * 12 + (month ?? (edge === 'start' ? 1 : 12)) - 1;
+
+// Length in months, counting the first and last month. A bare year only says
+// which years: 2019 to 2023 is four whole years, not January to December
+const entryMonths = (start, end, from, to, current) => {
+  if (start.month === null || end?.month === null) {
+    const currentYear = Math.floor(current / 12);
+    return Math.max(0, Math.min(end?.year ?? currentYear, currentYear) - start.year) * 12;
+  }
+  return Math.max(0, Math.min(to ?? current, current) - from + 1);
+};
+
+/**
+ * The entry's { startDate, endDate }, read from a legacy `year` string when it
+ * has none: '2019 - 2023' -> 2019 to 2023, '2023 - Present' -> 2023 onwards,
+ * '2020' -> within 2020.
+ */
+export const entryDates = (entry) => {
+  if (entry.startDate) return { startDate: entry.startDate, endDate: entry.endDate };
+
+  const text = String(entry.year ?? '');
+  const [start, end] = text.match(/\d{4}/g) || [];
+  if (!start) return { startDate: undefined, endDate: undefined };
+  return { startDate: start, endDate: end ?? (/[-–]/.test(text) ? undefined : start) };
+};
+
+/**
+ * Timeline entries, newest first: ongoing entries, then by end and start
+ * date; entries without dates keep their order at the end. Each entry gains
+ *
+ *   index      its position in `experience` (for links that use it)
+ *   startDate, endDate
+ *   ongoing    no end date yet, or one in the future
+ *   months     length so far, counting the first and last month (whole
+ *              years when a date is a bare year)
+ */
+export const timelineEntries = (experience = [], now = new Date()) => {
+  const current = now.getUTCFullYear() * 12 + now.getUTCMonth();
+
+  return experience
+    .map((entry, index) => {
+      const { startDate, endDate } = entryDates(entry);
+      const start = parseMonth(startDate);
+      const end = parseMonth(endDate);
+      const from = start ? monthIndex(start, 'start') : null;
+      const to = end ? monthIndex(end, 'end') : null;
+      const ongoing = from !== null && (to === null || to > current);
+      const months = from === null ? null : entryMonths(start, end, from, to, current);
+
+      return { entry: { ...entry, index, startDate, endDate, ongoing, months }, from, to };
+    })
+    .sort((a, b) => {
+      if (a.from === null || b.from === null) return (a.from === null) - (b.from === null);
+      const latest = (item) => item.to ?? Number.MAX_SAFE_INTEGER;
+      return latest(b) - latest(a) || b.from - a.from;
+    })
+    .map(({ entry }) => entry);
+};
+
+// 'YYYY' stays as is, 'YYYY-MM' becomes e.g. 'Jun 2023' / 'Haz 2023'
+const formatMonth = (value, locale) =>
+  /^\d{4}-\d{2}/.test(value)
+    ? formatDate(`${value.slice(0, 7)}-01`, locale, { month: 'short', year: 'numeric', timeZone: 'UTC' })
+    : value;
+
+/**
+ * 'Jun 2023 – Aug 2024', or '… – Present' without an end date.
+ */
+export const formatPeriod = ({ startDate, endDate }, locale, present = 'Present') => {
+  if (!startDate) return '';
+  const start = formatMonth(startDate, locale);
+  const end = endDate ? formatMonth(endDate, locale) : present;
+  return start === end ? start : `${start} – ${end}`;
+};
+
+/**
+ * '1 yr 8 mos' from a number of months, using the `experience.years` and
+ * `experience.months` messages of `t`.
+ */
+export const formatDuration = (months, t) => {
+  if (!months) return '';
+  const years = Math.floor(months / 12);
+  const rest = months % 12;
+  return [
+    years > 0 && t('experience.years', { count: years }),
+    rest > 0 && t('experience.months', { count: rest })
+  ].filter(Boolean).join(' ');
+};
@@ -0,0 +1,75 @@
+/**
+ * timeline.test.js
+ * Unit tests for timeline dates, durations and ordering
+ *
+ * Run with: npm test
+ */
+
+import { createTranslator } from './i18n';
+import { entryDates, timelineEntries, formatPeriod, formatDuration } from './timeline';
+
+const now = new Date('2026-10-19T12:00:00Z');
+
+const experience = [
+  { type: 'education', title: 'High School', startDate: '2019-09', endDate: '2023-06' },
+  { type: 'work', title: 'Freelance', startDate: '2024-02' },
+  { type: 'education', title: 'University', startDate: '2023-09', endDate: '2027-06' },
+  { type: 'work', title: 'Agency', startDate: '2021-03', endDate: '2023-08' },
+  { type: 'work', title: 'Side project' }
+];
+
+describe('timeline', () => {
+  test('reads dates from legacy year strings', () => {
+    expect(entryDates({ year: '2019 - 2023' })).toEqual({ startDate: '2019', endDate: '2023' });
+    expect(entryDates({ year: '2023 – Present' })).toEqual({ startDate: '2023', endDate: undefined });
+    expect(entryDates({ year: '2020' })).toEqual({ startDate: '2020', endDate: '2020' });
+    expect(entryDates({ year: 'Someday' })).toEqual({ startDate: undefined, endDate: undefined });
+    expect(entryDates({ year: '2010', startDate: '2021-03' })).toEqual({ startDate: '2021-03', endDate: undefined });
+  });
+
+  test('sorts ongoing entries first, then newest, and undated entries last', () => {
+    const titles = timelineEntries(experience, now).map((item) => item.title);
+    expect(titles).toEqual(['Freelance', 'University', 'Agency', 'High School', 'Side project']);
+  });
+
+  test('keeps the original index and counts months inclusively', () => {
+    const [freelance, university, agency, highSchool, undated] = timelineEntries(experience, now);
+    expect(freelance).toMatchObject({ index: 1, ongoing: true, months: 33 });
+    expect(agency).toMatchObject({ index: 3, ongoing: false, months: 30 });
+    expect(highSchool.months).toBe(46);
+    expect(undated).toMatchObject({ index: 4, ongoing: false, months: null });
+  });
+
+  test('treats an end date in the future as ongoing and counts only up to now', () => {
+    const university = timelineEntries(experience, now).find((item) => item.title === 'University');
+    expect(university).toMatchObject({ ongoing: true, months: 38 });
+  });
+
+  test('counts only whole years when a date is a bare year', () => {
+    const [ongoing, school, sameYear] = timelineEntries([
+      { title: 'Studio', startDate: '2023' },
+      { title: 'School', startDate: '2019', endDate: '2023' },
+      { title: 'Course', startDate: '2020', endDate: '2020' }
+    ], now);
+    expect(ongoing).toMatchObject({ ongoing: true, months: 36 });
+    expect(school.months).toBe(48);
+    expect(sameYear.months).toBe(0);
+  });
+
+  test('formats periods with the locale and a "Present" label', () => {
+    expect(formatPeriod({ startDate: '2023-06', endDate: '2024-08' }, 'en')).toBe('Jun 2023 – Aug 2024');
+    expect(formatPeriod({ startDate: '2024-02' }, 'tr', 'Günümüz')).toBe('Şub 2024 – Günümüz');
+    expect(formatPeriod({ startDate: '2019', endDate: '2023' }, 'en')).toBe('2019 – 2023');
+    expect(formatPeriod({ startDate: '2020', endDate: '2020' }, 'en')).toBe('2020');
+    expect(formatPeriod({}, 'en')).toBe('');
+  });
+
+  test('formats durations in years and months', () => {
+    const t = createTranslator('en');
+    expect(formatDuration(20, t)).toBe('1 yr 8 mos');
+    expect(formatDuration(24, t)).toBe('2 yrs');
+    expect(formatDuration(1, t)).toBe('1 mo');
+    expect(formatDuration(null, t)).toBe('');
+    expect(formatDuration(14, createTranslator('tr'))).toBe('1 yıl 2 ay');
+  });
+});
@@ -1,17 +1,11 @@
 import React from 'react'
 import ReactDOM from 'react-dom/client'
 import UltraCV from '../UltraCV.jsx'
+import resume from './data/resume.js'
 import './index.css'
 
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
-    <UltraCV 
-      name="Tahsin Mert Mutlu"
-      role="UI/UX Designer & Web Developer"
-      bio="4+ years of experience designing user-centered interfaces and developing modern, fast, and responsive websites. Creating clean, aesthetic, and functional digital experiences."
-      email="tahsinmert.mutlu@std.yeditepe.edu.tr"
-      phone="+90 545 897 6442"
-    />
+    <UltraCV resume={resume} devTools={!import.meta.env.PROD || import.meta.env.VITE_DEVTOOLS === 'true'} />
   </React.StrictMode>,
 )
-
@@ -14,6 +14,7 @@ export default {
         surface: 'var(--color-surface)',
         text: 'var(--color-text)',
         'text-muted': 'var(--color-text-muted)',
+        border: 'var(--color-border)',
       },
       fontFamily: {
         sans: ['Inter', 'system-ui', 'sans-serif'],
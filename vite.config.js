@@ -1,9 +1,119 @@
+import path from 'node:path'
+import { pathToFileURL } from 'node:url'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+/**
+ * Renders the printable CV (/cv.html) from the resume data module, so the
+ * "Download CV" page can never drift from the interactive site. Served on the
+ * fly by the dev server and emitted into dist/ at build time.
+ */
+const cvHtml = ({ resume = 'src/data/resume.js' } = {}) => {
+  let root = process.cwd()
+
+  return {
+    name: 'cv-html',
+    configResolved(config) {
+      root = config.root
+    },
+    configureServer(server) {
+      server.middlewares.use('/cv.html', async (req, res, next) => {
+        try {
+          const { default: data } = await server.ssrLoadModule(`/${resume}`)
+          const { renderCvHtml } = await server.ssrLoadModule('/src/lib/printCv.js')
+          res.setHeader('Content-Type', 'text/html; charset=utf-8')
+          res.end(renderCvHtml(data))
+        } catch (error) {
+          next(error)
+        }
+      })
+    },
+    async generateBundle() {
+      const load = (file) => import(pathToFileURL(path.resolve(root, file)).href)
+      const { default: data } = await load(resume)
+      const { renderCvHtml } = await load('src/lib/printCv.js')
+      this.emitFile({ type: 'asset', fileName: 'cv.html', source: renderCvHtml(data) })
+    }
+  }
+}
+
+/**
+ * Emits dist/<locale>/index.html for every non-default locale (today: /tr) with
+ * the right `lang`, title, description and canonical URL, so each language is
+ * served and indexed at its own address before any JavaScript runs.
+ */
+const localizedIndex = ({ resume = 'src/data/resume.js' } = {}) => {
+  let root = process.cwd()
+
+  return {
+    name: 'localized-index',
+    enforce: 'post',
+    configResolved(config) {
+      root = config.root
+    },
+    async generateBundle(_, bundle) {
+      const index = bundle['index.html']
+      if (!index) return
+
+      const load = (file) => import(pathToFileURL(path.resolve(root, file)).href)
+      const { default: data } = await load(resume)
+      const { LOCALES, DEFAULT_LOCALE, createTranslator, localizeResume } = await load('src/lib/i18n.js')
+      const escape = (text) => String(text).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;')
+
+      LOCALES.filter((locale) => locale !== DEFAULT_LOCALE).forEach((locale) => {
+        const { basics } = localizeResume(data, locale)
+        const title = escape(createTranslator(locale)('meta.title', { name: basics.name, role: basics.role }))
+        const html = String(index.source)
+          .replace(/<html lang="[^"]*"/, `<html lang="${locale}"`)
+          .replace(/<title>[^<]*<\/title>/, `<title>${title}</title>`)
+          .replace(/(<meta name="(?:title|description)" content=")[^"]*/g, (match, start) =>
+            start + (start.includes('title') ? title : escape(basics.bio || '')))
+          .replace(/(<link rel="canonical" href="[^"]*?)\/?"/, `$1/${locale}"`)
+          .replace(/(<meta property="og:url" content="[^"]*?)\/?"/, `$1/${locale}"`)
+
+        this.emitFile({ type: 'asset', fileName: `${locale}/index.html`, source: html })
+      })
+    }
+  }
+}
+
+/**
+ * Local stand-in for the Netlify contact function: the same handler, served at
+ * /api/contact by `vite dev`. Messages go to a JSON file unless CONTACT_SINK
+ * selects another sink.
+ */
+const contactApi = ({ file = '.contact-messages.json' } = {}) => ({
+  name: 'contact-api',
+  configureServer(server) {
+    server.middlewares.use('/api/contact', async (req, res, next) => {
+      try {
+        const chunks = []
+        for await (const chunk of req) chunks.push(chunk)
+
+        const { handleContact } = await server.ssrLoadModule('/src/lib/contactHandler.js')
+        const { createSink } = await server.ssrLoadModule('/src/lib/contactSinks.js')
+        const sink = createSink({ CONTACT_SINK: 'file', CONTACT_FILE: path.resolve(server.config.root, file), ...process.env })
+        const { status, headers, body } = await handleContact(
+          {
+            method: req.method,
+            contentType: req.headers['content-type'] || '',
+            body: Buffer.concat(chunks).toString('utf8')
+          },
+          sink
+        )
+
+        res.writeHead(status, headers)
+        res.end(JSON.stringify(body))
+      } catch (error) {
+        next(error)
+      }
+    })
+  }
+})
+
 // https://vitejs.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), cvHtml(), contactApi(), localizedIndex()],
   server: {
     port: 5173,
     open: true
@@ -21,4 +131,3 @@ export default defineConfig({
     }
   }
 })
-